@@ -43,5 +43,16 @@ module.exports = {
     "prefer-const": 2,
     "space-infix-ops": 2,
     "no-unused-vars": 2,
+    // The model module has an error class for parsing and one for evaluating.
+    "max-classes-per-file": [2, 2],
   },
+  "overrides": [{
+    // compile() builds the function of a node from the JS it renders. The
+    // source is made only of numbers, params and runtime calls, never of
+    // input text, so it is safe to pass to the Function constructor.
+    "files": ["src/model.js"],
+    "rules": {
+      "no-new-func": 0,
+    },
+  }],
 };
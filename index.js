@@ -1,4 +1,6 @@
 import {Model} from './src/model.js';
 import * as ast from './src/ast.js';
 export const Ast = ast.Ast;
-export const Parser = Model;
+export const Parser = Model.Parser;
+export const ParseError = Model.ParseError;
+export const EvaluateError = Model.EvaluateError;
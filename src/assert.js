@@ -69,8 +69,21 @@
 
      messages[1001] = "Syntax error.";
 
-  In the same way different sets of messages can be overridden for the purpose
-  of localization.
+  LOCALIZATION
+
+  Rather than overwriting 'Assert.messages', which is shared by every caller,
+  translations go in named catalogs in 'Assert.catalogs'. 'Assert.messages' is
+  the catalog of the default locale, 'en'. A catalog is added to with
+
+     addMessages("fr", { 1001: "Saisie invalide." });
+
+  and a message is looked up in a locale by passing it to 'message'
+
+     message(1001, [], "fr-CA");
+
+  Messages missing from a catalog fall back along the chain "fr-CA", "fr",
+  then 'Assert.defaultLocale'. A list of locales can be given for a chain of
+  its own, and a catalog object in the list is looked in as is.
 
 */
 
@@ -88,8 +101,27 @@ export const assert = (
     }
   });
 
-export const message = (errorCode, args) => {
-  let str = Assert.messages[errorCode];
+// The catalogs to look for a message in, most specific first.
+const catalogChain = (locale) => {
+  const chain = [];
+  [].concat(locale || []).filter((name) => name).forEach((name) => {
+    if (typeof name === 'object') {
+      chain.push(name);
+      return;
+    }
+    const parts = name.split(/[-_]/);
+    for (let i = parts.length; i > 0; i--) {
+      chain.push(Assert.catalogs[parts.slice(0, i).join('-')]);
+    }
+  });
+  chain.push(Assert.catalogs[Assert.defaultLocale]);
+  return chain;
+};
+
+export const message = (errorCode, args, locale) => {
+  let str = catalogChain(locale)
+    .map((catalog) => catalog && catalog[errorCode])
+    .find((text) => text !== undefined);
   if (args) {
     args.forEach((arg, i) => {
       str = str.replace(`%${i + 1}`, arg);
@@ -98,6 +130,10 @@ export const message = (errorCode, args) => {
   return `${errorCode}: ${str}`;
 };
 
+export const addMessages = (locale, table) => {
+  Assert.catalogs[locale] = Object.assign(Assert.catalogs[locale] || {}, table);
+};
+
 export const reserveCodeRange = (first, last, moduleName) => {
   assert(first <= last, 'Invalid code range');
   const noConflict = Assert.reservedCodes.every((range) => last < range.first || first > range.last);
@@ -105,52 +141,72 @@ export const reserveCodeRange = (first, last, moduleName) => {
   Assert.reservedCodes.push({ first, last, name: moduleName });
 };
 
-export const setLocation = (location) => {
-  // assert(location, "Empty location");
-  Assert.location = location;
-};
-
-export const clearLocation = () => {
-  Assert.location = null;
-};
-
-const setTimeout = (timeout, message) => {
-  if (timeout === undefined) {
-    return undefined;
-  }
-  Assert.timeout = timeout ? Date.now() + timeout : 0;
-  Assert.timeoutMessage = message || 'ERROR timeout exceeded';
-  return undefined;
+// The location that asserts report, and the timeout and counter that they
+// check. 'Assert' has the global ones, and each Parser has its own, so that
+// parsers of different callers don't share them.
+export const createAsserts = (location = null) => {
+  const asserts = {
+    location,
+    timeout: 0,
+    timeoutMessage: 'ERROR timeout exceeded',
+    count: undefined,
+    countMessage: 'ERROR count exceeded',
+  };
+  return Object.assign(asserts, {
+    assert: (val, str) => assert(val, str, asserts.location),
+    setLocation: (location) => {
+      // assert(location, "Empty location");
+      asserts.location = location;
+    },
+    clearLocation: () => {
+      asserts.location = null;
+    },
+    setTimeout: (timeout, message) => {
+      if (timeout === undefined) {
+        return undefined;
+      }
+      asserts.timeout = timeout ? Date.now() + timeout : 0;
+      asserts.timeoutMessage = message || 'ERROR timeout exceeded';
+      return undefined;
+    },
+    checkTimeout: () => {
+      assert(!asserts.timeout || asserts.timeout > Date.now(), asserts.timeoutMessage, asserts.location);
+    },
+    setCounter: (count, message) => {
+      asserts.count = count;
+      asserts.countMessage = message || 'ERROR count exceeded';
+    },
+    checkCounter: () => {
+      const { count } = asserts;
+      if (typeof count !== 'number' || Number.isNaN(count)) {
+        assert(false, 'ERROR counter not set', asserts.location);
+        return;
+      }
+      assert(asserts.count--, asserts.countMessage, asserts.location);
+    },
+  });
 };
 
-const checkTimeout = () => {
-  assert(!Assert.timeout || Assert.timeout > Date.now(), Assert.timeoutMessage);
-};
+const globalAsserts = createAsserts();
 
-export const setCounter = (count, message) => {
-  Assert.count = count;
-  Assert.countMessage = message || 'ERROR count exceeded';
-};
+export const {
+  setLocation,
+  clearLocation,
+  setCounter,
+  checkCounter,
+} = globalAsserts;
 
-export const checkCounter = () => {
-  const { count } = Assert;
-  if (typeof count !== 'number' || Number.isNaN(count)) {
-    assert(false, 'ERROR counter not set');
-    return;
-  }
-  assert(Assert.count--, Assert.countMessage);
-};
+const messages = {};
 
-export const Assert = {
+// The global location, timeout and counter are Assert's own.
+export const Assert = Object.assign(globalAsserts, {
   assert,
   message,
-  messages: {},
+  messages,
+  catalogs: { en: messages },
+  defaultLocale: 'en',
+  addMessages,
   reserveCodeRange,
   reservedCodes: [],
-  setLocation,
-  clearLocation,
-  checkTimeout,
-  setTimeout,
-  setCounter,
-  checkCounter,
-};
+  createAsserts,
+});
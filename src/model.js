@@ -55,7 +55,7 @@
 */
 
 import Decimal from 'decimal.js';
-import { Assert, assert } from './assert.js';
+import { Assert, assert, createAsserts } from './assert.js';
 import { Ast } from './ast.js';
 
 export const Model = (() => {
@@ -65,6 +65,8 @@ export const Model = (() => {
   Model.fn = {};
   Model.env = env;
 
+  // The default environment of parsing. Parser instances carry their own, so
+  // pushEnv() and popEnv() are kept for callers that don't use them.
   Model.pushEnv = (e) => {
     envStack.push(env);
     Model.env = env = e;
@@ -79,9 +81,9 @@ export const Model = (() => {
     return options[key];
   };
 
-  function isChemCore() {
+  function isChemCore(env) {
     // Has chem symbols so in chem mode.
-    return !!Model.env.Au;
+    return !!env.Au;
   }
 
   const Mp = Model.prototype = new Ast();
@@ -103,9 +105,174 @@ export const Model = (() => {
   Assert.messages[1012] = 'Misplaced subscript in "%1"';
   Assert.messages[1013] = 'Mismatched thousands separators: "%1" and "%2".';
   Assert.messages[1014] = 'Missing integration variable in "%1".';
+  Assert.messages[1015] = 'Division by zero at %1.';
+  Assert.messages[1016] = 'Argument of "%1" outside its domain at %2.';
+  Assert.messages[1017] = 'Unbound variable "%1" at %2.';
+  Assert.messages[1018] = 'No exact value for "%1" at %2.';
+  Assert.addMessages('es', {
+    1000: 'Error interno. %1.',
+    1001: 'Sintaxis no válida. Se esperaba "%1" y se encontró "%2".',
+    1002: 'Solo se puede especificar un separador decimal.',
+    1003: 'Caracteres sobrantes en la entrada en la posición: %1, lexema: %2, prefijo: %3.',
+    1004: 'Carácter no válido "%1" (%2) en la entrada.',
+    1005: 'Separador de miles mal colocado.',
+    1006: 'Sintaxis no válida. Se esperaba una expresión y se encontró %1.',
+    1007: 'Carácter inesperado: "%1" en "%2".',
+    1008: 'El mismo carácter "%1" se usa como separador de miles y decimal.',
+    1009: 'Falta un argumento para el comando "%1".',
+    1010: 'Se esperaba un operador entre los números.',
+    1011: 'Paréntesis de agrupación no válido. %1',
+    1012: 'Subíndice mal colocado en "%1"',
+    1013: 'Los separadores de miles no coinciden: "%1" y "%2".',
+    1014: 'Falta la variable de integración en "%1".',
+    1015: 'División por cero en %1.',
+    1016: 'Argumento de "%1" fuera de su dominio en %2.',
+    1017: 'Variable no definida "%1" en %2.',
+    1018: 'No hay valor exacto para "%1" en %2.',
+  });
+  Assert.addMessages('fr', {
+    1000: 'Erreur interne. %1.',
+    1001: 'Syntaxe invalide. "%1" attendu, "%2" trouvé.',
+    1002: 'Un seul séparateur décimal peut être spécifié.',
+    1003: 'Caractères en trop dans l’entrée à la position : %1, lexème : %2, préfixe : %3.',
+    1004: 'Caractère invalide "%1" (%2) dans l’entrée.',
+    1005: 'Séparateur de milliers mal placé.',
+    1006: 'Syntaxe invalide. Expression attendue, %1 trouvé.',
+    1007: 'Caractère inattendu : "%1" dans "%2".',
+    1008: 'Le même caractère "%1" est utilisé comme séparateur de milliers et décimal.',
+    1009: 'Argument manquant pour la commande "%1".',
+    1010: 'Opérateur attendu entre les nombres.',
+    1011: 'Parenthèse de groupement invalide. %1',
+    1012: 'Indice mal placé dans "%1"',
+    1013: 'Séparateurs de milliers incohérents : "%1" et "%2".',
+    1014: 'Variable d’intégration manquante dans "%1".',
+    1015: 'Division par zéro en %1.',
+    1016: 'Argument de "%1" hors de son domaine en %2.',
+    1017: 'Variable non liée "%1" en %2.',
+    1018: 'Pas de valeur exacte pour "%1" en %2.',
+  });
+  Assert.addMessages('pt', {
+    1000: 'Erro interno. %1.',
+    1001: 'Sintaxe inválida. Esperava-se "%1", encontrou-se "%2".',
+    1002: 'Só pode ser especificado um separador decimal.',
+    1003: 'Caracteres a mais na entrada na posição: %1, lexema: %2, prefixo: %3.',
+    1004: 'Caractere inválido "%1" (%2) na entrada.',
+    1005: 'Separador de milhares mal posicionado.',
+    1006: 'Sintaxe inválida. Esperava-se uma expressão, encontrou-se %1.',
+    1007: 'Caractere inesperado: "%1" em "%2".',
+    1008: 'O mesmo caractere "%1" está sendo usado como separador de milhares e decimal.',
+    1009: 'Falta o argumento do comando "%1".',
+    1010: 'Esperava-se um operador entre os números.',
+    1011: 'Parêntese de agrupamento inválido. %1',
+    1012: 'Subscrito mal posicionado em "%1"',
+    1013: 'Separadores de milhares incompatíveis: "%1" e "%2".',
+    1014: 'Falta a variável de integração em "%1".',
+    1015: 'Divisão por zero em %1.',
+    1016: 'Argumento de "%1" fora do seu domínio em %2.',
+    1017: 'Variável não definida "%1" em %2.',
+    1018: 'Não há valor exato para "%1" em %2.',
+  });
   const { message } = Assert;
 
-  // Create a model from a node object or expression string
+  // The error thrown for invalid input. Besides the message, it has the
+  // message code and args, the { start, end } span of the source found, its
+  // text and the list of tokens that were expected there, if known.
+  class ParseError extends Error {
+    constructor(text, {
+      code,
+      args = [],
+      span,
+      found,
+      expected = [],
+      location = Assert.location,
+    }) {
+      super(text);
+      this.name = 'ParseError';
+      this.code = code;
+      this.args = args;
+      this.span = span;
+      this.found = found;
+      this.expected = expected;
+      this.location = location;
+    }
+  }
+  Model.ParseError = ParseError;
+
+  // The error thrown for a value that can't be evaluated, such as a division
+  // by zero. Besides the message, it has the message code and args, the path
+  // of the node, as the list of arg indexes from the root, and its span.
+  class EvaluateError extends Error {
+    constructor(text, {
+      code,
+      args = [],
+      path = [],
+      span,
+      location = Assert.location,
+    }) {
+      super(text);
+      this.name = 'EvaluateError';
+      this.code = code;
+      this.args = args;
+      this.path = path;
+      this.span = span;
+      this.location = location;
+    }
+  }
+  Model.EvaluateError = EvaluateError;
+
+  // A parser with its own environment, options, messages and asserts, in
+  // place of Model.env and the Assert globals. The messages are a catalog,
+  // such as { 1001: 'Syntax error.' }, that is looked in before the locale's.
+  // Limits go in the options as 'timeout' (in ms) and 'count' (of tokens),
+  // and are checked, and errors located, by the parser's asserts.
+  function Parser({
+    env = {},
+    options = {},
+    messages,
+    location,
+  } = {}) {
+    this.env = env;
+    this.options = options;
+    this.messages = messages;
+    this.asserts = createAsserts(location);
+  }
+
+  Parser.prototype.create = function create(options, node, location = this.asserts.location) {
+    return Model.create({
+      ...this.options,
+      ...options,
+      env: this.env,
+      messages: this.messages,
+      asserts: this.asserts,
+    }, node, location);
+  };
+
+  Parser.prototype.fromLaTeX = function fromLaTeX(options, src) {
+    assert(typeof src === 'string', '1000: Parser.prototype.fromLaTeX');
+    return this.create(options, src);
+  };
+  // Parser was Model before it had instances, so it also has the static
+  // functions and env of Model, such as Parser.create(), and models are
+  // instances of it.
+  Object.setPrototypeOf(Parser, Model);
+  Object.defineProperty(Parser, 'env', {
+    get: () => Model.env,
+    set: (e) => {
+      Model.env = e;
+    },
+  });
+  Object.defineProperty(Parser, Symbol.hasInstance, {
+    value: (x) => x instanceof Model || Object.prototype.isPrototypeOf.call(Parser.prototype, x),
+  });
+  Model.Parser = Parser;
+
+  // Create a model from a node object or expression string. With the
+  // 'recover' option, the string is parsed past its errors to
+  // { ast, diagnostics }, where ast has error nodes for the parts that don't
+  // parse and diagnostics is the list of their ParseErrors. The 'locale'
+  // option, such as 'fr' or ['pt-BR', 'es'], picks the language of their
+  // messages. The 'env' and 'messages' options are used by Parser instances
+  // in place of Model.env and the global catalogs.
   Model.create = Mp.create = function create(options, node, location) {
     assert(node instanceof Array ||
            typeof node === 'object' && (node.op || node instanceof Model) ||
@@ -132,10 +299,12 @@ export const Model = (() => {
     // Create a node that inherits from Ast.
     model = create(options, this);
     model.location = location;
+    let diagnostics;
     if (typeof node === 'string') {
       // Got a string, so parse it into a node.
-      const parser = parse(options, node, Model.env);
+      const parser = parse(options, node, Model.option(options, 'env') || Model.env, location);
       node = parser.expr();
+      ({ diagnostics } = parser);
       // console.log('create() node=' + JSON.stringify(node, null, 2));
     } else {
       // Make a deep copy of the node.
@@ -162,6 +331,9 @@ export const Model = (() => {
     Object.keys(node).forEach((v) => {
       model[v] = node[v];
     });
+    if (diagnostics && Model.option(options, 'recover')) {
+      return { ast: model, diagnostics };
+    }
     return model;
   };
 
@@ -174,9 +346,243 @@ export const Model = (() => {
     return this.create(options, src);
   };
 
-  // Render LaTex from the model node.
-  Model.toLaTeX = Mp.toLaTeX = function toLaTeX(node) {
-    return render(node);
+  // Create a Model node from Presentation MathML. The markup is translated to
+  // LaTeX and parsed, so the nodes are the ones parse() builds for the same
+  // math written in LaTeX, and <mo> characters go through the scanner and
+  // tokenToOperator like any other operator. Token text is escaped, or else
+  // rejected, so that it reads as itself, and names such as <mi>abc</mi> are
+  // single variables. Node spans and error spans are offsets into the XML.
+  Model.fromMathML = Mp.fromMathML = function fromMathML(options, xml) {
+    assert(typeof xml === 'string', '1000: Model.prototype.fromMathML');
+    const { text, ...sourceMap } = mathMLToLaTeX(parseXML(xml));
+    // Spaces in <mtext> are part of the text.
+    options = { keepTextWhitespace: true, ...options, sourceMap: { ...sourceMap, source: xml } };
+    if (!this) {
+      return Model.create(options, text);
+    }
+    return this.create(options, text);
+  };
+
+  // Create a Model node from Office Math Markup (OMML), as Word writes it.
+  // Like fromMathML, the markup is translated to LaTeX and parsed, run text
+  // reads as itself, and node and error spans are offsets into the XML.
+  Model.fromOMML = Mp.fromOMML = function fromOMML(options, xml) {
+    assert(typeof xml === 'string', '1000: Model.prototype.fromOMML');
+    const { text, ...sourceMap } = ommlToLaTeX(parseXML(xml));
+    // Spaces in normal text runs are part of the text.
+    options = { keepTextWhitespace: true, ...options, sourceMap: { ...sourceMap, source: xml } };
+    if (!this) {
+      return Model.create(options, text);
+    }
+    return this.create(options, text);
+  };
+
+  // Render LaTex from the model node. With the 'roundTrip' option the output
+  // parses back to the same node, including its brace groups and attributes
+  // such as 'isMixedNumber', 'isScientific' and 'isSlash'. The 'style' option
+  // names a profile in LaTeXStyles, whose settings can be overridden one by
+  // one. The 'mul' and 'frac' settings are ignored in round-trip mode.
+  Model.toLaTeX = Mp.toLaTeX = function toLaTeX(node, options = {}) {
+    const style = Model.option(options, 'style');
+    assert(!style || LaTeXStyles[style], `1000: Unknown LaTeX style: ${style}`);
+    const settings = { ...LaTeXStyles[style], ...options };
+    Object.keys(LaTeXStyleValues).forEach((key) => {
+      const value = Model.option(settings, key);
+      assert(!value || LaTeXStyleValues[key].indexOf(value) >= 0, `1000: Unknown LaTeX ${key} style: ${value}`);
+    });
+    return render(node, settings);
+  };
+
+  // Render Presentation MathML from the model node. The 'display' option
+  // ('block' or 'inline') is set on the <math> element.
+  Model.toMathML = Mp.toMathML = function toMathML(node, options = {}) {
+    const display = Model.option(options, 'display');
+    const attrs = display && ` display="${display}"` || '';
+    return `<math xmlns="http://www.w3.org/1998/Math/MathML"${attrs}>${renderMathML(node, options)}</math>`;
+  };
+
+  // Render Content MathML from the model node. Operators that have no
+  // Content MathML element, such as PM, SUBSCRIPT and the arrows, don't throw
+  // but render as <csymbol cd="ambiguous">, with the op string as its name.
+  Model.toContentMathML = Mp.toContentMathML = function toContentMathML(node, options = {}) {
+    return `<math xmlns="http://www.w3.org/1998/Math/MathML">${renderContentMathML(node, options)}</math>`;
+  };
+
+  // Render Office Math Markup (OMML) from the model node, as an <m:oMath>
+  // element that Word can paste.
+  Model.toOMML = Mp.toOMML = function toOMML(node, options = {}) {
+    return `<m:oMath xmlns:m="${OMMLNamespace}">${renderOMML(node, options)}</m:oMath>`;
+  };
+
+  // Render AsciiMath from the model node, as read by the 'asciimath' dialect.
+  Model.toAsciiMath = Mp.toAsciiMath = function toAsciiMath(node, options = {}) {
+    return renderText(node, options, false);
+  };
+
+  // Render plain Unicode text from the model node, for places that can't
+  // typeset math. Symbols are the characters that the scanner reads as their
+  // LaTeX commands, and numeric scripts use superscript and subscript digits.
+  Model.toUnicode = Mp.toUnicode = function toUnicode(node, options = {}) {
+    return renderText(node, options, true);
+  };
+
+  // Render English speech text from the model node. The 'style' option is
+  // 'clearspeak' (the default) or 'mathspeak', and the 'verbosity' option is
+  // 'verbose' (the default), 'brief' or, for MathSpeak, 'superbrief'.
+  Model.toSpeech = Mp.toSpeech = function toSpeech(node, options = {}) {
+    const style = Model.option(options, 'style') || 'clearspeak';
+    const verbosity = Model.option(options, 'verbosity') || 'verbose';
+    assert(style === 'clearspeak' || style === 'mathspeak', `1000: Unknown speech style: ${style}`);
+    assert(SpeechVerbosities.indexOf(verbosity) >= 0, `1000: Unknown speech verbosity: ${verbosity}`);
+    return renderSpeech(node, { ...options, style, verbosity })
+      .replace(/\s+/g, ' ')
+      .replace(/ ,/g, ',')
+      .replace(/,+$/, '')
+      .trim();
+  };
+
+  // Render Unicode braille cells from the model node. The 'code' option is
+  // 'nemeth' (the default) for Nemeth Code or 'ueb' for UEB Technical. Matrix
+  // rows are separated by newlines.
+  Model.toBraille = Mp.toBraille = function toBraille(node, options = {}) {
+    const code = Model.option(options, 'code') || 'nemeth';
+    assert(BrailleCodes[code], `1000: Unknown braille code: ${code}`);
+    return finishBraille(renderBraille(node, { ...options, code }, ''), code);
+  };
+
+  // Render a Python expression that constructs the SymPy object for the
+  // model node, such as 'Integral(sin(x), (x, 0, pi))'. Nodes that SymPy has
+  // no counterpart for throw with their path from the root.
+  Model.toSymPy = Mp.toSymPy = function toSymPy(node, options = {}) {
+    return renderSymPy(node, options, []);
+  };
+
+  // Compile the model node to a JS function of the variables named in the
+  // 'params' option, as in compile(node, { params: ['x', 'y'] })(1, 2). A
+  // node with a \pm returns an array with the value of each branch, all plus
+  // first. Nodes that have no numeric meaning, and variables that are not
+  // params or constants, throw here rather than when the function is called.
+  Model.compile = Mp.compile = function compile(node, options = {}) {
+    const params = Model.option(options, 'params') || [];
+    const isNames = Array.isArray(params) && params.every((p) => typeof p === 'string');
+    assert(isNames, '1000: The params option must be a list of variable names');
+    const names = params.map((p, index) => `p${index}`);
+    const context = { params, branch: 0, pms: 0 };
+    const branches = [renderJS(node, context, [])];
+    const count = 2 ** context.pms;
+    for (let branch = 1; branch < count; branch++) {
+      branches.push(renderJS(node, { ...context, branch, pms: 0 }, []));
+    }
+    const body = context.pms > 0 ? `[${branches.join(', ')}]` : branches[0];
+    return new Function('$', ...names, `return ${body};`).bind(null, JSRuntime);
+  };
+
+  // Evaluate the model node to a Decimal with the 'precision' option's
+  // significant digits, 20 by default. Bindings give the values of
+  // variables, as numbers, strings or Decimals, and override the constants
+  // e and \pi. The 'angleUnit' option, 'rad' (the default) or 'deg', is the
+  // unit that trig functions take and inverse trig functions give. Domain
+  // violations throw an EvaluateError, 1015 or 1016, at their node.
+  Model.evaluate = Mp.evaluate = function evaluate(node, bindings = {}, options = {}) {
+    const context = decimalContext(bindings, options);
+    return evaluateDecimal(node, context, []).toSignificantDigits(context.precision);
+  };
+
+  // Evaluate the model node to a complex number { re, im } of Decimals, with
+  // the options of evaluate(). Parse with the 'imaginaryUnit' option to make
+  // i (or j) the imaginary unit, and \operatorname{Re}, \operatorname{Im} and
+  // \operatorname{arg} the same as \Re, \Im and \arg, which without it stay
+  // operator names. Bindings may give complex values as { re, im }. Values
+  // that evaluate() has are the same here, and the rest are principal
+  // values, so \sqrt[3]{-8} is -2 and \sqrt{-4} is 2i.
+  Model.evaluateComplex = Mp.evaluateComplex = function evaluateComplex(node, bindings = {}, options = {}) {
+    const context = decimalContext(bindings, options);
+    const { re, im } = evaluateComplexDecimal(node, context, []);
+    // Parts that are zero but for rounding, as in e^{i\pi}, are zero.
+    const scale = Decimal.max(re.abs(), im.abs(), 1).times(context.epsilon);
+    const part = (x) => (x.abs().lt(scale) ? new context.D(0) : x).toSignificantDigits(context.precision);
+    return { re: part(re), im: part(im) };
+  };
+
+  // Evaluate the model node exactly, to the node of a rational number or of
+  // a sum of rational multiples of square roots in simplest form, as in
+  // \frac{1}{3}+\frac{1}{6} -> \frac{1}{2} and \sqrt{8} -> 2\sqrt{2}.
+  // Decimals, including repeating decimals, are read as the fractions they
+  // equal. Bindings give the values of variables as numbers, Decimals or
+  // LaTeX. Nodes with no exact value, such as \pi, throw 1018.
+  Model.evaluateExact = Mp.evaluateExact = function evaluateExact(node, bindings = {}) {
+    return Model.create({}, exactToLaTeX(exactValue(node, { bindings }, [])));
+  };
+
+  // The built-in equivalence plugin. Expressions are equivalent where they
+  // have the same values at points sampled from the domains of their free
+  // variables, and relations where they have the same solution sets. The
+  // options are 'seed' (1 by default), 'samples' (the number of points where
+  // both are defined, 20 by default), 'tolerance' (the relative difference
+  // of equal values, 1e-9 by default) and 'domains' (the [min, max] of each
+  // variable by name, [-10, 10] by default). A point where one expression is
+  // defined and the other isn't, as for \sqrt{x}^2 and x at x < 0, is a
+  // difference, so restrict the domains to compare them where both are.
+  // Chains such as 1 < x < 3 hold where each of their relations does. Lists,
+  // tuples and intervals are compared element by element, and sets in any
+  // order. Nodes with no numeric value, such as text, are equivalent only
+  // when they are the same as written.
+  Model.fn.isEquivalent = function isEquivalent(expected, actual, options = {}) {
+    return isEquivalentNodes(expected, actual, options);
+  };
+
+  function isEquivalentNodes(expected, actual, options) {
+    const params = freeVariables(actual, freeVariables(expected, []));
+    const sampler = {
+      params,
+      random: seededRandom(Model.option(options, 'seed') || 1),
+      samples: Model.option(options, 'samples') || 20,
+      tolerance: Model.option(options, 'tolerance') || 1e-9,
+      domains: params.map((name) => (Model.option(options, 'domains') || {})[name] || [-10, 10]),
+    };
+    const isEquation = (node) => node.op === OpStr.EQL || node.op === OpStr.NE;
+    const [a, b] = [expected, actual].map(inequalities);
+    if (isEquation(expected) || isEquation(actual)) {
+      return expected.op === actual.op && isEquivalentEquation(expected, actual, sampler);
+    }
+    if (a || b) {
+      return !!a && !!b && isEquivalentInequality(a, b, sampler);
+    }
+    if (isCollection(expected) || isCollection(actual)) {
+      return isEquivalentCollection(expected, actual, options);
+    }
+    const [f, g] = [expected, actual].map((node) => compileOrNull(node, params));
+    if (!f || !g) {
+      return !f && !g && Model.compareLiteral(expected, actual) === null;
+    }
+    return isEquivalentSampling(sampler, (point) => {
+      const [a, b] = [f(...point), g(...point)].map((value) => [].concat(value).sort((x, y) => x - y));
+      const [isA, isB] = [a, b].map((values) => values.every((x) => !Number.isNaN(x)));
+      // Points where neither is defined are skipped.
+      return isA || isB ? isA && isB && a.length === b.length && a.every((x, i) => isClose(x, b[i], sampler)) : null;
+    });
+  }
+
+  // Compare the forms of two model nodes, as written rather than by value.
+  // Null when they are the same, otherwise the first subtrees that differ as
+  // { expected, actual, expectedPath, actualPath }. The options make it more
+  // lenient: 'ignoreOrder' matches the terms of sums and the factors of
+  // products in any order, 'ignoreParens' drops parentheses that only group,
+  // 'ignoreMulForm' takes \cdot, \times and implicit multiplication alike,
+  // and 'ignoreSeparators' takes 1,000 and 1000 alike. Nested sums and
+  // products are compared as flat lists unless 'compareGrouping' is set.
+  Model.compareLiteral = Mp.compareLiteral = function compareLiteral(expected, actual, options = {}) {
+    return compareLiteralNodes(literalPart(expected, [], options), literalPart(actual, [], options), options);
+  };
+
+  // The edits that make the expected node into the actual one, as a list of
+  // { type: 'replace', expected, actual, expectedPath, actualPath },
+  // { type: 'delete', expected, expectedPath } and
+  // { type: 'insert', actual, actualPath }. Args of sums and products are
+  // matched in any order, so 2x+3 and 3+2y differ only by x -> y. The options
+  // are those of compareLiteral. Parsed nodes have the span of their source.
+  Model.diff = Mp.diff = function diff(expected, actual, options = {}) {
+    return diffNodes(literalPart(expected, [], options), literalPart(actual, [], options), options);
   };
 
   const OpStr = {
@@ -311,7 +717,12 @@ export const Model = (() => {
     DELTA: 'delta',
     OPERATORNAME: 'operatorname',
     DOT: 'dot',
+    RE: 'Re',
+    IM: 'Im',
+    ARG: 'arg',
+    IMAGINARY: 'imaginary',
     NONE: 'none',
+    ERROR: 'error',
   };
 
   Object.keys(OpStr).forEach((v) => {
@@ -323,6 +734,7 @@ export const Model = (() => {
   OpToLaTeX[OpStr.SUB] = '-';
   OpToLaTeX[OpStr.MUL] = '\\times';
   OpToLaTeX[OpStr.TIMES] = '\\times';
+  OpToLaTeX[OpStr.CDOT] = '\\cdot';
   OpToLaTeX[OpStr.DIV] = '\\div';
   OpToLaTeX[OpStr.FRAC] = '\\frac';
   OpToLaTeX[OpStr.EQL] = '=';
@@ -360,10 +772,412 @@ export const Model = (() => {
   OpToLaTeX[OpStr.CSCH] = '\\csch';
   OpToLaTeX[OpStr.LN] = '\\ln';
   OpToLaTeX[OpStr.COMMA] = ',';
+  OpToLaTeX[OpStr.LIST] = ',';
   OpToLaTeX[OpStr.M] = '\\M';
+  OpToLaTeX[OpStr.RE] = '\\Re';
+  OpToLaTeX[OpStr.IM] = '\\Im';
+  OpToLaTeX[OpStr.ARG] = '\\arg';
   OpToLaTeX[OpStr.BINOM] = '\\binom';
   OpToLaTeX[OpStr.COLON] = '\\colon';
   OpToLaTeX[OpStr.INT] = '\\int';
+  OpToLaTeX[OpStr.LG] = '\\lg';
+  OpToLaTeX[OpStr.LT] = '<';
+  OpToLaTeX[OpStr.LE] = '\\le';
+  OpToLaTeX[OpStr.GT] = '>';
+  OpToLaTeX[OpStr.GE] = '\\ge';
+  OpToLaTeX[OpStr.NE] = '\\ne';
+  OpToLaTeX[OpStr.NGTR] = '\\ngtr';
+  OpToLaTeX[OpStr.NLESS] = '\\nless';
+  OpToLaTeX[OpStr.NI] = '\\ni';
+  OpToLaTeX[OpStr.SUBSETEQ] = '\\subseteq';
+  OpToLaTeX[OpStr.SUPSETEQ] = '\\supseteq';
+  OpToLaTeX[OpStr.SUBSET] = '\\subset';
+  OpToLaTeX[OpStr.SUPSET] = '\\supset';
+  OpToLaTeX[OpStr.APPROX] = '\\approx';
+  OpToLaTeX[OpStr.PERP] = '\\perp';
+  OpToLaTeX[OpStr.PROPTO] = '\\propto';
+  OpToLaTeX[OpStr.PARALLEL] = '\\parallel';
+  OpToLaTeX[OpStr.NPARALLEL] = '\\nparallel';
+  OpToLaTeX[OpStr.SIM] = '\\sim';
+  OpToLaTeX[OpStr.CONG] = '\\cong';
+  OpToLaTeX[OpStr.IN] = '\\in';
+  OpToLaTeX[OpStr.TO] = '\\to';
+  OpToLaTeX[OpStr.IMPLIES] = '\\implies';
+  OpToLaTeX[OpStr.CAPRIGHTARROW] = '\\Rightarrow';
+  OpToLaTeX[OpStr.RIGHTARROW] = '\\rightarrow';
+  OpToLaTeX[OpStr.LEFTARROW] = '\\leftarrow';
+  OpToLaTeX[OpStr.LONGRIGHTARROW] = '\\longrightarrow';
+  OpToLaTeX[OpStr.LONGLEFTARROW] = '\\longleftarrow';
+  OpToLaTeX[OpStr.OVERRIGHTARROW] = '\\overrightarrow';
+  OpToLaTeX[OpStr.OVERLEFTARROW] = '\\overleftarrow';
+  OpToLaTeX[OpStr.CAPLEFTRIGHTARROW] = '\\Leftrightarrow';
+  OpToLaTeX[OpStr.LEFTRIGHTARROW] = '\\leftrightarrow';
+  OpToLaTeX[OpStr.LONGLEFTRIGHTARROW] = '\\longleftrightarrow';
+  OpToLaTeX[OpStr.OVERLEFTRIGHTARROW] = '\\overleftrightarrow';
+  OpToLaTeX[OpStr.FORALL] = '\\forall';
+  OpToLaTeX[OpStr.EXISTS] = '\\exists';
+  OpToLaTeX[OpStr.LIM] = '\\lim';
+  OpToLaTeX[OpStr.EXP] = '\\exp';
+  OpToLaTeX[OpStr.SUM] = '\\sum';
+  OpToLaTeX[OpStr.PROD] = '\\prod';
+  OpToLaTeX[OpStr.CUP] = '\\cup';
+  OpToLaTeX[OpStr.BIGCUP] = '\\bigcup';
+  OpToLaTeX[OpStr.CAP] = '\\cap';
+  OpToLaTeX[OpStr.BIGCAP] = '\\bigcap';
+  OpToLaTeX[OpStr.BACKSLASH] = '\\backslash';
+  OpToLaTeX[OpStr.PERCENT] = '\\%';
+  OpToLaTeX[OpStr.FACT] = '!';
+  OpToLaTeX[OpStr.VEC] = '\\vec';
+  OpToLaTeX[OpStr.OVERLINE] = '\\overline';
+  OpToLaTeX[OpStr.DOT] = '\\dot';
+  OpToLaTeX[OpStr.MATHBF] = '\\mathbf';
+  OpToLaTeX[OpStr.MATHFIELD] = '\\MathQuillMathField';
+  OpToLaTeX[OpStr.OVERSET] = '\\overset';
+  OpToLaTeX[OpStr.UNDERSET] = '\\underset';
+  OpToLaTeX[OpStr.TYPE] = '\\type';
+  OpToLaTeX[OpStr.FORMAT] = '\\format';
+  OpToLaTeX[OpStr.DELTA] = '\\Delta';
+
+  // Relations that the parser negates by prefixing their op with 'n' when it
+  // sees '\not' (e.g. '\not\in' -> 'nin').
+  const negatableOps = [
+    OpStr.LT, OpStr.LE, OpStr.GT, OpStr.GE, OpStr.IN, OpStr.TO, OpStr.NI,
+    OpStr.SUBSETEQ, OpStr.SUPSETEQ, OpStr.SUBSET, OpStr.SUPSET,
+    OpStr.PERP, OpStr.PROPTO, OpStr.PARALLEL, OpStr.SIM, OpStr.CONG,
+  ];
+  const negatedOps = negatableOps.map((op) => `n${op}`);
+  negatedOps.forEach((op, i) => {
+    if (OpToLaTeX[op] === undefined) {
+      OpToLaTeX[op] = `\\not${OpToLaTeX[negatableOps[i]]}`;
+    }
+  });
+
+  // Operator characters for MathML. Other operators are looked up by their
+  // LaTeX command in latexToUnicode.
+  const OpToMathML = {};
+  OpToMathML[OpStr.ADD] = '+';
+  OpToMathML[OpStr.SUB] = '−';
+  OpToMathML[OpStr.PM] = '±';
+  OpToMathML[OpStr.NOT] = '¬';
+  OpToMathML[OpStr.TIMES] = '×';
+  OpToMathML[OpStr.CDOT] = '⋅';
+  OpToMathML[OpStr.DIV] = '÷';
+  OpToMathML[OpStr.COLON] = ':';
+  OpToMathML[OpStr.BACKSLASH] = '∖';
+  OpToMathML[OpStr.IMPLIES] = '⟹';
+  OpToMathML[OpStr.CAPRIGHTARROW] = '⇒';
+  OpToMathML[OpStr.CAPLEFTRIGHTARROW] = '⇔';
+  OpToMathML[OpStr.LEFTRIGHTARROW] = '↔';
+  OpToMathML[OpStr.LONGRIGHTARROW] = '⟶';
+  OpToMathML[OpStr.LONGLEFTARROW] = '⟵';
+  OpToMathML[OpStr.TO] = '→';
+  OpToMathML[OpStr.NGTR] = '≯';
+  OpToMathML[OpStr.NLESS] = '≮';
+  OpToMathML[OpStr.PERP] = '⊥';
+  OpToMathML[OpStr.SUM] = '∑';
+  OpToMathML[OpStr.PROD] = '∏';
+  OpToMathML[OpStr.INTEGRAL] = '∫';
+  OpToMathML[OpStr.BIGCUP] = '⋃';
+  OpToMathML[OpStr.BIGCAP] = '⋂';
+  OpToMathML[OpStr.PERCENT] = '%';
+  OpToMathML[OpStr.VEC] = '→';
+  OpToMathML[OpStr.OVERRIGHTARROW] = '→';
+  OpToMathML[OpStr.OVERLEFTARROW] = '←';
+  OpToMathML[OpStr.OVERLEFTRIGHTARROW] = '↔';
+  OpToMathML[OpStr.OVERLINE] = '¯';
+  OpToMathML[OpStr.DOT] = '˙';
+
+  // AsciiMath operators that aren't the AsciiMath name of their LaTeX command.
+  // Other operators are looked up in latexToAsciiMath.
+  const OpToAsciiMath = {};
+  OpToAsciiMath[OpStr.CDOT] = '*';
+  OpToAsciiMath[OpStr.NE] = '!=';
+  OpToAsciiMath[OpStr.LE] = '<=';
+  OpToAsciiMath[OpStr.GE] = '>=';
+  OpToAsciiMath[OpStr.TO] = '->';
+  OpToAsciiMath[OpStr.RIGHTARROW] = '->';
+  OpToAsciiMath[OpStr.LONGRIGHTARROW] = '->';
+  OpToAsciiMath[OpStr.LONGLEFTARROW] = 'larr';
+  OpToAsciiMath[OpStr.LONGLEFTRIGHTARROW] = 'harr';
+  OpToAsciiMath[OpStr.NOT] = 'not';
+  OpToAsciiMath[OpStr.COLON] = ':';
+  OpToAsciiMath[OpStr.BACKSLASH] = 'setminus';
+  OpToAsciiMath[OpStr.PERCENT] = '%';
+  OpToAsciiMath[OpStr.INTEGRAL] = 'int';
+  OpToAsciiMath[OpStr.NGTR] = '!>';
+  OpToAsciiMath[OpStr.NLESS] = '!<';
+  OpToAsciiMath[OpStr.NPARALLEL] = '!parallel';
+
+  // Functions that text applies to their arg without parentheses, as in sin x.
+  const TextFunctionOps = [
+    OpStr.SIN, OpStr.COS, OpStr.TAN, OpStr.SEC, OpStr.COT, OpStr.CSC,
+    OpStr.ARCSIN, OpStr.ARCCOS, OpStr.ARCTAN, OpStr.ARCSEC, OpStr.ARCCSC, OpStr.ARCCOT,
+    OpStr.SINH, OpStr.COSH, OpStr.TANH, OpStr.SECH, OpStr.COTH, OpStr.CSCH,
+    OpStr.ARCSINH, OpStr.ARCCOSH, OpStr.ARCTANH, OpStr.ARCSECH, OpStr.ARCCSCH, OpStr.ARCCOTH,
+    OpStr.LN, OpStr.LG, OpStr.EXP, OpStr.M, OpStr.LOG, OpStr.OPERATORNAME,
+    OpStr.RE, OpStr.IM, OpStr.ARG,
+  ];
+
+  // Characters for scripts in plain Unicode text.
+  const SuperscriptChars = {};
+  const SubscriptChars = {};
+  [...'0123456789+-−=()ni'].forEach((c, index) => {
+    SuperscriptChars[c] = [...'⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻⁻⁼⁽⁾ⁿⁱ'][index];
+  });
+  [...'0123456789+-−=()'].forEach((c, index) => {
+    SubscriptChars[c] = [...'₀₁₂₃₄₅₆₇₈₉₊₋₋₌₍₎'][index];
+  });
+
+  // Content MathML elements of operators that apply to their args as is.
+  const OpToContentMathML = {};
+  [
+    [OpStr.ADD, 'plus'], [OpStr.SUB, 'minus'], [OpStr.MUL, 'times'], [OpStr.TIMES, 'times'],
+    [OpStr.CDOT, 'times'], [OpStr.DIV, 'divide'], [OpStr.FRAC, 'divide'], [OpStr.POW, 'power'],
+    [OpStr.ABS, 'abs'], [OpStr.FACT, 'factorial'], [OpStr.EXP, 'exp'], [OpStr.LN, 'ln'],
+    [OpStr.SIN, 'sin'], [OpStr.COS, 'cos'], [OpStr.TAN, 'tan'],
+    [OpStr.SEC, 'sec'], [OpStr.CSC, 'csc'], [OpStr.COT, 'cot'],
+    [OpStr.SINH, 'sinh'], [OpStr.COSH, 'cosh'], [OpStr.TANH, 'tanh'],
+    [OpStr.SECH, 'sech'], [OpStr.CSCH, 'csch'], [OpStr.COTH, 'coth'],
+    [OpStr.ARCSIN, 'arcsin'], [OpStr.ARCCOS, 'arccos'], [OpStr.ARCTAN, 'arctan'],
+    [OpStr.ARCSEC, 'arcsec'], [OpStr.ARCCSC, 'arccsc'], [OpStr.ARCCOT, 'arccot'],
+    [OpStr.ARCSINH, 'arcsinh'], [OpStr.ARCCOSH, 'arccosh'], [OpStr.ARCTANH, 'arctanh'],
+    [OpStr.ARCSECH, 'arcsech'], [OpStr.ARCCSCH, 'arccsch'], [OpStr.ARCCOTH, 'arccoth'],
+    [OpStr.EQL, 'eq'], [OpStr.NE, 'neq'], [OpStr.APPROX, 'approx'],
+    [OpStr.LT, 'lt'], [OpStr.LE, 'leq'], [OpStr.GT, 'gt'], [OpStr.GE, 'geq'],
+    [OpStr.IN, 'in'], [`n${OpStr.IN}`, 'notin'],
+    [OpStr.SUBSET, 'prsubset'], [OpStr.SUBSETEQ, 'subset'],
+    [OpStr.NSUBSET, 'notprsubset'], [OpStr.NSUBSETEQ, 'notsubset'],
+    [OpStr.CUP, 'union'], [OpStr.CAP, 'intersect'], [OpStr.BACKSLASH, 'setdiff'],
+    [OpStr.BIGCUP, 'union'], [OpStr.BIGCAP, 'intersect'], [OpStr.SUM, 'sum'], [OpStr.PROD, 'product'],
+    [OpStr.NOT, 'not'], [OpStr.IMPLIES, 'implies'], [OpStr.CAPRIGHTARROW, 'implies'],
+    [OpStr.CAPLEFTRIGHTARROW, 'equivalent'], [OpStr.RE, 'real'], [OpStr.IM, 'imaginary'], [OpStr.ARG, 'arg'],
+  ].forEach(([op, elt]) => {
+    OpToContentMathML[op] = elt;
+  });
+
+  const IntervalClosure = {
+    [OpStr.INTERVAL]: 'closed',
+    [OpStr.INTERVALOPEN]: 'open',
+    [OpStr.INTERVALLEFTOPEN]: 'open-closed',
+    [OpStr.INTERVALRIGHTOPEN]: 'closed-open',
+  };
+
+  // Words that speech reads operators as. Relations of negated ops are read
+  // with 'not', as in 'is not an element of'.
+  const OpToSpeech = {};
+  [
+    [OpStr.ADD, 'plus'], [OpStr.SUB, 'minus'], [OpStr.PM, 'plus or minus'],
+    [OpStr.TIMES, 'times'], [OpStr.CDOT, 'times'], [OpStr.DIV, 'divided by'],
+    [OpStr.EQL, 'equals'], [OpStr.NE, 'is not equal to'], [OpStr.APPROX, 'is approximately equal to'],
+    [OpStr.LT, 'is less than'], [OpStr.LE, 'is less than or equal to'],
+    [OpStr.GT, 'is greater than'], [OpStr.GE, 'is greater than or equal to'],
+    [OpStr.NLESS, 'is not less than'], [OpStr.NGTR, 'is not greater than'],
+    [OpStr.IN, 'is an element of'], [OpStr.NI, 'contains'], [`n${OpStr.NI}`, 'does not contain'],
+    [OpStr.SUBSET, 'is a proper subset of'], [OpStr.SUBSETEQ, 'is a subset of'],
+    [OpStr.SUPSET, 'is a proper superset of'], [OpStr.SUPSETEQ, 'is a superset of'],
+    [OpStr.PERP, 'is perpendicular to'], [OpStr.PROPTO, 'is proportional to'],
+    [OpStr.PARALLEL, 'is parallel to'], [OpStr.NPARALLEL, 'is not parallel to'],
+    [OpStr.SIM, 'is similar to'], [OpStr.CONG, 'is congruent to'],
+    [OpStr.CUP, 'union'], [OpStr.CAP, 'intersection'], [OpStr.BACKSLASH, 'set minus'],
+    [OpStr.COLON, 'colon'], [OpStr.NOT, 'not'], [OpStr.FORALL, 'for all'], [OpStr.EXISTS, 'there exists'],
+    [OpStr.IMPLIES, 'implies'], [OpStr.CAPRIGHTARROW, 'implies'], [OpStr.CAPLEFTRIGHTARROW, 'if and only if'],
+    [OpStr.TO, 'approaches'], [OpStr.RIGHTARROW, 'right arrow'], [OpStr.LEFTARROW, 'left arrow'],
+    [OpStr.LEFTRIGHTARROW, 'left right arrow'], [OpStr.LONGRIGHTARROW, 'long right arrow'],
+    [OpStr.LONGLEFTARROW, 'long left arrow'], [OpStr.LONGLEFTRIGHTARROW, 'long left right arrow'],
+    [OpStr.OVERRIGHTARROW, 'right arrow'], [OpStr.OVERLEFTARROW, 'left arrow'],
+    [OpStr.OVERLEFTRIGHTARROW, 'left right arrow'],
+    [OpStr.PERCENT, 'percent'], [OpStr.FACT, 'factorial'], [OpStr.DEGREE, 'degrees'],
+  ].forEach(([op, words]) => {
+    OpToSpeech[op] = words;
+  });
+
+  // Names that speech reads functions as.
+  const FunctionToSpeech = {
+    [OpStr.LN]: 'natural log',
+    [OpStr.LG]: 'log',
+    [OpStr.EXP]: 'exp',
+    [OpStr.M]: 'M',
+    [OpStr.ATAN2]: 'arc tangent',
+    [OpStr.RE]: 'real part',
+    [OpStr.IM]: 'imaginary part',
+    [OpStr.ARG]: 'argument',
+  };
+  [
+    [OpStr.SIN, 'sine'], [OpStr.COS, 'cosine'], [OpStr.TAN, 'tangent'],
+    [OpStr.SEC, 'secant'], [OpStr.CSC, 'cosecant'], [OpStr.COT, 'cotangent'],
+  ].forEach(([op, name]) => {
+    FunctionToSpeech[op] = name;
+    FunctionToSpeech[`arc${op}`] = `inverse ${name}`;
+    FunctionToSpeech[`${op}h`] = `hyperbolic ${name}`;
+    FunctionToSpeech[`arc${op}h`] = `inverse hyperbolic ${name}`;
+  });
+
+  // The markers that MathSpeak brackets structures with, at each verbosity.
+  const SpeechVerbosities = ['verbose', 'brief', 'superbrief'];
+  const MathSpeakMarkers = { verbose: {}, brief: {}, superbrief: {} };
+  [
+    ['startFrac', 'StartFraction', 'StartFrac', 'Frac'],
+    ['over', 'Over', 'Over', 'Over'],
+    ['endFrac', 'EndFraction', 'EndFrac', 'EndFrac'],
+    ['rootIndex', 'RootIndex', 'RootIndex', 'Index'],
+    ['startRoot', 'StartRoot', 'StartRoot', 'Root'],
+    ['endRoot', 'EndRoot', 'EndRoot', 'EndRoot'],
+    ['startAbs', 'StartAbsoluteValue', 'StartAbsValue', 'AbsValue'],
+    ['endAbs', 'EndAbsoluteValue', 'EndAbsValue', 'EndAbsValue'],
+    ['sup', 'Superscript', 'Sup', 'Sup'],
+    ['sub', 'Subscript', 'Sub', 'Sub'],
+    ['base', 'Baseline', 'Base', 'Base'],
+    ['under', 'Underscript', 'Underscript', 'Underscript'],
+    ['overscript', 'Overscript', 'Overscript', 'Overscript'],
+    ['endScripts', 'Endscripts', 'Endscripts', 'Endscripts'],
+    ['modAbove', 'ModifyingAbove', 'ModAbove', 'ModAbove'],
+    ['modBelow', 'ModifyingBelow', 'ModBelow', 'ModBelow'],
+    ['with', 'With', 'With', 'With'],
+    ['startBinom', 'StartBinomialOrMatrix', 'StartBinomOrMatrix', 'BinomOrMatrix'],
+    ['choose', 'Choose', 'Choose', 'Choose'],
+    ['endBinom', 'EndBinomialOrMatrix', 'EndBinomOrMatrix', 'EndBinomOrMatrix'],
+    ['endMatrix', 'EndMatrix', 'EndMatrix', 'EndMatrix'],
+  ].forEach(([key, ...words]) => {
+    SpeechVerbosities.forEach((verbosity, index) => {
+      MathSpeakMarkers[verbosity][key] = words[index];
+    });
+  });
+
+  const Ordinals = [
+    'zeroth', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth',
+    'seventh', 'eighth', 'ninth', 'tenth', 'eleventh', 'twelfth',
+  ];
+
+  // Units that the parser names with a letter, as in \degree C and \mu g.
+  const UnitToSpeech = {
+    K: 'Kelvin',
+    C: 'Celsius',
+    F: 'Fahrenheit',
+    g: 'grams',
+    L: 'liters',
+    m: 'meters',
+    s: 'seconds',
+  };
+
+  // Binding strength of the parser's grammar levels, loosest first. A node's
+  // level is that of the parser function that produces it.
+  const Prec = {
+    commaExpr: 0,
+    impliesExpr: 1,
+    equalExpr: 2,
+    relationalExpr: 3,
+    ratioExpr: 4,
+    additiveExpr: 5,
+    multiplicativeExpr: 6,
+    fractionExpr: 7,
+    subscriptExpr: 8,
+    unaryExpr: 9,
+    postfixExpr: 10,
+    exponentialExpr: 11,
+    primaryExpr: 12,
+  };
+
+  // Infix and postfix operators. Everything else is a primary expression.
+  const OpToPrec = {};
+  [
+    [Prec.commaExpr, [OpStr.COMMA, OpStr.LIST]],
+    [Prec.impliesExpr, [
+      OpStr.IMPLIES, OpStr.CAPRIGHTARROW, OpStr.LEFTARROW, OpStr.LONGRIGHTARROW,
+      OpStr.LONGLEFTARROW, OpStr.CAPLEFTRIGHTARROW, OpStr.LEFTRIGHTARROW,
+      OpStr.LONGLEFTRIGHTARROW, OpStr.OVERRIGHTARROW, OpStr.OVERLEFTARROW,
+      OpStr.OVERLEFTRIGHTARROW,
+    ]],
+    [Prec.equalExpr, [OpStr.EQL, OpStr.NE, OpStr.APPROX, OpStr.RIGHTARROW]],
+    [Prec.relationalExpr, [
+      ...negatableOps, ...negatedOps, OpStr.NGTR, OpStr.NLESS, OpStr.NPARALLEL,
+    ]],
+    [Prec.ratioExpr, [OpStr.COLON]],
+    [Prec.additiveExpr, [
+      OpStr.ADD, OpStr.SUB, OpStr.PM, OpStr.BACKSLASH, OpStr.CUP, OpStr.CAP,
+    ]],
+    [Prec.multiplicativeExpr, [OpStr.MUL, OpStr.TIMES, OpStr.CDOT, OpStr.DIV]],
+    [Prec.subscriptExpr, [OpStr.SUBSCRIPT]],
+    [Prec.unaryExpr, [OpStr.NOT]],
+    [Prec.postfixExpr, [OpStr.PERCENT, OpStr.FACT, OpStr.PIPE]],
+    [Prec.exponentialExpr, [OpStr.POW, OpStr.DEGREE]],
+  ].forEach(([prec, ops]) => {
+    ops.forEach((op) => {
+      OpToPrec[op] = prec;
+    });
+  });
+
+  // Prefix operators, by the level of the operand that follows them. The
+  // operand extends as far right as that level allows.
+  const PrefixToPrec = {};
+  [
+    [Prec.commaExpr, [
+      OpStr.FORALL, OpStr.CAPRIGHTARROW, OpStr.RIGHTARROW, OpStr.LEFTARROW,
+      OpStr.LONGRIGHTARROW, OpStr.LONGLEFTARROW, OpStr.CAPLEFTRIGHTARROW,
+      OpStr.LEFTRIGHTARROW, OpStr.LONGLEFTRIGHTARROW,
+    ]],
+    [Prec.equalExpr, [OpStr.EXISTS]],
+    [Prec.multiplicativeExpr, [
+      OpStr.SUM, OpStr.PROD, OpStr.CUP, OpStr.CAP, OpStr.BIGCUP, OpStr.BIGCAP,
+      OpStr.LIM, OpStr.DERIV,
+    ]],
+  ].forEach(([prec, ops]) => {
+    ops.forEach((op) => {
+      PrefixToPrec[op] = prec;
+    });
+  });
+
+  // Output conventions for toLaTeX.
+  //   mul: 'cdot', 'times' or 'juxtapose' for implicit multiplication.
+  //   frac: 'frac', 'dfrac' or 'slash' for fractions.
+  //   parens: 'bare' or 'leftRight' for '\left(' and '\right)'.
+  //   naturalLog: 'ln' or 'log_e' for logs with base e.
+  //   inequality: 'le' or 'leqslant' for '\le' and '\ge'.
+  // Unset, the output is the same as without a style.
+  const LaTeXStyles = {
+    mathquill: {
+      mul: 'juxtapose',
+      frac: 'frac',
+      parens: 'leftRight',
+      naturalLog: 'ln',
+      inequality: 'le',
+    },
+    katex: {
+      mul: 'cdot',
+      frac: 'frac',
+      parens: 'bare',
+      naturalLog: 'ln',
+      inequality: 'le',
+    },
+    textbook: {
+      mul: 'juxtapose',
+      frac: 'dfrac',
+      parens: 'leftRight',
+      naturalLog: 'ln',
+      inequality: 'leqslant',
+    },
+  };
+  Model.LaTeXStyles = LaTeXStyles;
+
+  // The values of each setting of a style.
+  const LaTeXStyleValues = {
+    mul: ['cdot', 'times', 'juxtapose'],
+    frac: ['frac', 'dfrac', 'slash'],
+    parens: ['bare', 'leftRight'],
+    naturalLog: ['ln', 'log_e'],
+    inequality: ['le', 'leqslant'],
+  };
+
+  const MulToLaTeX = {
+    cdot: '\\cdot',
+    times: '\\times',
+  };
+
+  const SlantToLaTeX = {
+    [OpStr.LE]: '\\leqslant',
+    [OpStr.GE]: '\\geqslant',
+    [`n${OpStr.LE}`]: '\\not\\leqslant',
+    [`n${OpStr.GE}`]: '\\not\\geqslant',
+  };
 
   Model.fold = function fold(node, env) {
     const args = [];
@@ -403,7 +1217,9 @@ export const Model = (() => {
         tk === TK_NONE
     );
   }
-  function stripInvisible(src) {
+  // Strip invisible chars from src. The offset in src of each char of the
+  // result is pushed onto offsets.
+  function stripInvisible(src, offsets = []) {
     let out = '';
     let c; let lastCharCode;
     let curIndex = 0;
@@ -419,12 +1235,14 @@ export const Model = (() => {
       if (c === 92) {
         // Backslash.
         out += String.fromCharCode(c);
+        offsets.push(curIndex - 1);
         if (curIndex < src.length) {
           // Keep next character if not out of chars.
           c = src.charCodeAt(curIndex++);
         }
       }
       out += String.fromCharCode(c);
+      offsets.push(curIndex - 1);
     }
     return out;
   }
@@ -445,28 +1263,64 @@ export const Model = (() => {
     );
   }
   // Render AST to LaTeX
-  const render = function render(n) {
+  const render = function render(n, options) {
+    const roundTrip = Model.option(options, 'roundTrip');
     let text = '';
     if (typeof n === 'string') {
       text = n;
     } else if (typeof n === 'number') {
       text = n;
     } else if (typeof n === 'object') {
+      const annotation = n.args.length > 1 && n.args[n.args.length - 1];
+      if (annotation && (annotation.op === OpStr.OVERSET || annotation.op === OpStr.UNDERSET)) {
+        // The parser attaches \overset{a}{b} and \underset{a}{b} as the last
+        // arg of the node that is being annotated.
+        const base = { ...n, args: n.args.slice(0, n.args.length - 1) };
+        text = `${OpToLaTeX[annotation.op]}{${render(annotation.args[0], options)}}{${render(base, options)}}`;
+        return roundTrip && renderBraces(n, text) || text;
+      }
       // Render sub-expressions.
       const args = [];
-      n.args.forEach((arg) => {
-        args.push(render(arg));
+      const ops = [];
+      n.args.forEach((arg, index) => {
+        const text = render(arg, options);
+        // Operands in undelimited positions are grouped if necessary.
+        ops.push(renderOperand(n, index, text, options));
+        // Elsewhere the brace group, if any, is part of the syntax being rendered.
+        args.push(roundTrip && arg.lbrk === TK_LEFTBRACE ? text.slice(1, -1) : text);
       });
       // Render operator.
       switch (n.op) {
       case OpStr.NUM:
+        text = n.args[0] === 'Infinity' ? '\\infty' : `${n.args[0]}`;
+        break;
       case OpStr.VAR:
-        text = `${n.args[0]}`;
+        text = renderVar(n.args[0]);
+        break;
+      case OpStr.IMAGINARY:
+        text = args[0];
         break;
       case OpStr.TEXT:
-        text = `\\text{${args[0]}}`;
+      case OpStr.TYPE:
+        text = `${OpToLaTeX[n.op] || '\\text'}{${args[0]}}`;
         break;
       case OpStr.SUBSCRIPT:
+        if (args.length === 1) {
+          // _1, as in _1^2 C.
+          text = `${OpToLaTeX[n.op]}{${args[0]}}`;
+          break;
+        }
+        args[0] = ops[0];
+        if (n.args[0].op === OpStr.ABS && !(roundTrip && hasBraces(n.args[0]))) {
+          // |x|_2 reads the subscript as part of the bars.
+          args[0] = roundTrip && `{${args[0]}}` || renderParens(args[0], options);
+        }
+        if (roundTrip) {
+          // x_{1}_{2}. The parser folds x_{1_{2}} into the same node, but
+          // not when the subscript is a compound expression.
+          text = args[0] + args.slice(1).map((arg) => `${OpToLaTeX[n.op]}{${arg}}`).join('');
+          break;
+        }
         args.reverse().forEach((arg, index) => {
           if (index === args.length - 1) {
             text = `${arg}${text}`;
@@ -477,28 +1331,95 @@ export const Model = (() => {
         break;
       case OpStr.SUB:
         if (n.args.length === 1) {
-          text = `${OpToLaTeX[n.op]}${args[0]}`;
+          text = `${OpToLaTeX[n.op]}${ops[0]}`;
         } else {
-          text = `${args[0]} ${OpToLaTeX[n.op]} ${args[1]}`;
+          text = ops.join(` ${OpToLaTeX[n.op]} `);
         }
         break;
-      case OpStr.DIV:
       case OpStr.PM:
+        if (n.args.length === 1) {
+          text = `${OpToLaTeX[n.op]} ${ops[0]}`;
+        } else {
+          text = ops.join(` ${OpToLaTeX[n.op]} `);
+        }
+        break;
+      case OpStr.DIV:
       case OpStr.EQL:
-        text = `${args[0]} ${OpToLaTeX[n.op]} ${args[1]}`;
+      case OpStr.NE:
+      case OpStr.APPROX:
+      case OpStr.LT:
+      case OpStr.LE:
+      case OpStr.GT:
+      case OpStr.GE:
+      case OpStr.NGTR:
+      case OpStr.NLESS:
+      case OpStr.NI:
+      case OpStr.SUBSETEQ:
+      case OpStr.SUPSETEQ:
+      case OpStr.SUBSET:
+      case OpStr.SUPSET:
+      case OpStr.NNI:
+      case OpStr.NSUBSETEQ:
+      case OpStr.NSUPSETEQ:
+      case OpStr.NSUBSET:
+      case OpStr.NSUPSET:
+      case OpStr.IN:
+      case OpStr.TO:
+      case OpStr.PERP:
+      case OpStr.PROPTO:
+      case OpStr.PARALLEL:
+      case OpStr.NPARALLEL:
+      case OpStr.SIM:
+      case OpStr.CONG:
+      case OpStr.COLON:
+      case OpStr.BACKSLASH:
+      case OpStr.IMPLIES:
+        text = ops.join(` ${renderOp(n.op, options)} `);
+        break;
+      case OpStr.CAPRIGHTARROW:
+      case OpStr.RIGHTARROW:
+      case OpStr.LEFTARROW:
+      case OpStr.LONGRIGHTARROW:
+      case OpStr.LONGLEFTARROW:
+      case OpStr.CAPLEFTRIGHTARROW:
+      case OpStr.LEFTRIGHTARROW:
+      case OpStr.LONGLEFTRIGHTARROW:
+      case OpStr.FORALL:
+      case OpStr.EXISTS:
+      case OpStr.NOT:
+        if (n.args.length === 1) {
+          // Prefix form, as in '\forall x' and '\rightarrow x'.
+          text = `${OpToLaTeX[n.op]} ${ops[0]}`;
+        } else {
+          text = ops.join(` ${OpToLaTeX[n.op]} `);
+        }
+        break;
+      case OpStr.OVERRIGHTARROW:
+      case OpStr.OVERLEFTARROW:
+      case OpStr.OVERLEFTRIGHTARROW:
+        if (n.args.length === 1) {
+          // Accent form, as in '\overrightarrow{AB}'.
+          text = `${OpToLaTeX[n.op]}{${args[0]}}`;
+        } else {
+          text = ops.join(` ${OpToLaTeX[n.op]} `);
+        }
         break;
       case OpStr.POW: {
-        // If subexpr is lower precedence, wrap in parens.
-        const lhs = n.args[0];
+        if (args.length === 1) {
+          // ^2, as in _1^2 C.
+          text = `${OpToLaTeX[n.op]}{${args[0]}}`;
+          break;
+        }
         const rhs = n.args[1];
-        if ((lhs.args && lhs.args.length === 2) || (rhs.args && rhs.args.length === 2)) {
-          if (lhs.op === OpStr.ADD || lhs.op === OpStr.SUB ||
-              lhs.op === OpStr.MUL || lhs.op === OpStr.DIV ||
-              lhs.op === OpStr.SQRT) {
-            args[0] = ` (${args[0]}) `;
-          }
+        if (rhs.op === OpStr.VAR && rhs.args[0].indexOf('\'') === 0) {
+          // f' is parsed as f^{'}.
+          text = `${ops[0]}${args[1]}`;
+          break;
+        }
+        text = `${ops[0]}^{${args[1]}}`;
+        if (!roundTrip) {
+          text = `{${text}}`;
         }
-        text = `{${args[0]}^{${args[1]}}}`;
         break;
       }
       case OpStr.SIN:
@@ -526,99 +1447,5434 @@ export const Model = (() => {
       case OpStr.COTH:
       case OpStr.CSCH:
       case OpStr.LN:
+      case OpStr.LG:
+      case OpStr.EXP:
       case OpStr.M:
-        text = `{${OpToLaTeX[n.op]}{${args[0]}}}`;
+      case OpStr.RE:
+      case OpStr.IM:
+      case OpStr.ARG:
+        text = `${OpToLaTeX[n.op]}{${args[0]}}`;
+        if (!roundTrip) {
+          text = `{${text}}`;
+        }
+        break;
+      case OpStr.LOG: {
+        // The parser gives every log a base: \ln -> e, \log and \lg -> 10.
+        const base = n.args[0];
+        if (n.args.length === 1) {
+          text = `\\log{${args[0]}}`;
+        } else if (base.op === OpStr.VAR && base.args[0] === 'e') {
+          text = Model.option(options, 'naturalLog') === 'log_e'
+            && `\\log_{e}{${args[1]}}` || `\\ln{${args[1]}}`;
+        } else if (base.op === OpStr.NUM && base.args[0] === '10') {
+          text = `\\log{${args[1]}}`;
+        } else {
+          text = `\\log_{${args[0]}}{${args[1]}}`;
+        }
+        if (!roundTrip) {
+          text = `{${text}}`;
+        }
         break;
+      }
       case OpStr.FRAC:
-        text = `\\frac{${args[0]}}{${args[1]}}`;
+        if (isSlash(n, options)) {
+          // a/b
+          text = `${ops[0]}/${ops[1]}`;
+        } else if (!roundTrip && Model.option(options, 'frac') === 'dfrac') {
+          text = `\\dfrac{${args[0]}}{${args[1]}}`;
+        } else {
+          text = `\\frac{${args[0]}}{${args[1]}}`;
+        }
         break;
       case OpStr.BINOM:
         text = `\\binom{${args[0]}}{${args[1]}}`;
         break;
       case OpStr.SQRT:
+        // The parser gives every root an index: \sqrt{x} -> [x, 2].
         switch (args.length) {
         case 1:
           text = `\\sqrt{${args[0]}}`;
           break;
         case 2:
-          text = `\\sqrt[${args[0]}]{${args[1]}}`;
+          if (n.args[1].op === OpStr.NUM && n.args[1].args[0] === '2') {
+            text = `\\sqrt{${args[0]}}`;
+          } else {
+            text = `\\sqrt[${args[1]}]{${args[0]}}`;
+          }
           break;
         default:
           break;
         }
         break;
       case OpStr.INTEGRAL:
-        if (args.length === 4) {
-          text = `\\int_{${args[0]}}^{${args[1]}} ${args[2]} d${args[3]}`;
+        // [lower, upper, expr, var], [lower, expr, var], [expr, var]
+        switch (args.length) {
+        case 4:
+          text = `\\int_{${args[0]}}^{${args[1]}} ${ops[2]} d${args[3]}`;
+          break;
+        case 3:
+          text = `\\int_{${args[0]}} ${ops[1]} d${args[2]}`;
+          break;
+        default:
+          text = `\\int ${ops[0]} d${args[1]}`;
+          break;
+        }
+        break;
+      case OpStr.LIM:
+        // [sub, expr], [expr]
+        if (args.length === 2) {
+          text = `\\lim_{${args[0]}} ${ops[1]}`;
+        } else {
+          text = `\\lim ${ops[0]}`;
+        }
+        break;
+      case OpStr.CUP:
+      case OpStr.CAP:
+        if (args.length === 2) {
+          // Binary 'A \cup B'. The big operator form has a subscript.
+          text = ops.join(` ${OpToLaTeX[n.op]} `);
+          break;
+        }
+        // Fall through.
+      case OpStr.SUM:
+      case OpStr.PROD:
+      case OpStr.BIGCUP:
+      case OpStr.BIGCAP:
+        // [sub, sup, expr], [sub, expr], [expr]
+        switch (args.length) {
+        case 3:
+          text = `${OpToLaTeX[n.op]}_{${args[0]}}^{${args[1]}} ${ops[2]}`;
+          break;
+        case 2:
+          text = `${OpToLaTeX[n.op]}_{${args[0]}} ${ops[1]}`;
+          break;
+        default:
+          text = `${OpToLaTeX[n.op]} ${ops[0]}`;
+          break;
+        }
+        break;
+      case OpStr.DERIV: {
+        // [expr, var, order]
+        const order = n.args[2];
+        const isFirstOrder = !order || order.op === OpStr.NUM && order.args[0] === '1';
+        const d = isFirstOrder ? 'd' : `d^{${args[2]}}`;
+        const dx = isFirstOrder ? `d${args[1]}` : `d${args[1]}^{${args[2]}}`;
+        if (n.args[0].op === OpStr.VAR) {
+          text = `\\frac{${d}${args[0]}}{${dx}}`;
+        } else {
+          text = `\\frac{${d}}{${dx}}${ops[0]}`;
+        }
+        break;
+      }
+      case OpStr.VEC:
+      case OpStr.OVERLINE:
+      case OpStr.DOT:
+      case OpStr.MATHBF:
+      case OpStr.MATHFIELD:
+      case OpStr.FORMAT:
+        text = `${OpToLaTeX[n.op]}{${args[0]}}`;
+        break;
+      case OpStr.HIGHLIGHT:
+        text = args.join(' ');
+        break;
+      case OpStr.ATAN2:
+        text = `\\operatorname{atan2}${renderParens(args.join(', '), options)}`;
+        break;
+      case OpStr.DELTA:
+        text = `${OpToLaTeX[n.op]} ${ops[0]}`;
+        break;
+      case OpStr.OPERATORNAME:
+        text = `\\operatorname{${args[0]}}${ops[1]}`;
+        break;
+      case OpStr.PAREN:
+        text = renderParens(args[0], options);
+        break;
+      case OpStr.BRACKET:
+        text = renderParens(args[0], options, '[', ']');
+        break;
+      case OpStr.BRACE:
+      case OpStr.SET:
+        if (roundTrip && n.args[0].lbrk === TK_LEFTBRACESET) {
+          // The set braces are already rendered with the elements.
+          text = args[0];
+        } else {
+          text = `\\{${args[0]}\\}`;
+        }
+        break;
+      case OpStr.ANGLEBRACKET:
+        text = `\\langle ${args[0]}\\rangle`;
+        break;
+      case OpStr.ABS:
+        if (roundTrip && hasOp(n.args[0], OpStr.ABS)) {
+          // Nested bars are ambiguous, so use the command form.
+          text = `\\abs{${args[0]}}`;
+        } else {
+          text = `|${args[0]}|`;
+        }
+        break;
+      case OpStr.INTERVAL:
+        text = renderParens(args[0], options, '[', ']');
+        break;
+      case OpStr.INTERVALOPEN:
+        text = renderParens(args[0], options, '(', ')');
+        break;
+      case OpStr.INTERVALLEFTOPEN:
+        text = renderParens(args[0], options, '(', ']');
+        break;
+      case OpStr.INTERVALRIGHTOPEN:
+        text = renderParens(args[0], options, '[', ')');
+        break;
+      case OpStr.EVALAT:
+        text = `\\left.${args[0]}\\right|`;
+        break;
+      case OpStr.PIPE:
+        // [expr, _{sub}], as in x|_{x=3}
+        text = `${ops[0]}|${args[1]}`;
+        break;
+      case OpStr.PERCENT:
+      case OpStr.FACT:
+        text = `${ops[0]}${OpToLaTeX[n.op]}`;
+        break;
+      case OpStr.DEGREE:
+        text = `${ops[0]}^{\\circ}`;
+        break;
+      case OpStr.MATRIX:
+        text = `\\begin{matrix}${args[0]}\\end{matrix}`;
+        break;
+      case OpStr.ROW:
+        text = args.join(' \\\\ ');
+        break;
+      case OpStr.COL:
+        text = args.join(' & ');
+        break;
+      case OpStr.QMARK:
+        text = '?';
+        break;
+      case OpStr.MUL: {
+        if (roundTrip) {
+          text = renderProduct(n, ops, args);
+          break;
+        }
+        if (Model.option(options, 'mul')) {
+          text = renderFactors(n, ops, options);
+          break;
+        }
+        let prevTerm;
+        text = '';
+        n.args.forEach((term, index) => {
+          if (term.args && (term.args.length >= 2)) {
+            args[index] = ops[index];
+            if (index !== 0 && isSigned(term, options) &&
+                precedence(term, options) >= operandPrecedence(n, index, options)) {
+              // x(-a/b), not x -a/b.
+              args[index] = renderParens(args[index], options);
+            }
+            if (index !== 0 && typeof term === 'number') {
+              text += `${OpToLaTeX[n.op]} `;
+            } else if (n.isMixedNumber) {
+              // Do nothing. Implicit plus.
+            } else if (n.isScientific) {
+              text += '\\times ';
+            }
+            text += args[index];
+          } else if (term.op === OpStr.PAREN ||
+                     term.op === OpStr.VAR ||
+                     term.op === OpStr.IMAGINARY ||
+                     typeof prevTerm === 'number' && typeof term !== 'number' ||
+                     isCurrency(prevTerm) || isSeparator(prevTerm) || isSeparator(term) ||
+                     isEmptyFactorial(term)) {
+            // Elide the times symbol if rhs is parenthesized or a var, or lhs is a number
+            // nd rhs is not a number. Also in \$5, 1{,}000 and n!!.
+            if (/\\[a-zA-Z]+$/.test(text) && /^[a-zA-Z]/.test(args[index])) {
+              // \degree C, not \degreeC.
+              text += ' ';
+            }
+            text += isSeparator(term) ? '{,}' : args[index];
+          } else {
+            if (index !== 0) {
+              text += ` ${OpToLaTeX[n.op]} `;
+            }
+            text += args[index];
+          }
+          prevTerm = term;
+        });
+        break;
+      }
+      case OpStr.ADD:
+        if (n.isRepeating) {
+          // 0.\overline{3} is parsed as 0. + 3 with isRepeating set.
+          text = `${args[0]}\\overline{${args[1]}}`;
+          break;
+        }
+        if (roundTrip && n.isMixedNumber) {
+          // 1\frac{1}{2}, 1 1/2
+          text = `${args[0]} ${args[1]}`;
+          break;
+        }
+        if (args.length === 1) {
+          text = `${OpToLaTeX[n.op]}${ops[0]}`;
+          break;
+        }
+        if (roundTrip) {
+          text = renderSum(n, ops, args);
+          break;
+        }
+        // Fall through.
+      case OpStr.TIMES:
+      case OpStr.CDOT:
+      case OpStr.COMMA:
+      case OpStr.LIST:
+        if (n.args.length === 0) {
+          // An empty group, as in \sqrt{}. The group separator of 1{,}000 is
+          // rendered by the product it is a factor of.
+          text = '';
+          break;
+        }
+        ops.forEach((value, index) => {
+          if (index === 0) {
+            text = value;
+          } else if (n.op === OpStr.ADD && isRepeatingPart(n.args, index)) {
+            // Sums flatten 0.\overline{3} into the terms 0. and 3.
+            text = `${text}\\overline{${args[index]}}`;
+          } else {
+            text = `${text}${OpToLaTeX[n.op]} ${value}`;
+          }
+        });
+        break;
+      case OpStr.ERROR:
+        // The parts of the input that parsed in recover mode.
+        text = args.join(' ');
+        break;
+      case OpStr.NONE:
+        text = '';
+        break;
+      default:
+        if (negatedOps.indexOf(n.op) >= 0) {
+          // x \not\in A
+          text = ops.join(` ${renderOp(n.op, options)} `);
+          break;
+        }
+        assert(false, `1000: Unimplemented operator translating to LaTeX: ${n.op}`);
+        break;
+      }
+      if (roundTrip) {
+        text = renderBraces(n, text);
+      }
+    } else {
+      assert(false, '1000: Invalid expression type');
+    }
+    return text;
+  };
+
+  // Check if a node is a prefix operator applied to an operand. 'Binary'
+  // forms such as 'A \cup B' and derivatives such as '\frac{dy}{dx}' aren't.
+  function isPrefix(node) {
+    switch (node.op) {
+    case OpStr.CUP:
+    case OpStr.CAP:
+      return node.args.length !== 2;
+    case OpStr.DERIV:
+      return node.args[0].op !== OpStr.VAR;
+    default:
+      return PrefixToPrec[node.op] !== undefined && node.args.length === 1 ||
+        node.op === OpStr.SUM || node.op === OpStr.PROD || node.op === OpStr.LIM ||
+        node.op === OpStr.BIGCUP || node.op === OpStr.BIGCAP;
+    }
+  }
+
+  function precedence(node, options) {
+    if (typeof node !== 'object') {
+      return Prec.primaryExpr;
+    }
+    if (isPrefix(node)) {
+      return PrefixToPrec[node.op];
+    }
+    switch (node.op) {
+    case OpStr.NUM:
+      return String(node.args[0]).indexOf('-') === 0 && Prec.unaryExpr || Prec.primaryExpr;
+    case OpStr.ADD:
+      if (node.isMixedNumber || node.isRepeating) {
+        return Prec.fractionExpr;
+      }
+      // Fall through.
+    case OpStr.SUB:
+    case OpStr.PM:
+      return node.args.length === 1 && Prec.unaryExpr || Prec.additiveExpr;
+    case OpStr.FRAC:
+      return isSlash(node, options) && Prec.fractionExpr || Prec.primaryExpr;
+    case OpStr.OVERRIGHTARROW:
+    case OpStr.OVERLEFTARROW:
+    case OpStr.OVERLEFTRIGHTARROW:
+      // Accents when unary.
+      return node.args.length === 1 && Prec.primaryExpr || Prec.impliesExpr;
+    default:
+      return OpToPrec[node.op] !== undefined ? OpToPrec[node.op] : Prec.primaryExpr;
+    }
+  }
+
+  // The loosest level that the operand at 'index' can have without grouping.
+  // Operands between delimiters, such as '{}' and '()', are at the comma level.
+  function operandPrecedence(node, index, options) {
+    const isFirst = index === 0;
+    if (isPrefix(node)) {
+      // The last arg is the operand. Any others are sub and superscripts.
+      return index === node.args.length - 1 && PrefixToPrec[node.op] || Prec.commaExpr;
+    }
+    switch (node.op) {
+    case OpStr.ADD:
+    case OpStr.SUB:
+      if (node.args.length === 1) {
+        return Prec.unaryExpr;
+      }
+      // Fall through.
+    case OpStr.BACKSLASH:
+    case OpStr.CUP:
+    case OpStr.CAP:
+      return isFirst && Prec.additiveExpr || Prec.multiplicativeExpr;
+    case OpStr.PM:
+      // '\pm' only takes an implicit product, so '\pm 2x' but '\pm (2\times x)'.
+      return node.args.length === 1 && Prec.fractionExpr ||
+        isFirst && Prec.additiveExpr || Prec.multiplicativeExpr;
+    case OpStr.MUL:
+    case OpStr.TIMES:
+    case OpStr.CDOT:
+    case OpStr.DIV:
+      return isFirst && Prec.multiplicativeExpr || Prec.fractionExpr;
+    case OpStr.FRAC:
+      return isSlash(node, options) && (isFirst && Prec.fractionExpr || Prec.subscriptExpr) ||
+        Prec.commaExpr;
+    case OpStr.SUBSCRIPT:
+      return isFirst && node.args.length > 1 && Prec.unaryExpr || Prec.commaExpr;
+    case OpStr.POW:
+      if (node.args.length === 1) {
+        return Prec.commaExpr;
+      }
+      // x_1^2 is folded into the same node as {x_1}^2.
+      return isFirst && (node.args[0].op === OpStr.SUBSCRIPT && Prec.subscriptExpr ||
+                         Prec.primaryExpr) || Prec.commaExpr;
+    case OpStr.DEGREE:
+    case OpStr.DELTA:
+      return Prec.primaryExpr;
+    case OpStr.PERCENT:
+    case OpStr.FACT:
+      return Prec.exponentialExpr;
+    case OpStr.PIPE:
+      return isFirst && Prec.exponentialExpr || Prec.commaExpr;
+    case OpStr.NOT:
+      return Prec.unaryExpr;
+    case OpStr.OPERATORNAME:
+      return !isFirst && Prec.primaryExpr || Prec.commaExpr;
+    default:
+      switch (precedence(node, options)) {
+      case Prec.commaExpr:
+        return Prec.impliesExpr;
+      case Prec.impliesExpr:
+        return isFirst && Prec.impliesExpr || Prec.equalExpr;
+      case Prec.equalExpr:
+        return isFirst && Prec.relationalExpr || Prec.ratioExpr;
+      case Prec.relationalExpr:
+        return Prec.ratioExpr;
+      case Prec.ratioExpr:
+        return isFirst && Prec.ratioExpr || Prec.additiveExpr;
+      default:
+        return Prec.commaExpr;
+      }
+    }
+  }
+
+  // Check if the rendered node starts with a sign, which would be read as a
+  // binary operator after an implicit factor.
+  function isSigned(node, options) {
+    if (typeof node !== 'object') {
+      return false;
+    }
+    const prec = precedence(node, options);
+    if (prec === Prec.unaryExpr) {
+      return node.op !== OpStr.NOT;
+    }
+    return prec < Prec.primaryExpr && !isPrefix(node) && isSigned(node.args[0], options);
+  }
+
+  // Render the operand at 'index' of 'node', wrapped in parentheses if it binds
+  // more loosely than its position allows. A prefix operator only needs them
+  // when something follows it. In round-trip mode every compound operand is
+  // grouped with braces instead, which the parser records as 'lbrk' rather
+  // than as a node, since the parser reads some minimal forms differently.
+  function renderOperand(node, index, text, options) {
+    const arg = node.args[index];
+    if (typeof arg !== 'object') {
+      return text;
+    }
+    if (Model.option(options, 'roundTrip')) {
+      // The parser only reads a derivative from a whole product, so
+      // \frac{dx}{dx}\% is the percent of a fraction.
+      const isPrimary = precedence(arg, options) === Prec.primaryExpr && arg.op !== OpStr.DERIV;
+      return hasBraces(arg) || isPrimary ? text : `{${text}}`;
+    }
+    const isLast = index === node.args.length - 1;
+    const prec = isPrefix(arg) && isLast && Prec.primaryExpr || precedence(arg, options);
+    return prec >= operandPrecedence(node, index, options) ? text : renderParens(text, options);
+  }
+
+  // Check if a fraction renders as 'a/b'. In round-trip mode that is how it
+  // was parsed, otherwise it is the 'frac' style.
+  function isSlash(node, options) {
+    if (Model.option(options, 'roundTrip')) {
+      return !!node.isSlash;
+    }
+    return Model.option(options, 'frac') === 'slash';
+  }
+
+  function renderParens(text, options, open = '(', close = ')') {
+    if (Model.option(options, 'parens') === 'leftRight') {
+      return `\\left${open}${text}\\right${close}`;
+    }
+    return `${open}${text}${close}`;
+  }
+
+  // Operator symbols that depend on the style options.
+  function renderOp(op, options) {
+    if (Model.option(options, 'inequality') === 'leqslant' && SlantToLaTeX[op]) {
+      return SlantToLaTeX[op];
+    }
+    return OpToLaTeX[op];
+  }
+
+  // Render a product with the 'mul' style, using juxtaposition only where it
+  // can't be misread: not between numbers, nor before a fraction, which would
+  // make a mixed number.
+  function renderFactors(node, ops, options) {
+    const mul = Model.option(options, 'mul');
+    let text = '';
+    node.args.forEach((term, index) => {
+      const value = ops[index];
+      const prev = node.args[index - 1];
+      if (index === 0) {
+        text = value;
+      } else if (isCurrency(prev) || isSeparator(prev) || isSeparator(term) || isEmptyFactorial(term)) {
+        // \$5, 1{,}000 and n!! whatever the style.
+        text += isSeparator(term) ? '{,}' : value;
+      } else if (mul !== 'juxtapose') {
+        text += ` ${MulToLaTeX[mul]} ${value}`;
+      } else if (/[0-9.]$/.test(text) && /^{*[0-9.]/.test(value) ||
+                 prev.op === OpStr.NUM && term.op === OpStr.FRAC) {
+        text += ' \\cdot ';
+        text += value;
+      } else if (isSigned(term, options) &&
+                 precedence(term, options) >= operandPrecedence(node, index, options)) {
+        // x(-y), not x -y.
+        text += renderParens(value, options);
+      } else if (/\\[a-zA-Z]+$/.test(text) && /^[a-zA-Z]/.test(value)) {
+        // \pi x
+        text += ` ${value}`;
+      } else {
+        text += value;
+      }
+    });
+    return text;
+  }
+
+  // Check if a node is the currency sign before an amount, as in \$5.
+  function isCurrency(node) {
+    return !!node && node.op === OpStr.VAR && node.args[0] === '$';
+  }
+
+  // Check if a factor of a product is a separator in a grouped number, as in
+  // 1{,}000. Elsewhere the same node is an empty group, as in \sqrt{}.
+  function isSeparator(node) {
+    return !!node && node.op === OpStr.COMMA && node.args.length === 0;
+  }
+
+  // Check if a factor of a product is the second ! of a double factorial. The
+  // parser reads n!! as n! times the factorial of nothing.
+  function isEmptyFactorial(node) {
+    return !!node && node.op === OpStr.FACT && node.args[0].op === OpStr.NONE;
+  }
+
+  function hasBraces(node) {
+    return node.lbrk === TK_LEFTBRACE || node.lbrk === TK_LEFTBRACESET;
+  }
+
+  function hasOp(node, op) {
+    return typeof node === 'object' && (
+      node.op === op || node.args.some((arg) => hasOp(arg, op))
+    );
+  }
+
+  // Restore the brace groups recorded by the parser.
+  function renderBraces(node, text) {
+    switch (node.lbrk) {
+    case TK_LEFTBRACE:
+      return `{${text}}`;
+    case TK_LEFTBRACESET:
+      return node.rbrk === TK_PERIOD && `\\left\\{${text}\\right.` || `\\{${text}\\}`;
+    default:
+      return text;
+    }
+  }
+
+  // Check if a term of a flattened sum is the repeating part of a decimal.
+  function isRepeatingPart(terms, index) {
+    const isRepeating = (term) => term.op === OpStr.NUM && !!term.isRepeating;
+    let start = index;
+    while (start > 0 && isRepeating(terms[start - 1])) {
+      start--;
+    }
+    // Repeating terms come in pairs, so it is every second one of a run.
+    return isRepeating(terms[index]) && (index - start) % 2 === 1;
+  }
+
+  // The parser doesn't flatten a sum into a term that is a mixed number, so
+  // group each such term with the one before it, as in 'a + {b + 1\frac{1}{2}}'.
+  // A repeating decimal stays whole only when grouped with a mixed number.
+  function renderSum(node, ops, args) {
+    const terms = [];
+    for (let index = ops.length - 1; index >= 0; index--) {
+      const term = node.args[index];
+      const prev = node.args[index - 1];
+      if (isRepeatingPart(node.args, index)) {
+        terms.unshift(`${ops[index - 1]}\\overline{${args[index]}}`);
+        index--;
+      } else if (index > 0 && (term.isMixedNumber || term.isRepeating && prev.isMixedNumber)) {
+        terms.unshift(`{${ops[index - 1]}+ ${ops[index]}}`);
+        index--;
+      } else {
+        terms.unshift(ops[index]);
+      }
+    }
+    return terms.join('+ ');
+  }
+
+  // Render implicit multiplication so that adjacent factors don't run
+  // together into a different token.
+  function renderProduct(node, ops, args) {
+    let text = '';
+    node.args.forEach((term, index) => {
+      // Neither ! of n!! is grouped.
+      const isFactorial = isEmptyFactorial(term) || isEmptyFactorial(node.args[index + 1]);
+      const value = isFactorial && !hasBraces(term) ? args[index] : ops[index];
+      const prev = node.args[index - 1];
+      if (isSeparator(term)) {
+        text += '{,}';
+      } else if (index > 0 && !hasBraces(term) && (
+        prev.op === OpStr.NUM && term.op === OpStr.NUM ||
+          [OpStr.BRACKET, OpStr.INTERVAL, OpStr.INTERVALRIGHTOPEN].indexOf(term.op) >= 0
+      )) {
+        // 2 3 is a syntax error, but {2}{3} is not. Similarly a[1, 2] inside
+        // brackets, but not a{[1, 2]}.
+        text += `{${value}}`;
+      } else if (index > 0 && /[a-zA-Z]$/.test(text) && /^[a-zA-Z]/.test(value)) {
+        // \pi x
+        text += ` ${value}`;
+      } else {
+        text += value;
+      }
+    });
+    return text;
+  }
+
+  // Render the name of a variable, undoing the renaming done by the parser.
+  function renderVar(name) {
+    let match;
+    if (name === '$' || name === '&') {
+      return `\\${name}`;
+    }
+    if (name.indexOf('Delta_') === 0) {
+      // \Delta x
+      return `\\Delta ${name.substring('Delta_'.length)}`.trim();
+    }
+    if ((match = /^\\degree ([KCF])$/.exec(name))) {
+      // \degree\text{C}
+      return `\\degree\\text{${match[1]}}`;
+    }
+    if ((match = /^\\mu([gLms])$/.exec(name))) {
+      // \mu\text{g}
+      return `\\mu\\text{${match[1]}}`;
+    }
+    return name;
+  }
+
+  // Render AST to Presentation MathML. Each node renders as one element, so
+  // that it can be used as an argument of layout elements like <mfrac>.
+  function renderMathML(n, options) {
+    if (typeof n !== 'object') {
+      return `<mi>${escapeXML(String(n))}</mi>`;
+    }
+    const annotation = n.args.length > 1 && n.args[n.args.length - 1];
+    if (annotation && (annotation.op === OpStr.OVERSET || annotation.op === OpStr.UNDERSET)) {
+      const base = { ...n, args: n.args.slice(0, n.args.length - 1) };
+      const tag = annotation.op === OpStr.OVERSET ? 'mover' : 'munder';
+      return `<${tag}>${renderMathML(base, options)}${renderMathML(annotation.args[0], options)}</${tag}>`;
+    }
+    const args = n.args.map((arg) => renderMathML(arg, options));
+    const ops = n.args.map((arg, index) => mathMLOperand(n, index, args[index], options));
+    const op = mathMLOperator(n.op);
+    switch (n.op) {
+    case OpStr.NUM:
+      if (n.args[0] === 'Infinity') {
+        return '<mi>∞</mi>';
+      }
+      if (n.args[0].indexOf('-') === 0) {
+        return `<mrow><mo>−</mo><mn>${escapeXML(n.args[0].slice(1))}</mn></mrow>`;
+      }
+      return `<mn>${escapeXML(n.args[0])}</mn>`;
+    case OpStr.VAR:
+      return mathMLIdentifier(n.args[0]);
+    case OpStr.IMAGINARY:
+      return args[0];
+    case OpStr.TEXT:
+    case OpStr.TYPE:
+      return `<mtext>${escapeXML(textOf(n.args[0]))}</mtext>`;
+    case OpStr.SUBSCRIPT:
+      if (args.length === 1) {
+        // _1, as in _1^2 C.
+        return `<msub><mrow/>${args[0]}</msub>`;
+      }
+      // x_{1_{2}}
+      return `<msub>${ops[0]}${args.slice(1).reduceRight((sub, arg) => `<msub>${arg}${sub}</msub>`)}</msub>`;
+    case OpStr.POW: {
+      if (args.length === 1) {
+        // ^2, as in _1^2 C.
+        return `<msup><mrow/>${args[0]}</msup>`;
+      }
+      const rhs = n.args[1];
+      if (rhs.op === OpStr.VAR && rhs.args[0].indexOf('\'') === 0) {
+        // f' is parsed as f^{'}.
+        return `<msup>${ops[0]}<mo>${'′'.repeat(rhs.args[0].length)}</mo></msup>`;
+      }
+      return `<msup>${ops[0]}${args[1]}</msup>`;
+    }
+    case OpStr.SUB:
+    case OpStr.PM:
+    case OpStr.ADD:
+    case OpStr.FORALL:
+    case OpStr.EXISTS:
+    case OpStr.NOT:
+    case OpStr.CAPRIGHTARROW:
+    case OpStr.RIGHTARROW:
+    case OpStr.LEFTARROW:
+    case OpStr.LONGRIGHTARROW:
+    case OpStr.LONGLEFTARROW:
+    case OpStr.CAPLEFTRIGHTARROW:
+    case OpStr.LEFTRIGHTARROW:
+    case OpStr.LONGLEFTRIGHTARROW:
+      if (n.isRepeating) {
+        // 0.\overline{3} is parsed as 0. + 3 with isRepeating set.
+        return `<mrow>${args[0]}<mover>${args[1]}<mo>¯</mo></mover></mrow>`;
+      }
+      if (n.isMixedNumber) {
+        // 1\frac{1}{2}, with an invisible plus.
+        return `<mrow>${args[0]}<mo>\u2064</mo>${args[1]}</mrow>`;
+      }
+      if (args.length === 1) {
+        // Prefix form, as in '-x' and '\forall x'.
+        return `<mrow><mo>${op}</mo>${ops[0]}</mrow>`;
+      }
+      return mathMLInfix(n, ops, op);
+    case OpStr.MUL:
+      // Invisible times, except in 1.2\times10^3.
+      return mathMLInfix(n, ops, n.isScientific && '×' || '\u2062');
+    case OpStr.CUP:
+    case OpStr.CAP:
+      if (args.length === 2) {
+        // Binary 'A \cup B'. The big operator form has a subscript.
+        return mathMLInfix(n, ops, op);
+      }
+      return mathMLBigOp(mathMLOperator(n.op === OpStr.CUP ? OpStr.BIGCUP : OpStr.BIGCAP), args, ops);
+    case OpStr.SUM:
+    case OpStr.PROD:
+    case OpStr.BIGCUP:
+    case OpStr.BIGCAP:
+      return mathMLBigOp(op, args, ops);
+    case OpStr.LIM:
+      // [sub, expr], [expr]
+      if (args.length === 2) {
+        return `<mrow><munder><mo>lim</mo>${args[0]}</munder>${ops[1]}</mrow>`;
+      }
+      return `<mrow><mo>lim</mo>${ops[0]}</mrow>`;
+    case OpStr.INTEGRAL: {
+      // [lower, upper, expr, var], [lower, expr, var], [expr, var]
+      const dx = `<mrow><mo>ⅆ</mo>${args[args.length - 1]}</mrow>`;
+      const expr = ops[args.length - 2];
+      switch (args.length) {
+      case 4:
+        return `<mrow><msubsup><mo>${op}</mo>${args[0]}${args[1]}</msubsup>${expr}${dx}</mrow>`;
+      case 3:
+        return `<mrow><msub><mo>${op}</mo>${args[0]}</msub>${expr}${dx}</mrow>`;
+      default:
+        return `<mrow><mo>${op}</mo>${expr}${dx}</mrow>`;
+      }
+    }
+    case OpStr.DERIV: {
+      // [expr, var, order]
+      const order = n.args[2];
+      const isFirstOrder = !order || order.op === OpStr.NUM && order.args[0] === '1';
+      const d = isFirstOrder ? '<mi>d</mi>' : `<msup><mi>d</mi>${args[2]}</msup>`;
+      const dx = isFirstOrder ? `<mrow><mi>d</mi>${args[1]}</mrow>` :
+        `<mrow><mi>d</mi><msup>${args[1]}${args[2]}</msup></mrow>`;
+      if (n.args[0].op === OpStr.VAR) {
+        return `<mfrac><mrow>${d}${args[0]}</mrow>${dx}</mfrac>`;
+      }
+      return `<mrow><mfrac>${d}${dx}</mfrac>${ops[0]}</mrow>`;
+    }
+    case OpStr.FRAC:
+      return `<mfrac>${args[0]}${args[1]}</mfrac>`;
+    case OpStr.BINOM:
+      return mathMLFence(`<mfrac linethickness="0">${args[0]}${args[1]}</mfrac>`, '(', ')');
+    case OpStr.SQRT:
+      // The parser gives every root an index: \sqrt{x} -> [x, 2].
+      if (args.length === 1 || n.args[1].op === OpStr.NUM && n.args[1].args[0] === '2') {
+        return `<msqrt>${args[0]}</msqrt>`;
+      }
+      return `<mroot>${args[0]}${args[1]}</mroot>`;
+    case OpStr.LOG: {
+      // The parser gives every log a base: \ln -> e, \log and \lg -> 10.
+      const base = n.args[0];
+      if (n.args.length === 1) {
+        return mathMLApply('<mi>log</mi>', n.args[0], args[0]);
+      }
+      if (base.op === OpStr.VAR && base.args[0] === 'e') {
+        return mathMLApply('<mi>ln</mi>', n.args[1], args[1]);
+      }
+      if (base.op === OpStr.NUM && base.args[0] === '10') {
+        return mathMLApply('<mi>log</mi>', n.args[1], args[1]);
+      }
+      return mathMLApply(`<msub><mi>log</mi>${args[0]}</msub>`, n.args[1], args[1]);
+    }
+    case OpStr.SIN:
+    case OpStr.COS:
+    case OpStr.TAN:
+    case OpStr.ARCSIN:
+    case OpStr.ARCCOS:
+    case OpStr.ARCTAN:
+    case OpStr.ARCSEC:
+    case OpStr.ARCCSC:
+    case OpStr.ARCCOT:
+    case OpStr.SEC:
+    case OpStr.COT:
+    case OpStr.CSC:
+    case OpStr.SINH:
+    case OpStr.COSH:
+    case OpStr.TANH:
+    case OpStr.ARCSINH:
+    case OpStr.ARCCOSH:
+    case OpStr.ARCTANH:
+    case OpStr.ARCSECH:
+    case OpStr.ARCCSCH:
+    case OpStr.ARCCOTH:
+    case OpStr.SECH:
+    case OpStr.COTH:
+    case OpStr.CSCH:
+    case OpStr.LN:
+    case OpStr.LG:
+    case OpStr.EXP:
+    case OpStr.M:
+    case OpStr.RE:
+    case OpStr.IM:
+    case OpStr.ARG:
+      return mathMLApply(`<mi>${OpToLaTeX[n.op].slice(1)}</mi>`, n.args[0], args[0]);
+    case OpStr.OPERATORNAME:
+      return mathMLApply(`<mi>${escapeXML(textOf(n.args[0]))}</mi>`, n.args[1], args[1]);
+    case OpStr.VEC:
+    case OpStr.OVERLINE:
+    case OpStr.DOT:
+      return `<mover accent="true">${args[0]}<mo>${op}</mo></mover>`;
+    case OpStr.OVERRIGHTARROW:
+    case OpStr.OVERLEFTARROW:
+    case OpStr.OVERLEFTRIGHTARROW:
+      if (args.length === 1) {
+        return `<mover accent="true">${args[0]}<mo>${op}</mo></mover>`;
+      }
+      return mathMLInfix(n, ops, op);
+    case OpStr.MATHBF:
+      return `<mstyle mathvariant="bold">${args[0]}</mstyle>`;
+    case OpStr.MATHFIELD:
+    case OpStr.FORMAT:
+      return `<mrow>${args[0]}</mrow>`;
+    case OpStr.DELTA:
+      return `<mrow><mi mathvariant="normal">Δ</mi>${ops[0]}</mrow>`;
+    case OpStr.PAREN:
+    case OpStr.INTERVALOPEN:
+      return mathMLFence(args[0], '(', ')');
+    case OpStr.BRACKET:
+    case OpStr.INTERVAL:
+      return mathMLFence(args[0], '[', ']');
+    case OpStr.INTERVALLEFTOPEN:
+      return mathMLFence(args[0], '(', ']');
+    case OpStr.INTERVALRIGHTOPEN:
+      return mathMLFence(args[0], '[', ')');
+    case OpStr.BRACE:
+    case OpStr.SET:
+      return mathMLFence(args[0], '{', '}');
+    case OpStr.ANGLEBRACKET:
+      return mathMLFence(args[0], '⟨', '⟩');
+    case OpStr.ABS:
+      return mathMLFence(args[0], '|', '|');
+    case OpStr.EVALAT:
+      return `<mrow>${args[0]}<mo fence="true" stretchy="true">|</mo></mrow>`;
+    case OpStr.PIPE:
+      // [expr, _{sub}], as in x|_{x=3}
+      return `<msub><mrow>${ops[0]}<mo>|</mo></mrow>${renderMathML(n.args[1].args[0], options)}</msub>`;
+    case OpStr.PERCENT:
+    case OpStr.FACT:
+      return `<mrow>${ops[0]}<mo>${op}</mo></mrow>`;
+    case OpStr.DEGREE:
+      return `<msup>${ops[0]}<mo>°</mo></msup>`;
+    case OpStr.MATRIX:
+      return `<mtable>${args[0]}</mtable>`;
+    case OpStr.ROW:
+      return args.map((arg, index) => (
+        n.args[index].op === OpStr.COL ? arg : `<mtr><mtd>${arg}</mtd></mtr>`
+      )).join('');
+    case OpStr.COL:
+      return `<mtr>${args.map((arg) => `<mtd>${arg}</mtd>`).join('')}</mtr>`;
+    case OpStr.QMARK:
+      return '<mo>?</mo>';
+    case OpStr.ERROR:
+      return `<merror><mrow>${args.join('')}</mrow></merror>`;
+    case OpStr.NONE:
+      return '<mrow/>';
+    default:
+      assert(op, `1000: Unimplemented operator translating to MathML: ${n.op}`);
+      return mathMLInfix(n, ops, op);
+    }
+  }
+
+  function mathMLOperator(op) {
+    const char = unicodeOperator(op);
+    return char && escapeXML(char);
+  }
+
+  // The operator character, falling back on the character of its LaTeX
+  // command. Negated relations use a combining long solidus.
+  function unicodeOperator(op) {
+    if (OpToMathML[op]) {
+      return OpToMathML[op];
+    }
+    const latex = OpToLaTeX[op];
+    if (latex === undefined) {
+      return null;
+    }
+    if (latexToUnicode[latex]) {
+      return latexToUnicode[latex];
+    }
+    if (negatedOps.indexOf(op) >= 0) {
+      const base = unicodeOperator(negatableOps[negatedOps.indexOf(op)]);
+      return base && `${base}\u0338`;
+    }
+    return latex.indexOf('\\') === 0 ? null : latex;
+  }
+
+  function mathMLInfix(node, ops, op) {
+    let text = '';
+    ops.forEach((value, index) => {
+      if (index === 0) {
+        text = value;
+      } else if (node.op === OpStr.ADD && isRepeatingPart(node.args, index)) {
+        // Sums flatten 0.\overline{3} into the terms 0. and 3.
+        text = `${text}<mover>${value}<mo>¯</mo></mover>`;
+      } else {
+        text = `${text}<mo>${op}</mo>${value}`;
+      }
+    });
+    return `<mrow>${text}</mrow>`;
+  }
+
+  // Operands are fenced where the LaTeX rendering would add parentheses.
+  function mathMLOperand(node, index, elt, options) {
+    const arg = node.args[index];
+    if (typeof arg !== 'object') {
+      return elt;
+    }
+    const isLast = index === node.args.length - 1;
+    const prec = isPrefix(arg) && isLast && Prec.primaryExpr || precedence(arg, options);
+    return prec >= operandPrecedence(node, index, options) ? elt : mathMLFence(elt, '(', ')');
+  }
+
+  function mathMLFence(elt, open, close) {
+    return `<mrow><mo fence="true">${escapeXML(open)}</mo>${elt}<mo fence="true">${escapeXML(close)}</mo></mrow>`;
+  }
+
+  // sin x, sin (x + 1), with the invisible function application operator.
+  function mathMLApply(fn, arg, elt) {
+    const isAtom = arg.op === OpStr.VAR || arg.op === OpStr.NUM || arg.op === OpStr.PAREN;
+    return `<mrow>${fn}<mo>\u2061</mo>${isAtom && elt || mathMLFence(elt, '(', ')')}</mrow>`;
+  }
+
+  // [sub, sup, expr], [sub, expr], [expr]
+  function mathMLBigOp(op, args, ops) {
+    switch (args.length) {
+    case 3:
+      return `<mrow><munderover><mo>${op}</mo>${args[0]}${args[1]}</munderover>${ops[2]}</mrow>`;
+    case 2:
+      return `<mrow><munder><mo>${op}</mo>${args[0]}</munder>${ops[1]}</mrow>`;
+    default:
+      return `<mrow><mo>${op}</mo>${ops[0]}</mrow>`;
+    }
+  }
+
+  function mathMLIdentifier(name) {
+    let match;
+    if (name.indexOf('Delta_') === 0) {
+      // \Delta x
+      const rest = name.substring('Delta_'.length);
+      return `<mrow><mi mathvariant="normal">Δ</mi>${rest && mathMLIdentifier(rest) || ''}</mrow>`;
+    }
+    if ((match = /^\\degree ?([KCF]?)$/.exec(name))) {
+      return `<mi mathvariant="normal">°${match[1]}</mi>`;
+    }
+    if ((match = /^\\mu([gLms])$/.exec(name))) {
+      return `<mi mathvariant="normal">μ${match[1]}</mi>`;
+    }
+    if (latexToUnicode[name]) {
+      return `<mi>${latexToUnicode[name]}</mi>`;
+    }
+    if (name.indexOf('\\') === 0) {
+      return `<mi>${escapeXML(name.slice(1))}</mi>`;
+    }
+    if (name.length > 1 && /^[A-Za-z]+$/.test(name)) {
+      // Multi-letter names such as units are upright.
+      return `<mi mathvariant="normal">${name}</mi>`;
+    }
+    return `<mi>${escapeXML(name)}</mi>`;
+  }
+
+  function textOf(node) {
+    return typeof node === 'object' && node.args.map(textOf).join('') || String(node);
+  }
+
+  function escapeXML(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  const OMMLNamespace = 'http://schemas.openxmlformats.org/officeDocument/2006/math';
+
+  // Render AST to OMML. OMML has no row element, so each node renders as a
+  // sequence of elements, which layout elements wrap in argument elements
+  // such as <m:num> and <m:e>.
+  function renderOMML(n, options) {
+    if (typeof n !== 'object') {
+      return ommlRun(String(n));
+    }
+    const annotation = n.args.length > 1 && n.args[n.args.length - 1];
+    if (annotation && (annotation.op === OpStr.OVERSET || annotation.op === OpStr.UNDERSET)) {
+      const base = renderOMML({ ...n, args: n.args.slice(0, n.args.length - 1) }, options);
+      const tag = annotation.op === OpStr.OVERSET ? 'm:limUpp' : 'm:limLow';
+      return `<${tag}><m:e>${base}</m:e><m:lim>${renderOMML(annotation.args[0], options)}</m:lim></${tag}>`;
+    }
+    const args = n.args.map((arg) => renderOMML(arg, options));
+    const ops = n.args.map((arg, index) => ommlOperand(n, index, args[index], options));
+    const op = unicodeOperator(n.op);
+    switch (n.op) {
+    case OpStr.NUM:
+      if (n.args[0] === 'Infinity') {
+        return ommlRun('∞');
+      }
+      return ommlRun(n.args[0].replace(/^-/, '−'));
+    case OpStr.VAR:
+      return ommlIdentifier(n.args[0]);
+    case OpStr.IMAGINARY:
+      return args[0];
+    case OpStr.TEXT:
+    case OpStr.TYPE:
+      return ommlRun(textOf(n.args[0]), '<m:nor/>');
+    case OpStr.SUBSCRIPT:
+      if (args.length === 1) {
+        // _1, as in _1^2 C.
+        return `<m:sSub><m:e/><m:sub>${args[0]}</m:sub></m:sSub>`;
+      }
+      // x_{1_{2}}
+      return `<m:sSub><m:e>${ops[0]}</m:e><m:sub>${args.slice(1).reduceRight((sub, arg) => (
+        `<m:sSub><m:e>${arg}</m:e><m:sub>${sub}</m:sub></m:sSub>`
+      ))}</m:sub></m:sSub>`;
+    case OpStr.POW: {
+      if (args.length === 1) {
+        // ^2, as in _1^2 C.
+        return `<m:sSup><m:e/><m:sup>${args[0]}</m:sup></m:sSup>`;
+      }
+      const rhs = n.args[1];
+      if (rhs.op === OpStr.VAR && rhs.args[0].indexOf('\'') === 0) {
+        // f' is parsed as f^{'}.
+        return `${ops[0]}${ommlRun('′'.repeat(rhs.args[0].length))}`;
+      }
+      return `<m:sSup><m:e>${ops[0]}</m:e><m:sup>${args[1]}</m:sup></m:sSup>`;
+    }
+    case OpStr.SUB:
+    case OpStr.PM:
+    case OpStr.ADD:
+    case OpStr.FORALL:
+    case OpStr.EXISTS:
+    case OpStr.NOT:
+    case OpStr.CAPRIGHTARROW:
+    case OpStr.RIGHTARROW:
+    case OpStr.LEFTARROW:
+    case OpStr.LONGRIGHTARROW:
+    case OpStr.LONGLEFTARROW:
+    case OpStr.CAPLEFTRIGHTARROW:
+    case OpStr.LEFTRIGHTARROW:
+    case OpStr.LONGLEFTRIGHTARROW:
+      if (n.isRepeating) {
+        // 0.\overline{3} is parsed as 0. + 3 with isRepeating set.
+        return `${args[0]}${ommlOverline(args[1])}`;
+      }
+      if (n.isMixedNumber) {
+        return `${args[0]}${args[1]}`;
+      }
+      if (args.length === 1) {
+        // Prefix form, as in '-x' and '\forall x'.
+        return `${ommlRun(op)}${ops[0]}`;
+      }
+      return ommlInfix(n, ops, op);
+    case OpStr.MUL:
+      if (n.isScientific) {
+        return ommlInfix(n, ops, '×');
+      }
+      // Adjacent runs read as one, so numbers are kept apart by invisible
+      // times.
+      return ops.reduce((text, value, index) => (
+        n.args[index - 1].op === OpStr.NUM && n.args[index].op === OpStr.NUM ?
+          `${text}${ommlRun('⁢')}${value}` : `${text}${value}`
+      ));
+    case OpStr.CUP:
+    case OpStr.CAP:
+      if (args.length === 2) {
+        // Binary 'A \cup B'. The big operator form has a subscript.
+        return ommlInfix(n, ops, op);
+      }
+      return ommlNary(unicodeOperator(n.op === OpStr.CUP ? OpStr.BIGCUP : OpStr.BIGCAP), args, ops);
+    case OpStr.SUM:
+    case OpStr.PROD:
+    case OpStr.BIGCUP:
+    case OpStr.BIGCAP:
+      return ommlNary(op, args, ops);
+    case OpStr.LIM: {
+      // [sub, expr], [expr]
+      const lim = ommlRun('lim', '<m:sty m:val="p"/>');
+      if (args.length === 2) {
+        return ommlFunction(`<m:limLow><m:e>${lim}</m:e><m:lim>${args[0]}</m:lim></m:limLow>`, ops[1]);
+      }
+      return ommlFunction(lim, ops[0]);
+    }
+    case OpStr.INTEGRAL: {
+      // [lower, upper, expr, var], [lower, expr, var], [expr, var]
+      const expr = `${ops[args.length - 2]}${ommlRun('d')}${args[args.length - 1]}`;
+      const limits = args.slice(0, args.length - 2);
+      const hide = `${limits.length < 1 ? '<m:subHide m:val="1"/>' : ''}${limits.length < 2 ? '<m:supHide m:val="1"/>' : ''}`;
+      // The default n-ary operator is the integral.
+      return `<m:nary><m:naryPr><m:limLoc m:val="subSup"/>${hide}</m:naryPr>` +
+        `<m:sub>${limits[0] || ''}</m:sub><m:sup>${limits[1] || ''}</m:sup><m:e>${expr}</m:e></m:nary>`;
+    }
+    case OpStr.DERIV: {
+      // [expr, var, order]
+      const order = n.args[2];
+      const isFirstOrder = !order || order.op === OpStr.NUM && order.args[0] === '1';
+      const d = isFirstOrder ? ommlRun('d') : `<m:sSup><m:e>${ommlRun('d')}</m:e><m:sup>${args[2]}</m:sup></m:sSup>`;
+      const dx = isFirstOrder ? `${ommlRun('d')}${args[1]}` :
+        `${ommlRun('d')}<m:sSup><m:e>${args[1]}</m:e><m:sup>${args[2]}</m:sup></m:sSup>`;
+      if (n.args[0].op === OpStr.VAR) {
+        return `<m:f><m:num>${d}${args[0]}</m:num><m:den>${dx}</m:den></m:f>`;
+      }
+      return `<m:f><m:num>${d}</m:num><m:den>${dx}</m:den></m:f>${ops[0]}`;
+    }
+    case OpStr.FRAC: {
+      const type = isSlash(n, options) ? '<m:fPr><m:type m:val="lin"/></m:fPr>' : '';
+      return `<m:f>${type}<m:num>${args[0]}</m:num><m:den>${args[1]}</m:den></m:f>`;
+    }
+    case OpStr.BINOM: {
+      const stack = `<m:f><m:fPr><m:type m:val="noBar"/></m:fPr><m:num>${args[0]}</m:num><m:den>${args[1]}</m:den></m:f>`;
+      return ommlDelimiter([stack], '(', ')');
+    }
+    case OpStr.SQRT:
+      // The parser gives every root an index: \sqrt{x} -> [x, 2].
+      if (args.length === 1 || n.args[1].op === OpStr.NUM && n.args[1].args[0] === '2') {
+        return `<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/><m:e>${args[0]}</m:e></m:rad>`;
+      }
+      return `<m:rad><m:deg>${args[1]}</m:deg><m:e>${args[0]}</m:e></m:rad>`;
+    case OpStr.LOG: {
+      // The parser gives every log a base: \ln -> e, \log and \lg -> 10.
+      const base = n.args[0];
+      const name = (text) => ommlRun(text, '<m:sty m:val="p"/>');
+      if (n.args.length === 1) {
+        return ommlApply(name('log'), n.args[0], args[0]);
+      }
+      if (base.op === OpStr.VAR && base.args[0] === 'e') {
+        return ommlApply(name('ln'), n.args[1], args[1]);
+      }
+      if (base.op === OpStr.NUM && base.args[0] === '10') {
+        return ommlApply(name('log'), n.args[1], args[1]);
+      }
+      return ommlApply(`<m:sSub><m:e>${name('log')}</m:e><m:sub>${args[0]}</m:sub></m:sSub>`, n.args[1], args[1]);
+    }
+    case OpStr.SIN:
+    case OpStr.COS:
+    case OpStr.TAN:
+    case OpStr.ARCSIN:
+    case OpStr.ARCCOS:
+    case OpStr.ARCTAN:
+    case OpStr.ARCSEC:
+    case OpStr.ARCCSC:
+    case OpStr.ARCCOT:
+    case OpStr.SEC:
+    case OpStr.COT:
+    case OpStr.CSC:
+    case OpStr.SINH:
+    case OpStr.COSH:
+    case OpStr.TANH:
+    case OpStr.ARCSINH:
+    case OpStr.ARCCOSH:
+    case OpStr.ARCTANH:
+    case OpStr.ARCSECH:
+    case OpStr.ARCCSCH:
+    case OpStr.ARCCOTH:
+    case OpStr.SECH:
+    case OpStr.COTH:
+    case OpStr.CSCH:
+    case OpStr.LN:
+    case OpStr.LG:
+    case OpStr.EXP:
+    case OpStr.M:
+    case OpStr.RE:
+    case OpStr.IM:
+    case OpStr.ARG:
+      return ommlApply(ommlRun(OpToLaTeX[n.op].slice(1), '<m:sty m:val="p"/>'), n.args[0], args[0]);
+    case OpStr.OPERATORNAME:
+      return ommlApply(ommlRun(textOf(n.args[0]), '<m:sty m:val="p"/>'), n.args[1], args[1]);
+    case OpStr.OVERLINE:
+      return ommlOverline(args[0]);
+    case OpStr.VEC:
+    case OpStr.DOT:
+    case OpStr.OVERRIGHTARROW:
+    case OpStr.OVERLEFTARROW:
+    case OpStr.OVERLEFTRIGHTARROW: {
+      if (args.length > 1) {
+        return ommlInfix(n, ops, op);
+      }
+      // Accents are combining marks.
+      const mark = {
+        [OpStr.VEC]: '⃗',
+        [OpStr.DOT]: '̇',
+        [OpStr.OVERRIGHTARROW]: '⃗',
+        [OpStr.OVERLEFTARROW]: '⃖',
+        [OpStr.OVERLEFTRIGHTARROW]: '⃡',
+      }[n.op];
+      return `<m:acc><m:accPr><m:chr m:val="${mark}"/></m:accPr><m:e>${args[0]}</m:e></m:acc>`;
+    }
+    case OpStr.MATHBF:
+      // Bold is a style of the runs.
+      return args[0]
+        .replace(/<m:r><m:t/g, '<m:r><m:rPr><m:sty m:val="b"/></m:rPr><m:t')
+        .replace(/<m:sty m:val="p"\/>/g, '<m:sty m:val="b"/>');
+    case OpStr.MATHFIELD:
+    case OpStr.FORMAT:
+      return args[0];
+    case OpStr.DELTA:
+      return `${ommlRun('Δ', '<m:sty m:val="p"/>')}${ops[0]}`;
+    case OpStr.PAREN:
+    case OpStr.INTERVALOPEN:
+      return ommlDelimiter(ommlElements(n.args[0], args[0], options), '(', ')');
+    case OpStr.BRACKET:
+    case OpStr.INTERVAL:
+      return ommlDelimiter(ommlElements(n.args[0], args[0], options), '[', ']');
+    case OpStr.INTERVALLEFTOPEN:
+      return ommlDelimiter(ommlElements(n.args[0], args[0], options), '(', ']');
+    case OpStr.INTERVALRIGHTOPEN:
+      return ommlDelimiter(ommlElements(n.args[0], args[0], options), '[', ')');
+    case OpStr.BRACE:
+    case OpStr.SET:
+      return ommlDelimiter(ommlElements(n.args[0], args[0], options), '{', '}');
+    case OpStr.ANGLEBRACKET:
+      return ommlDelimiter([args[0]], '⟨', '⟩');
+    case OpStr.ABS:
+      return ommlDelimiter([args[0]], '|', '|');
+    case OpStr.EVALAT:
+      return `${args[0]}${ommlRun('|')}`;
+    case OpStr.PIPE:
+      // [expr, _{sub}], as in x|_{x=3}
+      return `<m:sSub><m:e>${ops[0]}${ommlRun('|')}</m:e>` +
+        `<m:sub>${renderOMML(n.args[1].args[0], options)}</m:sub></m:sSub>`;
+    case OpStr.PERCENT:
+    case OpStr.FACT:
+      return `${ops[0]}${ommlRun(op)}`;
+    case OpStr.DEGREE:
+      return `${ops[0]}${ommlRun('°')}`;
+    case OpStr.MATRIX:
+      return `<m:m>${args[0]}</m:m>`;
+    case OpStr.ROW:
+      return args.map((arg, index) => (
+        n.args[index].op === OpStr.COL ? arg : `<m:mr><m:e>${arg}</m:e></m:mr>`
+      )).join('');
+    case OpStr.COL:
+      return `<m:mr>${args.map((arg) => `<m:e>${arg}</m:e>`).join('')}</m:mr>`;
+    case OpStr.QMARK:
+      return ommlRun('?');
+    case OpStr.ERROR:
+      return args.join('');
+    case OpStr.NONE:
+      return '';
+    default:
+      assert(op, `1000: Unimplemented operator translating to OMML: ${n.op}`);
+      return ommlInfix(n, ops, op);
+    }
+  }
+
+  // A run of text, with the run properties given.
+  function ommlRun(text, props = '') {
+    const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : '';
+    const rPr = props && `<m:rPr>${props}</m:rPr>`;
+    return `<m:r>${rPr}<m:t${space}>${escapeXML(text)}</m:t></m:r>`;
+  }
+
+  function ommlInfix(node, ops, op) {
+    let text = '';
+    ops.forEach((value, index) => {
+      if (index === 0) {
+        text = value;
+      } else if (node.op === OpStr.ADD && isRepeatingPart(node.args, index)) {
+        // Sums flatten 0.\overline{3} into the terms 0. and 3.
+        text = `${text}${ommlOverline(value)}`;
+      } else {
+        text = `${text}${ommlRun(op)}${value}`;
+      }
+    });
+    return text;
+  }
+
+  // Operands are fenced where the LaTeX rendering would add parentheses.
+  function ommlOperand(node, index, text, options) {
+    const arg = node.args[index];
+    if (typeof arg !== 'object') {
+      return text;
+    }
+    const isLast = index === node.args.length - 1;
+    const prec = isPrefix(arg) && isLast && Prec.primaryExpr || precedence(arg, options);
+    return prec >= operandPrecedence(node, index, options) ? text : ommlDelimiter([text], '(', ')');
+  }
+
+  // The elements of a delimiter are separated by its separator char, so a
+  // comma list is one element per item.
+  function ommlElements(node, text, options) {
+    if (node.op === OpStr.COMMA) {
+      return node.args.map((arg) => renderOMML(arg, options));
+    }
+    return [text];
+  }
+
+  // Parentheses are the default delimiters and '|' the default separator.
+  function ommlDelimiter(elts, open, close) {
+    const chars = [
+      open !== '(' && `<m:begChr m:val="${escapeXML(open)}"/>`,
+      elts.length > 1 && '<m:sepChr m:val=","/>',
+      close !== ')' && `<m:endChr m:val="${escapeXML(close)}"/>`,
+    ].filter((prop) => prop).join('');
+    const dPr = chars && `<m:dPr>${chars}</m:dPr>`;
+    return `<m:d>${dPr}${elts.map((elt) => `<m:e>${elt}</m:e>`).join('')}</m:d>`;
+  }
+
+  function ommlOverline(text) {
+    return `<m:bar><m:barPr><m:pos m:val="top"/></m:barPr><m:e>${text}</m:e></m:bar>`;
+  }
+
+  function ommlFunction(name, text) {
+    return `<m:func><m:fName>${name}</m:fName><m:e>${text}</m:e></m:func>`;
+  }
+
+  // sin x, sin (x + 1)
+  function ommlApply(name, arg, text) {
+    const isAtom = arg.op === OpStr.VAR || arg.op === OpStr.NUM || arg.op === OpStr.PAREN;
+    return ommlFunction(name, isAtom ? text : ommlDelimiter([text], '(', ')'));
+  }
+
+  // [sub, sup, expr], [sub, expr], [expr]
+  function ommlNary(op, args, ops) {
+    const [sub, sup] = args.length > 1 ? args.slice(0, args.length - 1) : [];
+    const hide = `${sub === undefined ? '<m:subHide m:val="1"/>' : ''}${sup === undefined ? '<m:supHide m:val="1"/>' : ''}`;
+    return `<m:nary><m:naryPr><m:chr m:val="${op}"/><m:limLoc m:val="undOvr"/>${hide}</m:naryPr>` +
+      `<m:sub>${sub || ''}</m:sub><m:sup>${sup || ''}</m:sup><m:e>${ops[ops.length - 1]}</m:e></m:nary>`;
+  }
+
+  function ommlIdentifier(name) {
+    let match;
+    if (name.indexOf('Delta_') === 0) {
+      // \Delta x
+      const rest = name.substring('Delta_'.length);
+      return `${ommlRun('Δ', '<m:sty m:val="p"/>')}${rest && ommlIdentifier(rest) || ''}`;
+    }
+    if ((match = /^\\degree ?([KCF]?)$/.exec(name))) {
+      return ommlRun(`°${match[1]}`, '<m:sty m:val="p"/>');
+    }
+    if ((match = /^\\mu([gLms])$/.exec(name))) {
+      return ommlRun(`μ${match[1]}`, '<m:sty m:val="p"/>');
+    }
+    if (latexToUnicode[name]) {
+      return ommlRun(latexToUnicode[name]);
+    }
+    if (name.length > 1 && /^\\?[A-Za-z]+$/.test(name)) {
+      // Multi-letter names such as units are upright.
+      return ommlRun(name.replace(/^\\/, ''), '<m:sty m:val="p"/>');
+    }
+    return ommlRun(name);
+  }
+
+  // Render AST to Content MathML. Operators without a Content MathML element
+  // fall back to a <csymbol cd="ambiguous"> named by the op string, applied to
+  // the args, e.g. <apply><csymbol cd="ambiguous">pm</csymbol>...</apply>.
+  function renderContentMathML(n, options) {
+    if (typeof n !== 'object') {
+      return `<ci>${escapeXML(String(n))}</ci>`;
+    }
+    const renderArg = (arg) => renderContentMathML(arg, options);
+    const args = n.args;
+    switch (n.op) {
+    case OpStr.NUM:
+      return n.args[0] === 'Infinity' ? '<infinity/>' : `<cn>${escapeXML(n.args[0])}</cn>`;
+    case OpStr.VAR:
+      return contentMathMLIdentifier(n.args[0]);
+    case OpStr.IMAGINARY:
+      return '<imaginaryi/>';
+    case OpStr.TEXT:
+      return `<cs>${escapeXML(textOf(args[0]))}</cs>`;
+    case OpStr.PAREN:
+    case OpStr.BRACKET:
+      return renderArg(args[0]);
+    case OpStr.COMMA:
+    case OpStr.LIST:
+      if (n.lbrk === TK_LEFTBRACESET) {
+        // \{1, 2\}
+        return `<set>${args.map(renderArg).join('')}</set>`;
+      }
+      return `<list>${args.map(renderArg).join('')}</list>`;
+    case OpStr.SET:
+    case OpStr.BRACE:
+      return `<set>${elementsOf(args[0]).map(renderArg).join('')}</set>`;
+    case OpStr.INTERVAL:
+    case OpStr.INTERVALOPEN:
+    case OpStr.INTERVALLEFTOPEN:
+    case OpStr.INTERVALRIGHTOPEN:
+      return `<interval closure="${IntervalClosure[n.op]}">${elementsOf(args[0]).map(renderArg).join('')}</interval>`;
+    case OpStr.ADD:
+      if (n.isRepeating) {
+        // 0.\overline{3}
+        return contentMathMLFallback('repeating', args.map(renderArg));
+      }
+      break;
+    case OpStr.SUB:
+    case OpStr.DIV:
+      if (args.length > 2) {
+        // a - b - c -> (a - b) - c, and the same for \div
+        return renderContentMathML({ op: n.op, args: [{ op: n.op, args: args.slice(0, -1) }, args[args.length - 1]] }, options);
+      }
+      break;
+    case OpStr.PERCENT:
+      return `<apply><divide/>${renderArg(args[0])}<cn>100</cn></apply>`;
+    case OpStr.SQRT:
+      // The parser gives every root an index: \sqrt{x} -> [x, 2].
+      if (args.length === 1 || args[1].op === OpStr.NUM && args[1].args[0] === '2') {
+        return `<apply><root/>${renderArg(args[0])}</apply>`;
+      }
+      return `<apply><root/><degree>${renderArg(args[1])}</degree>${renderArg(args[0])}</apply>`;
+    case OpStr.LOG:
+      if (args.length === 1) {
+        return `<apply><log/>${renderArg(args[0])}</apply>`;
+      }
+      if (args[0].op === OpStr.VAR && args[0].args[0] === 'e') {
+        return `<apply><ln/>${renderArg(args[1])}</apply>`;
+      }
+      return `<apply><log/><logbase>${renderArg(args[0])}</logbase>${renderArg(args[1])}</apply>`;
+    case OpStr.INTEGRAL: {
+      // [lower, upper, expr, var], [lower, expr, var], [expr, var]
+      const bvar = `<bvar>${renderArg(args[args.length - 1])}</bvar>`;
+      const limits =
+        args.length === 4 && `<lowlimit>${renderArg(args[0])}</lowlimit><uplimit>${renderArg(args[1])}</uplimit>` ||
+        args.length === 3 && `<lowlimit>${renderArg(args[0])}</lowlimit>` || '';
+      return `<apply><int/>${bvar}${limits}${renderArg(args[args.length - 2])}</apply>`;
+    }
+    case OpStr.SUM:
+    case OpStr.PROD:
+    case OpStr.BIGCUP:
+    case OpStr.BIGCAP: {
+      // [sub, sup, expr], [sub, expr], [expr]
+      const expr = renderArg(args[args.length - 1]);
+      if (args.length === 1) {
+        return `<apply><${OpToContentMathML[n.op]}/>${expr}</apply>`;
+      }
+      const sub = args[0];
+      const upper = args.length === 3 && `<uplimit>${renderArg(args[1])}</uplimit>` || '';
+      if (sub.op === OpStr.EQL && sub.args.length === 2) {
+        // \sum_{i=1}^{n}
+        const lower = `<lowlimit>${renderArg(sub.args[1])}</lowlimit>`;
+        return `<apply><${OpToContentMathML[n.op]}/><bvar>${renderArg(sub.args[0])}</bvar>${lower}${upper}${expr}</apply>`;
+      }
+      if (sub.op === OpStr.VAR) {
+        return `<apply><${OpToContentMathML[n.op]}/><bvar>${renderArg(sub)}</bvar>${upper}${expr}</apply>`;
+      }
+      return `<apply><${OpToContentMathML[n.op]}/><condition>${renderArg(sub)}</condition>${upper}${expr}</apply>`;
+    }
+    case OpStr.LIM:
+      // [sub, expr], [expr]
+      if (args.length === 2 && args[0].op === OpStr.TO) {
+        const [bvar, lower] = args[0].args;
+        return `<apply><limit/><bvar>${renderArg(bvar)}</bvar><lowlimit>${renderArg(lower)}</lowlimit>${renderArg(args[1])}</apply>`;
+      }
+      break;
+    case OpStr.DERIV: {
+      // [expr, var, order]
+      const order = args[2];
+      const isFirstOrder = !order || order.op === OpStr.NUM && order.args[0] === '1';
+      const degree = isFirstOrder ? '' : `<degree>${renderArg(order)}</degree>`;
+      return `<apply><diff/><bvar>${renderArg(args[1])}${degree}</bvar>${renderArg(args[0])}</apply>`;
+    }
+    case OpStr.MATRIX:
+      return `<matrix>${args[0].args.map((row) => (
+        `<matrixrow>${(row.op === OpStr.COL ? row.args : [row]).map(renderArg).join('')}</matrixrow>`
+      )).join('')}</matrix>`;
+    case OpStr.BINOM:
+      return `<apply><csymbol cd="combinat1">binomial</csymbol>${args.map(renderArg).join('')}</apply>`;
+    case OpStr.NONE:
+      return '';
+    default:
+      break;
+    }
+    const elt = OpToContentMathML[n.op];
+    if (elt) {
+      return `<apply><${elt}/>${args.map(renderArg).join('')}</apply>`;
+    }
+    return contentMathMLFallback(n.op, args.map(renderArg));
+  }
+
+  function contentMathMLFallback(name, args) {
+    return `<apply><csymbol cd="ambiguous">${escapeXML(name)}</csymbol>${args.join('')}</apply>`;
+  }
+
+  function contentMathMLIdentifier(name) {
+    switch (name) {
+    case '\\pi':
+      return '<pi/>';
+    case '\\infty':
+      return '<infinity/>';
+    case '\\emptyset':
+    case '\\varnothing':
+      return '<emptyset/>';
+    default:
+      return `<ci>${escapeXML(latexToUnicode[name] || name)}</ci>`;
+    }
+  }
+
+  // The elements of a set or interval, written as a comma list.
+  function elementsOf(node) {
+    if (node.op === OpStr.COMMA || node.op === OpStr.LIST) {
+      return node.args;
+    }
+    return node.op === OpStr.NONE ? [] : [node];
+  }
+
+  // Named character references that MathML authoring tools commonly emit.
+  const XMLEntities = {
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' ',
+    minus: '−',
+    times: '×',
+    divide: '÷',
+    PlusMinus: '±',
+    pm: '±',
+    sdot: '⋅',
+    le: '≤',
+    leq: '≤',
+    ge: '≥',
+    geq: '≥',
+    ne: '≠',
+    infin: '∞',
+    pi: 'π',
+    int: '∫',
+    sum: '∑',
+    prod: '∏',
+    InvisibleTimes: '\u2062',
+    it: '\u2062',
+    ApplyFunction: '\u2061',
+    af: '\u2061',
+    InvisiblePlus: '\u2064',
+    InvisibleComma: '\u2063',
+    DifferentialD: 'ⅆ',
+    dd: 'ⅆ',
+    // Named spaces. The negative ones have no width to take away here.
+    ThinSpace: '\u2009',
+    thinsp: '\u2009',
+    VeryThinSpace: '\u200A',
+    hairsp: '\u200A',
+    MediumSpace: '\u205F',
+    ThickSpace: '\u205F\u200A',
+    ensp: '\u2002',
+    emsp: '\u2003',
+    ZeroWidthSpace: '\u200B',
+    NegativeVeryThinSpace: '\u200B',
+    NegativeThinSpace: '\u200B',
+    NegativeMediumSpace: '\u200B',
+    NegativeThickSpace: '\u200B',
+    NonBreakingSpace: '\u00A0',
+    NoBreak: '\u2060',
+    NewLine: '\n',
+    Tab: '\t',
+    // Greek letter variants.
+    epsi: '\u03B5',
+    epsiv: '\u03F5',
+    varepsilon: '\u03F5',
+    thetav: '\u03D1',
+    vartheta: '\u03D1',
+    thetasym: '\u03D1',
+    phiv: '\u03D5',
+    varphi: '\u03D5',
+    piv: '\u03D6',
+    varpi: '\u03D6',
+    rhov: '\u03F1',
+    varrho: '\u03F1',
+    sigmav: '\u03C2',
+    varsigma: '\u03C2',
+    kappav: '\u03F0',
+    upsi: '\u03C5',
+    Upsi: '\u03D2',
+  };
+  // Greek letters, by the names of their code points from alpha and Alpha.
+  [
+    'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta', 'eta', 'theta', 'iota', 'kappa', 'lambda',
+    'mu', 'nu', 'xi', 'omicron', 'pi', 'rho', 'sigmaf', 'sigma', 'tau', 'upsilon', 'phi', 'chi',
+    'psi', 'omega',
+  ].forEach((name, index) => {
+    XMLEntities[name] = String.fromCharCode(0x03B1 + index);
+    if (name !== 'sigmaf') {
+      // There is no capital final sigma.
+      XMLEntities[name.charAt(0).toUpperCase() + name.slice(1)] = String.fromCharCode(0x0391 + index);
+    }
+  });
+
+  // Read XML into a tree of {tag, attrs, children}, where children are
+  // elements and strings. Namespace prefixes are dropped from tag names.
+  // Comments, processing instructions and doctypes are skipped. Elements have
+  // the { start, end } offsets of their markup, and in 'texts' their strings
+  // as markup text.
+  function parseXML(xml) {
+    const lexemes = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    const root = {
+      tag: null,
+      attrs: {},
+      children: [],
+      texts: [],
+    };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+    while ((match = lexemes.exec(xml))) {
+      assert(match.index === lastIndex, message(1007, [xml.charAt(lastIndex), xml]));
+      lastIndex = lexemes.lastIndex;
+      const [, cdata, close, open, attrs, empty, text] = match;
+      const parent = stack[stack.length - 1];
+      if (open) {
+        const elt = {
+          tag: localName(open),
+          attrs: parseAttrs(attrs),
+          children: [],
+          texts: [],
+          start: match.index,
+          end: lastIndex,
+        };
+        parent.children.push(elt);
+        if (!empty) {
+          stack.push(elt);
+        }
+      } else if (close) {
+        const isMatched = stack.length > 1 && parent.tag === localName(close);
+        assert(isMatched, message(1001, [`</${parent.tag}>`, `</${close}>`]));
+        parent.end = lastIndex;
+        stack.pop();
+      } else if (cdata !== undefined) {
+        addXMLText(parent, xmlText(cdata, match.index + '<![CDATA['.length));
+      } else if (text !== undefined && text.trim()) {
+        addXMLText(parent, decodeXML(text.trim(), match.index + text.search(/\S/)));
+      }
+    }
+    assert(lastIndex === xml.length, message(1007, [xml.charAt(lastIndex), xml]));
+    assert(stack.length === 1, message(1001, [`</${stack[stack.length - 1].tag}>`, 'end of input']));
+    const elts = root.children.filter((child) => typeof child === 'object');
+    assert(elts.length === 1, message(1006, [`${elts.length} root elements`]));
+    return elts[0];
+  }
+
+  function addXMLText(elt, text) {
+    elt.children.push(text.text);
+    elt.texts.push(text);
+  }
+
+  function localName(tag) {
+    return tag.slice(tag.indexOf(':') + 1);
+  }
+
+  function parseAttrs(text) {
+    const attrs = {};
+    const re = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = re.exec(text))) {
+      attrs[localName(match[1])] = decodeXML(match[2] !== undefined ? match[2] : match[3]).text;
+    }
+    return attrs;
+  }
+
+  function decodeXML(text, offset = 0) {
+    const parts = [];
+    const re = /&(#x[0-9a-fA-F]+|#[0-9]+|\w+);/g;
+    let lastIndex = 0;
+    let match;
+    while ((match = re.exec(text))) {
+      const [ref, name] = match;
+      let ch;
+      if (name.indexOf('#x') === 0) {
+        ch = String.fromCodePoint(parseInt(name.slice(2), 16));
+      } else if (name.indexOf('#') === 0) {
+        ch = String.fromCodePoint(parseInt(name.slice(1), 10));
+      } else {
+        assert(XMLEntities[name] !== undefined, message(1007, [ref, text]));
+        ch = XMLEntities[name];
+      }
+      parts.push(xmlText(text.slice(lastIndex, match.index), offset + lastIndex));
+      parts.push(xmlSpan(ch, offset + match.index, offset + re.lastIndex));
+      ({ lastIndex } = re);
+    }
+    parts.push(xmlText(text.slice(lastIndex), offset + lastIndex));
+    return joinXMLText(parts);
+  }
+
+  // Markup text is text, such as the LaTeX translated from MathML, with the
+  // offsets into the markup of the start and end of what each of its chars
+  // came from. Its identifiers are the names longer than a letter that it
+  // has, as in <mi>abc</mi>.
+  function xmlText(text, offset) {
+    return {
+      text,
+      starts: [...Array(text.length).keys()].map((i) => offset + i),
+      ends: [...Array(text.length).keys()].map((i) => offset + i + 1),
+      identifiers: [],
+    };
+  }
+
+  // Text that comes from all of the markup from start to end.
+  function xmlSpan(text, start, end) {
+    return {
+      text,
+      starts: Array(text.length).fill(start),
+      ends: Array(text.length).fill(end),
+      identifiers: [],
+    };
+  }
+
+  function joinXMLText(parts) {
+    return {
+      text: parts.map((part) => part.text).join(''),
+      starts: [].concat(...parts.map((part) => part.starts)),
+      ends: [].concat(...parts.map((part) => part.ends)),
+      identifiers: [].concat(...parts.map((part) => part.identifiers)),
+    };
+  }
+
+  // The markup text of the strings of an element.
+  function xmlTextOf(elt) {
+    return joinXMLText(elt.texts);
+  }
+
+  // The chars of markup text, each as markup text.
+  function xmlChars(text) {
+    const chars = [];
+    for (let index = 0; index < text.text.length;) {
+      const { length } = String.fromCodePoint(text.text.codePointAt(index));
+      chars.push({
+        text: text.text.substr(index, length),
+        starts: text.starts.slice(index, index + length),
+        ends: text.ends.slice(index, index + length),
+        identifiers: [],
+      });
+      index += length;
+    }
+    return chars;
+  }
+
+  // A template tag for the LaTeX of an element. Its literal text, and values
+  // that are strings, come from the whole element.
+  function latexOf(elt) {
+    const span = (text) => (typeof text === 'string' ? xmlSpan(text, elt.start, elt.end) : text);
+    return (strings, ...values) => joinXMLText(strings.flatMap((text, index) => (
+      index < values.length ? [span(text), span(values[index])] : [span(text)]
+    )));
+  }
+
+  function joinLaTeX(list, separator, elt) {
+    return joinXMLText(list.flatMap((item, index) => (
+      index > 0 ? [xmlSpan(separator, elt.start, elt.end), item] : [item]
+    )));
+  }
+
+  // Markup text that would be read as LaTeX, other than as the text it is,
+  // is escaped, or else is an error.
+  function escapeLaTeX(text, escaped = '%#&$', invalid = '\\{}^_~') {
+    return joinXMLText(xmlChars(text).map((ch) => {
+      if (invalid.indexOf(ch.text) >= 0) {
+        throw new ParseError(message(1007, [ch.text, text.text]), {
+          code: 1007,
+          args: [ch.text, text.text],
+          span: { start: ch.starts[0], end: ch.ends[0] },
+          found: ch.text,
+        });
+      }
+      return escaped.indexOf(ch.text) >= 0 ? joinXMLText([xmlSpan('\\', ch.starts[0], ch.ends[0]), ch]) : ch;
+    }));
+  }
+
+  const MathMLFunctionNames = [
+    'sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'sinh', 'cosh', 'tanh', 'sech', 'csch', 'coth',
+    'arcsin', 'arccos', 'arctan', 'arcsec', 'arccsc', 'arccot',
+    'arcsinh', 'arccosh', 'arctanh', 'arcsech', 'arccsch', 'arccoth',
+    'log', 'ln', 'lg', 'exp', 'lim',
+  ];
+
+  // Accents that the parser has commands for.
+  const MathMLAccents = {
+    '→': '\\vec',
+    '\u20D7': '\\vec',
+    '¯': '\\overline',
+    '‾': '\\overline',
+    '˙': '\\dot',
+    '\u0305': '\\overline',
+    '\u0307': '\\dot',
+  };
+
+  // The number of children of the elements that have as many as their
+  // arguments.
+  const MathMLArity = {
+    mfrac: 2,
+    mroot: 2,
+    msup: 2,
+    msub: 2,
+    munder: 2,
+    mover: 2,
+    msubsup: 3,
+    munderover: 3,
+  };
+
+  // Translate Presentation MathML to LaTeX, as markup text. Operator
+  // characters are passed through, so that the scanner reads them as it
+  // reads the same characters in LaTeX source.
+  function mathMLToLaTeX(elt) {
+    const children = elt.children.filter((child) => typeof child === 'object');
+    if (children.length < MathMLArity[elt.tag]) {
+      throw new ParseError(message(1009, [`<${elt.tag}>`]), {
+        code: 1009,
+        args: [`<${elt.tag}>`],
+        span: { start: elt.start, end: elt.end },
+        found: `<${elt.tag}>`,
+      });
+    }
+    const args = children.map(mathMLToLaTeX);
+    const text = xmlTextOf(elt);
+    const latex = latexOf(elt);
+    switch (elt.tag) {
+    case 'math':
+      return mathMLRowToLaTeX(children.length === 1 && children[0].tag === 'mrow' &&
+                              children[0].children.filter((child) => typeof child === 'object') || children);
+    case 'mrow':
+    case 'mstyle':
+    case 'mpadded':
+    case 'merror':
+    case 'maction':
+      // Rows group their children, as in (sin x)!.
+      return children.length > 1 ? latex`{${mathMLRowToLaTeX(children)}}` : mathMLRowToLaTeX(children);
+    case 'semantics':
+      // The first child is the presentation markup. The rest are annotations.
+      return args[0] || latex``;
+    case 'mphantom':
+    case 'annotation':
+    case 'annotation-xml':
+    case 'none':
+    case 'mprescripts':
+      return latex``;
+    case 'mi':
+      return mathMLNameToLaTeX(text);
+    case 'mn':
+      return escapeLaTeX(text);
+    case 'mo':
+      return mathMLOperatorToLaTeX(text, elt);
+    case 'mtext':
+    case 'ms':
+      // \text{} ends at the first }.
+      return text.text.trim() ? latex`\\text{${escapeLaTeX(text, '', '}')}}` : latex` `;
+    case 'mspace':
+      return latex` `;
+    case 'mfrac':
+      if (isMathMLBinom(elt)) {
+        return latex`\\binom{${args[0]}}{${args[1]}}`;
+      }
+      return latex`\\frac{${args[0]}}{${args[1]}}`;
+    case 'msqrt':
+      return latex`\\sqrt{${mathMLRowToLaTeX(children)}}`;
+    case 'mroot':
+      return latex`\\sqrt[${args[1]}]{${args[0]}}`;
+    case 'msup':
+      if (children[1].tag === 'mo' && /^[′″‴']+$/.test(args[1].text)) {
+        // f′
+        return latex`${mathMLBaseToLaTeX(children[0], args[0])}${args[1]}`;
+      }
+      return latex`{${mathMLBaseToLaTeX(children[0], args[0])}^{${args[1]}}}`;
+    case 'msub':
+    case 'munder':
+      if (elt.tag === 'munder' && !isMathMLLimitBase(children[0])) {
+        return latex`\\underset{${args[1]}}{${args[0]}}`;
+      }
+      return latex`${mathMLBaseToLaTeX(children[0], args[0])}_{${args[1]}}`;
+    case 'msubsup':
+    case 'munderover':
+      return latex`${mathMLBaseToLaTeX(children[0], args[0])}_{${args[1]}}^{${args[2]}}`;
+    case 'mover': {
+      const accent = children[1].tag === 'mo' && MathMLAccents[textOfXML(children[1])];
+      if (accent) {
+        return latex`${accent}{${args[0]}}`;
+      }
+      if (isMathMLLimitBase(children[0])) {
+        return latex`${mathMLBaseToLaTeX(children[0], args[0])}^{${args[1]}}`;
+      }
+      return latex`\\overset{${args[1]}}{${args[0]}}`;
+    }
+    case 'mfenced': {
+      // Deprecated, but still emitted by some tools.
+      const open = elt.attrs.open !== undefined ? elt.attrs.open : '(';
+      const close = elt.attrs.close !== undefined ? elt.attrs.close : ')';
+      const separators = (elt.attrs.separators !== undefined ? elt.attrs.separators : ',').replace(/\s/g, '');
+      const body = joinXMLText(args.map((arg, index) => (
+        index === 0 ? arg : latex`${separators.charAt(Math.min(index - 1, separators.length - 1))}${arg}`
+      )));
+      return latex`${mathMLOperatorToLaTeX(open, elt)}${body}${mathMLOperatorToLaTeX(close, elt)}`;
+    }
+    case 'menclose':
+      if (/\bradical\b/.test(elt.attrs.notation || '')) {
+        return latex`\\sqrt{${mathMLRowToLaTeX(children)}}`;
+      }
+      return mathMLRowToLaTeX(children);
+    case 'mtable':
+      return latex`\\begin{matrix}${joinLaTeX(args, ' \\\\ ', elt)}\\end{matrix}`;
+    case 'mtr':
+    case 'mlabeledtr':
+      return joinLaTeX(args, ' & ', elt);
+    case 'mtd':
+      return mathMLRowToLaTeX(children);
+    default:
+      assert(false, message(1007, [`<${elt.tag}>`, 'MathML']));
+      return latex``;
+    }
+  }
+
+  function mathMLRowToLaTeX(children) {
+    let text = xmlText('', 0);
+    for (let index = 0; index < children.length; index++) {
+      const child = children[index];
+      let next;
+      if (isMathMLFence(child, '(') && isMathMLBinom(children[index + 1]) &&
+          isMathMLFence(children[index + 2], ')')) {
+        // The parentheses around a binomial coefficient are part of \binom.
+        next = mathMLToLaTeX(children[index + 1]);
+        index += 2;
+      } else {
+        next = mathMLToLaTeX(child);
+      }
+      text = appendLaTeX(text, next);
+    }
+    return text;
+  }
+
+  function isMathMLBinom(elt) {
+    return elt && elt.tag === 'mfrac' && elt.attrs.linethickness !== undefined &&
+      parseFloat(elt.attrs.linethickness) === 0;
+  }
+
+  function isMathMLFence(elt, ch) {
+    return elt && elt.tag === 'mo' && textOfXML(elt) === ch;
+  }
+
+  // Big operators and lim take their scripts as limits.
+  function isMathMLLimitBase(elt) {
+    return elt.tag === 'mo' || elt.tag === 'mi' && textOfXML(elt) === 'lim';
+  }
+
+  // Brace compound bases, so that the script applies to all of them. Rows
+  // are braced already.
+  function mathMLBaseToLaTeX(elt, text) {
+    const isToken = elt.tag === 'mi' || elt.tag === 'mn' || elt.tag === 'mo';
+    return isToken || elt.tag === 'mrow' ? text : latexOf(elt)`{${text}}`;
+  }
+
+  // Names longer than a letter are functions, such as sin, or else
+  // identifiers.
+  function mathMLNameToLaTeX(name) {
+    if (/^[\s\u200B\u2060]+$/.test(name.text)) {
+      // Named spaces, such as &ThinSpace;
+      return xmlSpan(' ', name.starts[0], name.ends[name.ends.length - 1]);
+    }
+    if ([...name.text].length === 1 || !/^[a-zA-Z]+$/.test(name.text)) {
+      return escapeLaTeX(name);
+    }
+    if (MathMLFunctionNames.indexOf(name.text) >= 0) {
+      // sin, log, lim
+      return xmlSpan(`\\${name.text} `, name.starts[0], name.ends[name.ends.length - 1]);
+    }
+    return { ...name, identifiers: [name.text] };
+  }
+
+  // The LaTeX of operator text, or of the element for operators that are
+  // attributes.
+  function mathMLOperatorToLaTeX(op, elt) {
+    if (typeof op === 'string') {
+      op = xmlSpan(op, elt.start, elt.end);
+    }
+    const latex = (text) => (
+      op.text ? xmlSpan(text, op.starts[0], op.ends[op.ends.length - 1]) : xmlSpan(text, elt.start, elt.end)
+    );
+    if (op.text.length > 1 && op.text.charAt(op.text.length - 1) === '\u0338') {
+      // A relation struck through with a combining long solidus.
+      const base = op.text.slice(0, -1);
+      return latex(`\\not${unicodeToLaTeX[base.charCodeAt(0)] || base} `);
+    }
+    switch (op.text) {
+    case '\u2061':  // Function application.
+    case '\u2062':  // Invisible times.
+      return latex('');
+    case '\u2063':  // Invisible separator.
+      return latex(',');
+    case '\u2064':  // Invisible plus, as in mixed numbers.
+      return latex(' ');
+    case 'ⅆ':
+      return latex('d');
+    case '∑':
+      return latex('\\sum ');
+    case '∏':
+      return latex('\\prod ');
+    case '→':
+      // As in lim_{x→0}.
+      return latex('\\to ');
+    case '⟨':
+      return latex('\\langle ');
+    case '⟩':
+      return latex('\\rangle ');
+    case '{':
+    case '}':
+      return latex(`\\${op.text}`);
+    case '\\':
+      return latex('\\backslash ');
+    case '~':
+      return latex('\\sim ');
+    case '!':
+      // Not !=.
+      return latex('! ');
+    case '′':
+      return latex('\'');
+    case '″':
+      return latex('\'\'');
+    default:
+      return mathMLNameToLaTeX(op);
+    }
+  }
+
+  function textOfXML(elt) {
+    return elt.children.map((child) => (typeof child === 'string' ? child : textOfXML(child))).join('');
+  }
+
+  // The LaTeX commands of the OMML n-ary operators. The integral is the
+  // default.
+  const OMMLNaryToLaTeX = {
+    '∫': '\\int',
+    '∑': '\\sum',
+    '∏': '\\prod',
+    '⋃': '\\bigcup',
+    '⋂': '\\bigcap',
+  };
+
+  // Translate OMML to LaTeX, as markup text. Properties elements, such as
+  // <m:fPr>, are read by the element they belong to, and run text is passed
+  // through as <mo> text is, so that the scanner reads it as it reads the
+  // same characters in LaTeX source.
+  function ommlToLaTeX(elt) {
+    const children = elt.children.filter((child) => typeof child === 'object' && !/Pr$/.test(child.tag));
+    const child = (tag) => children.find((c) => c.tag === tag);
+    const latex = latexOf(elt);
+    const row = (tag) => (child(tag) ? ommlRowToLaTeX(child(tag).children) : latex``);
+    const prop = (name) => ommlProperty(elt, name);
+    switch (elt.tag) {
+    case 'oMathPara': {
+      const maths = children.filter((c) => c.tag === 'oMath');
+      assert(maths.length === 1, message(1006, [`${maths.length} equations`]));
+      return ommlToLaTeX(maths[0]);
+    }
+    case 'oMath':
+    case 'box':
+    case 'borderBox':
+    case 'groupChr':
+      return ommlRowToLaTeX(children);
+    case 'phant':
+      return latex``;
+    case 'r': {
+      const text = joinXMLText(children.filter((c) => c.tag === 't').map(xmlTextOf));
+      if (prop('nor') !== undefined) {
+        // \text{} ends at the first }.
+        return latex`\\text{${escapeLaTeX(text, '', '}')}}`;
+      }
+      if (prop('sty') === 'b' || prop('sty') === 'bi') {
+        return latex`\\mathbf{${ommlTextToLaTeX(text, false, elt)}}`;
+      }
+      return ommlTextToLaTeX(text, prop('sty') === 'p', elt);
+    }
+    case 'f': {
+      const type = prop('type');
+      if (type === 'noBar') {
+        return latex`\\binom{${row('num')}}{${row('den')}}`;
+      }
+      if (type === 'lin' || type === 'skw') {
+        return latex`{${row('num')}}/{${row('den')}}`;
+      }
+      return latex`\\frac{${row('num')}}{${row('den')}}`;
+    }
+    case 'sSup': {
+      const sup = row('sup');
+      if (/^'+$/.test(sup.text)) {
+        // f′
+        return latex`${ommlBaseToLaTeX(row('e'), elt)}${sup}`;
+      }
+      return latex`${ommlBaseToLaTeX(row('e'), elt)}^{${sup}}`;
+    }
+    case 'sSub':
+      return latex`${ommlBaseToLaTeX(row('e'), elt)}_{${row('sub')}}`;
+    case 'sSubSup':
+      return latex`${ommlBaseToLaTeX(row('e'), elt)}_{${row('sub')}}^{${row('sup')}}`;
+    case 'rad':
+      if (ommlFlag(prop('degHide')) || !row('deg').text) {
+        return latex`\\sqrt{${row('e')}}`;
+      }
+      return latex`\\sqrt[${row('deg')}]{${row('e')}}`;
+    case 'd': {
+      const open = prop('begChr') !== undefined ? prop('begChr') : '(';
+      const close = prop('endChr') !== undefined ? prop('endChr') : ')';
+      const separator = prop('sepChr') !== undefined ? prop('sepChr') : '|';
+      const elts = children.filter((c) => c.tag === 'e');
+      if (open === '(' && close === ')' && elts.length === 1 && isOMMLBinom(elts[0])) {
+        // The parentheses around a binomial coefficient are part of \binom.
+        return ommlRowToLaTeX(elts[0].children);
+      }
+      const body = joinXMLText(elts.map((e, index) => (
+        index > 0 ? joinXMLText([mathMLOperatorToLaTeX(separator, elt), ommlRowToLaTeX(e.children)]) :
+          ommlRowToLaTeX(e.children)
+      )));
+      return latex`${mathMLOperatorToLaTeX(open, elt)}${body}${mathMLOperatorToLaTeX(close, elt)}`;
+    }
+    case 'nary': {
+      const chr = prop('chr') || '∫';
+      const op = OMMLNaryToLaTeX[chr];
+      assert(op, message(1007, [chr, 'OMML']));
+      const sub = ommlFlag(prop('subHide')) || !row('sub').text ? '' : latex`_{${row('sub')}}`;
+      const sup = ommlFlag(prop('supHide')) || !row('sup').text ? '' : latex`^{${row('sup')}}`;
+      return latex`${op}${sub}${sup}{${row('e')}}`;
+    }
+    case 'func':
+      return appendLaTeX(row('fName'), latex`{${row('e')}}`);
+    case 'limLow':
+      if (!/^\\[a-zA-Z]+ ?$/.test(row('e').text)) {
+        // Limits are under function names, such as lim, and otherwise
+        // annotations.
+        return latex`\\underset{${row('lim')}}{${row('e')}}`;
+      }
+      return latex`${ommlBaseToLaTeX(row('e'), elt)}_{${row('lim')}}`;
+    case 'limUpp':
+      return latex`\\overset{${row('lim')}}{${row('e')}}`;
+    case 'acc': {
+      const accent = MathMLAccents[prop('chr') || '̂'];
+      assert(accent, message(1007, [prop('chr') || '̂', 'OMML']));
+      return latex`${accent}{${row('e')}}`;
+    }
+    case 'bar':
+      assert(prop('pos') === 'top', message(1007, ['<m:bar>', 'OMML']));
+      return latex`\\overline{${row('e')}}`;
+    case 'm':
+      return latex`\\begin{matrix}${joinLaTeX(children.map(ommlToLaTeX), ' \\\\ ', elt)}\\end{matrix}`;
+    case 'mr':
+      return joinLaTeX(children.map(ommlToLaTeX), ' & ', elt);
+    case 'e':
+      return ommlRowToLaTeX(children);
+    default:
+      assert(false, message(1007, [`<m:${elt.tag}>`, 'OMML']));
+      return latex``;
+    }
+  }
+
+  function ommlRowToLaTeX(children) {
+    return children
+      .filter((child) => typeof child === 'object' && !/Pr$/.test(child.tag))
+      .map(ommlToLaTeX)
+      .reduce(appendLaTeX, xmlText('', 0));
+  }
+
+  // Brace compound bases, so that the script applies to all of them.
+  // Commands such as \log and \lim take their scripts themselves.
+  function ommlBaseToLaTeX(text, elt) {
+    if ([...text.text].length === 1) {
+      return text;
+    }
+    if (/^\\[a-zA-Z]+ ?$/.test(text.text)) {
+      return joinXMLText(xmlChars(text).filter((ch) => ch.text !== ' '));
+    }
+    return latexOf(elt)`{${text}}`;
+  }
+
+  function isOMMLBinom(elt) {
+    const children = elt.children.filter((child) => typeof child === 'object' && !/Pr$/.test(child.tag));
+    return children.length === 1 && children[0].tag === 'f' && ommlProperty(children[0], 'type') === 'noBar';
+  }
+
+  // Space commands from letters, as in '\sin x', and letters from letters,
+  // which could otherwise be read as one identifier.
+  function appendLaTeX(text, next) {
+    if (/[a-zA-Z]$/.test(text.text) && /^[a-zA-Z]/.test(next.text)) {
+      return joinXMLText([text, xmlSpan(' ', next.starts[0], next.ends[0]), next]);
+    }
+    return joinXMLText([text, next]);
+  }
+
+  // The 'val' of a property of the element, such as the 'chr' in
+  // <m:naryPr><m:chr m:val="∑"/></m:naryPr>, or '' if it has none.
+  function ommlProperty(elt, name) {
+    const props = elt.children.filter((child) => typeof child === 'object' && /Pr$/.test(child.tag));
+    for (let i = 0; i < props.length; i++) {
+      const found = props[i].children.find((child) => typeof child === 'object' && child.tag === name);
+      if (found) {
+        return found.attrs.val !== undefined ? found.attrs.val : '';
+      }
+    }
+    return undefined;
+  }
+
+  // On/off properties are on when present without a value.
+  function ommlFlag(value) {
+    return value !== undefined && ['', '1', 'on', 'true'].indexOf(value) >= 0;
+  }
+
+  // Italic runs are single-letter variables, but plain runs can name
+  // functions, such as sin in <m:fName>.
+  function ommlTextToLaTeX(text, isPlain, elt) {
+    if (isPlain && /^[a-zA-Z]+$/.test(text.text)) {
+      return mathMLNameToLaTeX(text);
+    }
+    return xmlChars(text).map((ch) => mathMLOperatorToLaTeX(ch, elt)).reduce(appendLaTeX, xmlText('', 0));
+  }
+
+  // Render AST to AsciiMath, or with 'isUnicode' to plain Unicode text.
+  // Fractions are written with slashes, so operands are grouped as they would
+  // be in the LaTeX 'slash' style.
+  function renderText(n, options, isUnicode) {
+    if (typeof n !== 'object') {
+      return String(n);
+    }
+    const annotation = n.args.length > 1 && n.args[n.args.length - 1];
+    if (annotation && (annotation.op === OpStr.OVERSET || annotation.op === OpStr.UNDERSET)) {
+      // overset(def)(=)
+      const base = renderText({ ...n, args: n.args.slice(0, n.args.length - 1) }, options, isUnicode);
+      const text = renderText(annotation.args[0], options, isUnicode);
+      return `${annotation.op}(${text})(${base.trim()})`;
+    }
+    const slashOptions = { ...options, frac: 'slash', roundTrip: false };
+    const args = n.args.map((arg) => renderText(arg, options, isUnicode));
+    const ops = n.args.map((arg, index) => textOperand(n, index, args[index], slashOptions));
+    const op = textOperator(n.op, isUnicode);
+    const sub = (text) => textScript(text, isUnicode && SubscriptChars, '_');
+    const sup = (text) => textScript(text, isUnicode && SuperscriptChars, '^');
+    switch (n.op) {
+    case OpStr.NUM:
+      if (n.args[0] === 'Infinity') {
+        return isUnicode ? '∞' : 'oo';
+      }
+      if (isUnicode && n.args[0].indexOf('-') === 0) {
+        return `−${n.args[0].slice(1)}`;
+      }
+      return n.args[0];
+    case OpStr.VAR:
+      return textIdentifier(n.args[0], isUnicode);
+    case OpStr.IMAGINARY:
+      return args[0];
+    case OpStr.TEXT:
+    case OpStr.TYPE:
+      return isUnicode ? textOf(n.args[0]) : `"${textOf(n.args[0])}"`;
+    case OpStr.SUBSCRIPT:
+      if (args.length === 1) {
+        // _1, as in _1^2 C.
+        return sub(args[0]);
+      }
+      // x_{1_{2}}
+      return `${ops[0]}${sub(args.slice(1).reduceRight((text, arg) => `${arg}${sub(text)}`))}`;
+    case OpStr.POW: {
+      if (args.length === 1) {
+        // ^2, as in _1^2 C.
+        return sup(args[0]);
+      }
+      const rhs = n.args[1];
+      if (rhs.op === OpStr.VAR && rhs.args[0].indexOf('\'') === 0) {
+        // f' is parsed as f^{'}.
+        return `${ops[0]}${(isUnicode ? '′' : '\'').repeat(rhs.args[0].length)}`;
+      }
+      return `${ops[0]}${sup(args[1])}`;
+    }
+    case OpStr.SUB:
+    case OpStr.PM:
+    case OpStr.ADD:
+    case OpStr.FORALL:
+    case OpStr.EXISTS:
+    case OpStr.NOT:
+    case OpStr.CAPRIGHTARROW:
+    case OpStr.RIGHTARROW:
+    case OpStr.LEFTARROW:
+    case OpStr.LONGRIGHTARROW:
+    case OpStr.LONGLEFTARROW:
+    case OpStr.CAPLEFTRIGHTARROW:
+    case OpStr.LEFTRIGHTARROW:
+    case OpStr.LONGLEFTRIGHTARROW:
+      if (n.isRepeating) {
+        // 0.\overline{3} is parsed as 0. + 3 with isRepeating set.
+        return `${args[0]}${textOverline(args[1], isUnicode)}`;
+      }
+      if (n.isMixedNumber) {
+        return `${args[0]} ${args[1]}`;
+      }
+      if (args.length === 1) {
+        // Prefix form, as in '-x' and 'AA x'.
+        return /[a-zA-Z]$/.test(op) ? `${op} ${ops[0]}` : `${op}${ops[0]}`;
+      }
+      return textInfix(n, ops, op, isUnicode);
+    case OpStr.MUL:
+      if (n.isScientific) {
+        // 1.2 xx 10^3
+        return textInfix(n, ops, isUnicode ? '×' : 'xx', isUnicode);
+      }
+      return textProduct(n, ops, isUnicode);
+    case OpStr.CUP:
+    case OpStr.CAP:
+      if (args.length === 2) {
+        return textInfix(n, ops, op, isUnicode);
+      }
+      return textBigOp(textOperator(n.op === OpStr.CUP ? OpStr.BIGCUP : OpStr.BIGCAP, isUnicode), args, ops, sub, sup);
+    case OpStr.SUM:
+    case OpStr.PROD:
+    case OpStr.BIGCUP:
+    case OpStr.BIGCAP:
+      return textBigOp(op, args, ops, sub, sup);
+    case OpStr.LIM:
+      // [sub, expr], [expr]
+      if (args.length === 2) {
+        return `lim${sub(args[0])} ${ops[1]}`;
+      }
+      return `lim ${ops[0]}`;
+    case OpStr.INTEGRAL: {
+      // [lower, upper, expr, var], [lower, expr, var], [expr, var]
+      const dx = `d${args[args.length - 1]}`;
+      const expr = ops[args.length - 2];
+      switch (args.length) {
+      case 4:
+        return `${op}${sub(args[0])}${sup(args[1])} ${expr} ${dx}`;
+      case 3:
+        return `${op}${sub(args[0])} ${expr} ${dx}`;
+      default:
+        return `${op} ${expr} ${dx}`;
+      }
+    }
+    case OpStr.DERIV: {
+      // [expr, var, order]
+      const order = n.args[2];
+      const isFirstOrder = !order || order.op === OpStr.NUM && order.args[0] === '1';
+      const d = isFirstOrder ? 'd' : `d${sup(args[2])}`;
+      const dx = isFirstOrder ? `d${args[1]}` : `d${args[1]}${sup(args[2])}`;
+      if (n.args[0].op === OpStr.VAR) {
+        return isUnicode ? `${d}${args[0]}/${dx}` : `(${d}${args[0]})/(${dx})`;
+      }
+      return isUnicode ? `${d}/${dx} ${ops[0]}` : `${d}/(${dx}) ${ops[0]}`;
+    }
+    case OpStr.FRAC:
+      if (isUnicode && n.args.every((arg) => arg.op === OpStr.NUM && /^[0-9]+$/.test(arg.args[0]))) {
+        // 1⁄2, with the fraction slash.
+        return `${args[0]}⁄${args[1]}`;
+      }
+      return `${ops[0]}/${ops[1]}`;
+    case OpStr.BINOM:
+      return isUnicode ? `C(${args[0]}, ${args[1]})` : `((${args[0]}),(${args[1]}))`;
+    case OpStr.SQRT: {
+      // The parser gives every root an index: \sqrt{x} -> [x, 2].
+      const radicand = isTextAtom(args[0]) ? args[0] : `(${args[0]})`;
+      if (args.length === 1 || n.args[1].op === OpStr.NUM && n.args[1].args[0] === '2') {
+        return isUnicode ? `√${radicand}` : `sqrt(${args[0]})`;
+      }
+      if (!isUnicode) {
+        return `root(${args[1]})(${args[0]})`;
+      }
+      const index = { 3: '∛', 4: '∜' }[args[1]];
+      return `${index || `${sup(args[1])}√`}${radicand}`;
+    }
+    case OpStr.LOG: {
+      // The parser gives every log a base: \ln -> e, \log and \lg -> 10.
+      const base = n.args[0];
+      if (n.args.length === 1) {
+        return textApply('log', n.args[0], args[0]);
+      }
+      if (base.op === OpStr.VAR && base.args[0] === 'e') {
+        return textApply('ln', n.args[1], args[1]);
+      }
+      if (base.op === OpStr.NUM && base.args[0] === '10') {
+        return textApply('log', n.args[1], args[1]);
+      }
+      return textApply(`log${sub(args[0])}`, n.args[1], args[1]);
+    }
+    case OpStr.SIN:
+    case OpStr.COS:
+    case OpStr.TAN:
+    case OpStr.ARCSIN:
+    case OpStr.ARCCOS:
+    case OpStr.ARCTAN:
+    case OpStr.ARCSEC:
+    case OpStr.ARCCSC:
+    case OpStr.ARCCOT:
+    case OpStr.SEC:
+    case OpStr.COT:
+    case OpStr.CSC:
+    case OpStr.SINH:
+    case OpStr.COSH:
+    case OpStr.TANH:
+    case OpStr.ARCSINH:
+    case OpStr.ARCCOSH:
+    case OpStr.ARCTANH:
+    case OpStr.ARCSECH:
+    case OpStr.ARCCSCH:
+    case OpStr.ARCCOTH:
+    case OpStr.SECH:
+    case OpStr.COTH:
+    case OpStr.CSCH:
+    case OpStr.LN:
+    case OpStr.LG:
+    case OpStr.EXP:
+    case OpStr.M:
+    case OpStr.RE:
+    case OpStr.IM:
+    case OpStr.ARG:
+      return textApply(OpToLaTeX[n.op].slice(1), n.args[0], args[0]);
+    case OpStr.OPERATORNAME:
+      return textApply(textOf(n.args[0]), n.args[1], args[1]);
+    case OpStr.OVERLINE:
+      return textOverline(args[0], isUnicode);
+    case OpStr.VEC:
+    case OpStr.DOT:
+    case OpStr.OVERRIGHTARROW:
+    case OpStr.OVERLEFTARROW:
+    case OpStr.OVERLEFTRIGHTARROW: {
+      if (args.length > 1) {
+        return textInfix(n, ops, op, isUnicode);
+      }
+      // Combining marks only sit well on one char.
+      const mark = {
+        [OpStr.VEC]: '⃗',
+        [OpStr.DOT]: '̇',
+        [OpStr.OVERRIGHTARROW]: '⃗',
+        [OpStr.OVERLEFTARROW]: '⃖',
+        [OpStr.OVERLEFTRIGHTARROW]: '⃡',
+      }[n.op];
+      if (isUnicode && [...args[0]].length === 1) {
+        return `${args[0]}${mark}`;
+      }
+      return `${n.op === OpStr.DOT ? 'dot' : 'vec'}(${args[0]})`;
+    }
+    case OpStr.MATHBF:
+      return isUnicode ? args[0] : `bb(${args[0]})`;
+    case OpStr.MATHFIELD:
+    case OpStr.FORMAT:
+      return args[0];
+    case OpStr.DELTA:
+      return isUnicode ? `Δ${ops[0]}` : `Delta ${ops[0]}`;
+    case OpStr.PAREN:
+    case OpStr.INTERVALOPEN:
+      return `(${args[0]})`;
+    case OpStr.BRACKET:
+    case OpStr.INTERVAL:
+      return `[${args[0]}]`;
+    case OpStr.INTERVALLEFTOPEN:
+      return `(${args[0]}]`;
+    case OpStr.INTERVALRIGHTOPEN:
+      return `[${args[0]})`;
+    case OpStr.BRACE:
+    case OpStr.SET:
+      return `{${args[0]}}`;
+    case OpStr.ANGLEBRACKET:
+      return isUnicode ? `⟨${args[0]}⟩` : `(:${args[0]}:)`;
+    case OpStr.ABS:
+      return `|${args[0]}|`;
+    case OpStr.EVALAT:
+      return `${args[0]}|`;
+    case OpStr.PIPE:
+      // [expr, _{sub}], as in x|_{x=3}
+      return `${ops[0]}|${sub(renderText(n.args[1].args[0], options, isUnicode))}`;
+    case OpStr.PERCENT:
+    case OpStr.FACT:
+      return `${ops[0]}${op}`;
+    case OpStr.DEGREE:
+      return isUnicode ? `${ops[0]}°` : `${ops[0]}^circ`;
+    case OpStr.COMMA:
+    case OpStr.LIST:
+      return args.join(', ');
+    case OpStr.MATRIX:
+      return `[${args[0]}]`;
+    case OpStr.ROW:
+      return args.map((arg, index) => (n.args[index].op === OpStr.COL ? arg : `[${arg}]`)).join(', ');
+    case OpStr.COL:
+      return `[${args.join(', ')}]`;
+    case OpStr.QMARK:
+      return '?';
+    case OpStr.ERROR:
+      return args.join(' ');
+    case OpStr.NONE:
+      return '';
+    default:
+      assert(op, `1000: Unimplemented operator translating to text: ${n.op}`);
+      return textInfix(n, ops, op, isUnicode);
+    }
+  }
+
+  // The AsciiMath name of the operator or, with 'isUnicode', its character.
+  function textOperator(op, isUnicode) {
+    if (isUnicode) {
+      return unicodeOperator(op);
+    }
+    if (OpToAsciiMath[op]) {
+      return OpToAsciiMath[op];
+    }
+    const latex = OpToLaTeX[op];
+    if (latex === undefined) {
+      return null;
+    }
+    if (latexToAsciiMath[latex]) {
+      return latexToAsciiMath[latex];
+    }
+    if (negatedOps.indexOf(op) >= 0) {
+      const base = textOperator(negatableOps[negatedOps.indexOf(op)], isUnicode);
+      return base && `!${base}`;
+    }
+    return latex.indexOf('\\') === 0 ? null : latex;
+  }
+
+  function textInfix(node, ops, op, isUnicode) {
+    let text = '';
+    ops.forEach((value, index) => {
+      if (index === 0) {
+        text = value;
+      } else if (node.op === OpStr.ADD && isRepeatingPart(node.args, index)) {
+        // Sums flatten 0.\overline{3} into the terms 0. and 3.
+        text = `${text}${textOverline(value, isUnicode)}`;
+      } else {
+        text = `${text} ${op} ${value}`;
+      }
+    });
+    return text;
+  }
+
+  // Juxtapose factors, except numbers and names, which would run together.
+  function textProduct(node, ops, isUnicode) {
+    let text = '';
+    ops.forEach((value, index) => {
+      const prev = ops[index - 1];
+      if (index > 0 && /[0-9.]$/.test(prev) && /^[0-9.]/.test(value)) {
+        text += isUnicode ? '⋅' : '*';
+      } else if (index > 0 && (/[a-zA-Z]{2}$/.test(prev) && /^[a-zA-Z]/.test(value) ||
+                               /[a-zA-Z]$/.test(prev) && /^[a-zA-Z]{2}/.test(value))) {
+        // pi x, but xy
+        text += ' ';
+      }
+      text += value;
+    });
+    return text;
+  }
+
+  // Operands are grouped where the LaTeX rendering would add parentheses.
+  // Functions applied without parentheses bind like prefix operators, since
+  // sin x/x reads as sin(x/x), and mixed numbers like sums, since 2 1/3/4 and
+  // 2 1/3 * 4 are ambiguous.
+  function textOperand(node, index, text, options) {
+    const arg = node.args[index];
+    if (typeof arg !== 'object') {
+      return text;
+    }
+    const isLast = index === node.args.length - 1;
+    const isApply = TextFunctionOps.indexOf(arg.op) >= 0 && / /.test(text);
+    const prec = (isPrefix(arg) || isApply) && isLast && Prec.primaryExpr ||
+      isApply && Prec.multiplicativeExpr ||
+      arg.isMixedNumber && Prec.additiveExpr ||
+      precedence(arg, options);
+    return prec >= operandPrecedence(node, index, options) ? text : `(${text})`;
+  }
+
+  // A script in script chars if it has them all, otherwise after its mark.
+  function textScript(text, chars, mark) {
+    const scriptChars = chars && [...text].map((c) => chars[c]);
+    if (scriptChars && scriptChars.every((c) => c)) {
+      return scriptChars.join('');
+    }
+    return isTextAtom(text) ? `${mark}${text}` : `${mark}(${text})`;
+  }
+
+  // Check if the text reads as one operand, such as 'x', '12.5' or 'pi'. Other
+  // runs of letters, as in 'ab', read as a product.
+  function isTextAtom(text) {
+    return /^([0-9.]+|\((.*)\)|\|(.*)\|)$/.test(text) && !/^\(.*\)\(/.test(text) ||
+      /^[a-zA-Z]+$/.test(text) && asciiMathToLaTeX[text] !== undefined ||
+      [...text].length === 1;
+  }
+
+  function textOverline(text, isUnicode) {
+    return isUnicode ? [...text].map((c) => `${c}̅`).join('') : `bar(${text})`;
+  }
+
+  // sin x, sin(x + 1)
+  function textApply(fn, arg, text) {
+    if (arg.op === OpStr.PAREN) {
+      return `${fn}${text}`;
+    }
+    const isAtom = arg.op === OpStr.VAR || arg.op === OpStr.NUM && arg.args[0].indexOf('-') !== 0;
+    return isAtom ? `${fn} ${text}` : `${fn}(${text})`;
+  }
+
+  // [sub, sup, expr], [sub, expr], [expr]
+  function textBigOp(op, args, ops, sub, sup) {
+    switch (args.length) {
+    case 3:
+      return `${op}${sub(args[0])}${sup(args[1])} ${ops[2]}`;
+    case 2:
+      return `${op}${sub(args[0])} ${ops[1]}`;
+    default:
+      return `${op} ${ops[0]}`;
+    }
+  }
+
+  function textIdentifier(name, isUnicode) {
+    let match;
+    if (name.indexOf('Delta_') === 0) {
+      // \Delta x
+      const rest = name.substring('Delta_'.length);
+      return isUnicode ? `Δ${textIdentifier(rest, isUnicode)}` : `Delta ${textIdentifier(rest, isUnicode)}`.trim();
+    }
+    if ((match = /^\\degree ?([KCF]?)$/.exec(name))) {
+      return isUnicode ? `°${match[1]}` : `^circ${match[1]}`;
+    }
+    if ((match = /^\\mu([gLms])$/.exec(name))) {
+      return isUnicode ? `μ${match[1]}` : `mu${match[1]}`;
+    }
+    const symbol = isUnicode ? latexToUnicode[name] : latexToAsciiMath[name];
+    return symbol || name.replace(/^\\/, '');
+  }
+
+  // Render AST to English speech. ClearSpeak reads structures as phrases,
+  // such as 'the square root of x', and MathSpeak brackets them with
+  // markers, such as 'StartRoot x EndRoot', which get shorter with the
+  // 'verbosity'. Brief ClearSpeak leaves out some articles and end phrases.
+  function renderSpeech(n, options) {
+    if (typeof n !== 'object') {
+      return String(n);
+    }
+    const isMathSpeak = options.style === 'mathspeak';
+    const isVerbose = options.verbosity === 'verbose';
+    const marker = MathSpeakMarkers[options.verbosity];
+    const the = isVerbose ? 'the ' : '';
+    const annotation = n.args.length > 1 && n.args[n.args.length - 1];
+    if (annotation && (annotation.op === OpStr.OVERSET || annotation.op === OpStr.UNDERSET)) {
+      const base = renderSpeech({ ...n, args: n.args.slice(0, n.args.length - 1) }, options);
+      const text = renderSpeech(annotation.args[0], options);
+      const isOver = annotation.op === OpStr.OVERSET;
+      if (isMathSpeak) {
+        return `${isOver ? marker.modAbove : marker.modBelow} ${base} ${marker.with} ${text}`;
+      }
+      return `${base} with ${text} ${isOver ? 'above' : 'below'}`;
+    }
+    const args = n.args.map((arg) => renderSpeech(arg, options));
+    const ops = n.args.map((arg, index) => speechOperand(n, index, args[index], options));
+    const op = isMathSpeak && n.op === OpStr.TO ? 'right-arrow' : speechOperator(n.op);
+    switch (n.op) {
+    case OpStr.NUM:
+      if (n.args[0] === 'Infinity') {
+        return 'infinity';
+      }
+      return n.args[0].indexOf('-') === 0 ? `negative ${n.args[0].slice(1)}` : n.args[0];
+    case OpStr.VAR:
+      return speechIdentifier(n.args[0], isMathSpeak);
+    case OpStr.IMAGINARY:
+      return args[0];
+    case OpStr.TEXT:
+    case OpStr.TYPE:
+      return textOf(n.args[0]);
+    case OpStr.SUBSCRIPT:
+      if (isMathSpeak) {
+        return `${args.length > 1 ? ops[0] : ''} ${marker.sub} ${args.slice(1).join(` ${marker.sub} `) || args[0]} ${marker.base}`;
+      }
+      if (args.length === 1) {
+        // _1, as in _1^2 C.
+        return `sub ${args[0]}`;
+      }
+      return `${ops[0]} sub ${args.slice(1).join(' sub ')}`;
+    case OpStr.POW:
+      return speechPower(n, args, ops, options);
+    case OpStr.SUB:
+    case OpStr.PM:
+    case OpStr.ADD:
+    case OpStr.FORALL:
+    case OpStr.EXISTS:
+    case OpStr.NOT:
+    case OpStr.CAPRIGHTARROW:
+    case OpStr.RIGHTARROW:
+    case OpStr.LEFTARROW:
+    case OpStr.LONGRIGHTARROW:
+    case OpStr.LONGLEFTARROW:
+    case OpStr.CAPLEFTRIGHTARROW:
+    case OpStr.LEFTRIGHTARROW:
+    case OpStr.LONGLEFTRIGHTARROW:
+      if (n.isRepeating) {
+        // 0.\overline{3} is parsed as 0. + 3 with isRepeating set.
+        return speechRepeating(args[0], args[1], options);
+      }
+      if (n.isMixedNumber) {
+        return `${args[0]} and ${args[1]}`;
+      }
+      if (args.length === 1) {
+        return `${n.op === OpStr.SUB ? 'negative' : op} ${ops[0]}`;
+      }
+      return speechInfix(n, ops, op, options);
+    case OpStr.MUL:
+      if (n.isScientific) {
+        return speechInfix(n, ops, 'times', options);
+      }
+      // Implicit products are read by juxtaposition, except for numbers.
+      return ops.reduce((text, value, index) => (
+        index > 0 && n.args[index - 1].op === OpStr.NUM && n.args[index].op === OpStr.NUM ?
+          `${text} times ${value}` : `${text} ${value}`
+      ));
+    case OpStr.CUP:
+    case OpStr.CAP:
+      if (args.length === 2) {
+        return speechInfix(n, ops, op, options);
+      }
+      return speechBigOp(n.op === OpStr.CUP ? 'union' : 'intersection', args, ops, options);
+    case OpStr.SUM:
+      return speechBigOp(isMathSpeak ? 'sigma-summation' : 'sum', args, ops, options);
+    case OpStr.PROD:
+      return speechBigOp('product', args, ops, options);
+    case OpStr.BIGCUP:
+      return speechBigOp('union', args, ops, options);
+    case OpStr.BIGCAP:
+      return speechBigOp('intersection', args, ops, options);
+    case OpStr.LIM:
+      // [sub, expr], [expr]
+      if (isMathSpeak) {
+        return args.length === 2 ? `limit ${marker.under} ${args[0]} ${marker.endScripts} ${ops[1]}` : `limit ${ops[0]}`;
+      }
+      return args.length === 2 ? `${the}limit as ${args[0]} of ${ops[1]}` : `${the}limit of ${ops[0]}`;
+    case OpStr.INTEGRAL: {
+      // [lower, upper, expr, var], [lower, expr, var], [expr, var]
+      const dx = `d ${args[args.length - 1]}`;
+      const expr = ops[args.length - 2];
+      if (isMathSpeak) {
+        const limits = args.length === 4 && `${marker.sub} ${args[0]} ${marker.sup} ${args[1]} ${marker.base}` ||
+          args.length === 3 && `${marker.sub} ${args[0]} ${marker.base}` || '';
+        return `integral ${limits} ${expr} ${dx}`;
+      }
+      const limits = args.length === 4 && ` from ${args[0]} to ${args[1]}` ||
+        args.length === 3 && ` over ${args[0]}` || '';
+      return `${the}integral${limits} of ${expr} ${dx}`;
+    }
+    case OpStr.DERIV: {
+      // [expr, var, order]
+      const order = n.args[2];
+      const isFirstOrder = !order || order.op === OpStr.NUM && order.args[0] === '1';
+      if (isMathSpeak) {
+        const d = isFirstOrder ? 'd' : `d ${marker.sup} ${args[2]} ${marker.base}`;
+        const dx = isFirstOrder ? `d ${args[1]}` : `d ${args[1]} ${marker.sup} ${args[2]} ${marker.base}`;
+        if (n.args[0].op === OpStr.VAR) {
+          return `${marker.startFrac} ${d} ${args[0]} ${marker.over} ${dx} ${marker.endFrac}`;
+        }
+        return `${marker.startFrac} ${d} ${marker.over} ${dx} ${marker.endFrac} ${ops[0]}`;
+      }
+      const nth = isFirstOrder ? '' : `${speechOrdinal(order, options)} `;
+      return `${the}${nth}derivative of ${ops[0]} with respect to ${args[1]}`;
+    }
+    case OpStr.FRAC:
+      return speechFraction(n, args, options);
+    case OpStr.BINOM:
+      if (isMathSpeak) {
+        return `${marker.startBinom} ${args[0]} ${marker.choose} ${args[1]} ${marker.endBinom}`;
+      }
+      return `${ops[0]} choose ${ops[1]}`;
+    case OpStr.SQRT: {
+      // The parser gives every root an index: \sqrt{x} -> [x, 2].
+      const index = n.args[1];
+      const isSquare = !index || index.op === OpStr.NUM && index.args[0] === '2';
+      if (isMathSpeak) {
+        const root = `${marker.startRoot} ${args[0]} ${marker.endRoot}`;
+        return isSquare ? root : `${marker.rootIndex} ${args[1]} ${root}`;
+      }
+      const isCube = index && index.op === OpStr.NUM && index.args[0] === '3';
+      const name = isSquare && 'square' || isCube && 'cube' || speechOrdinal(index, options);
+      return speechEnclosed(`${the}${name} root of ${args[0]}`, n.args[0], 'root', options);
+    }
+    case OpStr.LOG: {
+      // The parser gives every log a base: \ln -> e, \log and \lg -> 10.
+      const base = n.args[0];
+      if (n.args.length === 1) {
+        return speechApply('log', n.args[0], args[0], options);
+      }
+      if (base.op === OpStr.VAR && base.args[0] === 'e') {
+        return speechApply(isMathSpeak ? 'l n' : 'natural log', n.args[1], args[1], options);
+      }
+      if (base.op === OpStr.NUM && base.args[0] === '10') {
+        return speechApply('log', n.args[1], args[1], options);
+      }
+      const name = isMathSpeak ? `log ${marker.sub} ${args[0]} ${marker.base}` : `log base ${args[0]}`;
+      return speechApply(name, n.args[1], args[1], options);
+    }
+    case OpStr.SIN:
+    case OpStr.COS:
+    case OpStr.TAN:
+    case OpStr.ARCSIN:
+    case OpStr.ARCCOS:
+    case OpStr.ARCTAN:
+    case OpStr.ARCSEC:
+    case OpStr.ARCCSC:
+    case OpStr.ARCCOT:
+    case OpStr.SEC:
+    case OpStr.COT:
+    case OpStr.CSC:
+    case OpStr.SINH:
+    case OpStr.COSH:
+    case OpStr.TANH:
+    case OpStr.ARCSINH:
+    case OpStr.ARCCOSH:
+    case OpStr.ARCTANH:
+    case OpStr.ARCSECH:
+    case OpStr.ARCCSCH:
+    case OpStr.ARCCOTH:
+    case OpStr.SECH:
+    case OpStr.COTH:
+    case OpStr.CSCH:
+    case OpStr.LN:
+    case OpStr.LG:
+    case OpStr.EXP:
+    case OpStr.M:
+    case OpStr.RE:
+    case OpStr.IM:
+    case OpStr.ARG:
+      return speechApply(FunctionToSpeech[n.op], n.args[0], args[0], options);
+    case OpStr.ATAN2:
+      return `${FunctionToSpeech[n.op]} of ${args.join(' comma ')}`;
+    case OpStr.OPERATORNAME:
+      return speechApply(textOf(n.args[0]), n.args[1], args[1], options);
+    case OpStr.OVERLINE:
+      return isMathSpeak ? `${marker.modAbove} ${args[0]} ${marker.with} bar` : `${ops[0]} bar`;
+    case OpStr.DOT:
+      return isMathSpeak ? `${marker.modAbove} ${args[0]} ${marker.with} dot` : `${ops[0]} dot`;
+    case OpStr.VEC:
+    case OpStr.OVERRIGHTARROW:
+    case OpStr.OVERLEFTARROW:
+    case OpStr.OVERLEFTRIGHTARROW: {
+      const arrow = n.op === OpStr.VEC ? 'right arrow' : op;
+      if (args.length > 1) {
+        return speechInfix(n, ops, arrow, options);
+      }
+      if (isMathSpeak) {
+        return `${marker.modAbove} ${args[0]} ${marker.with} ${arrow.replace(/ /g, '-')}`;
+      }
+      return n.op === OpStr.VEC ? `${the}vector ${ops[0]}` : `${ops[0]} with ${arrow} above`;
+    }
+    case OpStr.MATHBF:
+      return `bold ${args[0]}`;
+    case OpStr.HIGHLIGHT:
+    case OpStr.MATHFIELD:
+    case OpStr.FORMAT:
+      return args.join(' ');
+    case OpStr.DELTA:
+      return `${isMathSpeak ? 'upper Delta' : 'delta'} ${ops[0]}`;
+    case OpStr.PAREN:
+      return speechFence(args[0], 'paren', 'parenthesis', options);
+    case OpStr.BRACKET:
+      return speechFence(args[0], 'bracket', 'bracket', options);
+    case OpStr.BRACE:
+      return speechFence(args[0], 'brace', 'brace', options);
+    case OpStr.ANGLEBRACKET:
+      return speechFence(args[0], 'angle bracket', 'angle-bracket', options);
+    case OpStr.SET:
+      if (isMathSpeak) {
+        return speechFence(args[0], 'brace', 'brace', options);
+      }
+      return `${the}set ${isVerbose ? 'containing ' : ''}${args[0]}`;
+    case OpStr.INTERVAL:
+    case OpStr.INTERVALOPEN:
+    case OpStr.INTERVALLEFTOPEN:
+    case OpStr.INTERVALRIGHTOPEN:
+      return speechInterval(n, args, options);
+    case OpStr.ABS:
+      if (isMathSpeak) {
+        return `${marker.startAbs} ${args[0]} ${marker.endAbs}`;
+      }
+      return speechEnclosed(`${the}absolute value of ${args[0]}`, n.args[0], 'absolute value', options);
+    case OpStr.EVALAT:
+      return `${args[0]} ${isMathSpeak ? 'vertical-bar' : 'vertical bar'}`;
+    case OpStr.PIPE:
+      // [expr, _{sub}], as in x|_{x=3}
+      return `${ops[0]} evaluated at ${renderSpeech(n.args[1].args[0], options)}`;
+    case OpStr.PERCENT:
+    case OpStr.FACT:
+    case OpStr.DEGREE:
+      return `${ops[0]} ${op}`;
+    case OpStr.COMMA:
+    case OpStr.LIST:
+      return args.join(' comma ');
+    case OpStr.MATRIX:
+      return speechMatrix(n.args[0], options);
+    case OpStr.ROW:
+      return args.join(', ');
+    case OpStr.COL:
+      return args.join(' comma ');
+    case OpStr.QMARK:
+      return 'question mark';
+    case OpStr.ERROR:
+      return args.join(' ');
+    case OpStr.NONE:
+      return '';
+    default:
+      assert(op, `1000: Unimplemented operator translating to speech: ${n.op}`);
+      return speechInfix(n, ops, op, options);
+    }
+  }
+
+  function speechOperator(op) {
+    if (OpToSpeech[op]) {
+      return OpToSpeech[op];
+    }
+    if (negatedOps.indexOf(op) >= 0) {
+      const base = speechOperator(negatableOps[negatedOps.indexOf(op)]);
+      return base && (base.indexOf('is ') === 0 ? `is not ${base.slice(3)}` : `not ${base}`);
+    }
+    return null;
+  }
+
+  function speechInfix(node, ops, op, options) {
+    let text = '';
+    ops.forEach((value, index) => {
+      if (index === 0) {
+        text = value;
+      } else if (node.op === OpStr.ADD && isRepeatingPart(node.args, index)) {
+        // Sums flatten 0.\overline{3} into the terms 0. and 3.
+        text = speechRepeating(text, value, options);
+      } else {
+        text = `${text} ${op} ${value}`;
+      }
+    });
+    return text;
+  }
+
+  // Operands are fenced where the LaTeX rendering would add parentheses.
+  function speechOperand(node, index, text, options) {
+    const arg = node.args[index];
+    if (typeof arg !== 'object') {
+      return text;
+    }
+    const isLast = index === node.args.length - 1;
+    const prec = isPrefix(arg) && isLast && Prec.primaryExpr || precedence(arg, options);
+    return prec >= operandPrecedence(node, index, options) ? text : speechFence(text, 'paren', 'parenthesis', options);
+  }
+
+  function speechFence(text, name, mathSpeakName, options) {
+    if (options.style === 'mathspeak') {
+      return `left-${mathSpeakName} ${text} right-${mathSpeakName}`;
+    }
+    return `open ${name} ${text} close ${name}`;
+  }
+
+  // Verbose ClearSpeak ends phrases around compound args, as in 'the square
+  // root of x plus 1, end root'.
+  function speechEnclosed(text, arg, name, options) {
+    return options.verbosity === 'verbose' && !isSpeechAtom(arg) ? `${text}, end ${name},` : text;
+  }
+
+  // Check if a node is read as one word or number.
+  function isSpeechAtom(node) {
+    return node.op === OpStr.VAR || node.op === OpStr.IMAGINARY ||
+      node.op === OpStr.NUM && String(node.args[0]).indexOf('-') !== 0;
+  }
+
+  // sine of x, sine of open paren x plus 1 close paren
+  function speechApply(name, arg, text, options) {
+    const isGrouped = isSpeechAtom(arg) || arg.op === OpStr.PAREN;
+    const operand = isGrouped ? text : speechFence(text, 'paren', 'parenthesis', options);
+    return options.style === 'mathspeak' ? `${name} ${operand}` : `${name} of ${operand}`;
+  }
+
+  // The ordinal of an index, as in 'fourth' and 'n-th'.
+  function speechOrdinal(node, options) {
+    if (node.op === OpStr.NUM && /^[0-9]+$/.test(node.args[0])) {
+      const n = Number(node.args[0]);
+      return n < Ordinals.length ? Ordinals[n] : numberOrdinal(n);
+    }
+    return `${renderSpeech(node, options)}-th`;
+  }
+
+  // 1st, 2nd, 11th, 21st
+  function numberOrdinal(n) {
+    const suffix = n % 100 >= 11 && n % 100 <= 13 && 'th' || ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+    return `${n}${suffix}`;
+  }
+
+  function speechPower(node, args, ops, options) {
+    const marker = MathSpeakMarkers[options.verbosity];
+    const isMathSpeak = options.style === 'mathspeak';
+    if (args.length === 1) {
+      // ^2, as in _1^2 C.
+      return isMathSpeak ? `${marker.sup} ${args[0]} ${marker.base}` : `superscript ${args[0]}`;
+    }
+    const rhs = node.args[1];
+    if (rhs.op === OpStr.VAR && rhs.args[0].indexOf('\'') === 0) {
+      // f' is parsed as f^{'}.
+      const primes = rhs.args[0].length;
+      const count = ['', '', 'double ', 'triple '][primes];
+      return `${ops[0]} ${count === undefined ? `${primes} ` : count}prime`;
+    }
+    if (rhs.op === OpStr.NUM && (rhs.args[0] === '2' || rhs.args[0] === '3')) {
+      return `${ops[0]} ${rhs.args[0] === '2' ? 'squared' : 'cubed'}`;
+    }
+    if (isMathSpeak) {
+      return `${ops[0]} ${marker.sup} ${args[1]} ${marker.base}`;
+    }
+    if (rhs.op === OpStr.NUM && /^-?[0-9]+$/.test(rhs.args[0])) {
+      const sign = rhs.args[0].indexOf('-') === 0 ? 'negative ' : '';
+      const n = newNode(OpStr.NUM, [rhs.args[0].replace('-', '')]);
+      return `${ops[0]} to the ${sign}${speechOrdinal(n, options)} power`;
+    }
+    if (rhs.op === OpStr.VAR) {
+      return `${ops[0]} to the ${speechOrdinal(rhs, options)} power`;
+    }
+    if (options.verbosity === 'verbose') {
+      return `${ops[0]} raised to the exponent, ${args[1]}, end exponent,`;
+    }
+    return `${ops[0]} raised to the ${args[1]} power`;
+  }
+
+  // ClearSpeak reads common fractions such as 'three fourths', and fractions
+  // of words and numbers such as 'x over 2'.
+  function speechFraction(node, args, options) {
+    const [numerator, denominator] = node.args;
+    if (options.style === 'mathspeak') {
+      const marker = MathSpeakMarkers[options.verbosity];
+      if (isCommonFraction(numerator, denominator)) {
+        return `${args[0]}-${speechDenominator(denominator, numerator, options)}`;
+      }
+      return `${marker.startFrac} ${args[0]} ${marker.over} ${args[1]} ${marker.endFrac}`;
+    }
+    if (isCommonFraction(numerator, denominator)) {
+      return `${args[0]} ${speechDenominator(denominator, numerator, options)}`;
+    }
+    if (isSpeechAtom(numerator) && isSpeechAtom(denominator)) {
+      return `${args[0]} over ${args[1]}`;
+    }
+    if (options.verbosity === 'verbose') {
+      return `the fraction with numerator ${args[0]} and denominator ${args[1]}`;
+    }
+    return `${args[0]} over ${args[1]}, end fraction,`;
+  }
+
+  function isCommonFraction(numerator, denominator) {
+    const isInteger = (node) => node.op === OpStr.NUM && /^[0-9]+$/.test(node.args[0]);
+    return isInteger(numerator) && isInteger(denominator) &&
+      Number(numerator.args[0]) < 100 && Number(denominator.args[0]) >= 2 && Number(denominator.args[0]) <= 10;
+  }
+
+  function speechDenominator(denominator, numerator, options) {
+    const isPlural = numerator.args[0] !== '1';
+    if (denominator.args[0] === '2') {
+      return isPlural ? 'halves' : 'half';
+    }
+    return `${speechOrdinal(denominator, options)}${isPlural ? 's' : ''}`;
+  }
+
+  // 0.\overline{3} is 0 point 3 repeating.
+  function speechRepeating(whole, digits, options) {
+    const text = whole.replace(/\.$/, ' point');
+    if (options.style === 'mathspeak') {
+      const marker = MathSpeakMarkers[options.verbosity];
+      return `${text} ${marker.modAbove} ${digits} ${marker.with} bar`;
+    }
+    return `${text} ${digits} repeating`;
+  }
+
+  // [sub, sup, expr], [sub, expr], [expr]
+  function speechBigOp(name, args, ops, options) {
+    if (options.style === 'mathspeak') {
+      const marker = MathSpeakMarkers[options.verbosity];
+      switch (args.length) {
+      case 3:
+        return `${name} ${marker.under} ${args[0]} ${marker.overscript} ${args[1]} ${marker.endScripts} ${ops[2]}`;
+      case 2:
+        return `${name} ${marker.under} ${args[0]} ${marker.endScripts} ${ops[1]}`;
+      default:
+        return `${name} ${ops[0]}`;
+      }
+    }
+    const the = options.verbosity === 'verbose' ? 'the ' : '';
+    switch (args.length) {
+    case 3:
+      return `${the}${name} from ${args[0]} to ${args[1]} of ${ops[2]}`;
+    case 2:
+      return `${the}${name} over ${args[0]} of ${ops[1]}`;
+    default:
+      return `${the}${name} of ${ops[0]}`;
+    }
+  }
+
+  // ClearSpeak reads intervals as phrases, such as 'the open interval from a
+  // to b'. MathSpeak reads their delimiters.
+  function speechInterval(node, args, options) {
+    const isMathSpeak = options.style === 'mathspeak';
+    const endpoints = node.args[0];
+    const isOpen = (end) => node.op === OpStr.INTERVALOPEN ||
+      node.op === (end === 0 ? OpStr.INTERVALLEFTOPEN : OpStr.INTERVALRIGHTOPEN);
+    if (isMathSpeak || endpoints.op !== OpStr.COMMA || endpoints.args.length !== 2) {
+      const open = isOpen(0) ? 'paren' : 'bracket';
+      const close = isOpen(1) ? 'paren' : 'bracket';
+      if (isMathSpeak) {
+        const name = (fence) => (fence === 'paren' ? 'parenthesis' : fence);
+        return `left-${name(open)} ${args[0]} right-${name(close)}`;
+      }
+      return `open ${open} ${args[0]} close ${close}`;
+    }
+    const [a, b] = endpoints.args.map((arg) => renderSpeech(arg, options));
+    const the = options.verbosity === 'verbose' ? 'the ' : '';
+    switch (node.op) {
+    case OpStr.INTERVAL:
+      return `${the}closed interval from ${a} to ${b}`;
+    case OpStr.INTERVALOPEN:
+      return `${the}open interval from ${a} to ${b}`;
+    case OpStr.INTERVALLEFTOPEN:
+      return `${the}interval from ${a} to ${b}, not including ${a} but including ${b},`;
+    default:
+      return `${the}interval from ${a} to ${b}, including ${a} but not including ${b},`;
+    }
+  }
+
+  // A matrix row is a COL of cells, or a single cell.
+  function speechMatrix(node, options) {
+    const rows = node.args.map((row) => (row.op === OpStr.COL ? row.args : [row]));
+    const size = `${rows.length} by ${rows[0] && rows[0].length || 0}`;
+    const cell = (arg) => renderSpeech(arg, options);
+    if (options.style === 'mathspeak') {
+      const marker = MathSpeakMarkers[options.verbosity];
+      const nth = (index) => numberOrdinal(index + 1);
+      const body = rows.map((cells, row) => (
+        `${nth(row)} Row ${cells.map((arg, col) => `${nth(col)} Column ${cell(arg)}`).join(' ')}`
+      )).join(' ');
+      return `Start ${size.replace('by', 'By')} Matrix ${body} ${marker.endMatrix}`;
+    }
+    const body = rows.map((cells, row) => `row ${row + 1}: ${cells.map(cell).join(' comma ')}`).join('; ');
+    return `the ${size} matrix; ${body}`;
+  }
+
+  function speechIdentifier(name, isMathSpeak) {
+    let match;
+    if (name.indexOf('Delta_') === 0) {
+      // \Delta x
+      const rest = name.substring('Delta_'.length);
+      return `${isMathSpeak ? 'upper Delta' : 'delta'} ${rest && speechIdentifier(rest, isMathSpeak) || ''}`;
+    }
+    if ((match = /^\\degree ?([KCF]?)$/.exec(name))) {
+      return `degrees ${UnitToSpeech[match[1]] || ''}`;
+    }
+    if ((match = /^\\mu([gLms])$/.exec(name))) {
+      return `micro${UnitToSpeech[match[1]]}`;
+    }
+    const letter = name.replace(/^\\/, '');
+    if (isMathSpeak && /^[A-Z]/.test(letter) && (letter.length === 1 || name.indexOf('\\') === 0)) {
+      // upper A, upper Gamma
+      return `upper ${letter}`;
+    }
+    return letter;
+  }
+
+  // Render AST to Unicode braille cells in Nemeth Code or UEB Technical. The
+  // 'level' is the Nemeth level indicators of the enclosing scripts, as in
+  // '⠘⠰' for a subscript of a superscript. Indicators that depend on what
+  // follows are marked and resolved by finishBraille.
+  function renderBraille(n, options, level) {
+    if (typeof n !== 'object') {
+      return String(n);
+    }
+    const code = BrailleCodes[options.code];
+    const isNemeth = options.code === 'nemeth';
+    const annotation = n.args.length > 1 && n.args[n.args.length - 1];
+    if (annotation && (annotation.op === OpStr.OVERSET || annotation.op === OpStr.UNDERSET)) {
+      // \overset{a}{b} is b with a over it.
+      const base = { ...n, args: n.args.slice(0, n.args.length - 1) };
+      const mark = renderBraille(annotation.args[0], options, level);
+      const position = annotation.op === OpStr.OVERSET ? 'over' : 'under';
+      return brailleOver(base, renderBraille(base, options, level), mark, options, position);
+    }
+    const args = n.args.map((arg) => renderBraille(arg, options, level));
+    const ops = n.args.map((arg, index) => brailleOperand(n, index, args[index], options));
+    const op = brailleOperator(n.op, code);
+    const scripts = (base, list) => brailleScripts(base, list, options, level);
+    const word = (name) => brailleIdentifier(name, code);
+    switch (n.op) {
+    case OpStr.NUM:
+      return brailleNumber(n.args[0], code, isNemeth);
+    case OpStr.VAR:
+      return brailleIdentifier(n.args[0], code);
+    case OpStr.IMAGINARY:
+      return args[0];
+    case OpStr.TEXT:
+    case OpStr.TYPE:
+      return word(textOf(n.args[0]));
+    case OpStr.SUBSCRIPT: {
+      if (args.length === 1) {
+        // _1, as in _1^2 C.
+        return scripts('', [[code.sub, n.args[0]]]);
+      }
+      const [base, index] = n.args;
+      if (isNemeth && !level && base.op === OpStr.VAR && /^[a-zA-Z]$/.test(base.args[0]) &&
+          index.op === OpStr.NUM && /^[0-9]+$/.test(index.args[0])) {
+        // x_1 takes no subscript indicator.
+        return `${args[0]}${brailleDigits(index.args[0], code)}`;
+      }
+      // x_{1_{2}}
+      const sub = n.args.length > 2 ? newNode(OpStr.SUBSCRIPT, n.args.slice(1)) : index;
+      return scripts(ops[0], [[code.sub, sub]]);
+    }
+    case OpStr.POW: {
+      if (args.length === 1) {
+        // ^2, as in _1^2 C.
+        return scripts('', [[code.sup, n.args[0]]]);
+      }
+      const rhs = n.args[1];
+      if (rhs.op === OpStr.VAR && rhs.args[0].indexOf('\'') === 0) {
+        // f' is parsed as f^{'}.
+        return `${ops[0]}${code.prime.repeat(rhs.args[0].length)}`;
+      }
+      return scripts(ops[0], [[code.sup, rhs]]);
+    }
+    case OpStr.SUB:
+    case OpStr.PM:
+    case OpStr.ADD:
+    case OpStr.FORALL:
+    case OpStr.EXISTS:
+    case OpStr.NOT:
+    case OpStr.CAPRIGHTARROW:
+    case OpStr.RIGHTARROW:
+    case OpStr.LEFTARROW:
+    case OpStr.LONGRIGHTARROW:
+    case OpStr.LONGLEFTARROW:
+    case OpStr.CAPLEFTRIGHTARROW:
+    case OpStr.LEFTRIGHTARROW:
+    case OpStr.LONGLEFTRIGHTARROW:
+      if (n.isRepeating) {
+        // 0.\overline{3} is parsed as 0. + 3 with isRepeating set.
+        return brailleRepeating(args[0], n.args[1], args[1], options);
+      }
+      if (n.isMixedNumber) {
+        return `${args[0]}${brailleFraction(n.args[1], options, level, true)}`;
+      }
+      assert(op, `1000: Unimplemented operator translating to braille: ${n.op}`);
+      if (args.length === 1) {
+        return `${op}${ops[0]}`;
+      }
+      return brailleInfix(n, ops, op, options);
+    case OpStr.MUL:
+      if (n.isScientific) {
+        return brailleInfix(n, ops, code.ops[OpStr.TIMES], options);
+      }
+      // Juxtapose factors, except numbers, which would run together.
+      return ops.reduce((text, value, index) => (
+        n.args[index - 1].op === OpStr.NUM && n.args[index].op === OpStr.NUM ?
+          `${text}${code.ops[OpStr.CDOT]}${value}` : `${text}${value}`
+      ));
+    case OpStr.CUP:
+    case OpStr.CAP:
+      if (args.length === 2) {
+        return brailleInfix(n, ops, op, options);
+      }
+      return `${brailleLimits(op, n.args.slice(0, -1), options, level)}${ops[ops.length - 1]}`;
+    case OpStr.SUM:
+    case OpStr.PROD:
+      return `${brailleLimits(op, n.args.slice(0, -1), options, level)}${ops[ops.length - 1]}`;
+    case OpStr.BIGCUP:
+    case OpStr.BIGCAP: {
+      const symbol = code.ops[n.op === OpStr.BIGCUP ? OpStr.CUP : OpStr.CAP];
+      return `${brailleLimits(symbol, n.args.slice(0, -1), options, level)}${ops[ops.length - 1]}`;
+    }
+    case OpStr.LIM:
+      // [sub, expr], [expr]
+      return `${brailleLimits(word('lim'), n.args.slice(0, -1), options, level)}${code.space}${ops[ops.length - 1]}`;
+    case OpStr.INTEGRAL: {
+      // [lower, upper, expr, var], [lower, expr, var], [expr, var]
+      const limits = n.args.slice(0, -2).map((arg, index) => [index === 0 ? code.sub : code.sup, arg]);
+      const integral = limits.length > 0 ? scripts(op, limits) : op;
+      return `${integral}${ops[args.length - 2]}${word('d')}${args[args.length - 1]}`;
+    }
+    case OpStr.DERIV: {
+      // [expr, var, order]
+      const order = n.args[2];
+      const isFirstOrder = !order || order.op === OpStr.NUM && order.args[0] === '1';
+      const d = isFirstOrder ? word('d') : scripts(word('d'), [[code.sup, order]]);
+      const dx = isFirstOrder ? `${word('d')}${args[1]}` : scripts(`${word('d')}${args[1]}`, [[code.sup, order]]);
+      if (n.args[0].op === OpStr.VAR) {
+        return brailleFractionText(`${d}${args[0]}`, dx, 1, options);
+      }
+      return `${brailleFractionText(d, dx, 1, options)}${ops[0]}`;
+    }
+    case OpStr.FRAC:
+      if (isSlash(n, options)) {
+        return `${ops[0]}${code.slash}${ops[1]}`;
+      }
+      return brailleFraction(n, options, level, false);
+    case OpStr.BINOM:
+      return `${code.fences[40]}${args[0]}${code.under}${args[1]}${code.fences[41]}`;
+    case OpStr.SQRT:
+      return brailleRadical(n, options, level);
+    case OpStr.LOG: {
+      // The parser gives every log a base: \ln -> e, \log and \lg -> 10.
+      const base = n.args[0];
+      if (n.args.length === 1) {
+        return brailleApply(word('log'), n.args[0], args[0], code);
+      }
+      if (base.op === OpStr.VAR && base.args[0] === 'e') {
+        return brailleApply(word('ln'), n.args[1], args[1], code);
+      }
+      if (base.op === OpStr.NUM && base.args[0] === '10') {
+        return brailleApply(word('log'), n.args[1], args[1], code);
+      }
+      return brailleApply(scripts(word('log'), [[code.sub, base]]), n.args[1], args[1], code);
+    }
+    case OpStr.SIN:
+    case OpStr.COS:
+    case OpStr.TAN:
+    case OpStr.ARCSIN:
+    case OpStr.ARCCOS:
+    case OpStr.ARCTAN:
+    case OpStr.ARCSEC:
+    case OpStr.ARCCSC:
+    case OpStr.ARCCOT:
+    case OpStr.SEC:
+    case OpStr.COT:
+    case OpStr.CSC:
+    case OpStr.SINH:
+    case OpStr.COSH:
+    case OpStr.TANH:
+    case OpStr.ARCSINH:
+    case OpStr.ARCCOSH:
+    case OpStr.ARCTANH:
+    case OpStr.ARCSECH:
+    case OpStr.ARCCSCH:
+    case OpStr.ARCCOTH:
+    case OpStr.SECH:
+    case OpStr.COTH:
+    case OpStr.CSCH:
+    case OpStr.LN:
+    case OpStr.LG:
+    case OpStr.EXP:
+    case OpStr.M:
+    case OpStr.RE:
+    case OpStr.IM:
+    case OpStr.ARG:
+      return brailleApply(word(OpToLaTeX[n.op].replace(/^\\/, '')), n.args[0], args[0], code);
+    case OpStr.ATAN2:
+      return `${word('atan2')}${code.fences[40]}${args.join(`${code.comma}${code.space}`)}${code.fences[41]}`;
+    case OpStr.OPERATORNAME:
+      return brailleApply(word(textOf(n.args[0])), n.args[1], args[1], code);
+    case OpStr.OVERLINE:
+      return brailleOver(n.args[0], args[0], code.bar, options);
+    case OpStr.DOT:
+      return brailleOver(n.args[0], args[0], code.dot, options);
+    case OpStr.VEC:
+    case OpStr.OVERRIGHTARROW:
+      return brailleOver(n.args[0], args[0], code.arrow, options);
+    case OpStr.OVERLEFTARROW:
+      return brailleOver(n.args[0], args[0], code.relations[OpStr.LEFTARROW], options);
+    case OpStr.OVERLEFTRIGHTARROW:
+      return brailleOver(n.args[0], args[0], code.relations[OpStr.LEFTRIGHTARROW], options);
+    case OpStr.MATHBF:
+    case OpStr.HIGHLIGHT:
+    case OpStr.MATHFIELD:
+    case OpStr.FORMAT:
+      return args.join('');
+    case OpStr.DELTA:
+      return `${code.capitalGreek}${BrailleGreek.delta}${ops[0]}`;
+    case OpStr.PAREN:
+    case OpStr.INTERVALOPEN:
+      return brailleFence(n, args[0], 40, 41, code);
+    case OpStr.BRACKET:
+    case OpStr.INTERVAL:
+      return brailleFence(n, args[0], 91, 93, code);
+    case OpStr.INTERVALLEFTOPEN:
+      return brailleFence(n, args[0], 40, 93, code);
+    case OpStr.INTERVALRIGHTOPEN:
+      return brailleFence(n, args[0], 91, 41, code);
+    case OpStr.BRACE:
+      // Braces only group in LaTeX.
+      return args[0];
+    case OpStr.SET:
+      // The parser puts the set braces on the elements.
+      return brailleFence(n.args[0], args[0], TK_LEFTBRACESET, TK_RIGHTBRACESET, code);
+    case OpStr.ANGLEBRACKET:
+      return brailleFence(n, args[0], TK_LANGLE, TK_RANGLE, code);
+    case OpStr.ABS:
+      return brailleFence(n, args[0], 124, 124, code);
+    case OpStr.EVALAT:
+      return `${args[0]}${code.fences[124]}`;
+    case OpStr.PIPE:
+      // [expr, _{sub}], as in x|_{x=3}
+      return `${ops[0]}${code.fences[124]}${args[1]}`;
+    case OpStr.PERCENT:
+    case OpStr.FACT:
+      return `${ops[0]}${op}`;
+    case OpStr.DEGREE:
+      // The Nemeth degree sign is a superscript.
+      return isNemeth ? `${ops[0]}${op}${BrailleLevel}${level || code.baseline}` : `${ops[0]}${op}`;
+    case OpStr.COMMA:
+    case OpStr.LIST:
+      return args.join(`${code.comma}${code.space}`);
+    case OpStr.MATRIX:
+      return brailleMatrix(n, options, level);
+    case OpStr.ROW:
+      return args.join('\n');
+    case OpStr.COL:
+      return args.join(code.space);
+    case OpStr.QMARK:
+      return op;
+    case OpStr.ERROR:
+      return args.join(code.space);
+    case OpStr.NONE:
+      return '';
+    default:
+      assert(op, `1000: Unimplemented operator translating to braille: ${n.op}`);
+      return brailleInfix(n, ops, op, options);
+    }
+  }
+
+  // Resolve the indicators marked by renderBraille. Nemeth numerals take the
+  // numeric indicator only at the start of a line or after a space, other
+  // than the space after a comma, and spaces return to the baseline. UEB
+  // letters a-j take the grade 1 indicator after a numeral, since they would
+  // read as digits.
+  function finishBraille(text, name) {
+    const code = BrailleCodes[name];
+    if (name === 'ueb') {
+      return text
+        .replace(new RegExp(`${BrailleNumeralEnd}(?=[${BrailleDigitLetters}])`, 'g'), code.letter)
+        .split(BrailleNumeralEnd)
+        .join('');
+    }
+    const levels = `${code.baseline}${code.sup}${code.sub}`;
+    const numeral = `(^|\n|(?<!${code.comma})${code.space})(${code.ops[OpStr.SUB]}?)${BrailleNumeral}`;
+    // A level indicator followed by another one, or by a space, is dropped.
+    const levelText = text
+      .replace(new RegExp(`${BrailleLevel}[${levels}]*(?=${BrailleLevel}|${code.space}|\n|$)`, 'g'), '')
+      .split(BrailleLevel)
+      .join('');
+    const braille = levelText
+      .replace(new RegExp(numeral, 'g'), `$1$2${code.numeric}`)
+      .split(BrailleNumeral)
+      .join('');
+    // A letter on its own takes the English letter indicator.
+    return Object.values(BrailleLetters).indexOf(braille) >= 0 ? `${code.letter}${braille}` : braille;
+  }
+
+  function brailleOperator(op, code) {
+    if (code.ops[op] || code.relations[op]) {
+      return code.ops[op] || code.relations[op];
+    }
+    if (negatedOps.indexOf(op) >= 0) {
+      // Nemeth negates with a prefix and UEB with a following stroke.
+      const base = code.relations[negatableOps[negatedOps.indexOf(op)]];
+      return base && (code.negation ? `${code.negation}${base}` : `${base}${code.strike}`);
+    }
+    return null;
+  }
+
+  function isBrailleRelation(op, code) {
+    return !!code.relations[op] ||
+      negatedOps.indexOf(op) >= 0 && !!code.relations[negatableOps[negatedOps.indexOf(op)]];
+  }
+
+  // Relations and arrows are spaced, other operators are not.
+  function brailleInfix(node, ops, op, options) {
+    const code = BrailleCodes[options.code];
+    const infix = isBrailleRelation(node.op, code) ? `${code.space}${op}${code.space}` : op;
+    let text = '';
+    ops.forEach((value, index) => {
+      if (index === 0) {
+        text = value;
+      } else if (node.op === OpStr.ADD && isRepeatingPart(node.args, index)) {
+        // Sums flatten 0.\overline{3} into the terms 0. and 3.
+        text = brailleRepeating(text, node.args[index], value, options);
+      } else {
+        text = `${text}${infix}${value}`;
+      }
+    });
+    return text;
+  }
+
+  // Operands are grouped where the LaTeX rendering would add parentheses.
+  function brailleOperand(node, index, text, options) {
+    const arg = node.args[index];
+    if (typeof arg !== 'object') {
+      return text;
+    }
+    const isLast = index === node.args.length - 1;
+    const prec = isPrefix(arg) && isLast && Prec.primaryExpr || precedence(arg, options);
+    const code = BrailleCodes[options.code];
+    return prec >= operandPrecedence(node, index, options) ? text : `${code.fences[40]}${text}${code.fences[41]}`;
+  }
+
+  // The grouping symbols that the source used, or else those of the op.
+  // Invisible braces don't count.
+  function brailleFence(node, text, open, close, code) {
+    const lbrk = node.lbrk !== 123 && code.fences[node.lbrk] || code.fences[open];
+    const rbrk = node.rbrk !== 125 && code.fences[node.rbrk] || code.fences[close];
+    return `${lbrk}${text}${rbrk}`;
+  }
+
+  function brailleNumber(text, code, isNemeth) {
+    if (text === 'Infinity') {
+      return code.infinity;
+    }
+    const sign = text.indexOf('-') === 0 ? code.ops[OpStr.SUB] : '';
+    const digits = brailleDigits(text.replace(/^-/, ''), code);
+    return isNemeth ? `${sign}${BrailleNumeral}${digits}` : `${sign}${code.numeric}${digits}${BrailleNumeralEnd}`;
+  }
+
+  function brailleDigits(text, code) {
+    return [...text].map((c) => (
+      c >= '0' && c <= '9' && code.digits[c] || c === '.' && code.decimal || c === ',' && code.comma || c
+    )).join('');
+  }
+
+  function brailleIdentifier(name, code) {
+    let match;
+    if (name.indexOf('Delta_') === 0) {
+      // \Delta x
+      return `${code.capitalGreek}${BrailleGreek.delta}${brailleIdentifier(name.substring('Delta_'.length), code)}`;
+    }
+    if ((match = /^\\degree ?([KCF]?)$/.exec(name))) {
+      return `${code.ops[OpStr.DEGREE]}${brailleIdentifier(match[1], code)}`;
+    }
+    if ((match = /^\\mu([gLms])$/.exec(name))) {
+      return `${code.greek}${BrailleGreek.mu}${brailleIdentifier(match[1], code)}`;
+    }
+    const greek = name.indexOf('\\') === 0 && BrailleGreek[name.slice(1).replace(/^var/, '').toLowerCase()];
+    if (greek) {
+      return `${/^\\[A-Z]/.test(name) ? code.capitalGreek : code.greek}${greek}`;
+    }
+    return [...name.replace(/^\\/, '')].map((c) => {
+      if (BrailleLetters[c]) {
+        return BrailleLetters[c];
+      }
+      if (BrailleLetters[c.toLowerCase()]) {
+        return `${code.capital}${BrailleLetters[c.toLowerCase()]}`;
+      }
+      return c === ' ' ? code.space : brailleDigits(c, code);
+    }).join('');
+  }
+
+  // Nemeth scripts change the level until the level indicator that returns
+  // from them. UEB scripts apply to the next item, so longer scripts are
+  // grouped.
+  function brailleScripts(base, list, options, level) {
+    const code = BrailleCodes[options.code];
+    if (options.code === 'nemeth') {
+      const scripts = list.map(([indicator, node]) => (
+        `${level}${indicator}${renderBraille(node, options, `${level}${indicator}`)}`
+      )).join('');
+      return `${base}${scripts}${BrailleLevel}${level || code.baseline}`;
+    }
+    return `${base}${list.map(([indicator, node]) => (
+      `${indicator}${brailleItem(node, renderBraille(node, options, level), code)}`
+    )).join('')}`;
+  }
+
+  function brailleItem(node, text, code) {
+    return isBrailleItem(node) ? text : `${code.groupOpen}${text}${code.groupClose}`;
+  }
+
+  // Check if a node is one UEB item: a letter, a numeral or an enclosed
+  // expression.
+  function isBrailleItem(node) {
+    switch (node.op) {
+    case OpStr.VAR:
+      return node.args[0].length === 1 || BrailleGreek[node.args[0].slice(1)] !== undefined;
+    case OpStr.NUM:
+      return String(node.args[0]).indexOf('-') !== 0;
+    case OpStr.PAREN:
+    case OpStr.BRACKET:
+    case OpStr.SET:
+    case OpStr.ANGLEBRACKET:
+    case OpStr.ABS:
+    case OpStr.INTERVAL:
+    case OpStr.INTERVALOPEN:
+    case OpStr.INTERVALLEFTOPEN:
+    case OpStr.INTERVALRIGHTOPEN:
+    case OpStr.SQRT:
+    case OpStr.FRAC:
+      return !node.isSlash;
+    case OpStr.BRACE:
+      return isBrailleItem(node.args[0]);
+    default:
+      return false;
+    }
+  }
+
+  // sin x, sin(x+1)
+  function brailleApply(name, arg, text, code) {
+    if (arg.op === OpStr.PAREN) {
+      return `${name}${text}`;
+    }
+    const isAtom = arg.op === OpStr.VAR || arg.op === OpStr.NUM && arg.args[0].indexOf('-') !== 0;
+    return isAtom ? `${name}${code.space}${text}` : `${name}${code.fences[40]}${text}${code.fences[41]}`;
+  }
+
+  // Nemeth fractions that contain fractions are complex, and take a dot 6
+  // before their indicators for each level of nesting. Mixed numbers have
+  // their own indicators. UEB writes numeric fractions with the numeric
+  // indicator and a simple fraction line.
+  function brailleFraction(node, options, level, isMixed) {
+    const code = BrailleCodes[options.code];
+    const [numerator, denominator] = node.args;
+    const isNumeric = (arg) => arg.op === OpStr.NUM && /^[0-9]+$/.test(arg.args[0]);
+    if (options.code === 'ueb' && isNumeric(numerator) && isNumeric(denominator)) {
+      return `${code.numeric}${brailleDigits(numerator.args[0], code)}${code.numericFracLine}` +
+        `${brailleDigits(denominator.args[0], code)}${BrailleNumeralEnd}`;
+    }
+    const [num, den] = node.args.map((arg) => renderBraille(arg, options, level));
+    if (isMixed && options.code === 'nemeth') {
+      return `${code.mixed}${code.fracOpen}${num}${code.fracLine}${den}${code.mixed}${code.fracClose}`;
+    }
+    return brailleFractionText(num, den, brailleFractionDepth(node, options), options);
+  }
+
+  function brailleFractionText(num, den, depth, options) {
+    const code = BrailleCodes[options.code];
+    if (options.code === 'ueb') {
+      return `${code.fracOpen}${num}${code.fracLine}${den}${code.fracClose}`;
+    }
+    const complex = code.complex.repeat(depth - 1);
+    return `${complex}${code.fracOpen}${num}${complex}${code.fracLine}${den}${complex}${code.fracClose}`;
+  }
+
+  // The number of nested fractions, counting the node.
+  function brailleFractionDepth(node, options) {
+    if (typeof node !== 'object') {
+      return 0;
+    }
+    const depth = Math.max(0, ...node.args.map((arg) => brailleFractionDepth(arg, options)));
+    return node.op === OpStr.FRAC && !isSlash(node, options) ? depth + 1 : depth;
+  }
+
+  // Nemeth marks radicals inside radicals with a dot 46 for each level of
+  // nesting.
+  function brailleRadical(node, options, level) {
+    const code = BrailleCodes[options.code];
+    // The parser gives every root an index: \sqrt{x} -> [x, 2].
+    const index = node.args[1];
+    const isSquare = !index || index.op === OpStr.NUM && index.args[0] === '2';
+    const radicals = options.radicals || 0;
+    const radicand = renderBraille(node.args[0], { ...options, radicals: radicals + 1 }, level);
+    const indexText = !isSquare && renderBraille(index, options, level);
+    if (options.code === 'ueb') {
+      const root = isSquare ? '' : `${code.sup}${brailleItem(index, indexText, code)}`;
+      return `${code.radical}${root}${radicand}${code.radicalEnd}`;
+    }
+    const nested = code.nested.repeat(radicals);
+    const root = isSquare ? '' : `${code.index}${indexText}`;
+    return `${root}${nested}${code.radical}${radicand}${nested}${code.radicalEnd}`;
+  }
+
+  // Limits go under and over the operator: in Nemeth with the five-step
+  // modifier, in UEB with the directly under and over indicators.
+  // [sub, sup], [sub], []
+  function brailleLimits(symbol, limits, options, level) {
+    const code = BrailleCodes[options.code];
+    if (limits.length === 0) {
+      return symbol;
+    }
+    const [under, over] = limits.map((arg) => renderBraille(arg, options, level));
+    if (options.code === 'ueb') {
+      const overText = over === undefined ? '' : `${code.over}${brailleItem(limits[1], over, code)}`;
+      return `${symbol}${code.under}${brailleItem(limits[0], under, code)}${overText}`;
+    }
+    const overText = over === undefined ? '' : `${code.over}${over}`;
+    return `${code.modify}${symbol}${code.under}${under}${overText}${code.modifyEnd}`;
+  }
+
+  // x bar, x with an arrow above, or with position 'under', below.
+  function brailleOver(node, text, mark, options, position = 'over') {
+    const code = BrailleCodes[options.code];
+    if (options.code === 'ueb') {
+      return `${brailleItem(node, text, code)}${mark === code.bar ? '' : code[position]}${mark}`;
+    }
+    return `${code.modify}${text}${code[position]}${mark}${code.modifyEnd}`;
+  }
+
+  // 0.\overline{3}, with the digits for the repeating part.
+  function brailleRepeating(whole, digits, text, options) {
+    const code = BrailleCodes[options.code];
+    if (options.code === 'ueb') {
+      const repeating = brailleDigits(String(digits.args[0]), code);
+      const item = repeating.length === 1 ? repeating : `${code.groupOpen}${repeating}${code.groupClose}`;
+      return `${whole.split(BrailleNumeralEnd).join('')}${item}${code.bar}`;
+    }
+    return `${whole}${code.modify}${text}${code.over}${code.bar}${code.modifyEnd}`;
+  }
+
+  // Braille has no spatial layout here, so each row of a matrix is a line
+  // with its own grouping symbols.
+  function brailleMatrix(node, options, level) {
+    const code = BrailleCodes[options.code];
+    const rows = node.args[0].args.map((row) => (row.op === OpStr.COL ? row.args : [row]));
+    return rows.map((cells) => {
+      const text = cells.map((cell) => renderBraille(cell, options, level)).join(code.space);
+      return brailleFence(node, text, 91, 93, code);
+    }).join('\n');
+  }
+
+  // The SymPy functions of ops that apply to one argument.
+  const OpToSymPy = {};
+  [
+    [OpStr.SIN, 'sin'], [OpStr.COS, 'cos'], [OpStr.TAN, 'tan'], [OpStr.SEC, 'sec'], [OpStr.CSC, 'csc'],
+    [OpStr.COT, 'cot'], [OpStr.ARCSIN, 'asin'], [OpStr.ARCCOS, 'acos'], [OpStr.ARCTAN, 'atan'],
+    [OpStr.ARCSEC, 'asec'], [OpStr.ARCCSC, 'acsc'], [OpStr.ARCCOT, 'acot'], [OpStr.SINH, 'sinh'],
+    [OpStr.COSH, 'cosh'], [OpStr.TANH, 'tanh'], [OpStr.SECH, 'sech'], [OpStr.CSCH, 'csch'],
+    [OpStr.COTH, 'coth'], [OpStr.ARCSINH, 'asinh'], [OpStr.ARCCOSH, 'acosh'], [OpStr.ARCTANH, 'atanh'],
+    [OpStr.ARCSECH, 'asech'], [OpStr.ARCCSCH, 'acsch'], [OpStr.ARCCOTH, 'acoth'], [OpStr.LN, 'log'],
+    [OpStr.EXP, 'exp'], [OpStr.ABS, 'Abs'], [OpStr.FACT, 'factorial'], [OpStr.RE, 're'], [OpStr.IM, 'im'],
+    [OpStr.ARG, 'arg'], [OpStr.OVERLINE, 'conjugate'],
+  ].forEach(([op, name]) => {
+    OpToSymPy[op] = name;
+  });
+
+  // The SymPy classes of relations.
+  const RelationToSymPy = {
+    [OpStr.EQL]: 'Eq',
+    [OpStr.NE]: 'Ne',
+    [OpStr.LT]: 'Lt',
+    [OpStr.LE]: 'Le',
+    [OpStr.GT]: 'Gt',
+    [OpStr.GE]: 'Ge',
+  };
+
+  // The SymPy names of constants and Greek letters that differ from theirs.
+  const SymPyNames = {
+    e: 'E',
+    '\\pi': 'pi',
+    '\\lambda': 'lamda',
+    '\\degree': '(pi/180)',
+  };
+
+  // Python binding strength of what renderSymPy writes for each node.
+  const PyPrec = {
+    add: 1,
+    mul: 2,
+    unary: 3,
+    pow: 4,
+    atom: 5,
+  };
+
+  // Render AST to a Python expression that constructs the SymPy object, as
+  // in 'Integral(sin(x), (x, 0, pi))'. Variables are written as names, so
+  // the expression is meant for sympify() or a namespace with the symbols.
+  // Integer literals are written as Python ints, so quotients of numbers are
+  // written as Rational() or S(), since int division makes floats. Ops that
+  // have no SymPy counterpart throw with the path of their node from the
+  // root, such as 'root.args[1].args[0]'. Args are rendered as used, because
+  // some are parts of their parent, such as the 'x \to 0' of a limit.
+  function renderSymPy(n, options, path) {
+    const unmapped = () => (
+      `1000: Unimplemented operator translating to SymPy: ${n.op} at ${['root', ...path.map((i) => `args[${i}]`)].join('.')}`
+    );
+    assert(typeof n === 'object', unmapped());
+    const raw = (index) => renderSymPy(n.args[index], options, [...path, index]);
+    const operand = (index, prec) => sympyOperand(n.args[index], raw(index), prec);
+    // Call arguments need no parentheses of their own.
+    const arg = (index) => (
+      n.args[index].op === OpStr.PAREN ? renderSymPy(n.args[index].args[0], options, [...path, index, 0]) : raw(index)
+    );
+    const args = () => n.args.map((a, index) => arg(index));
+    const apply = (name, list) => `${name}(${list.join(', ')})`;
+    switch (n.op) {
+    case OpStr.NUM:
+      return sympyNumber(n.args[0]);
+    case OpStr.VAR:
+      assert(/^\\?[a-zA-Z][a-zA-Z0-9]*$/.test(n.args[0]), unmapped());
+      return SymPyNames[n.args[0]] || n.args[0].replace(/^\\(var)?/, '');
+    case OpStr.IMAGINARY:
+      return 'I';
+    case OpStr.SUBSCRIPT:
+      // x_1 is the symbol x_1.
+      assert(n.args.length === 2 && n.args[0].op === OpStr.VAR &&
+        (n.args[1].op === OpStr.VAR || n.args[1].op === OpStr.NUM && /^[0-9]+$/.test(n.args[1].args[0])), unmapped());
+      return `${arg(0)}_${arg(1)}`;
+    case OpStr.POW:
+      assert(n.args.length === 2, unmapped());
+      return `${sympyNumeric(n.args[0], n.args[1], arg(0)) || operand(0, PyPrec.atom)}**${operand(1, PyPrec.unary)}`;
+    case OpStr.ADD:
+      if (n.isRepeating) {
+        // 0.\overline{3} is parsed as 0. + 3 with isRepeating set.
+        return sympyRepeating(n.args[0].args[0], n.args[1].args[0]);
+      }
+      return n.args.map((a, index) => (
+        index > 0 && isRepeatingPart(n.args, index) ? null : operand(index, PyPrec.add)
+      )).filter((text) => text !== null).join(' + ');
+    case OpStr.SUB:
+      if (n.args.length === 1) {
+        return `-${operand(0, PyPrec.unary)}`;
+      }
+      return n.args.map((a, index) => operand(index, index === 0 ? PyPrec.add : PyPrec.mul)).join(' - ');
+    case OpStr.MUL:
+    case OpStr.TIMES:
+    case OpStr.CDOT:
+      return n.args.map((a, index) => operand(index, PyPrec.mul)).join('*');
+    case OpStr.FRAC:
+    case OpStr.DIV:
+      // a\div b\div c is one DIV: a/b/c.
+      return [
+        sympyQuotient(n.args[0], n.args[1], arg(0), operand(0, PyPrec.mul), operand(1, PyPrec.unary)),
+        ...n.args.slice(2).map((a, index) => operand(index + 2, PyPrec.unary)),
+      ].join('/');
+    case OpStr.PERCENT:
+      return sympyQuotient(n.args[0], newNode(OpStr.NUM, ['100']), arg(0), operand(0, PyPrec.mul), '100');
+    case OpStr.DEGREE:
+      return `${operand(0, PyPrec.mul)}*pi/180`;
+    case OpStr.EQL:
+    case OpStr.NE:
+    case OpStr.LT:
+    case OpStr.LE:
+    case OpStr.GT:
+    case OpStr.GE:
+      assert(n.args.length === 2, unmapped());
+      return apply(RelationToSymPy[n.op], args());
+    case OpStr.SQRT:
+      // The parser gives every root an index: \sqrt{x} -> [x, 2].
+      if (n.args.length === 1 || n.args[1].op === OpStr.NUM && n.args[1].args[0] === '2') {
+        return apply('sqrt', [arg(0)]);
+      }
+      return apply('root', [arg(0), arg(1)]);
+    case OpStr.LOG: {
+      // The parser gives every log a base: \ln -> e, \log and \lg -> 10.
+      if (n.args.length === 1) {
+        return apply('log', [arg(0), '10']);
+      }
+      const base = n.args[0];
+      return base.op === OpStr.VAR && base.args[0] === 'e' ? apply('log', [arg(1)]) : apply('log', [arg(1), arg(0)]);
+    }
+    case OpStr.LG:
+      return apply('log', [arg(0), '10']);
+    case OpStr.ATAN2:
+      return apply('atan2', args());
+    case OpStr.BINOM:
+      return apply('binomial', args());
+    case OpStr.OPERATORNAME:
+      assert(/^[a-zA-Z]+$/.test(textOf(n.args[0])), unmapped());
+      return `Function('${textOf(n.args[0])}')(${arg(1)})`;
+    case OpStr.INTEGRAL: {
+      // [lower, upper, expr, var], [expr, var]
+      assert(n.args.length === 4 || n.args.length === 2, unmapped());
+      const list = args();
+      if (list.length === 2) {
+        return apply('Integral', list);
+      }
+      return apply('Integral', [list[2], `(${list[3]}, ${list[0]}, ${list[1]})`]);
+    }
+    case OpStr.DERIV: {
+      // [expr, var, order]
+      const order = n.args[2];
+      const isFirstOrder = !order || order.op === OpStr.NUM && order.args[0] === '1';
+      return apply('Derivative', [arg(0), isFirstOrder ? arg(1) : `(${arg(1)}, ${arg(2)})`]);
+    }
+    case OpStr.SUM:
+    case OpStr.PROD: {
+      // [i = a, b, expr]
+      const index = n.args[0];
+      assert(n.args.length === 3 && index.op === OpStr.EQL && index.args.length === 2, unmapped());
+      const i = renderSymPy(index.args[0], options, [...path, 0, 0]);
+      const a = renderSymPy(index.args[1], options, [...path, 0, 1]);
+      return apply(n.op === OpStr.SUM ? 'Sum' : 'Product', [arg(2), `(${i}, ${a}, ${arg(1)})`]);
+    }
+    case OpStr.LIM: {
+      // [x \to a, expr]
+      const to = n.args[0];
+      assert(n.args.length === 2 && to.op === OpStr.TO && to.args.length === 2, unmapped());
+      const x = renderSymPy(to.args[0], options, [...path, 0, 0]);
+      const a = renderSymPy(to.args[1], options, [...path, 0, 1]);
+      return apply('Limit', [arg(1), x, a]);
+    }
+    case OpStr.INTERVAL:
+      return apply('Interval', sympyElements(n, options, path));
+    case OpStr.INTERVALOPEN:
+      return apply('Interval.open', sympyElements(n, options, path));
+    case OpStr.INTERVALLEFTOPEN:
+      return apply('Interval.Lopen', sympyElements(n, options, path));
+    case OpStr.INTERVALRIGHTOPEN:
+      return apply('Interval.Ropen', sympyElements(n, options, path));
+    case OpStr.SET:
+      return apply('FiniteSet', sympyElements(n, options, path));
+    case OpStr.CUP:
+      assert(n.args.length === 2, unmapped());
+      return apply('Union', args());
+    case OpStr.CAP:
+      assert(n.args.length === 2, unmapped());
+      return apply('Intersection', args());
+    case OpStr.BACKSLASH:
+      return apply('Complement', args());
+    case OpStr.IN:
+      return apply('Contains', args());
+    case OpStr.MATRIX: {
+      // A matrix row is a COL of cells, or a single cell.
+      const rows = n.args[0].args.map((row, index) => (
+        row.op === OpStr.COL ?
+          row.args.map((cell, col) => renderSymPy(cell, options, [...path, 0, index, col])) :
+          [renderSymPy(row, options, [...path, 0, index])]
+      ));
+      return `Matrix([${rows.map((cells) => `[${cells.join(', ')}]`).join(', ')}])`;
+    }
+    case OpStr.PAREN:
+    case OpStr.BRACKET:
+      // (1, 2) is a tuple.
+      return `(${arg(0)})`;
+    case OpStr.BRACE:
+    case OpStr.MATHBF:
+      return arg(0);
+    case OpStr.COMMA:
+      // a < b < c is parsed as a < b, b < c.
+      if (n.args.every((a) => RelationToSymPy[a.op])) {
+        return apply('And', args());
+      }
+      return args().join(', ');
+    default:
+      assert(OpToSymPy[n.op], unmapped());
+      return apply(OpToSymPy[n.op], args());
+    }
+  }
+
+  // Operands are parenthesized where Python would bind them otherwise.
+  function sympyOperand(node, text, prec) {
+    return sympyPrecedence(node) >= prec ? text : `(${text})`;
+  }
+
+  function sympyPrecedence(node) {
+    switch (node.op) {
+    case OpStr.NUM:
+      return node.args[0].indexOf('-') === 0 ? PyPrec.unary : PyPrec.atom;
+    case OpStr.ADD:
+      return node.isRepeating ? PyPrec.atom : PyPrec.add;
+    case OpStr.SUB:
+      return node.args.length === 1 ? PyPrec.unary : PyPrec.add;
+    case OpStr.MUL:
+    case OpStr.TIMES:
+    case OpStr.CDOT:
+    case OpStr.PERCENT:
+    case OpStr.DEGREE:
+      return PyPrec.mul;
+    case OpStr.FRAC:
+    case OpStr.DIV:
+      return isIntegerNode(node.args[0]) && isIntegerNode(node.args[1]) ? PyPrec.atom : PyPrec.mul;
+    case OpStr.POW:
+      return PyPrec.pow;
+    case OpStr.COMMA:
+      return 0;
+    default:
+      return PyPrec.atom;
+    }
+  }
+
+  function isIntegerNode(node) {
+    return node.op === OpStr.NUM && /^-?[0-9]+$/.test(node.args[0]);
+  }
+
+  // Check if a node has no variables, so that Python would evaluate it.
+  function isNumericNode(node) {
+    if (typeof node !== 'object') {
+      return false;
+    }
+    return node.op === OpStr.NUM || node.op !== OpStr.VAR && node.args.every(isNumericNode);
+  }
+
+  function sympyNumber(text) {
+    if (text === 'Infinity') {
+      return 'oo';
+    }
+    if (/^-?[0-9]+$/.test(text)) {
+      return text;
+    }
+    // Decimals keep their digits.
+    return `Float('${text}')`;
+  }
+
+  // Numbers that Python would raise to a power or divide are made SymPy
+  // numbers first, or else null.
+  function sympyNumeric(node, other, text) {
+    return isNumericNode(node) && isNumericNode(other) && !/^Float\(/.test(text) ? `S(${text})` : null;
+  }
+
+  function sympyQuotient(numerator, denominator, text, num, den) {
+    if (isIntegerNode(numerator) && isIntegerNode(denominator)) {
+      return `Rational(${numerator.args[0]}, ${denominator.args[0]})`;
+    }
+    return `${sympyNumeric(numerator, denominator, text) || num}/${den}`;
+  }
+
+  function sympyRepeating(whole, digits) {
+    const [n, d] = repeatingFraction(whole, digits);
+    return `Rational(${n}, ${d})`;
+  }
+
+  // The endpoints of an interval or the elements of a set.
+  function sympyElements(node, options, path) {
+    const elts = node.args[0];
+    if (elts.op === OpStr.COMMA || elts.op === OpStr.LIST) {
+      return elts.args.map((elt, index) => renderSymPy(elt, options, [...path, 0, index]));
+    }
+    return elementsOf(elts).map((elt) => renderSymPy(elt, options, [...path, 0]));
+  }
+
+  // The JS functions of ops that apply to one argument. The reciprocal
+  // functions, which Math lacks, are in JSRuntime.
+  const OpToJS = {};
+  [
+    [OpStr.SIN, 'Math.sin'], [OpStr.COS, 'Math.cos'], [OpStr.TAN, 'Math.tan'], [OpStr.SEC, '$.sec'],
+    [OpStr.CSC, '$.csc'], [OpStr.COT, '$.cot'], [OpStr.ARCSIN, 'Math.asin'], [OpStr.ARCCOS, 'Math.acos'],
+    [OpStr.ARCTAN, 'Math.atan'], [OpStr.ARCSEC, '$.asec'], [OpStr.ARCCSC, '$.acsc'], [OpStr.ARCCOT, '$.acot'],
+    [OpStr.SINH, 'Math.sinh'], [OpStr.COSH, 'Math.cosh'], [OpStr.TANH, 'Math.tanh'], [OpStr.SECH, '$.sech'],
+    [OpStr.CSCH, '$.csch'], [OpStr.COTH, '$.coth'], [OpStr.ARCSINH, 'Math.asinh'], [OpStr.ARCCOSH, 'Math.acosh'],
+    [OpStr.ARCTANH, 'Math.atanh'], [OpStr.ARCSECH, '$.asech'], [OpStr.ARCCSCH, '$.acsch'],
+    [OpStr.ARCCOTH, '$.acoth'], [OpStr.LN, 'Math.log'], [OpStr.LG, 'Math.log10'], [OpStr.EXP, 'Math.exp'],
+    [OpStr.ABS, 'Math.abs'], [OpStr.FACT, '$.fact'],
+  ].forEach(([op, name]) => {
+    OpToJS[op] = name;
+  });
+
+  // The JS values of constants.
+  const JSConstants = {
+    e: 'Math.E',
+    '\\pi': 'Math.PI',
+    '\\degree': '(Math.PI/180)',
+  };
+
+  // Functions that compiled code calls as '$.name'.
+  const JSRuntime = {
+    sec: (x) => 1 / Math.cos(x),
+    csc: (x) => 1 / Math.sin(x),
+    cot: (x) => 1 / Math.tan(x),
+    asec: (x) => Math.acos(1 / x),
+    acsc: (x) => Math.asin(1 / x),
+    acot: (x) => Math.atan(1 / x),
+    sech: (x) => 1 / Math.cosh(x),
+    csch: (x) => 1 / Math.sinh(x),
+    coth: (x) => 1 / Math.tanh(x),
+    asech: (x) => Math.acosh(1 / x),
+    acsch: (x) => Math.asinh(1 / x),
+    acoth: (x) => Math.atanh(1 / x),
+    // Odd roots of negative numbers are real.
+    root: (x, n) => (x < 0 && n % 2 === 1 ? -((-x) ** (1 / n)) : x ** (1 / n)),
+    fact: (x) => {
+      if (!Number.isInteger(x) || x < 0) {
+        return NaN;
+      }
+      let value = 1;
+      for (let i = 2; i <= x && value < Infinity; i++) {
+        value *= i;
+      }
+      return value;
+    },
+    binom: (n, k) => JSRuntime.fact(n) / (JSRuntime.fact(k) * JSRuntime.fact(n - k)),
+  };
+
+  // Render AST to a JS expression of the params in the context, which are
+  // named p0, p1, ... in order. Every compound is parenthesized, so operands
+  // never need precedence checks. The context's branch picks the sign of each
+  // \pm, the nth \pm rendered taking the nth bit, and pms counts them. Ops
+  // that have no numeric meaning throw with the path of their node from the
+  // root, as in renderSymPy.
+  function renderJS(n, context, path) {
+    const at = ['root', ...path.map((i) => `args[${i}]`)].join('.');
+    const unmapped = () => `1000: Unimplemented operator compiling to JavaScript: ${n.op} at ${at}`;
+    assert(typeof n === 'object', unmapped());
+    const arg = (index) => renderJS(n.args[index], context, [...path, index]);
+    const args = () => n.args.map((a, index) => arg(index));
+    const apply = (name, list) => `${name}(${list.join(', ')})`;
+    switch (n.op) {
+    case OpStr.NUM: {
+      const value = Number(n.args[0]);
+      assert(!Number.isNaN(value), unmapped());
+      return value < 0 ? `(${value})` : String(value);
+    }
+    case OpStr.VAR:
+    case OpStr.SUBSCRIPT: {
+      const name = bindingName(n);
+      const index = context.params.indexOf(name);
+      if (index >= 0) {
+        return `p${index}`;
+      }
+      assert(JSConstants[name], `1000: Unbound variable compiling to JavaScript: ${name || n.op} at ${at}`);
+      return JSConstants[name];
+    }
+    case OpStr.POW:
+      assert(n.args.length === 2, unmapped());
+      if (n.args[0].op === OpStr.VAR && n.args[0].args[0] === 'e' && context.params.indexOf('e') < 0) {
+        return apply('Math.exp', [arg(1)]);
+      }
+      return `(${arg(0)}**${arg(1)})`;
+    case OpStr.ADD:
+      if (n.isRepeating) {
+        return String(jsRepeating(n.args[0].args[0], n.args[1].args[0]));
+      }
+      return `(${n.args.map((a, index) => {
+        if (index + 1 < n.args.length && isRepeatingPart(n.args, index + 1)) {
+          return String(jsRepeating(a.args[0], n.args[index + 1].args[0]));
+        }
+        return isRepeatingPart(n.args, index) ? null : arg(index);
+      }).filter((text) => text !== null).join('+')})`;
+    case OpStr.SUB:
+      if (n.args.length === 1) {
+        return `(-${arg(0)})`;
+      }
+      return `(${args().join('-')})`;
+    case OpStr.PM: {
+      // The first branch takes the plus.
+      const sign = Math.floor(context.branch / 2 ** context.pms++) % 2 ? '-' : '+';
+      if (n.args.length === 1) {
+        return `(${sign}${arg(0)})`;
+      }
+      assert(n.args.length === 2, unmapped());
+      return `(${arg(0)}${sign}${arg(1)})`;
+    }
+    case OpStr.MUL:
+    case OpStr.TIMES:
+    case OpStr.CDOT:
+      return `(${args().join('*')})`;
+    case OpStr.FRAC:
+    case OpStr.DIV:
+      return `(${args().join('/')})`;
+    case OpStr.PERCENT:
+      return `(${arg(0)}/100)`;
+    case OpStr.DEGREE:
+      return `(${arg(0)}*Math.PI/180)`;
+    case OpStr.SQRT: {
+      // The parser gives every root an index: \sqrt{x} -> [x, 2].
+      const index = n.args.length === 1 ? '2' : n.args[1].op === OpStr.NUM && n.args[1].args[0];
+      if (index === '2') {
+        return apply('Math.sqrt', [arg(0)]);
+      }
+      if (index === '3') {
+        return apply('Math.cbrt', [arg(0)]);
+      }
+      return apply('$.root', args());
+    }
+    case OpStr.LOG: {
+      // The parser gives every log a base: \ln -> e, \log and \lg -> 10.
+      if (n.args.length === 1) {
+        return apply('Math.log10', [arg(0)]);
+      }
+      const base = n.args[0];
+      const name = base.op === OpStr.NUM && { 2: 'Math.log2', 10: 'Math.log10' }[base.args[0]] ||
+        base.op === OpStr.VAR && base.args[0] === 'e' && context.params.indexOf('e') < 0 && 'Math.log';
+      if (name) {
+        return apply(name, [arg(1)]);
+      }
+      return `(Math.log(${arg(1)})/Math.log(${arg(0)}))`;
+    }
+    case OpStr.ATAN2:
+      return apply('Math.atan2', args());
+    case OpStr.BINOM:
+      return apply('$.binom', args());
+    case OpStr.PAREN:
+    case OpStr.BRACKET:
+    case OpStr.BRACE:
+      assert(n.args.length === 1, unmapped());
+      return arg(0);
+    default:
+      assert(OpToJS[n.op] && n.args.length === 1, unmapped());
+      return apply(OpToJS[n.op], args());
+    }
+  }
+
+  // The name that params and bindings give a variable, such as 'x', '\theta' or 'x_1'.
+  function bindingName(node) {
+    if (node.op === OpStr.VAR) {
+      return node.args[0];
+    }
+    const [base, sub] = node.args;
+    if (node.args.length === 2 && base.op === OpStr.VAR && (sub.op === OpStr.VAR || sub.op === OpStr.NUM)) {
+      return `${base.args[0]}_${sub.args[0]}`;
+    }
+    return null;
+  }
+
+  // 0.1\overline{6} is 0.1666... to the precision of a number.
+  function jsRepeating(whole, digits) {
+    return Number(`${whole}${digits.repeat(Math.ceil(17 / digits.length))}`);
+  }
+
+  // The Decimal functions of trig ops, of the sine and cosine of the angle.
+  const DecimalTrig = {
+    [OpStr.SIN]: (sin) => sin,
+    [OpStr.COS]: (sin, cos) => cos,
+    [OpStr.TAN]: (sin, cos) => sin.div(cos),
+    [OpStr.SEC]: (sin, cos) => cos.pow(-1),
+    [OpStr.CSC]: (sin) => sin.pow(-1),
+    [OpStr.COT]: (sin, cos) => cos.div(sin),
+  };
+
+  // The Decimal functions of inverse trig ops, which give an angle in radians.
+  const DecimalArcTrig = {
+    [OpStr.ARCSIN]: (x) => x.asin(),
+    [OpStr.ARCCOS]: (x) => x.acos(),
+    [OpStr.ARCTAN]: (x) => x.atan(),
+    [OpStr.ARCSEC]: (x) => x.pow(-1).acos(),
+    [OpStr.ARCCSC]: (x) => x.pow(-1).asin(),
+    [OpStr.ARCCOT]: (x) => x.pow(-1).atan(),
+  };
+
+  // The Decimal functions of other ops that apply to one argument.
+  const DecimalFunctions = {
+    [OpStr.SINH]: (x) => x.sinh(),
+    [OpStr.COSH]: (x) => x.cosh(),
+    [OpStr.TANH]: (x) => x.tanh(),
+    [OpStr.SECH]: (x) => x.cosh().pow(-1),
+    [OpStr.CSCH]: (x) => x.sinh().pow(-1),
+    [OpStr.COTH]: (x) => x.tanh().pow(-1),
+    [OpStr.ARCSINH]: (x) => x.asinh(),
+    [OpStr.ARCCOSH]: (x) => x.acosh(),
+    [OpStr.ARCTANH]: (x) => x.atanh(),
+    [OpStr.ARCSECH]: (x) => x.pow(-1).acosh(),
+    [OpStr.ARCCSCH]: (x) => x.pow(-1).asinh(),
+    [OpStr.ARCCOTH]: (x) => x.pow(-1).atanh(),
+    [OpStr.LN]: (x) => x.ln(),
+    [OpStr.LG]: (x) => x.log(10),
+    [OpStr.EXP]: (x) => x.exp(),
+    [OpStr.ABS]: (x) => x.abs(),
+  };
+
+  // Throw an EvaluateError for message code unless cond, at node n.
+  function evaluateAssert(cond, code, args, n, path) {
+    if (!cond) {
+      throw new EvaluateError(message(code, args), {
+        code,
+        args,
+        path,
+        span: n && n.span,
+      });
+    }
+  }
+
+  // Evaluate AST to a Decimal of the context's constructor. The context's
+  // degree is the value of a degree in its angle unit, angle is the value of
+  // that unit in radians, and epsilon is the relative rounding error of a
+  // value. A NaN, or an infinity from finite arguments, is a domain violation
+  // of the op that made it.
+  function evaluateDecimal(n, context, path) {
+    const at = ['root', ...path.map((i) => `args[${i}]`)].join('.');
+    const unmapped = () => `1000: Unimplemented operator evaluating: ${n.op} at ${at}`;
+    assert(typeof n === 'object', unmapped());
+    const { D } = context;
+    const arg = (index) => evaluateDecimal(n.args[index], context, [...path, index]);
+    const args = () => n.args.map((a, index) => arg(index));
+    const divide = (x, y) => {
+      evaluateAssert(!y.isZero(), 1015, [at], n, path);
+      return defined(x.div(y));
+    };
+    const defined = (value) => {
+      evaluateAssert(!value.isNaN(), 1016, [n.op, at], n, path);
+      return value;
+    };
+    const checked = (value, list) => {
+      const isDomain = !value.isNaN() && (value.isFinite() || list.some((x) => !x.isFinite()));
+      evaluateAssert(isDomain, 1016, [n.op, at], n, path);
+      return value;
+    };
+    switch (n.op) {
+    case OpStr.NUM:
+      assert(!Number.isNaN(Number(n.args[0])), unmapped());
+      return new D(n.args[0]);
+    case OpStr.VAR:
+    case OpStr.SUBSCRIPT: {
+      const name = bindingName(n);
+      if (Object.prototype.hasOwnProperty.call(context.bindings, name)) {
+        return new D(context.bindings[name]);
+      }
+      const value = decimalConstant(name, context);
+      evaluateAssert(value, 1017, [name || n.op, at], n, path);
+      return value;
+    }
+    case OpStr.ADD:
+      if (n.isRepeating) {
+        return decimalRepeating(D, n.args[0].args[0], n.args[1].args[0]);
+      }
+      return defined(n.args.reduce((sum, a, index) => {
+        if (index + 1 < n.args.length && isRepeatingPart(n.args, index + 1)) {
+          return sum.plus(decimalRepeating(D, a.args[0], n.args[index + 1].args[0]));
+        }
+        return isRepeatingPart(n.args, index) ? sum : sum.plus(arg(index));
+      }, new D(0)));
+    case OpStr.SUB: {
+      const [first, ...rest] = args();
+      return rest.length === 0 ? first.neg() : defined(rest.reduce((x, y) => x.minus(y), first));
+    }
+    case OpStr.MUL:
+    case OpStr.TIMES:
+    case OpStr.CDOT:
+      return defined(args().reduce((x, y) => x.times(y)));
+    case OpStr.FRAC:
+    case OpStr.DIV: {
+      const [first, ...rest] = args();
+      return rest.reduce(divide, first);
+    }
+    case OpStr.POW: {
+      const [x, y] = args();
+      evaluateAssert(!x.isZero() || !y.isNegative(), 1015, [at], n, path);
+      return checked(decimalPower(x, y, n.args[1]), [x, y]);
+    }
+    case OpStr.SQRT: {
+      // The parser gives every root an index: \sqrt{x} -> [x, 2].
+      const [x, index = new D(2)] = args();
+      evaluateAssert(!index.isZero(), 1016, [n.op, at], n, path);
+      return checked(decimalRoot(x, index), [x, index]);
+    }
+    case OpStr.LOG: {
+      // The parser gives every log a base: \ln -> e, \log and \lg -> 10.
+      const [base, x] = n.args.length === 1 ? [new D(10), arg(0)] : args();
+      const isDomain = x.isPositive() && !x.isZero() && base.isPositive() && !base.isZero() && !base.eq(1);
+      evaluateAssert(isDomain, 1016, [n.op, at], n, path);
+      return x.log(base);
+    }
+    case OpStr.FACT: {
+      const x = arg(0);
+      evaluateAssert(x.isInteger() && !x.isNegative(), 1016, [n.op, at], n, path);
+      return decimalFactorial(D, x);
+    }
+    case OpStr.BINOM: {
+      const [x, k] = args();
+      evaluateAssert(x.isInteger() && !x.isNegative() && k.isInteger() && !k.isNegative(), 1016, [n.op, at], n, path);
+      if (k.gt(x)) {
+        return new D(0);
+      }
+      return decimalFactorial(D, x).div(decimalFactorial(D, k).times(decimalFactorial(D, x.minus(k))));
+    }
+    case OpStr.PERCENT:
+      return arg(0).div(100);
+    case OpStr.DEGREE:
+      return arg(0).times(context.degree);
+    case OpStr.ATAN2: {
+      const [y, x] = args();
+      evaluateAssert(!y.isZero() || !x.isZero(), 1016, [n.op, at], n, path);
+      return D.atan2(y, x).div(context.angle);
+    }
+    case OpStr.PAREN:
+    case OpStr.BRACKET:
+    case OpStr.BRACE:
+      assert(n.args.length === 1, unmapped());
+      return arg(0);
+    default: {
+      const isFunction = DecimalTrig[n.op] || DecimalArcTrig[n.op] || DecimalFunctions[n.op];
+      assert(isFunction && n.args.length === 1, unmapped());
+      const x = arg(0);
+      return checked(decimalFunction(n.op, x, context), [x]);
+    }
+    }
+  }
+
+  // The context of evaluateDecimal() for the options of evaluate().
+  function decimalContext(bindings, options) {
+    const precision = Model.option(options, 'precision') || 20;
+    const angleUnit = Model.option(options, 'angleUnit') || 'rad';
+    assert(angleUnit === 'rad' || angleUnit === 'deg', `1000: Unknown angle unit: ${angleUnit}`);
+    // Guard digits keep values such as \sin 30\degree from rounding off.
+    const D = Decimal.clone({ precision: precision + 5 });
+    const degree = D.acos(-1).div(180);
+    const angle = angleUnit === 'deg' ? degree : new D(1);
+    return {
+      D,
+      bindings,
+      precision,
+      degree: degree.div(angle),
+      angle,
+      epsilon: new D(10).pow(-precision),
+    };
+  }
+
+  // The value of a constant, or else null.
+  function decimalConstant(name, context) {
+    const { D } = context;
+    switch (name) {
+    case 'e':
+      return new D(1).exp();
+    case '\\pi':
+      return D.acos(-1);
+    case '\\degree':
+      return context.degree;
+    default:
+      return null;
+    }
+  }
+
+  // Apply the Decimal function of a one argument op, giving NaN outside its
+  // domain.
+  function decimalFunction(op, x, context) {
+    if (DecimalTrig[op]) {
+      // A sine or cosine that is zero but for the rounding of the angle, as in
+      // \cos 90\degree, is zero, so that \tan 90\degree is a pole. The
+      // rounding grows with the angle, while \sin 10^{-25} is not rounding.
+      const angle = x.times(context.angle);
+      const scale = angle.abs().times(context.epsilon);
+      const zeroed = (value) => (value.abs().lt(scale) ? new context.D(0) : value);
+      return DecimalTrig[op](zeroed(angle.sin()), zeroed(angle.cos()));
+    }
+    if (DecimalArcTrig[op]) {
+      return DecimalArcTrig[op](x).div(context.angle);
+    }
+    return DecimalFunctions[op](x);
+  }
+
+  // x^y, where (-8)^{1/3} is the real cube root.
+  function decimalPower(x, y, exponent) {
+    const [p, q] = exponent.op === OpStr.FRAC ? exponent.args : [];
+    if (x.isNegative() && !y.isInteger() && q && isIntegerNode(p) && isIntegerNode(q)) {
+      return decimalRoot(x, new x.constructor(q.args[0])).pow(p.args[0]);
+    }
+    return x.pow(y);
+  }
+
+  // The nth root, which is real for odd n and negative x.
+  function decimalRoot(x, n) {
+    if (x.isNegative() && n.isInteger() && n.mod(2).abs().eq(1)) {
+      return x.neg().pow(n.pow(-1)).neg();
+    }
+    return x.pow(n.pow(-1));
+  }
+
+  function decimalFactorial(D, x) {
+    let value = new D(1);
+    for (let i = new D(2); i.lte(x); i = i.plus(1)) {
+      value = value.times(i);
+    }
+    return value;
+  }
+
+  function decimalRepeating(D, whole, digits) {
+    const [n, d] = repeatingFraction(whole, digits);
+    return new D(String(n)).div(String(d));
+  }
+
+  // The complex functions of ops that apply to one argument, for args that
+  // are not real or are outside the real domain. Epsilon is the relative
+  // rounding error of the context, below which sines and cosines are zero as
+  // in decimalFunction(), so that \tan\frac{\pi}{2} is a pole.
+  const ComplexFunctions = {
+    [OpStr.SIN]: (z, epsilon) => complexZeroed({
+      re: z.re.sin().times(z.im.cosh()),
+      im: z.re.cos().times(z.im.sinh()),
+    }, z, epsilon),
+    [OpStr.COS]: (z, epsilon) => complexZeroed({
+      re: z.re.cos().times(z.im.cosh()),
+      im: z.re.sin().times(z.im.sinh()).neg(),
+    }, z, epsilon),
+    [OpStr.SINH]: (z, epsilon) => complexZeroed({
+      re: z.re.sinh().times(z.im.cos()),
+      im: z.re.cosh().times(z.im.sin()),
+    }, z, epsilon),
+    [OpStr.COSH]: (z, epsilon) => complexZeroed({
+      re: z.re.cosh().times(z.im.cos()),
+      im: z.re.sinh().times(z.im.sin()),
+    }, z, epsilon),
+    [OpStr.EXP]: complexExp,
+    [OpStr.LN]: complexLn,
+    [OpStr.LG]: (z) => complexDiv(complexLn(z), complexLn(complexReal(z.re.constructor, 10))),
+  };
+  [
+    [OpStr.TAN, OpStr.SIN, OpStr.COS], [OpStr.TANH, OpStr.SINH, OpStr.COSH],
+    [OpStr.COT, OpStr.COS, OpStr.SIN], [OpStr.COTH, OpStr.COSH, OpStr.SINH],
+  ].forEach(([op, numerator, denominator]) => {
+    ComplexFunctions[op] = (z, epsilon) => complexDiv(
+      ComplexFunctions[numerator](z, epsilon),
+      ComplexFunctions[denominator](z, epsilon),
+    );
+  });
+  [
+    [OpStr.SEC, OpStr.COS], [OpStr.CSC, OpStr.SIN], [OpStr.SECH, OpStr.COSH], [OpStr.CSCH, OpStr.SINH],
+  ].forEach(([op, reciprocal]) => {
+    ComplexFunctions[op] = (z, epsilon) => (
+      complexDiv(complexReal(z.re.constructor, 1), ComplexFunctions[reciprocal](z, epsilon))
+    );
+  });
+
+  // The value w of a function at z, with the parts that are zero but for the
+  // rounding of z made zero.
+  function complexZeroed(w, z, epsilon) {
+    const D = z.re.constructor;
+    const scale = D.max(z.re.abs(), z.im.abs()).times(epsilon);
+    const zeroed = (x) => (x.abs().lt(scale) ? new D(0) : x);
+    return { re: zeroed(w.re), im: zeroed(w.im) };
+  }
+
+  // Evaluate AST to a complex value { re, im } of Decimals with the context
+  // of evaluateDecimal(). Ops apply as real ops where their args are real
+  // and they are defined, and else as complex ops.
+  function evaluateComplexDecimal(n, context, path) {
+    const at = ['root', ...path.map((i) => `args[${i}]`)].join('.');
+    const unmapped = () => `1000: Unimplemented operator evaluating: ${n.op} at ${at}`;
+    assert(typeof n === 'object', unmapped());
+    const { D } = context;
+    const arg = (index) => evaluateComplexDecimal(n.args[index], context, [...path, index]);
+    const args = () => n.args.map((a, index) => arg(index));
+    const real = (x) => complexReal(D, x);
+    const isReal = (z) => z.im.isZero();
+    const isZero = (z) => z.re.isZero() && z.im.isZero();
+    const defined = (z) => {
+      evaluateAssert(!z.re.isNaN() && !z.im.isNaN(), 1016, [n.op, at], n, path);
+      return z;
+    };
+    // Real args of factorials and binomials.
+    const reals = () => args().map((z) => {
+      evaluateAssert(isReal(z), 1016, [n.op, at], n, path);
+      return z.re;
+    });
+    const divide = (z, w) => {
+      evaluateAssert(!isZero(w), 1015, [at], n, path);
+      return defined(complexDiv(z, w));
+    };
+    // A real value, or else null where it is NaN or an infinity of finite args.
+    const realOrNull = (value, list) => (
+      !value.isNaN() && (value.isFinite() || list.some((x) => !x.isFinite())) ? real(value) : null
+    );
+    switch (n.op) {
+    case OpStr.NUM:
+      assert(!Number.isNaN(Number(n.args[0])), unmapped());
+      return real(new D(n.args[0]));
+    case OpStr.IMAGINARY:
+      return { re: new D(0), im: new D(1) };
+    case OpStr.VAR:
+    case OpStr.SUBSCRIPT: {
+      const name = bindingName(n);
+      if (Object.prototype.hasOwnProperty.call(context.bindings, name)) {
+        const value = context.bindings[name];
+        return typeof value === 'object' && !(value instanceof Decimal) ?
+          { re: new D(value.re || 0), im: new D(value.im || 0) } :
+          real(new D(value));
+      }
+      const value = decimalConstant(name, context);
+      evaluateAssert(value, 1017, [name || n.op, at], n, path);
+      return real(value);
+    }
+    case OpStr.ADD:
+      if (n.isRepeating) {
+        return real(decimalRepeating(D, n.args[0].args[0], n.args[1].args[0]));
+      }
+      return defined(n.args.reduce((sum, a, index) => {
+        if (index + 1 < n.args.length && isRepeatingPart(n.args, index + 1)) {
+          return complexAdd(sum, real(decimalRepeating(D, a.args[0], n.args[index + 1].args[0])));
+        }
+        return isRepeatingPart(n.args, index) ? sum : complexAdd(sum, arg(index));
+      }, real(new D(0))));
+    case OpStr.SUB: {
+      const [first, ...rest] = args();
+      if (rest.length === 0) {
+        return { re: first.re.neg(), im: first.im.neg() };
+      }
+      return defined(rest.reduce((z, w) => complexAdd(z, { re: w.re.neg(), im: w.im.neg() }), first));
+    }
+    case OpStr.MUL:
+    case OpStr.TIMES:
+    case OpStr.CDOT:
+      return defined(args().reduce(complexMul));
+    case OpStr.FRAC:
+    case OpStr.DIV: {
+      const [first, ...rest] = args();
+      return rest.reduce(divide, first);
+    }
+    case OpStr.PERCENT:
+      return divide(arg(0), real(new D(100)));
+    case OpStr.DEGREE:
+      return complexMul(arg(0), real(context.degree));
+    case OpStr.OVERLINE: {
+      const z = arg(0);
+      return { re: z.re, im: z.im.neg() };
+    }
+    case OpStr.RE:
+      return real(arg(0).re);
+    case OpStr.IM:
+      return real(arg(0).im);
+    case OpStr.ABS: {
+      const z = arg(0);
+      return real(z.re.pow(2).plus(z.im.pow(2)).sqrt());
+    }
+    case OpStr.ARG: {
+      const z = arg(0);
+      evaluateAssert(!isZero(z), 1016, [n.op, at], n, path);
+      return real(complexArg(z).div(context.angle));
+    }
+    case OpStr.POW: {
+      const [z, w] = args();
+      evaluateAssert(!isZero(z) || !w.re.isNegative(), 1015, [at], n, path);
+      evaluateAssert(!isZero(z) || !w.re.isZero() || isReal(w), 1016, [n.op, at], n, path);
+      const value = isReal(z) && isReal(w) && realOrNull(decimalPower(z.re, w.re, n.args[1]), [z.re, w.re]);
+      return value || defined(complexPow(z, w));
+    }
+    case OpStr.SQRT: {
+      // The parser gives every root an index: \sqrt{x} -> [x, 2].
+      const [z, k = real(new D(2))] = args();
+      evaluateAssert(isReal(k) && !k.re.isZero(), 1016, [n.op, at], n, path);
+      const value = isReal(z) && realOrNull(decimalRoot(z.re, k.re), [z.re, k.re]);
+      if (value) {
+        return value;
+      }
+      return defined(k.re.eq(2) ? complexSqrt(z) : complexPow(z, real(k.re.pow(-1))));
+    }
+    case OpStr.LOG: {
+      // The parser gives every log a base: \ln -> e, \log and \lg -> 10.
+      const [b, z] = n.args.length === 1 ? [real(new D(10)), arg(0)] : args();
+      evaluateAssert(!isZero(z) && !isZero(b) && !(isReal(b) && b.re.eq(1)), 1016, [n.op, at], n, path);
+      if (isReal(b) && isReal(z) && b.re.isPositive() && z.re.isPositive()) {
+        return real(z.re.log(b.re));
+      }
+      return divide(complexLn(z), complexLn(b));
+    }
+    case OpStr.FACT: {
+      const [x] = reals();
+      evaluateAssert(x.isInteger() && !x.isNegative(), 1016, [n.op, at], n, path);
+      return real(decimalFactorial(D, x));
+    }
+    case OpStr.BINOM: {
+      const [x, k] = reals();
+      evaluateAssert(x.isInteger() && !x.isNegative() && k.isInteger() && !k.isNegative(), 1016, [n.op, at], n, path);
+      if (k.gt(x)) {
+        return real(new D(0));
+      }
+      return real(decimalFactorial(D, x).div(decimalFactorial(D, k).times(decimalFactorial(D, x.minus(k)))));
+    }
+    case OpStr.ATAN2: {
+      const [y, x] = reals();
+      evaluateAssert(!y.isZero() || !x.isZero(), 1016, [n.op, at], n, path);
+      return real(D.atan2(y, x).div(context.angle));
+    }
+    case OpStr.PAREN:
+    case OpStr.BRACKET:
+    case OpStr.BRACE:
+      assert(n.args.length === 1, unmapped());
+      return arg(0);
+    default: {
+      const isFunction = DecimalTrig[n.op] || DecimalArcTrig[n.op] || DecimalFunctions[n.op];
+      assert(isFunction && n.args.length === 1, unmapped());
+      const z = arg(0);
+      const value = isReal(z) && realOrNull(decimalFunction(n.op, z.re, context), [z.re]);
+      if (value) {
+        return value;
+      }
+      evaluateAssert(ComplexFunctions[n.op], 1016, [n.op, at], n, path);
+      // Trig functions take angles in the context's unit.
+      const angle = DecimalTrig[n.op] ? context.angle : new D(1);
+      const w = ComplexFunctions[n.op]({ re: z.re.times(angle), im: z.im.times(angle) }, context.epsilon);
+      evaluateAssert(w.re.isFinite() && w.im.isFinite(), 1016, [n.op, at], n, path);
+      return w;
+    }
+    }
+  }
+
+  function complexReal(D, x) {
+    return { re: new D(x), im: new D(0) };
+  }
+
+  function complexAdd(z, w) {
+    return { re: z.re.plus(w.re), im: z.im.plus(w.im) };
+  }
+
+  function complexMul(z, w) {
+    return {
+      re: z.re.times(w.re).minus(z.im.times(w.im)),
+      im: z.re.times(w.im).plus(z.im.times(w.re)),
+    };
+  }
+
+  function complexDiv(z, w) {
+    const d = w.re.pow(2).plus(w.im.pow(2));
+    return {
+      re: z.re.times(w.re).plus(z.im.times(w.im)).div(d),
+      im: z.im.times(w.re).minus(z.re.times(w.im)).div(d),
+    };
+  }
+
+  function complexExp(z) {
+    const r = z.re.exp();
+    return { re: r.times(z.im.cos()), im: r.times(z.im.sin()) };
+  }
+
+  // The principal argument, in (-pi, pi].
+  function complexArg(z) {
+    const D = z.re.constructor;
+    // The -0 of -4 would give -pi.
+    return D.atan2(z.im.isZero() ? new D(0) : z.im, z.re);
+  }
+
+  function complexLn(z) {
+    return { re: z.re.pow(2).plus(z.im.pow(2)).sqrt().ln(), im: complexArg(z) };
+  }
+
+  // The principal square root, computed so that \sqrt{-4} is exactly 2i.
+  function complexSqrt(z) {
+    const r = z.re.pow(2).plus(z.im.pow(2)).sqrt();
+    const im = r.minus(z.re).div(2).sqrt();
+    return { re: r.plus(z.re).div(2).sqrt(), im: z.im.lt(0) ? im.neg() : im };
+  }
+
+  // z^w, by repeated squaring for integer w, so that (1+i)^2 is exactly 2i.
+  function complexPow(z, w) {
+    const D = z.re.constructor;
+    if (w.im.isZero() && w.re.isInteger() && w.re.abs().lte(1e6)) {
+      let value = complexReal(D, 1);
+      let base = z;
+      for (let k = w.re.abs(); k.gt(0); k = k.div(2).floor()) {
+        if (k.mod(2).eq(1)) {
+          value = complexMul(value, base);
+        }
+        base = complexMul(base, base);
+      }
+      return w.re.isNegative() ? complexDiv(complexReal(D, 1), value) : value;
+    }
+    if (z.re.isZero() && z.im.isZero()) {
+      return complexReal(D, 0);
+    }
+    return complexExp(complexMul(w, complexLn(z)));
+  }
+
+  // The numerator and denominator of a repeating decimal, where
+  // 0.1\overline{6} is (16 - 1)/90.
+  function repeatingFraction(whole, digits) {
+    const [integer, fraction = ''] = whole.split('.');
+    const n = BigInt(`${integer}${fraction}${digits}`) - BigInt(`${integer}${fraction}`);
+    const d = BigInt(`${'9'.repeat(digits.length)}${'0'.repeat(fraction.length)}`);
+    return [n, d];
+  }
+
+  // Evaluate AST to an exact value, which maps each square free radicand to
+  // its coefficient, a normalized [numerator, denominator] pair of BigInts.
+  // Rationals have the radicand 1 and zero is {}, so 1 - \frac{\sqrt{8}}{3}
+  // is { 1: [1n, 1n], 2: [-2n, 3n] }.
+  function exactValue(n, context, path) {
+    const at = ['root', ...path.map((i) => `args[${i}]`)].join('.');
+    const inexact = (cond) => evaluateAssert(cond, 1018, [n.op, at], n, path);
+    inexact(typeof n === 'object');
+    const arg = (index) => exactValue(n.args[index], context, [...path, index]);
+    const args = () => n.args.map((a, index) => arg(index));
+    // Args of factorials, binomials and root indexes must be naturals.
+    const natural = (x) => {
+      const [p, q] = exactRational(x) || [];
+      evaluateAssert(q === 1n && p >= 0n, 1016, [n.op, at], n, path);
+      return p;
+    };
+    const root = (x, k) => {
+      const [p] = exactRational(x) || [];
+      evaluateAssert(!(p < 0n && k % 2n === 0n), 1016, [n.op, at], n, path);
+      const value = exactRoot(x, k);
+      inexact(value);
+      return value;
+    };
+    const inverse = (x) => {
+      evaluateAssert(exactTerms(x).length > 0, 1015, [at], n, path);
+      const value = exactInverse(x);
+      inexact(value);
+      return value;
+    };
+    switch (n.op) {
+    case OpStr.NUM: {
+      const match = /^(-?)([0-9]*)\.?([0-9]*)$/.exec(n.args[0]);
+      inexact(match && /[0-9]/.test(n.args[0]));
+      const [, sign, integer, fraction] = match;
+      return exactNumber(BigInt(`${sign}${integer}${fraction}`), 10n ** BigInt(fraction.length));
+    }
+    case OpStr.VAR:
+    case OpStr.SUBSCRIPT: {
+      const name = bindingName(n);
+      if (Object.prototype.hasOwnProperty.call(context.bindings, name)) {
+        const value = context.bindings[name];
+        if (typeof value === 'string') {
+          return exactValue(Model.create({}, value), { bindings: {} }, []);
+        }
+        // Numbers and Decimals, such as 1e-7, are the decimals they print as.
+        const exact = exactDecimal(new Decimal(value));
+        evaluateAssert(exact, 1018, [name, at], n, path);
+        return exact;
+      }
+      evaluateAssert(!JSConstants[name], 1018, [name, at], n, path);
+      evaluateAssert(false, 1017, [name || n.op, at], n, path);
+      return null;
+    }
+    case OpStr.ADD:
+      if (n.isRepeating) {
+        return exactNumber(...repeatingFraction(n.args[0].args[0], n.args[1].args[0]));
+      }
+      return n.args.reduce((sum, a, index) => {
+        if (index + 1 < n.args.length && isRepeatingPart(n.args, index + 1)) {
+          return exactAdd(sum, exactNumber(...repeatingFraction(a.args[0], n.args[index + 1].args[0])));
+        }
+        return isRepeatingPart(n.args, index) ? sum : exactAdd(sum, arg(index));
+      }, {});
+    case OpStr.SUB: {
+      const [first, ...rest] = args();
+      if (rest.length === 0) {
+        return exactMul(first, exactNumber(-1n));
+      }
+      return rest.reduce((x, y) => exactAdd(x, exactMul(y, exactNumber(-1n))), first);
+    }
+    case OpStr.MUL:
+    case OpStr.TIMES:
+    case OpStr.CDOT:
+      return args().reduce(exactMul);
+    case OpStr.FRAC:
+    case OpStr.DIV: {
+      const [first, ...rest] = args();
+      return rest.reduce((x, y) => exactMul(x, inverse(y)), first);
+    }
+    case OpStr.PERCENT:
+      return exactMul(arg(0), exactNumber(1n, 100n));
+    case OpStr.POW: {
+      // x^{p/q} is the qth root of x to the p.
+      const [x, y] = args();
+      const exponent = exactRational(y);
+      inexact(exponent);
+      const [p, q] = exponent;
+      const base = q === 1n ? x : root(x, q);
+      return exactPower(p < 0n ? inverse(base) : base, p < 0n ? -p : p);
+    }
+    case OpStr.SQRT: {
+      // The parser gives every root an index: \sqrt{x} -> [x, 2].
+      const index = n.args.length === 1 ? 2n : natural(arg(1));
+      evaluateAssert(index > 0n, 1016, [n.op, at], n, path);
+      return root(arg(0), index);
+    }
+    case OpStr.ABS: {
+      const x = arg(0);
+      return exactSign(x) < 0 ? exactMul(x, exactNumber(-1n)) : x;
+    }
+    case OpStr.FACT:
+      return exactNumber(exactFactorial(natural(arg(0))));
+    case OpStr.BINOM: {
+      const [x, k] = args().map(natural);
+      if (k > x) {
+        return {};
+      }
+      return exactNumber(exactFactorial(x), exactFactorial(k) * exactFactorial(x - k));
+    }
+    case OpStr.PAREN:
+    case OpStr.BRACKET:
+    case OpStr.BRACE:
+      inexact(n.args.length === 1);
+      return arg(0);
+    default:
+      inexact(false);
+      return null;
+    }
+  }
+
+  // The [radicand, coefficient] pairs of an exact value, radicands ascending.
+  function exactTerms(x) {
+    return Object.keys(x)
+      .map((r) => [BigInt(r), x[r]])
+      .sort(([a], [b]) => (a < b ? -1 : 1));
+  }
+
+  // The [numerator, denominator] of a rational exact value, or else null.
+  function exactRational(x) {
+    const terms = exactTerms(x);
+    if (terms.length === 0) {
+      return [0n, 1n];
+    }
+    const [[r, c]] = terms;
+    return terms.length === 1 && r === 1n ? c : null;
+  }
+
+  function exactGcd(a, b) {
+    let [x, y] = [a < 0n ? -a : a, b < 0n ? -b : b];
+    while (y) {
+      [x, y] = [y, x % y];
+    }
+    return x;
+  }
+
+  function exactNumber(n, d = 1n) {
+    if (n === 0n) {
+      return {};
+    }
+    const g = exactGcd(n, d) * (d < 0n ? -1n : 1n);
+    return { 1: [n / g, d / g] };
+  }
+
+  // The exact value of a finite Decimal, or else null.
+  function exactDecimal(x) {
+    if (!x.isFinite()) {
+      return null;
+    }
+    const [integer, fraction = ''] = x.toFixed().split('.');
+    return exactNumber(BigInt(`${integer}${fraction}`), 10n ** BigInt(fraction.length));
+  }
+
+  // The sign of an exact value, -1, 0 or 1. Surds with different square-free
+  // radicands are independent, so a sum of them is zero only if each term
+  // is, and else has the sign of a close enough approximation.
+  function exactSign(x) {
+    const terms = exactTerms(x);
+    if (terms.length === 0) {
+      return 0;
+    }
+    if (terms.length === 1) {
+      return terms[0][1][0] < 0n ? -1 : 1;
+    }
+    const D = Decimal.clone({ precision: 60 });
+    const sum = terms.reduce((value, [r, [n, d]]) => (
+      value.plus(new D(String(n)).times(new D(String(r)).sqrt()).div(String(d)))
+    ), new D(0));
+    return sum.isNegative() ? -1 : 1;
+  }
+
+  function exactAdd(x, y) {
+    const sum = { ...x };
+    Object.keys(y).forEach((r) => {
+      const [n, d] = y[r];
+      const [n0, d0] = sum[r] || [0n, 1n];
+      const { 1: c } = exactNumber(n0 * d + n * d0, d0 * d);
+      if (c) {
+        sum[r] = c;
+      } else {
+        delete sum[r];
+      }
+    });
+    return sum;
+  }
+
+  // \sqrt{a}\sqrt{b} is s\sqrt{f} where ab = s^2 f.
+  function exactMul(x, y) {
+    let product = {};
+    exactTerms(x).forEach(([r0, [n0, d0]]) => {
+      exactTerms(y).forEach(([r1, [n1, d1]]) => {
+        const [s, f] = exactSquareFree(r0 * r1);
+        const { 1: c } = exactNumber(n0 * n1 * s, d0 * d1);
+        product = exactAdd(product, { [f]: c });
+      });
+    });
+    return product;
+  }
+
+  // 1/(p + q) is (p - q)/(p^2 - q^2), where p^2 and q^2 are rational for
+  // terms p and q. Sums of more terms have no inverse here, so are null.
+  function exactInverse(x) {
+    const terms = exactTerms(x).map(([r, c]) => ({ [r]: c }));
+    if (terms.length > 2) {
+      return null;
+    }
+    const [p, q = {}] = terms;
+    const conjugate = exactAdd(p, exactMul(q, exactNumber(-1n)));
+    const { 1: [n, d] } = exactMul(conjugate, x);
+    return exactMul(conjugate, exactNumber(d, n));
+  }
+
+  function exactPower(x, k) {
+    let value = exactNumber(1n);
+    for (let i = 0n; i < k; i++) {
+      value = exactMul(value, x);
+    }
+    return value;
+  }
+
+  // The kth root of a rational, which is a surd only for square roots. Other
+  // irrational roots, and roots of surds, are null.
+  function exactRoot(x, k) {
+    const [n, d] = exactRational(x) || [];
+    if (d === undefined) {
+      return null;
+    }
+    if (n === 0n) {
+      return {};
+    }
+    if (k === 2n) {
+      // \sqrt{n/d} is \sqrt{nd}/d.
+      const [s, f] = exactSquareFree(n * d);
+      const { 1: c } = exactNumber(s, d);
+      return { [f]: c };
+    }
+    const [a, b] = [exactIntegerRoot(n < 0n ? -n : n, k), exactIntegerRoot(d, k)];
+    return a !== null && b !== null ? exactNumber(n < 0n ? -a : a, b) : null;
+  }
+
+  function exactIntegerRoot(n, k) {
+    const guess = Math.round(Number(n) ** (1 / Number(k)));
+    if (!Number.isFinite(guess)) {
+      return null;
+    }
+    const root = [-1n, 0n, 1n].map((i) => BigInt(guess) + i).find((a) => a >= 0n && a ** k === n);
+    return root === undefined ? null : root;
+  }
+
+  // Split n into s^2 f with f square free, finding the square factors of
+  // all but large primes.
+  function exactSquareFree(n) {
+    let [s, f] = [1n, n];
+    for (let p = 2n; p * p <= f && p < 10000n; p++) {
+      while (f % (p * p) === 0n) {
+        [s, f] = [s * p, f / (p * p)];
+      }
+    }
+    const root = exactIntegerRoot(f, 2n);
+    return root !== null && f > 1n ? [s * root, 1n] : [s, f];
+  }
+
+  function exactFactorial(n) {
+    let value = 1n;
+    for (let i = 2n; i <= n; i++) {
+      value *= i;
+    }
+    return value;
+  }
+
+  function exactToLaTeX(x) {
+    const text = exactTerms(x).map(([r, [n, d]]) => {
+      const magnitude = n < 0n ? -n : n;
+      const coefficient = magnitude === 1n && r > 1n ? '' : String(magnitude);
+      const body = r > 1n ? `${coefficient}\\sqrt{${r}}` : coefficient;
+      return `${n < 0n ? '-' : '+'}${d > 1n ? `\\frac{${body}}{${d}}` : body}`;
+    }).join('');
+    return text.replace(/^\+/, '') || '0';
+  }
+
+  // Inequalities, which isEquivalent compares by the truth of the relation.
+  const InequalityOps = [OpStr.LT, OpStr.LE, OpStr.GT, OpStr.GE];
+
+  // The inequalities of a node that is one, or a chain of them such as
+  // 1 < x < 3, which the parser gives as the list [1 < x, x < 3]. Else null.
+  function inequalities(node) {
+    const isInequality = (n) => typeof n === 'object' && InequalityOps.indexOf(n.op) >= 0;
+    if (isInequality(node)) {
+      return [node];
+    }
+    const isChain = node.op === OpStr.COMMA && node.args.every(isInequality) && node.args.every((n, index) => (
+      index === 0 || Model.compareLiteral(node.args[index - 1].args[1], n.args[0]) === null
+    ));
+    return isChain ? node.args : null;
+  }
+
+  // Nodes that isEquivalent compares by their elements.
+  const CollectionOps = [
+    OpStr.COMMA, OpStr.LIST, OpStr.SET, OpStr.BRACE, OpStr.INTERVAL, OpStr.INTERVALOPEN,
+    OpStr.INTERVALLEFTOPEN, OpStr.INTERVALRIGHTOPEN,
+  ];
+
+  function isCollection(node) {
+    return CollectionOps.indexOf(node.op) >= 0 ||
+      node.op === OpStr.PAREN && node.args[0].op === OpStr.COMMA;
+  }
+
+  // Collections of the same kind have equivalent elements, in any order for
+  // sets.
+  function isEquivalentCollection(expected, actual, options) {
+    if (expected.op !== actual.op) {
+      return false;
+    }
+    const isSet = expected.op === OpStr.SET || expected.op === OpStr.BRACE;
+    const isList = expected.op === OpStr.COMMA || expected.op === OpStr.LIST;
+    const [a, b] = [expected, actual].map((node) => (isList ? node.args : elementsOf(node.args[0])));
+    if (a.length !== b.length) {
+      return false;
+    }
+    if (!isSet) {
+      return a.every((x, index) => isEquivalentNodes(x, b[index], options));
+    }
+    const unmatched = [...b];
+    return a.every((x) => {
+      const index = unmatched.findIndex((y) => isEquivalentNodes(x, y, options));
+      return index >= 0 && unmatched.splice(index, 1).length > 0;
+    });
+  }
+
+  // The compiled function of a node, or null if it has no numeric value.
+  function compileOrNull(node, params) {
+    try {
+      return Model.compile(node, { params });
+    } catch (x) {
+      if (!/^1000:/.test(x.message)) {
+        throw x;
+      }
+      return null;
+    }
+  }
+
+  // The names of the variables in a node that are not constants, added to
+  // names in the order found.
+  function freeVariables(node, names) {
+    if (typeof node !== 'object' || node.op === OpStr.IMAGINARY) {
+      return names;
+    }
+    const name = (node.op === OpStr.VAR || node.op === OpStr.SUBSCRIPT) && bindingName(node);
+    if (name) {
+      if (!JSConstants[name] && names.indexOf(name) < 0) {
+        names.push(name);
+      }
+      return names;
+    }
+    node.args.forEach((arg) => freeVariables(arg, names));
+    return names;
+  }
+
+  // Deterministic PRNG (Park-Miller), so that samples are reproducible.
+  function seededRandom(seed) {
+    let state = seed % 2147483647 || 1;
+    return () => {
+      state = (state * 16807) % 2147483647;
+      return (state - 1) / 2147483646;
+    };
+  }
+
+  function isClose(a, b, sampler) {
+    if (!Number.isFinite(a) || !Number.isFinite(b)) {
+      return a === b;
+    }
+    return Math.abs(a - b) <= sampler.tolerance * Math.max(1, Math.abs(a), Math.abs(b));
+  }
+
+  // Check points from the sampler's domains, where check() gives true for a
+  // match, false for a difference and null to skip the point. True once the
+  // sampler's number of points match, false on any difference or when too
+  // few points can be checked.
+  function isEquivalentSampling(sampler, check) {
+    const count = sampler.params.length > 0 ? sampler.samples : 1;
+    let matches = 0;
+    for (let tries = 0; matches < count && tries < 10 * count; tries++) {
+      const point = sampler.domains.map(([min, max]) => min + sampler.random() * (max - min));
+      const result = check(point);
+      if (result === false) {
+        return false;
+      }
+      matches += result ? 1 : 0;
+    }
+    return matches === count;
+  }
+
+  // Equations have the same solutions where one side minus the other of one
+  // is a constant multiple of that of the other, or else, for equations of
+  // one variable, where they have the same roots.
+  function isEquivalentEquation(expected, actual, sampler) {
+    const { params } = sampler;
+    const [f, g] = [expected, actual].map((node) => (
+      compileOrNull(newNode(OpStr.SUB, node.args.slice(0, 2)), params)
+    ));
+    if (!f || !g) {
+      return !f && !g && Model.compareLiteral(expected, actual) === null;
+    }
+    let ratio = null;
+    const isProportional = isEquivalentSampling(sampler, (point) => {
+      const [a, b] = [f(...point), g(...point)];
+      if (!Number.isFinite(a) || !Number.isFinite(b)) {
+        return null;
+      }
+      if (isClose(a, 0, sampler) || isClose(b, 0, sampler)) {
+        // Identities are zero everywhere.
+        return isClose(a, 0, sampler) && isClose(b, 0, sampler);
+      }
+      ratio = ratio === null ? a / b : ratio;
+      return isClose(a / b, ratio, sampler);
+    });
+    if (isProportional || params.length !== 1) {
+      return isProportional;
+    }
+    // Widen the domain tenfold until either has roots, as for x = 20, and
+    // compare the roots found in the same interval.
+    let [min, max] = sampler.domains[0];
+    for (let widenings = 0; widenings < 8; widenings++) {
+      const [a, b] = [f, g].map((fn) => equationRoots(fn, [min, max]));
+      if (a.length > 0 || b.length > 0) {
+        return a.length === b.length && a.every((x, i) => Math.abs(x - b[i]) <= 1e-6 * Math.max(1, Math.abs(x)));
+      }
+      const [mid, half] = [(min + max) / 2, Math.max((max - min) / 2, 1)];
+      [min, max] = [mid - 10 * half, mid + 10 * half];
+    }
+    // Roots aren't found, so compare where the residuals are zero.
+    return isEquivalentSampling(sampler, (point) => {
+      const [a, b] = [f(...point), g(...point)];
+      if (!Number.isFinite(a) || !Number.isFinite(b)) {
+        return null;
+      }
+      return isClose(a, 0, sampler) === isClose(b, 0, sampler);
+    });
+  }
+
+  // The roots of fn in [min, max], found as the zeros of the local minimums
+  // of |fn| on a grid, so that double roots are found too.
+  function equationRoots(fn, [min, max]) {
+    const size = 1000;
+    const abs = (x) => {
+      const y = Math.abs(fn(x));
+      return Number.isNaN(y) ? Infinity : y;
+    };
+    const xs = Array.from({ length: size + 1 }, (_, i) => min + (i * (max - min)) / size);
+    const ys = xs.map(abs);
+    const roots = [];
+    for (let i = 0; i <= size; i++) {
+      if (Number.isFinite(ys[i]) && !(ys[i - 1] < ys[i]) && !(ys[i + 1] < ys[i])) {
+        // Ternary search for the minimum between the neighbors.
+        let [lo, hi] = [xs[Math.max(i - 1, 0)], xs[Math.min(i + 1, size)]];
+        for (let k = 0; k < 100; k++) {
+          const [m0, m1] = [lo + (hi - lo) / 3, hi - (hi - lo) / 3];
+          [lo, hi] = abs(m0) < abs(m1) ? [lo, m1] : [m0, hi];
+        }
+        const x = (lo + hi) / 2;
+        const last = roots[roots.length - 1];
+        if (abs(x) <= 1e-9 && !(last !== undefined && Math.abs(x - last) <= 1e-6 * Math.max(1, Math.abs(x)))) {
+          roots.push(x);
+        }
+      }
+    }
+    return roots;
+  }
+
+  // Inequalities, and chains of them, have the same solutions where they
+  // have as many strict relations, and are true at the same points.
+  function isEquivalentInequality(expected, actual, sampler) {
+    const isStrict = (node) => node.op === OpStr.LT || node.op === OpStr.GT;
+    const strictCount = (list) => list.filter(isStrict).length;
+    if (expected.length !== actual.length || strictCount(expected) !== strictCount(actual)) {
+      return false;
+    }
+    const { params } = sampler;
+    const relation = (node) => {
+      const [lhs, rhs] = node.args.map((arg) => compileOrNull(arg, params));
+      return lhs && rhs && ((point) => {
+        const [a, b] = [lhs(...point), rhs(...point)];
+        if (Number.isNaN(a) || Number.isNaN(b)) {
+          return null;
+        }
+        return node.op === OpStr.LT || node.op === OpStr.LE ? a < b : a > b;
+      });
+    };
+    const [fs, gs] = [expected, actual].map((list) => list.map(relation));
+    if (!fs.every((fn) => fn) || !gs.every((fn) => fn)) {
+      return false;
+    }
+    // A chain is true where each of its relations is.
+    const truth = (list, point) => {
+      const values = list.map((fn) => fn(point));
+      return values.indexOf(null) >= 0 ? null : values.every((value) => value);
+    };
+    return isEquivalentSampling(sampler, (point) => {
+      const [a, b] = [truth(fs, point), truth(gs, point)];
+      if (a === null || b === null) {
+        return a === b ? null : false;
+      }
+      return a === b;
+    });
+  }
+
+  // Operators whose args compareLiteral and diff match in any order.
+  const CommutativeOps = [OpStr.ADD, OpStr.MUL, OpStr.TIMES, OpStr.CDOT];
+
+  // Attributes that are part of the form of a node.
+  const LiteralAttributes = ['isMixedNumber', 'isRepeating', 'isScientific'];
+
+  function literalPath(path) {
+    return ['root', ...path.map((i) => `args[${i}]`)].join('.');
+  }
+
+  // A node and its path, past any parentheses that compareLiteral ignores.
+  // Parentheses around a list, as in (1, 2), are a tuple and so are kept.
+  function literalPart(node, path, options) {
+    while (Model.option(options, 'ignoreParens') && node.op === OpStr.PAREN &&
+           node.args.length === 1 && node.args[0].op !== OpStr.COMMA) {
+      node = node.args[0];
+      path = [...path, 0];
+    }
+    return { node, path };
+  }
+
+  function literalOp(node, options) {
+    const isMul = node.op === OpStr.CDOT || node.op === OpStr.TIMES;
+    return isMul && Model.option(options, 'ignoreMulForm') ? OpStr.MUL : node.op;
+  }
+
+  // The parts of the args of a node, with those of nested sums and products
+  // of the same operator spliced in unless comparing grouping.
+  function literalArgs(node, path, options) {
+    const op = literalOp(node, options);
+    const flatten = CommutativeOps.indexOf(op) >= 0 && !Model.option(options, 'compareGrouping');
+    const parts = [];
+    node.args.forEach((arg, i) => {
+      const part = literalPart(arg, [...path, i], options);
+      if (flatten && literalOp(part.node, options) === op &&
+          !LiteralAttributes.some((k) => part.node[k] || node[k])) {
+        parts.push(...literalArgs(part.node, part.path, options));
+      } else {
+        parts.push(part);
+      }
+    });
+    return parts;
+  }
+
+  function thousandsSeparatorCount(node) {
+    return Math.max((node.separatorCount || 0) - (node.numberFormat === 'decimal' ? 1 : 0), 0);
+  }
+
+  function isLiteralLeaf(node) {
+    return node.op === OpStr.NUM || node.args.some((arg) => typeof arg !== 'object');
+  }
+
+  // Whether two nodes have the same operator and attributes, and if leaves,
+  // the same names or numbers. Their args are left to the caller.
+  function isSameLiteralNode(a, b, options) {
+    if (literalOp(a, options) !== literalOp(b, options) ||
+        LiteralAttributes.some((k) => !a[k] !== !b[k])) {
+      return false;
+    }
+    if (a.op === OpStr.NUM) {
+      return a.args[0] === b.args[0] &&
+        (Model.option(options, 'ignoreSeparators') || thousandsSeparatorCount(a) === thousandsSeparatorCount(b));
+    }
+    if (isLiteralLeaf(a) || isLiteralLeaf(b)) {
+      // Names and other leaves.
+      return a.args.length === b.args.length && a.args.every((arg, i) => arg === b.args[i]);
+    }
+    return true;
+  }
+
+  function compareLiteralNodes(expected, actual, options) {
+    const [a, b] = [expected.node, actual.node];
+    const difference = {
+      expected: a,
+      actual: b,
+      expectedPath: literalPath(expected.path),
+      actualPath: literalPath(actual.path),
+    };
+    if (!isSameLiteralNode(a, b, options)) {
+      return difference;
+    }
+    if (isLiteralLeaf(a)) {
+      return null;
+    }
+    const [argsA, argsB] = [expected, actual].map(({ node, path }) => literalArgs(node, path, options));
+    if (argsA.length !== argsB.length) {
+      return difference;
+    }
+    if (Model.option(options, 'ignoreOrder') && CommutativeOps.indexOf(literalOp(a, options)) >= 0) {
+      // Pair off the args that are the same, then compare the first of those
+      // left, which differ.
+      const unmatched = [];
+      const rest = argsB.slice();
+      argsA.forEach((arg) => {
+        const index = rest.findIndex((other) => !compareLiteralNodes(arg, other, options));
+        if (index < 0) {
+          unmatched.push(arg);
         } else {
-          text = `\\int ${args[0]} d${args[1]}`;
+          rest.splice(index, 1);
         }
-        break;
-      case OpStr.VEC:
-        text = `\\vec{${args[0]}}`;
-        break;
-      case OpStr.MUL: {
-        // If subexpr is lower precedence, wrap in parens.
-        let prevTerm;
-        text = '';
-        n.args.forEach((term, index) => {
-          if (term.args && (term.args.length >= 2)) {
-            if (term.op === OpStr.ADD || term.op === OpStr.SUB) {
-              args[index] = `(${args[index]})`;
-            }
-            if (index !== 0 && typeof term === 'number') {
-              text += `${OpToLaTeX[n.op]} `;
-            } else if (n.isMixedNumber) {
-              // Do nothing. Implicit plus.
-            } else if (n.isScientific) {
-              text += '\\times ';
-            }
-            text += args[index];
-          } else if (term.op === OpStr.PAREN ||
-                     term.op === OpStr.VAR ||
-                     typeof prevTerm === 'number' && typeof term !== 'number') {
-            // Elide the times symbol if rhs is parenthesized or a var, or lhs is a number
-            // nd rhs is not a number.
-            text += args[index];
-          } else {
-            if (index !== 0) {
-              text += ` ${OpToLaTeX[n.op]} `;
-            }
-            text += args[index];
-          }
-          prevTerm = term;
-        });
-        break;
-      }
-      case OpStr.TIMES:
-      case OpStr.CDOT:
-      case OpStr.ADD:
-      case OpStr.COMMA:
-        args.forEach((value, index) => {
-          if (index === 0) {
-            text = value;
-          } else {
-            text = `${text}${OpToLaTeX[n.op]} ${value}`;
-          }
-        });
-        break;
-      case OpStr.NONE:
-        text = '';
-        break;
-      default:
-        assert(false, `1000: Unimplemented operator translating to LaTeX: ${n.op}`);
-        break;
+      });
+      return unmatched.length > 0 ? compareLiteralNodes(unmatched[0], rest[0], options) : null;
+    }
+    for (let i = 0; i < argsA.length; i++) {
+      const result = compareLiteralNodes(argsA[i], argsB[i], options);
+      if (result) {
+        return result;
       }
-    } else {
-      assert(false, '1000: Invalid expression type');
     }
-    return text;
-  };
+    return null;
+  }
+
+  function diffEdit(type, expected, actual) {
+    const edit = { type };
+    if (expected) {
+      edit.expected = expected.node;
+      edit.expectedPath = literalPath(expected.path);
+    }
+    if (actual) {
+      edit.actual = actual.node;
+      edit.actualPath = literalPath(actual.path);
+    }
+    return edit;
+  }
+
+  function diffNodes(expected, actual, options) {
+    if (!compareLiteralNodes(expected, actual, options)) {
+      return [];
+    }
+    if (!isSameLiteralNode(expected.node, actual.node, options) || isLiteralLeaf(expected.node)) {
+      return [diffEdit('replace', expected, actual)];
+    }
+    const [argsA, argsB] = [expected, actual].map(({ node, path }) => literalArgs(node, path, options));
+    if (CommutativeOps.indexOf(literalOp(expected.node, options)) >= 0) {
+      // Set aside the args that are the same, and diff the rest.
+      const unmatched = [];
+      const rest = argsB.slice();
+      argsA.forEach((arg) => {
+        const index = rest.findIndex((other) => !compareLiteralNodes(arg, other, options));
+        if (index < 0) {
+          unmatched.push(arg);
+        } else {
+          rest.splice(index, 1);
+        }
+      });
+      return diffArgs(unmatched, rest, options, true);
+    }
+    // Set aside the same args at the start and end, and diff those between.
+    const isSame = (i, j) => !compareLiteralNodes(argsA[i], argsB[j], options);
+    const count = Math.min(argsA.length, argsB.length);
+    let start = 0;
+    while (start < count && isSame(start, start)) {
+      start++;
+    }
+    let end = 0;
+    while (end < count - start && isSame(argsA.length - 1 - end, argsB.length - 1 - end)) {
+      end++;
+    }
+    return diffArgs(argsA.slice(start, argsA.length - end), argsB.slice(start, argsB.length - end), options, false);
+  }
+
+  // Diff the args pairwise, by position or else each with the one that is
+  // the least costly to change it into, then delete or insert any left over.
+  function diffArgs(argsA, argsB, options, isUnordered) {
+    const edits = [];
+    const rest = argsB.slice();
+    argsA.forEach((arg) => {
+      if (rest.length === 0) {
+        edits.push(diffEdit('delete', arg));
+        return;
+      }
+      const candidates = (isUnordered ? rest : rest.slice(0, 1)).map((other) => diffNodes(arg, other, options));
+      const costs = candidates.map(diffCost);
+      const index = costs.indexOf(Math.min(...costs));
+      edits.push(...candidates[index]);
+      rest.splice(index, 1);
+    });
+    rest.forEach((other) => edits.push(diffEdit('insert', null, other)));
+    return edits;
+  }
+
+  // The number of nodes that the edits remove or add.
+  function diffCost(edits) {
+    const size = (node) => (
+      typeof node === 'object' ? node.args.reduce((sum, arg) => sum + size(arg), 1) : 0
+    );
+    return edits.reduce((sum, edit) => sum + size(edit.expected) + size(edit.actual), 0);
+  }
 
   // Character defines.
   const CC_SPACE = 0x20;
   const CC_BANG = 0x21;
   const CC_DOLLAR = 0x24;
+  const CC_AMPERSAND = 0x26;
   const CC_PERCENT = 0x25;
   const CC_LEFTPAREN = 0x28;
   const CC_MUL = 0x2A;
@@ -777,6 +7033,20 @@ export const Model = (() => {
   const TK_DOT = 0x179;
   const TK_IINT = 0x17A;
   const TK_IIINT = 0x17B;
+  const TK_RE = 0x17C;
+  const TK_IM = 0x17D;
+  const TK_ARG = 0x17E;
+  // Commands of complex numbers.
+  const ComplexTokens = [TK_RE, TK_IM, TK_ARG];
+
+  const OpeningTokens = [TK_LEFTPAREN, TK_LEFTBRACKET, TK_LEFTBRACE, TK_LEFTBRACESET, TK_LEFTCMD, TK_LANGLE];
+  const ClosingTokens = [TK_RIGHTPAREN, TK_RIGHTBRACKET, TK_RIGHTBRACE, TK_RIGHTBRACESET, TK_RIGHTCMD, TK_RANGLE];
+
+  // The text of the tokens that the scanner has no lexeme for, for messages.
+  const TokenText = {};
+  TokenText[TK_LEFTBRACESET] = '\\{';
+  TokenText[TK_RIGHTBRACESET] = '\\}';
+  TokenText[TK_NEWROW] = '\\\\';
 
   // Define mapping from token to operator
   const tokenToOperator = {};
@@ -881,6 +7151,9 @@ export const Model = (() => {
   tokenToOperator[TK_TYPE] = OpStr.TYPE;
   tokenToOperator[TK_OVERLINE] = OpStr.OVERLINE;
   tokenToOperator[TK_DOT] = OpStr.DOT;
+  tokenToOperator[TK_RE] = OpStr.RE;
+  tokenToOperator[TK_IM] = OpStr.IM;
+  tokenToOperator[TK_ARG] = OpStr.ARG;
   tokenToOperator[TK_OVERSET] = OpStr.OVERSET;
   tokenToOperator[TK_UNDERSET] = OpStr.UNDERSET;
   tokenToOperator[TK_BACKSLASH] = OpStr.BACKSLASH;
@@ -888,6 +7161,611 @@ export const Model = (() => {
   tokenToOperator[TK_MATHFIELD] = OpStr.MATHFIELD;
   tokenToOperator[TK_DELTA] = OpStr.DELTA;
 
+  // Unicode characters the scanner reads as LaTeX commands. Renderers use it
+  // in reverse (see latexToUnicode) to turn commands back into characters.
+  const unicodeToLaTeX = {
+    0x00A2: '\\cent',
+    0x00B0: '\\degree',
+    0x00B1: '\\pm',
+    0x00B7: '\\cdot',
+    0x00D7: '\\times',
+    0x00F7: '\\div',
+    0x2190: "\\leftarrow",
+    0x2192: "\\rightarrow",
+    0x21CC: "\\rightleftharpoons",
+    0x2200: '\\forall',
+    0x2201: '\\complement',
+    0x2202: '\\partial',
+    0x2203: '\\exists',
+    0x2204: '\\nexists',
+    0x2205: '\\varnothing',
+    0x2206: '\\triangle',
+    0x2207: '\\nabla',
+    0x2208: '\\in',
+    0x2209: '\\notin',
+    0x220A: '\\in',
+    0x220B: '\\ni',
+    0x220C: '\\notni',
+    0x220D: '\\ni',
+    0x220E: '\\blacksquare',
+    0x220F: '\\sqcap',
+    0x2210: '\\amalg',
+    0x2211: '\\sigma',
+    0x2212: '-',
+    0x2213: '\\mp',
+    0x2214: '\\dotplus',
+    0x2215: '/',
+    0x2216: '\\setminus',
+    0x2217: '*',
+    0x2218: '\\circ',
+    0x2219: '\\bullet',
+    0x221A: '\\sqrt',
+    0x221B: null,
+    0x221C: null,
+    0x221D: '\\propto',
+    0x221E: '\\infty',
+    0x221F: '\\llcorner',
+    0x2220: '\\angle',
+    0x2221: '\\measuredangle',
+    0x2222: '\\sphericalangle',
+    0x2223: '\\divides',
+    0x2224: '\\notdivides',
+    0x2225: '\\parallel',
+    0x2226: '\\nparallel',
+    0x2227: '\\wedge',
+    0x2228: '\\vee',
+    0x2229: '\\cap',
+    0x222A: '\\cup',
+    0x222B: '\\int',
+    0x222C: '\\iint',
+    0x222D: '\\iiint',
+    0x222E: '\\oint',
+    0x222F: '\\oiint',
+    0x2230: '\\oiiint',
+    0x2231: null,
+    0x2232: null,
+    0x2233: null,
+    0x2234: '\\therefore',
+    0x2235: '\\because',
+    0x2236: '\\colon',
+    0x2237: null,
+    0x2238: null,
+    0x2239: null,
+    0x223A: null,
+    0x223B: null,
+    0x223C: '\\sim',
+    0x223D: '\\backsim',
+    0x223E: null,
+    0x223F: null,
+    0x2240: '\\wr',
+    0x2241: '\\nsim',
+    0x2242: '\\eqsim',
+    0x2243: '\\simeq',
+    0x2244: null,
+    0x2245: '\\cong',
+    0x2246: null,
+    0x2247: '\\ncong',
+    0x2248: '\\approx',
+    0x2249: null,
+    0x224A: '\\approxeq',
+    0x224B: null,
+    0x224C: null,
+    0x224D: '\\asymp',
+    0x224E: '\\Bumpeq',
+    0x224F: '\\bumpeq',
+    0x2250: '\\doteq',
+    0x2251: '\\doteqdot',
+    0x2252: '\\fallingdotseq',
+    0x2253: '\\risingdotseq',
+    0x2254: null,
+    0x2255: null,
+    0x2256: '\\eqcirc',
+    0x2257: '\\circeq',
+    0x2258: null,
+    0x2259: null,
+    0x225A: null,
+    0x225B: null,
+    0x225C: '\\triangleq',
+    0x225D: null,
+    0x225E: null,
+    0x225F: null,
+    0x2260: '\\ne',
+    0x2261: '\\equiv',
+    0x2262: null,
+    0x2263: null,
+    0x2264: '\\le',
+    0x2265: '\\ge',
+    0x2266: '\\leqq',
+    0x2267: '\\geqq',
+    0x2268: '\\lneqq',
+    0x2269: '\\gneqq',
+    0x226A: '\\ll',
+    0x226B: '\\gg',
+    0x226C: '\\between',
+    0x226D: null,
+    0x226E: '\\nless',
+    0x226F: '\\ngtr',
+    0x2270: '\\nleq',
+    0x2271: '\\ngeq',
+    0x2272: '\\lessim',
+    0x2273: '\\gtrsim',
+    0x2274: null,
+    0x2275: null,
+    0x2276: '\\lessgtr',
+    0x2277: '\\gtrless',
+    0x2278: null,
+    0x2279: null,
+    0x227A: '\\prec',
+    0x227B: '\\succ',
+    0x227C: '\\preccurlyeq',
+    0x227D: '\\succcurlyeq',
+    0x227E: '\\precsim',
+    0x227F: '\\succsim',
+    0x2280: '\\nprec',
+    0x2281: '\\nsucc',
+    0x2282: '\\subset',
+    0x2283: '\\supset',
+    0x2284: null,
+    0x2285: null,
+    0x2286: '\\subseteq',
+    0x2287: '\\supseteq',
+    0x2288: '\\nsubseteq',
+    0x2289: '\\nsupseteq',
+    0x228A: '\\subsetneq',
+    0x228B: '\\supsetneq',
+    0x228C: null,
+    0x228D: null,
+    0x228E: null,
+    0x228F: '\\sqsubset',
+    0x2290: '\\sqsupset',
+    0x2291: null,
+    0x2292: null,
+    0x2293: '\\sqcap',
+    0x2294: '\\sqcup',
+    0x2295: '\\oplus',
+    0x2296: '\\ominus',
+    0x2297: '\\otimes',
+    0x2298: '\\oslash',
+    0x2299: '\\odot',
+    0x229A: '\\circledcirc',
+    0x229B: '\\circledast',
+    0x229C: null,
+    0x229D: '\\circleddash',
+    0x229E: '\\boxplus',
+    0x229F: '\\boxminus',
+    0x22A0: '\\boxtimes',
+    0x22A1: '\\boxdot',
+    0x22A2: '\\vdash',
+    0x22A3: '\\dashv',
+    0x22A4: '\\top',
+    0x22A5: '\\bot',
+    0x22A6: null,
+    0x22A7: '\\models',
+    0x22A8: '\\vDash',
+    0x22A9: '\\Vdash',
+    0x22AA: '\\Vvdash',
+    0x22AB: '\\VDash*',
+    0x22AC: '\\nvdash',
+    0x22AD: '\\nvDash',
+    0x22AE: '\\nVdash',
+    0x22AF: '\\nVDash',
+    0x22B0: null,
+    0x22B1: null,
+    0x22B2: '\\vartriangleleft',
+    0x22B3: '\\vartriangleright',
+    0x22B4: '\\trianglelefteq',
+    0x22B5: '\\trianglerighteq',
+    0x22B6: null,
+    0x22B7: null,
+    0x22B8: '\\multimap',
+    0x22B9: null,
+    0x22BA: '\\intercal',
+    0x22BB: '\\veebar',
+    0x22BC: '\\barwedge',
+    0x22BD: null,
+    0x22BE: null,
+    0x22BF: null,
+    0x22C0: '\\wedge',
+    0x22C1: '\\vee',
+    0x22C2: '\\cap',
+    0x22C3: '\\cup',
+    0x22C4: '\\diamond',
+    0x22C5: '\\cdot',
+    0x22C6: '\\star',
+    0x22C7: null,
+    0x22C8: '\\bowtie',
+    0x22C9: '\\ltimes',
+    0x22CA: '\\rtimes',
+    0x22CB: '\\leftthreetimes',
+    0x22CC: '\\rightthreetimes',
+    0x22CD: '\\backsimeq',
+    0x22CE: '\\curlyvee',
+    0x22CF: '\\curlywedge',
+    0x22D0: '\\Subset',
+    0x22D1: '\\Supset',
+    0x22D2: '\\Cap',
+    0x22D3: '\\Cup',
+    0x22D4: '\\pitchfork',
+    0x22D5: '\\lessdot',
+    0x22D6: '\\gtrdot',
+    0x22D7: null,
+    0x22D8: '\\lll',
+    0x22D9: '\\ggg',
+    0x22DA: '\\lesseqgtr',
+    0x22DB: '\\gtreqless',
+    0x22DC: null,
+    0x22DD: null,
+    0x22DE: '\\curlyeqprec',
+    0x22DF: '\\curlyeqsucc',
+    0x22E0: null,
+    0x22E1: null,
+    0x22E2: null,
+    0x22E3: null,
+    0x22E4: null,
+    0x22E5: null,
+    0x22E6: '\\lnsim',
+    0x22E7: '\\gnsim',
+    0x22E8: '\\precnsim',
+    0x22E9: '\\succnsim',
+    0x22EA: '\\ntriangleleft',
+    0x22EB: '\\ntriangleright',
+    0x22EC: '\\ntrianglelefteq',
+    0x22ED: '\\ntrianglerighteq',
+    0x22EE: '\\vdots',
+    0x22EF: '\\cdots',
+    0x22F0: null,
+    0x22F1: '\\ddots',
+    0x22F2: null,
+    0x22F3: null,
+    0x22F4: null,
+    0x22F5: null,
+    0x22F6: null,
+    0x22F7: null,
+    0x22F8: null,
+    0x22F9: null,
+    0x22FA: null,
+    0x22FB: null,
+    0x22FC: null,
+    0x22FD: null,
+    0x22FE: null,
+    0x22FF: null,
+    0x27F7: "\\longleftrightarrow",
+    0x03B1: '\\alpha',
+    0x03B2: '\\beta',
+    0x03B3: '\\gamma',
+    0x03B4: '\\delta',
+    0x03B5: '\\epsilon',
+    0x03B6: '\\zeta',
+    0x03B7: '\\eta',
+    0x03B8: '\\theta',
+    0x03B9: '\\iota',
+    0x03BA: '\\kappa',
+    0x03BB: '\\lambda',
+    0x03BC: '\\mu',
+    0x03BD: '\\nu',
+    0x03BE: '\\xi',
+    0x03BF: 'o',
+    0x03C0: '\\pi',
+    0x03C1: '\\rho',
+    0x03C2: '\\varsigma',
+    0x03C3: '\\sigma',
+    0x03C4: '\\tau',
+    0x03C5: '\\upsilon',
+    0x03C6: '\\varphi',
+    0x03C7: '\\chi',
+    0x03C8: '\\psi',
+    0x03C9: '\\omega',
+    0x03D1: '\\vartheta',
+    0x03D5: '\\phi',
+    0x03D6: '\\varpi',
+    0x03F1: '\\varrho',
+    0x03F5: '\\epsilon',
+    0x0391: 'A',
+    0x0392: 'B',
+    0x0393: '\\Gamma',
+    0x0394: '\\Delta',
+    0x0395: 'E',
+    0x0396: 'Z',
+    0x0397: 'H',
+    0x0398: '\\Theta',
+    0x0399: 'I',
+    0x039A: 'K',
+    0x039B: '\\Lambda',
+    0x039C: 'M',
+    0x039D: 'N',
+    0x039E: '\\Xi',
+    0x039F: 'O',
+    0x03A0: '\\Pi',
+    0x03A1: 'P',
+    0x03A2: null,
+    0x03A3: '\\Sigma',
+    0x03A4: 'T',
+    0x03A5: '\\Upsilon',
+    0x03A6: '\\Phi',
+    0x03A7: 'X',
+    0x03A8: '\\Psi',
+    0x03A9: '\\Omega',
+    0x03F5: "\\epsilon",
+  };
+
+  // AsciiMath lexemes and the LaTeX commands the scanner reads them as, in
+  // the 'asciimath' dialect. Function and Greek letter names are read as the
+  // command of the same name.
+  const asciiMathToLaTeX = {
+    '+-': '\\pm',
+    '-:': '\\div',
+    xx: '\\times',
+    oo: '\\infty',
+    '=>': '\\implies',
+    '<=>': '\\Leftrightarrow',
+    iff: '\\Leftrightarrow',
+    '~~': '\\approx',
+    '~=': '\\cong',
+    '~': '\\sim',
+    prop: '\\propto',
+    '_|_': '\\perp',
+    in: '\\in',
+    ni: '\\ni',
+    parallel: '\\parallel',
+    sub: '\\subset',
+    sup: '\\supset',
+    sube: '\\subseteq',
+    supe: '\\supseteq',
+    uu: '\\cup',
+    nn: '\\cap',
+    uuu: '\\bigcup',
+    nnn: '\\bigcap',
+    AA: '\\forall',
+    EE: '\\exists',
+    rarr: '\\rightarrow',
+    larr: '\\leftarrow',
+    harr: '\\leftrightarrow',
+    rArr: '\\Rightarrow',
+    hArr: '\\Leftrightarrow',
+    bar: '\\overline',
+    varepsilon: '\\epsilon',
+    not: '\\neg',
+    and: '\\land',
+    or: '\\lor',
+    le: '\\le',
+    ge: '\\ge',
+    '-=': '\\equiv',
+    '...': '\\ldots',
+    NN: '\\N',
+    ZZ: '\\Z',
+    QQ: '\\Q',
+    RR: '\\R',
+    CC: '\\C',
+  };
+  [
+    'sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'sinh', 'cosh', 'tanh', 'sech', 'csch', 'coth',
+    'arcsin', 'arccos', 'arctan', 'exp', 'log', 'ln', 'lim', 'sum', 'prod', 'int', 'sqrt', 'frac',
+    'abs', 'vec', 'dot', 'overset', 'underset', 'det', 'dim', 'mod', 'gcd', 'lcm', 'lub', 'glb', 'min', 'max',
+    'alpha', 'beta', 'gamma', 'Gamma', 'delta', 'Delta', 'epsilon', 'zeta', 'eta', 'theta',
+    'Theta', 'vartheta', 'iota', 'kappa', 'lambda', 'Lambda', 'mu', 'nu', 'xi', 'Xi', 'pi', 'Pi',
+    'rho', 'sigma', 'Sigma', 'tau', 'upsilon', 'phi', 'Phi', 'varphi', 'chi', 'psi', 'Psi', 'omega',
+    'Omega',
+  ].forEach((name) => {
+    asciiMathToLaTeX[name] = `\\${name}`;
+  });
+  const latexToAsciiMath = {};
+  Object.keys(asciiMathToLaTeX).forEach((name) => {
+    const latex = asciiMathToLaTeX[name];
+    if (latexToAsciiMath[latex] === undefined) {
+      latexToAsciiMath[latex] = name;
+    }
+  });
+  // Read only by the scanner. root(3)(x) is \sqrt[3]{x}, and a bang before a
+  // relation, as in !in and !<, is read as \not followed by the relation.
+  asciiMathToLaTeX.root = '\\sqrt';
+  negatableOps.forEach((op) => {
+    asciiMathToLaTeX[`!${textOperator(op)}`] = '\\not';
+  });
+  const asciiMathLexemes = Object.keys(asciiMathToLaTeX).sort((a, b) => b.length - a.length);
+
+  // The delimiters that the paren groups which follow each token as its args
+  // are read as.
+  const AsciiMathGroupArgs = {
+    [TK_UNDERSCORE]: '{',
+    [TK_CARET]: '{',
+    [TK_SQRT]: '{',
+    [TK_ABS]: '{',
+    [TK_VEC]: '{',
+    [TK_OVERLINE]: '{',
+    [TK_DOT]: '{',
+    [TK_FRAC]: '{{',
+    [TK_OVERSET]: '{{',
+    [TK_UNDERSET]: '{{',
+  };
+  const AsciiMathRootArgs = '[{';
+
+  // The lowest code point that the scanner reads as each LaTeX command.
+  const latexToUnicode = {};
+  Object.keys(unicodeToLaTeX).forEach((code) => {
+    const name = unicodeToLaTeX[code];
+    if (name && name.indexOf('\\') === 0 && latexToUnicode[name] === undefined) {
+      latexToUnicode[name] = String.fromCharCode(code);
+    }
+  });
+
+  // Braille cells for the dot numbers of each cell, as in '46 13' for the two
+  // cells of the Nemeth equals sign. Dot 0 is a blank cell.
+  function brailleCells(dots) {
+    return dots.split(' ').map((cell) => String.fromCharCode(
+      [...cell].reduce((code, dot) => (dot === '0' ? code : code + 2 ** (dot - 1)), 0x2800),
+    )).join('');
+  }
+
+  const BrailleLetters = {};
+  [
+    '1', '12', '14', '145', '15', '124', '1245', '125', '24', '245', '13', '123', '134',
+    '1345', '135', '1234', '12345', '1235', '234', '2345', '136', '1236', '2456', '1346', '13456', '1356',
+  ].forEach((dots, index) => {
+    BrailleLetters[String.fromCharCode(97 + index)] = brailleCells(dots);
+  });
+
+  // Greek letters by name, in the letters of the Greek braille alphabet.
+  const BrailleGreek = {};
+  [
+    ['alpha', 'a'], ['beta', 'b'], ['gamma', 'g'], ['delta', 'd'], ['epsilon', 'e'],
+    ['zeta', 'z'], ['eta', '156'], ['theta', '1456'], ['iota', 'i'], ['kappa', 'k'],
+    ['lambda', 'l'], ['mu', 'm'], ['nu', 'n'], ['xi', 'x'], ['omicron', 'o'], ['pi', 'p'],
+    ['rho', 'r'], ['sigma', 's'], ['tau', 't'], ['upsilon', 'u'], ['phi', 'f'],
+    ['chi', '12346'], ['psi', 'y'], ['omega', 'w'],
+  ].forEach(([name, letter]) => {
+    BrailleGreek[name] = BrailleLetters[letter] || brailleCells(letter);
+  });
+
+  // The cells of each braille code. Fences are keyed by the char code or
+  // token that the parser records as 'lbrk' and 'rbrk'. Relations are spaced.
+  const BrailleCodes = {};
+  [
+    ['nemeth', {
+      digits: ['356', '2', '23', '25', '256', '26', '235', '2356', '236', '35'],
+      numeric: '3456',
+      decimal: '46',
+      comma: '6',
+      capital: '6',
+      greek: '46',
+      capitalGreek: '46 6',
+      letter: '56',
+      space: '0',
+      ops: [
+        [OpStr.ADD, '346'], [OpStr.SUB, '36'], [OpStr.PM, '346 36'], [OpStr.TIMES, '4 16'],
+        [OpStr.CDOT, '16'], [OpStr.DIV, '46 34'], [OpStr.FACT, '12346'], [OpStr.PERCENT, '4 356'],
+        [OpStr.DEGREE, '45 46 16'], [OpStr.INTEGRAL, '2346'], [OpStr.SUM, '46 6 234'],
+        [OpStr.PROD, '46 6 1234'], [OpStr.CUP, '46 346'], [OpStr.CAP, '46 146'],
+        [OpStr.QMARK, '123456'], [OpStr.COLON, '456 25'], [OpStr.BACKSLASH, '456 16'],
+        [OpStr.FORALL, '4 12346'], [OpStr.EXISTS, '4 123456'], [OpStr.NOT, '4 1456'],
+      ],
+      relations: [
+        [OpStr.EQL, '46 13'], [OpStr.LT, '5 13'], [OpStr.GT, '46 2'], [OpStr.LE, '5 13 156'],
+        [OpStr.GE, '46 2 156'], [OpStr.NE, '34 46 13'], [OpStr.NLESS, '34 5 13'], [OpStr.NGTR, '34 46 2'],
+        [OpStr.APPROX, '4 156 4 156'],
+        [OpStr.IN, '4 15'], [OpStr.NI, '4 26'], [OpStr.SUBSET, '456 5 13'], [OpStr.SUPSET, '456 46 2'],
+        [OpStr.SUBSETEQ, '456 5 13 156'], [OpStr.SUPSETEQ, '456 46 2 156'],
+        [OpStr.SIM, '4 156'], [OpStr.CONG, '4 156 46 13'], [OpStr.PROPTO, '456 123456'],
+        [OpStr.PARALLEL, '1246 123'], [OpStr.PERP, '1246 1234'],
+        [OpStr.TO, '1246 135'], [OpStr.RIGHTARROW, '1246 135'], [OpStr.LEFTARROW, '1246 246'],
+        [OpStr.LEFTRIGHTARROW, '1246 246 25 25 135'], [OpStr.LONGRIGHTARROW, '1246 25 25 25 135'],
+        [OpStr.LONGLEFTARROW, '1246 246 25 25 25'], [OpStr.LONGLEFTRIGHTARROW, '1246 246 25 25 25 135'],
+        [OpStr.CAPRIGHTARROW, '1246 2356 2356 135'], [OpStr.IMPLIES, '1246 2356 2356 135'],
+        [OpStr.CAPLEFTRIGHTARROW, '1246 246 2356 2356 135'],
+      ],
+      negation: '34',
+      fences: [
+        [40, '12356'], [41, '23456'], [91, '4 12356'], [93, '4 23456'],
+        [TK_LEFTBRACESET, '46 12356'], [TK_RIGHTBRACESET, '46 23456'],
+        [TK_LANGLE, '4 46 126'], [TK_RANGLE, '4 46 345'], [124, '1256'],
+      ],
+      infinity: '6 123456',
+      prime: '3',
+      fracOpen: '1456',
+      fracLine: '34',
+      fracClose: '3456',
+      complex: '6',
+      mixed: '456',
+      slash: '456 34',
+      sup: '45',
+      sub: '56',
+      baseline: '5',
+      radical: '345',
+      radicalEnd: '12456',
+      index: '126',
+      nested: '46',
+      modify: '5',
+      under: '146',
+      over: '126',
+      modifyEnd: '12456',
+      bar: '156',
+      dot: '16',
+      arrow: '1246 135',
+    }],
+    ['ueb', {
+      digits: ['245', '1', '12', '14', '145', '15', '124', '1245', '125', '24'],
+      numeric: '3456',
+      decimal: '256',
+      comma: '2',
+      capital: '6',
+      greek: '46',
+      capitalGreek: '6 46',
+      letter: '56',
+      space: '0',
+      ops: [
+        [OpStr.ADD, '5 235'], [OpStr.SUB, '5 36'], [OpStr.PM, '456 235'], [OpStr.TIMES, '5 236'],
+        [OpStr.CDOT, '5 256'], [OpStr.DIV, '5 34'], [OpStr.FACT, '235'], [OpStr.PERCENT, '46 356'],
+        [OpStr.DEGREE, '45 245'], [OpStr.INTEGRAL, '2346'], [OpStr.SUM, '6 46 234'],
+        [OpStr.PROD, '6 46 1234'], [OpStr.CUP, '46 235'], [OpStr.CAP, '46 236'],
+        [OpStr.QMARK, '236'], [OpStr.COLON, '25'], [OpStr.BACKSLASH, '456 16'],
+        [OpStr.FORALL, '45 1'], [OpStr.EXISTS, '45 26'], [OpStr.NOT, '4 1456'],
+      ],
+      relations: [
+        [OpStr.EQL, '5 2356'], [OpStr.LT, '4 126'], [OpStr.GT, '4 345'], [OpStr.LE, '456 4 126'],
+        [OpStr.GE, '456 4 345'], [OpStr.NE, '5 2356 4 156'], [OpStr.NLESS, '4 126 4 156'],
+        [OpStr.NGTR, '4 345 4 156'], [OpStr.APPROX, '45 2356'],
+        [OpStr.IN, '45 15'], [OpStr.NI, '4 45 15'], [OpStr.SUBSET, '45 126'], [OpStr.SUPSET, '45 345'],
+        [OpStr.SUBSETEQ, '45 126 5 2356'], [OpStr.SUPSETEQ, '45 345 5 2356'],
+        [OpStr.SIM, '4 35'], [OpStr.CONG, '4 35 5 2356'], [OpStr.PROPTO, '456 123456'],
+        [OpStr.PARALLEL, '456 123'], [OpStr.PERP, '456 1234'],
+        [OpStr.TO, '1256 135'], [OpStr.RIGHTARROW, '1256 135'], [OpStr.LEFTARROW, '1256 246'],
+        [OpStr.LEFTRIGHTARROW, '1256 246 135'], [OpStr.LONGRIGHTARROW, '1256 25 135'],
+        [OpStr.LONGLEFTARROW, '1256 246 25'], [OpStr.LONGLEFTRIGHTARROW, '1256 246 25 135'],
+        [OpStr.CAPRIGHTARROW, '1256 2356 135'], [OpStr.IMPLIES, '1256 2356 135'],
+        [OpStr.CAPLEFTRIGHTARROW, '1256 246 2356 135'],
+      ],
+      strike: '4 156',
+      fences: [
+        [40, '5 126'], [41, '5 345'], [91, '46 126'], [93, '46 345'],
+        [TK_LEFTBRACESET, '456 126'], [TK_RIGHTBRACESET, '456 345'],
+        [TK_LANGLE, '4 126'], [TK_RANGLE, '4 345'], [124, '456 1256'],
+      ],
+      infinity: '3456 123456',
+      prime: '2356',
+      fracOpen: '12356',
+      fracLine: '46 34',
+      fracClose: '23456',
+      numericFracLine: '34',
+      slash: '456 34',
+      sup: '35',
+      sub: '26',
+      groupOpen: '126',
+      groupClose: '345',
+      radical: '146',
+      radicalEnd: '346',
+      under: '46 26',
+      over: '46 35',
+      bar: '156',
+      dot: '256',
+      arrow: '1256 135',
+    }],
+  ].forEach(([name, dots]) => {
+    const code = {};
+    Object.keys(dots).forEach((key) => {
+      const value = dots[key];
+      if (key === 'digits') {
+        code.digits = value.map(brailleCells);
+      } else if (Array.isArray(value)) {
+        code[key] = {};
+        value.forEach(([op, cells]) => {
+          code[key][op] = brailleCells(cells);
+        });
+      } else {
+        code[key] = brailleCells(value);
+      }
+    });
+    BrailleCodes[name] = code;
+  });
+
+  // Marks for renderBraille: before the indicator that returns from a script
+  // level, before a Nemeth numeral and after a UEB numeral. They are private
+  // use chars, which no cell or input uses.
+  const BrailleLevel = '\uE001';
+  const BrailleNumeral = '\uE002';
+  const BrailleNumeralEnd = '\uE003';
+
+  // The cells of the letters a-j, which UEB also uses for the digits.
+  const BrailleDigitLetters = 'abcdefghij'.split('').map((c) => BrailleLetters[c]).join('');
+
   function newNode(op, args) {
     return {
       op,
@@ -897,11 +7775,21 @@ export const Model = (() => {
 
   const nodeEmpty = newNode(Model.NONE, [newNode(Model.VAR, ['None'])]);
 
-  const parse = function parse(options, src, env) {
+  const parse = function parse(options, src, env, location) {
     const identifiers = Object.keys(env);
     // Add keywords to the list of identifiers.
     identifiers.push('to');
-    src = stripInvisible(src);
+    // Source translated from markup, such as MathML, has a map from its chars
+    // to the markup they came from, so that spans are offsets into the markup.
+    const sourceMap = Model.option(options, 'sourceMap');
+    const source = sourceMap ? sourceMap.source : src;
+    const sourceOffsets = [];
+    src = stripInvisible(src, sourceOffsets);
+    const sourceStarts = sourceOffsets.map((i) => (sourceMap ? sourceMap.starts[i] : i));
+    const sourceEnds = sourceOffsets.map((i) => (sourceMap ? sourceMap.ends[i] : i + 1));
+    if (sourceMap) {
+      identifiers.push(...sourceMap.identifiers);
+    }
     function matchThousandsSeparator(ch, lastSeparator) {
       // Check separator and return if there is a match.
       let match = '';
@@ -912,7 +7800,7 @@ export const Model = (() => {
         // If the character matches the last separator or, if not, last is undefined
         // and character is in the provided list, return the character.
         if (separators.indexOf(ch) >= 0) {
-          assert(!lastSeparator || ch === lastSeparator, message(1013, [lastSeparator, ch]));
+          parseAssert(!lastSeparator || ch === lastSeparator, 1013, [lastSeparator, ch]);
           match = ch;
         }
       }
@@ -926,13 +7814,13 @@ export const Model = (() => {
       const thousandsSeparators = Model.option(options, 'setThousandsSeparator');
       if (typeof decimalSeparator === 'string') {
         // Single separator.
-        assert(decimalSeparator.length === 1, message(1002));
+        parseAssert(decimalSeparator.length === 1, 1002);
         const separator = decimalSeparator;
         if (thousandsSeparators instanceof Array &&
             thousandsSeparators.indexOf(separator) >= 0) {
           // There is a conflict between the decimal separator and the
           // thousands separator.
-          assert(false, message(1008, [separator]));
+          parseAssert(false, 1008, [separator]);
         }
         return ch === separator;
       }
@@ -943,7 +7831,7 @@ export const Model = (() => {
               thousandsSeparators.indexOf(separator) >= 0) {
             // There is a conflict between the decimal separator and the
             // thousands separator.
-            assert(false, message(1008, [separator]));
+            parseAssert(false, 1008, [separator]);
           }
         });
         return decimalSeparator.indexOf(ch) >= 0;
@@ -951,7 +7839,7 @@ export const Model = (() => {
       if (thousandsSeparators instanceof Array && thousandsSeparators.indexOf('.') >= 0 || thousandsSeparators === '.') {
         // Period is used as a thousands separator, so cannot be used as a
         // decimal separator.
-        assert(decimalSeparator === undefined, message(1008, ['.']));
+        parseAssert(decimalSeparator === undefined, 1008, ['.']);
         return ch === ',';
       }
       // Otherwise, period is used as the decimal separator.
@@ -973,13 +7861,13 @@ ch;
       let separatorCount = 0;
       let numberFormat = 'integer';
       if (n0 === '.') {
-        assert(false, message(1004, [n0, n0.charCodeAt(0)]));
+        parseAssert(false, 1004, [n0, n0.charCodeAt(0)]);
       }
       for (i = 0; i < n0.length; i++) {
         if (matchThousandsSeparator(ch = n0.charAt(i))) {
           if (separatorCount && lastSeparatorIndex !== i - 4 ||
               !separatorCount && i > 4) {
-            assert(false, message(1005));
+            parseAssert(false, 1005);
           }
           lastSeparatorIndex = i;
           separatorCount++;
@@ -987,12 +7875,12 @@ ch;
         } else {
           if (matchDecimalSeparator(ch)) {
             if (numberFormat === 'decimal') {
-              assert(false, message(1007, [ch, n2 + ch]));
+              parseAssert(false, 1007, [ch, n2 + ch]);
             }
             ch = '.';  // Convert to character the decimal agrees with.
             numberFormat = 'decimal';
             if (separatorCount && lastSeparatorIndex !== i - 4) {
-              assert(false, message(1005));
+              parseAssert(false, 1005);
             }
             lastSeparatorIndex = i;  // Used for thousandths separators.
             separatorCount++;
@@ -1003,7 +7891,7 @@ ch;
       if (numberFormat !== 'decimal' && lastSeparatorIndex && lastSeparatorIndex !== i - 4) {
         // If we haven't seen a decimal separator, then make sure the last thousands
         // separator is in the right place.
-        assert(false, message(1005));
+        parseAssert(false, 1005);
       }
       if (doScale) {
         const scale = Model.option(options, 'decimalPlaces');
@@ -1062,12 +7950,47 @@ ch;
     let T1 = TK_NONE;
     let lexemeT0;
     let lexemeT1;
+    // The [start, end] of tokens T0 and T1, and the end of the last token
+    // consumed, as indexes into src.
+    let spanT0 = [0, 0];
+    let spanT1;
+    let lastEnd = 0;
+    // The number of brackets consumed and not yet closed, for recovery.
+    let bracketDepth = 0;
+    const recover = Model.option(options, 'recover');
+    const locale = [].concat(Model.option(options, 'messages') || [], Model.option(options, 'locale') || []);
+    // Limits on the time taken and the number of tokens consumed, checked by
+    // the asserts of the caller, such as a Parser, or else by their own.
+    const asserts = Model.option(options, 'asserts') || createAsserts(location);
+    const count = Model.option(options, 'count');
+    asserts.setTimeout(Model.option(options, 'timeout') || 0);
+    asserts.setCounter(count === undefined ? Infinity : count);
+    const diagnostics = [];
     const scan = scanner(src);
+    // The 'imaginaryUnit' option makes i (or j) the imaginary unit, except in
+    // subscripts, as in x_i, and where it is bound, as in \sum_{i=1}^n i.
+    const imaginaryUnit = Model.option(options, 'imaginaryUnit');
+    const boundNames = [];
+    const isAsciiMath = Model.option(options, 'dialect') === 'asciimath';
+    function withBoundNames(names, parse) {
+      boundNames.push(...names);
+      try {
+        return parse();
+      } finally {
+        boundNames.splice(boundNames.length - names.length, names.length);
+      }
+    }
+    // The name of the variable that a limit such as i=1 or x \to 0 binds.
+    function limitName(node) {
+      const lhs = (node.op === Model.EQL || node.op === Model.TO) && node.args[0];
+      return lhs && lhs.op === Model.VAR ? [lhs.args[0]] : [];
+    }
 
     function initParser(options) {
       // Prime the token stream.
       T0 = scan.start(options);
       lexemeT0 = scan.lexeme();
+      spanT0 = [scan.tokenPos(), scan.pos()];
     }
 
     function hd() {
@@ -1083,13 +8006,23 @@ ch;
 
     // Advance the next token.
     function next(options) {
+      asserts.checkTimeout();
+      asserts.checkCounter();
+      lastEnd = spanT0[1];
+      if (OpeningTokens.indexOf(T0) >= 0) {
+        bracketDepth++;
+      } else if (ClosingTokens.indexOf(T0) >= 0) {
+        bracketDepth--;
+      }
       if (T1 === TK_NONE) {
         T0 = scan.start(options);
         lexemeT0 = scan.lexeme();
+        spanT0 = [scan.tokenPos(), scan.pos()];
       } else {
         assert(lexemeT1 !== undefined, `1000: Lexeme for token=${T1} is missing.`);
         T0 = T1;
         lexemeT0 = lexemeT1;
+        spanT0 = spanT1;
         T1 = TK_NONE;
       }
     }
@@ -1097,19 +8030,125 @@ ch;
       if (T1 === TK_NONE) {
         T1 = scan.start(options);
         lexemeT1 = scan.lexeme();
+        spanT1 = [scan.tokenPos(), scan.pos()];
       }
       return T1;
     }
 
+    // Source spans. Nodes get the { start, end } offsets of their source in
+    // the original, unstripped, string. Parse functions that consume tokens
+    // of their own, such as prefix operators and brackets, record the span
+    // from the token they start at to the last token consumed. Other nodes
+    // span their args.
+    function sourceSpan(start, end) {
+      const offset = start < sourceStarts.length ? sourceStarts[start] : source.length;
+      return {
+        start: offset,
+        end: end > start ? sourceEnds[end - 1] : offset,
+      };
+    }
+    // The args of message 1003 for the current token: the position after it
+    // and the rest of the source from its last char.
+    function extraCharsArgs() {
+      const { end } = sourceSpan(...spanT0);
+      return [end, scan.lexeme(), `"${source.substring(end - 1)}"`];
+    }
+    function spanStart() {
+      return spanT0[0];
+    }
+
+    // Throw a ParseError for message code unless cond. The span is that of
+    // the node or the [start, end] indexes into src given, or else that of
+    // the current token.
+    // The source text of a span, or EOS past the end.
+    function foundText({ start, end }) {
+      return start < source.length ? source.substring(start, end) : 'EOS';
+    }
+    function parseError(code, args, { expected, span = spanT0, node } = {}, text = message(code, args, locale)) {
+      const { start, end } = node && node.span || sourceSpan(...span);
+      return new ParseError(text, {
+        code,
+        args,
+        span: { start, end },
+        found: foundText({ start, end }),
+        expected,
+        location,
+      });
+    }
+    function parseAssert(cond, code, args, options) {
+      if (!cond) {
+        throw parseError(code, args, options);
+      }
+    }
+    function diagnose(error) {
+      diagnostics.push(error);
+      const logger = Model.option(options, 'logger');
+      if (logger) {
+        logger(error);
+      }
+    }
+    // Throw the error, or in recover mode note it and carry on.
+    function recoverable(error) {
+      if (!recover) {
+        throw error;
+      }
+      diagnose(error);
+    }
+    // Skip past the brackets opened since depth, and then to the next closing
+    // bracket, separator or relation.
+    function resync(depth) {
+      while (hd() && !(bracketDepth <= depth && isSyncToken(hd()))) {
+        const isClosing = bracketDepth > depth && ClosingTokens.indexOf(hd()) >= 0;
+        next();
+        if (isClosing && bracketDepth <= depth) {
+          break;
+        }
+      }
+      bracketDepth = Math.min(bracketDepth, depth);
+    }
+    function isSyncToken(t) {
+      return ClosingTokens.indexOf(t) >= 0 ||
+        t === TK_COMMA || t === TK_SEMICOLON || t === TK_NEWROW || t === TK_NEWCOL ||
+        isRelational(t) || isEquality(t);
+    }
+    function spanned(node, start) {
+      if (node === nodeEmpty || node === nodePositiveInfinity || node === nodeOne || node === nodeMinusOne) {
+        // Shared nodes.
+        node = { ...node };
+      }
+      node.span = sourceSpan(start, Math.max(lastEnd, start));
+      return node;
+    }
+    function argsSpan(node) {
+      const spans = node.args.filter((arg) => typeof arg === 'object').map((arg) => arg.span || argsSpan(arg))
+        .filter((span) => span);
+      return spans.length > 0 && {
+        start: Math.min(...spans.map(({ start }) => start)),
+        end: Math.max(...spans.map(({ end }) => end)),
+      };
+    }
+    // Give the nodes that have no span those of their args, or else that of
+    // their parent, as for the 1 of 'x^+'.
+    function addSpans(node, parentSpan) {
+      const span = node.span || argsSpan(node) || parentSpan;
+      const args = node.args.map((arg) => (typeof arg === 'object' ? addSpans(arg, span) : arg));
+      return { ...node, args, span };
+    }
+
     function eat(tc, options) {
-      // Consume the current token if it matches, otherwise throw.
+      // Consume the current token if it matches, otherwise throw. False if
+      // recovering from a missing token.
       const tk = hd();
       if (tk !== tc) {
-        const expected = String.fromCharCode(tc);
-        const found = tk ? String.fromCharCode(tk) : 'EOS';
-        assert(false, message(1001, [`${expected}[${tc}]`, `${found}[${tk}]`]));
+        const expected = scan.tokenText(tc);
+        // Carry on as if the token was there if recovering.
+        const found = foundText(sourceSpan(...spanT0));
+        recoverable(parseError(1001, [expected, found], { expected: [expected] }));
+        bracketDepth -= ClosingTokens.indexOf(tc) >= 0 ? 1 : 0;
+        return false;
       }
       next(options);
+      return true;
     }
     // Begin parsing functions.
     function isSimpleFraction(node) {
@@ -1146,6 +8185,31 @@ ch;
     const degreeUnits = ['K', 'C', 'F'];
     const muUnits = ['g', 'L', 'm', 's'];
     function primaryExpr() {
+      const start = spanStart();
+      if (!recover) {
+        return spanned(primaryNode(), start);
+      }
+      const state = [bracketDepth, bracketTokenCount, pipeTokenCount, inParenExpr];
+      try {
+        return spanned(primaryNode(), start);
+      } catch (x) {
+        if (!(x instanceof ParseError)) {
+          throw x;
+        }
+        // Put an error node in place of the expression.
+        diagnose(x);
+        resync(state[0]);
+        [, bracketTokenCount, pipeTokenCount, inParenExpr] = state;
+        return spanned(newNode(Model.ERROR, []), start);
+      }
+    }
+    // The imaginary unit, unless it is bound, or else a variable.
+    function varNode(args) {
+      return args[0] === imaginaryUnit && boundNames.indexOf(imaginaryUnit) < 0 ?
+        newNode(Model.IMAGINARY, [newNode(Model.VAR, args)]) :
+        newNode(Model.VAR, args);
+    }
+    function primaryNode() {
       let t; let node; let tk; let op; let base; let args = [];
       let expr; let expr1; let expr2; let foundDX;
       switch ((tk = hd())) {
@@ -1159,7 +8223,7 @@ ch;
           const match = identifiers.some((u) => {
             return u.indexOf(ident) === 0;
           });
-          node = newNode(Model.VAR, args);
+          node = varNode(args);
           if (match) {
             // We have a name in the environment, so bind more tightly than the
             // context.
@@ -1176,8 +8240,8 @@ ch;
             args[0] = `\\degree ${lexeme()}`;
             next();
           }
-          node = newNode(Model.VAR, args);
-          if (isChemCore()) {
+          node = varNode(args);
+          if (isChemCore(env)) {
             if (hd() === TK_LEFTBRACE && lookahead() === TK_RIGHTBRACE) {
               // C_2{}^3 -> C_2^3
               eat(TK_LEFTBRACE);
@@ -1264,12 +8328,12 @@ ch;
         break;
       case TK_ABS:
         next();
-        node = unaryNode(Model.ABS, [braceExpr()]);
+        node = unaryNode(Model.ABS, [argExpr()]);
         break;
       case TK_FRAC:
         next();
-        expr1 = braceExpr();
-        expr2 = braceExpr();
+        expr1 = argExpr();
+        expr2 = argExpr();
         expr1 = expr1.args.length === 0 ? newNode(Model.COMMA, [nodeEmpty]) : expr1;
         expr2 = expr1.args.length === 0 ? newNode(Model.COMMA, [nodeEmpty]) : expr2;
         node = newNode(Model.FRAC, [expr1, expr2]);
@@ -1296,13 +8360,18 @@ ch;
           node = newNode(Model.SQRT, [base, newNode(Model.NUM, ['2'])]);
           break;
         default:
-          assert(false, message(1001, ['{ or (', String.fromCharCode(hd())]));
+          if (isAsciiMath) {
+            // sqrt x
+            node = newNode(Model.SQRT, [argExpr(), newNode(Model.NUM, ['2'])]);
+            break;
+          }
+          parseAssert(false, 1001, ['{ or [', hd() ? lexeme() : 'EOS'], { expected: ['{', '['] });
           break;
         }
         break;
       case TK_VEC:
         next();
-        node = newNode(Model.VEC, [braceExpr()]);
+        node = newNode(Model.VEC, [argExpr()]);
         break;
       case TK_OPERATORNAME: {
         const lex = lexeme();
@@ -1518,14 +8587,16 @@ ch;
         // Collect the subscript and expression.
         if (hd() === TK_UNDERSCORE) {
           next({ oneCharToken: true });
-          args.push(primaryExpr());
-          if (hd() === TK_CARET) {
+          args.push(withBoundNames([imaginaryUnit], primaryExpr));
+        }
+        return withBoundNames(args.length > 0 ? limitName(args[0]) : [], () => {
+          if (args.length > 0 && hd() === TK_CARET) {
             eat(TK_CARET, { oneCharToken: true });
             args.push(primaryExpr());
           }
-        }
-        args.push(multiplicativeExpr());
-        return newNode(tokenToOperator[tk], args);
+          args.push(multiplicativeExpr());
+          return newNode(tokenToOperator[tk], args);
+        });
       case TK_EXISTS:
         next();
         return newNode(Model.EXISTS, [equalExpr()]);
@@ -1543,6 +8614,32 @@ ch;
       case TK_OVERLEFTRIGHTARROW:
         next();
         return newNode(tokenToOperator[tk], [commaExpr()]);
+      case TK_RE:
+      case TK_IM:
+      case TK_ARG:
+        next();
+        if ((t = hd()) === TK_LEFTCMD) {
+          if (lookahead() === TK_LEFTBRACE || lookahead() === TK_LEFTBRACESET) {
+            node = braceExpr(t);
+          } else if (lookahead() === TK_VERTICALBAR) {
+            node = absExpr(t);
+          } else {
+            node = parenExpr(t);
+          }
+        } else if ((t = hd()) === TK_LEFTBRACE || t === TK_LEFTBRACESET) {
+          node = braceExpr(t);
+        } else if ((t = hd()) === TK_LEFTPAREN || t === TK_LEFTBRACKET) {
+          node = parenExpr(t);
+        } else if ((t = hd()) === TK_VERTICALBAR) {
+          node = absExpr(t);
+        } else {
+          node = flattenNestedNodes(multiplicativeExpr(true));
+        }
+        if (node.op === Model.NONE) {
+          // \Re with nothing to apply to.
+          recoverable(parseError(1009, [OpToLaTeX[tokenToOperator[tk]]]));
+        }
+        return newNode(tokenToOperator[tk], [node]);
       case TK_EXP:
         next();
         return newNode(Model.EXP, [additiveExpr()]);
@@ -1554,15 +8651,17 @@ ch;
         return newNode(Model.FORMAT, [braceExpr()]);
       case TK_OVERLINE:
         next();
-        return newNode(Model.OVERLINE, [braceExpr()]);
+        return newNode(Model.OVERLINE, [argExpr()]);
       case TK_DOT:
-        // 0.\dot{1}234\dot{5}
+        // 0.\dot{1}234\dot{5}, or else the dot accent, as in \dot{x}
         next();
         {
           let n; let
 arg = '';
-          n = braceExpr();
-          assert(n.op === Model.NUM);
+          n = argExpr();
+          if (n.op !== Model.NUM) {
+            return newNode(Model.DOT, [n]);
+          }
           arg += n.args[0];
           if (hd() === TK_NUM && lookahead() === TK_DOT) {
             n = primaryExpr();
@@ -1612,7 +8711,7 @@ arg = '';
         next();
         return nodeEmpty;
       default:
-        assert(!Model.option(options, 'strict'), message(1006, [tk]));
+        parseAssert(!Model.option(options, 'strict'), 1006, [tk]);
         node = nodeEmpty;
         break;
       }
@@ -1641,6 +8740,7 @@ arg = '';
     // Parse '| expr |'
     let pipeTokenCount = 0;
     function absExpr(tk) {
+      const start = spanStart();
       tk = tk || TK_VERTICALBAR;
       pipeTokenCount++;
       eat(tk);
@@ -1657,10 +8757,11 @@ tk2;
         eat((tk2 = tk1)); // Capture right token.
       }
       pipeTokenCount--;
-      return unaryNode(Model.ABS, [e]);
+      return spanned(unaryNode(Model.ABS, [e]), start);
     }
     // Parse '{ expr }'
     function braceExpr(tk) {
+      const start = spanStart();
       tk = tk || TK_LEFTBRACE;
       eat(tk);
       let tk1; let
@@ -1696,11 +8797,22 @@ tk2;
       }
       e.lbrk = tk1;
       e.rbrk = tk2;
-      return e;
+      return spanned(e, start);
+    }
+    // In the AsciiMath dialect the arg of a command needn't be grouped, as in
+    // sqrt x, and is then the next operand.
+    function argExpr() {
+      if (!isAsciiMath || hd() === TK_LEFTBRACE) {
+        return braceExpr();
+      }
+      const expr = primaryExpr();
+      // Without an operand, expect the group.
+      return expr.op === nodeEmpty.op && expr.args[0] === nodeEmpty.args[0] ? braceExpr() : expr;
     }
     // Parse '[ expr ]'
     let bracketTokenCount = 0;
     function bracketExpr(tk) {
+      const start = spanStart();
       tk = tk || TK_LEFTBRACKET;
       assert(tk === TK_LEFTCMD || tk === TK_LEFTBRACKET, '1000: Internal error');
       bracketTokenCount++;
@@ -1715,12 +8827,13 @@ tk2;
         eat((tk2 = TK_RIGHTBRACKET)); // Capture right token.
       }
       bracketTokenCount--;
-      return e;
+      return spanned(e, start);
     }
     // Parse '( expr )' and '( expr ]' and '[ expr )' and '[ expr ]'
     //       '\left . expr \right |_3', '\left( expr \right)'
     let inParenExpr;
     function parenExpr(tk) {
+      const start = spanStart();
       // Handle grouping and intervals.
       bracketTokenCount++;
       eat(tk);
@@ -1748,14 +8861,21 @@ leftCmdFound;
         const allowSemicolon = true; // Allow semis if in an interval.
         e = commaExpr(allowSemicolon);
         // (..], [..], [..), (..), ]..], ]..[, [..[
-        eat((tk2 =
+        const found = eat((tk2 =
              leftCmdFound && TK_RIGHTCMD ||
              hd() === TK_RIGHTPAREN && TK_RIGHTPAREN ||
              hd() === TK_RANGLE && TK_RANGLE ||
              tk === TK_LEFTCMD && TK_RIGHTCMD ||
              hd() === TK_LEFTBRACKET && TK_LEFTBRACKET ||
+             hd() === TK_RIGHTBRACKET && TK_RIGHTBRACKET ||
+             // A missing closer is the one that matches the opener.
+             tk1 === TK_LEFTPAREN && TK_RIGHTPAREN ||
+             tk1 === TK_LANGLE && TK_RANGLE ||
              TK_RIGHTBRACKET));
-        if (tk2 === TK_RIGHTCMD) {
+        if (tk2 === TK_RIGHTCMD && !found) {
+          // Recovering from a missing \right, so close what \left opened.
+          tk2 = tk1 === TK_LEFTPAREN && TK_RIGHTPAREN || tk1 === TK_LANGLE && TK_RANGLE || TK_RIGHTBRACKET;
+        } else if (tk2 === TK_RIGHTCMD) {
           eat((tk2 =
                hd() === TK_RIGHTPAREN && TK_RIGHTPAREN ||
                hd() === TK_RANGLE && TK_RANGLE ||
@@ -1779,15 +8899,22 @@ leftCmdFound;
           tk1 === TK_LEFTBRACKET && tk2 === TK_RIGHTBRACKET && Model.BRACKET ||
           tk1 === TK_LEFTPAREN && tk2 === TK_RIGHTBRACKET && Model.INTERVALLEFTOPEN ||
           tk1 === TK_LEFTBRACKET && tk2 === TK_RIGHTPAREN && Model.INTERVALRIGHTOPEN;
+        if (recover && (op === Model.INTERVALLEFTOPEN || op === Model.INTERVALRIGHTOPEN) &&
+            !(e.op === Model.COMMA && e.args.length === 2)) {
+          // Mismatched brackets rather than an interval, as in (3].
+          diagnose(parseError(1011, [`${scan.tokenText(tk1)} ${scan.tokenText(tk2)}`], {
+            span: [start, lastEnd],
+          }));
+        }
         e = newNode(op, [e]);
       } else if (e.lbrk === TK_PERIOD && e.rbrk === TK_VERTICALBAR) {
         e = newNode(Model.EVALAT, [e]);
       } else if (tk1 === TK_LANGLE && tk2 === TK_RANGLE) {
         e = newNode(Model.ANGLEBRACKET, [e]);
       } else if (e.op === Model.COMMA || tk1 === TK_LEFTPAREN || tk1 === TK_LEFTBRACKET) {
-        assert(tk1 === TK_LEFTPAREN && tk2 === TK_RIGHTPAREN ||
-               tk1 === TK_LEFTBRACKET && tk2 === TK_RIGHTBRACKET ||
-               tk1 === tk2, message(1011, [`tk1=${tk1} tk2=${tk2}`]));
+        parseAssert(tk1 === TK_LEFTPAREN && tk2 === TK_RIGHTPAREN ||
+                    tk1 === TK_LEFTBRACKET && tk2 === TK_RIGHTBRACKET ||
+                    tk1 === tk2, 1011, [`tk1=${tk1} tk2=${tk2}`]);
         const op =
             tk1 === TK_LEFTBRACKET && Model.BRACKET ||
             Model.PAREN;
@@ -1797,7 +8924,7 @@ leftCmdFound;
       inParenExpr = false;
       e.lbrk = tk1;
       e.rbrk = tk2;
-      return e;
+      return spanned(e, start);
     }
     // Parse 'x^2'
     function exponentialExpr() {
@@ -1805,7 +8932,7 @@ leftCmdFound;
       while (hd() === TK_CARET) {
         next({ oneCharToken: true });
         let t;
-        if ((isMathSymbol(args[0]) || isChemCore()) &&
+        if ((isMathSymbol(args[0]) || isChemCore(env)) &&
             ((t = hd()) === TK_ADD || t === TK_SUB)) {
           next();
           // Na^+
@@ -1847,6 +8974,7 @@ leftCmdFound;
     }
     // Parse '10%', '4!'
     function postfixExpr() {
+      const start = spanStart();
       // FIXME (2\degree)\text{C} => 2(\degree\text{C})
       let t;
       let expr = exponentialExpr();
@@ -1867,14 +8995,14 @@ leftCmdFound;
           next({ oneCharToken: true });
           args.push(newNode(Model.SUBSCRIPT, [equalExpr()]));
           expr = newNode(Model.PIPE, args);
-        } else if (isChemCore() && (t === TK_ADD || t === TK_SUB) && lookahead() === TK_RIGHTBRACE) {
+        } else if (isChemCore(env) && (t === TK_ADD || t === TK_SUB) && lookahead() === TK_RIGHTBRACE) {
           next();
           // 3+, ion
           expr = unaryNode(tokenToOperator[t], [expr]);
         } // Otherwise we're in the middle of a binary expr.
         break;
       }
-      return expr;
+      return spanned(expr, start);
     }
     function isEndOfMultiplicativeExpression(tk) {
       return tk === TK_ADD ||
@@ -1889,6 +9017,7 @@ leftCmdFound;
     }
     // Parse '+x', '\pm y'
     function unaryExpr() {
+      const start = spanStart();
       let t; let expr; let
 op;
       switch (t = hd()) {
@@ -1959,7 +9088,7 @@ op;
         }
         break;
       }
-      return expr;
+      return spanned(expr, start);
     }
     // Parse 'x_2', where x might be a exponential.
     // x^2_1 => x_1^2
@@ -1967,8 +9096,8 @@ op;
       const args = [unaryExpr()];
       while (hd() === TK_UNDERSCORE) {
         next({ oneCharToken: true });
-        args.push(exponentialExpr());
-        if (isChemCore()) {
+        args.push(withBoundNames([imaginaryUnit], exponentialExpr));
+        if (isChemCore(env)) {
           if (hd() === TK_LEFTBRACE) {
             // C_2{}^3 -> C_2^3
             eat(TK_LEFTBRACE);
@@ -1979,7 +9108,7 @@ op;
       let expr;
       if (args.length === 1) {
         expr = args[0];
-        assert(expr.op !== Model.SUBSCRIPT || expr.args.length !== 1, message(1012, [src]));
+        parseAssert(expr.op !== Model.SUBSCRIPT || expr.args.length !== 1, 1012, [src], { node: expr });
       } else {
         expr = foldSubs(args);
       }
@@ -2079,7 +9208,7 @@ argArgs;
       if (n.op !== Model.VAR) {
         return false;
       }
-      const sym = Model.env[n.args[0]];
+      const sym = env[n.args[0]];
       return !!(sym && sym.name);  // This is somewhat ad hoc, update as needed.
     }
     function isVar(n, id) {
@@ -2133,7 +9262,10 @@ argArgs;
         t === TK_ARCCSCH ||
         t === TK_LN ||
         t === TK_LOG ||
-        t === TK_LG;
+        t === TK_LG ||
+        t === TK_RE ||
+        t === TK_IM ||
+        t === TK_ARG;
     }
     function isDerivative(n) {
       if (n.op !== Model.FRAC) {
@@ -2170,7 +9302,7 @@ argArgs;
     }
     function multiplicativeExpr(implicitOnly = false) {
       let t; let expr; let explicitOperator = false; let args = [];
-      let n0;
+      let n0; let isNumberRun = false;
       expr = fractionExpr();
       args = [expr];
       // While lookahead is not a lower precedent operator
@@ -2213,14 +9345,20 @@ argArgs;
               expr.op !== Model.NUM)) {
           assert(false, 'Shouldn\'t get here');
         }
-        assert(explicitOperator ||
-               args.length === 0 ||
-               expr.lbrk ||
-               args[args.length - 1].op !== Model.NUM ||
-               args[args.length - 1].lbrk ||
-               isRepeatingDecimal([args[args.length - 1], expr]) ||
-               expr.op !== Model.NUM, message(1010));
-        if (isChemCore() && t === TK_LEFTPAREN && isVar(args[args.length - 1], 'M')) {
+        // A number after a number, or after the numbers of a missing
+        // operator before it, as the 3 of '1 2 3'.
+        const isMissingOperator = !explicitOperator && !expr.lbrk && expr.op === Model.NUM && (
+          isNumberRun ||
+          args.length > 0 &&
+          args[args.length - 1].op === Model.NUM &&
+          !args[args.length - 1].lbrk &&
+          !isRepeatingDecimal([args[args.length - 1], expr]));
+        if (isMissingOperator) {
+          // Carry on as if the numbers were multiplied if recovering.
+          recoverable(parseError(1010, [], { node: expr }));
+        }
+        isNumberRun = isMissingOperator;
+        if (isChemCore(env) && t === TK_LEFTPAREN && isVar(args[args.length - 1], 'M')) {
           // M(x) -> \M(x)
           args.pop();
           expr = unaryNode(Model.M, [expr]);
@@ -2558,12 +9696,20 @@ argArgs;
         node.op === Model.ARCCSCH ||
         node.op === Model.LN ||
         node.op === Model.LOG ||
-        node.op === Model.LG;
+        node.op === Model.LG ||
+        node.op === Model.RE ||
+        node.op === Model.IM ||
+        node.op === Model.ARG;
+    }
+    // Mixed numbers, repeating decimals and scientific numbers, such as
+    // 2\frac{1}{3}, 0.\overline{3} and 1.5\times10^3, are kept whole.
+    function isNumberForm(node) {
+      return !!(node.isMixedNumber || node.isRepeating || node.isScientific);
     }
     function flattenNestedNodes(node) {
       let args = [];
       let op = node.op;
-      if (op === Model.NUM || op === Model.VAR) {
+      if (op === Model.NUM || op === Model.VAR || isNumberForm(node)) {
         return node;
       }
       if (op === Model.CDOT || op === Model.TIMES) {
@@ -2571,16 +9717,21 @@ argArgs;
       }
       node.args.forEach((n) => {
         n = flattenNestedNodes(n);
-        if (op !== Model.INTEGRAL && n.op === op &&
-            n.args.length > 1) {
+        if ((op === Model.ADD || op === Model.MUL) && n.op === op &&
+            n.args.length > 1 && !isNumberForm(n)) {
           args = args.concat(n.args);
         } else {
           args.push(n);
         }
       });
-      const { isMixedNumber } = node;
+      const { isSlash, span } = node;
       node = newNode(op, args);
-      node.isMixedNumber = isMixedNumber;
+      node.isSlash = isSlash;
+      if (span) {
+        // Keep the span of wrappers such as the IMAGINARY of i, whose args
+        // have none.
+        node.span = span;
+      }
       return node;
     }
     // Parse '\int a + b dx'
@@ -2687,7 +9838,7 @@ argArgs;
       args.push(foundDX || nodeEmpty);
       // [sub, sup,  expr, var], [expr, var]
       Model.option(options, 'parsingIntegralExpr', parsingIntegralExpr);
-      assert(foundDX, message(1014, [src.replace(/\\\\/g, '\\')]));
+      parseAssert(foundDX, 1014, [src.replace(/\\\\/g, '\\')]);
       return newNode(Model.INTEGRAL, args);
     }
     function limitExpr() {
@@ -2696,9 +9847,9 @@ argArgs;
       // Collect the subscript and expression
       if (hd() === TK_UNDERSCORE) {
         next({ oneCharToken: true });
-        args.push(primaryExpr());
+        args.push(withBoundNames([imaginaryUnit], primaryExpr));
       }
-      args.push(multiplicativeExpr());
+      args.push(withBoundNames(args.length > 0 ? limitName(args[0]) : [], multiplicativeExpr));
       return newNode(Model.LIM, args);
     }
     function ratioExpr() {
@@ -2817,31 +9968,61 @@ argArgs;
       try {
         initParser();
         if (hd()) {
-          let n = commaExpr();
-          assert(!hd(), message(1003, [
-            scan.pos(),
-            scan.lexeme(), `"${src.substring(scan.pos() - 1)}"`,
-          ]));
+          let n = recover ? recoveringExpr() : commaExpr();
+          parseAssert(!hd(), 1003, extraCharsArgs());
           if (n.lbrk === TK_LEFTBRACESET) {
             n = newNode(Model.SET, [n]);
           }
-          return n;
+          return addSpans(n, sourceSpan(0, src.length));
         }
       } catch (x) {
-        console.log(`SYNTAX ERROR in: ${src}\n${x.stack}`);
-        throw x;
+        // Errors from asserts with a message code, such as internal errors,
+        // are parse errors at the current token too.
+        const code = !(x instanceof ParseError) && /^(\d+):/.exec(x.message);
+        const error = code ? parseError(+code[1], [], {}, x.message) : x;
+        const logger = Model.option(options, 'logger');
+        if (logger) {
+          logger(error);
+        }
+        throw error;
       }
       // No meaningful input. Return a dummy node to avoid choking.
-      return nodeEmpty;
+      return addSpans(nodeEmpty, sourceSpan(0, src.length));
+    }
+    // Parse the input in recover mode. Extra characters are skipped and the
+    // rest parsed, giving an error node of the parts.
+    function recoveringExpr() {
+      const args = [];
+      try {
+        args.push(commaExpr());
+        while (hd()) {
+          diagnose(parseError(1003, extraCharsArgs()));
+          next();
+          if (hd()) {
+            args.push(commaExpr());
+          }
+        }
+      } catch (x) {
+        if (!(x instanceof ParseError)) {
+          throw x;
+        }
+        diagnose(x);
+        while (hd()) {
+          next();
+        }
+      }
+      return args.length === 1 ? args[0] : spanned(newNode(Model.ERROR, args), 0);
     }
     // Return a parser object.
     return {
       expr,
+      diagnostics,
     };
     // SCANNER
     // Find tokens in the input stream.
     function scanner(src) {
       let curIndex = 0;
+      let tokenIndex = 0;  // Where the last token scanned starts.
       let lexeme = '';
       const lexemeToToken = {
         '\\Delta': TK_DELTA,
@@ -2887,6 +10068,9 @@ argArgs;
         '\\ln': TK_LN,
         '\\lg': TK_LG,
         '\\log': TK_LOG,
+        '\\Re': TK_RE,
+        '\\Im': TK_IM,
+        '\\arg': TK_ARG,
         '\\left': TK_LEFTCMD,
         '\\right': TK_RIGHTCMD,
         '\\big': null,  // whitespace
@@ -2904,9 +10088,11 @@ argArgs;
         '\\lt': TK_LT,
         '\\le': TK_LE,
         '\\leq': TK_LE,
+        '\\leqslant': TK_LE,
         '\\gt': TK_GT,
         '\\ge': TK_GE,
         '\\geq': TK_GE,
+        '\\geqslant': TK_GE,
         '\\ne': TK_NE,
         '\\neq': TK_NE,
         '\\ngtr': TK_NGTR,
@@ -2976,326 +10162,6 @@ argArgs;
         '\\langle': TK_LANGLE,
         '\\rangle': TK_RANGLE,
       };
-      const unicodeToLaTeX = {
-        0x00A2: '\\cent',
-        0x00B0: '\\degree',
-        0x2190: "\\leftarrow",
-        0x2192: "\\rightarrow",
-        0x21CC: "\\rightleftharpoons",
-        0x2200: '\\forall',
-        0x2201: '\\complement',
-        0x2202: '\\partial',
-        0x2203: '\\exists',
-        0x2204: '\\nexists',
-        0x2205: '\\varnothing',
-        0x2206: '\\triangle',
-        0x2207: '\\nabla',
-        0x2208: '\\in',
-        0x2209: '\\notin',
-        0x220A: '\\in',
-        0x220B: '\\ni',
-        0x220C: '\\notni',
-        0x220D: '\\ni',
-        0x220E: '\\blacksquare',
-        0x220F: '\\sqcap',
-        0x2210: '\\amalg',
-        0x2211: '\\sigma',
-        0x2212: '-',
-        0x2213: '\\mp',
-        0x2214: '\\dotplus',
-        0x2215: '/',
-        0x2216: '\\setminus',
-        0x2217: '*',
-        0x2218: '\\circ',
-        0x2219: '\\bullet',
-        0x221A: '\\sqrt',
-        0x221B: null,
-        0x221C: null,
-        0x221D: '\\propto',
-        0x221E: '\\infty',
-        0x221F: '\\llcorner',
-        0x2220: '\\angle',
-        0x2221: '\\measuredangle',
-        0x2222: '\\sphericalangle',
-        0x2223: '\\divides',
-        0x2224: '\\notdivides',
-        0x2225: '\\parallel',
-        0x2226: '\\nparallel',
-        0x2227: '\\wedge',
-        0x2228: '\\vee',
-        0x2229: '\\cap',
-        0x222A: '\\cup',
-        0x222B: '\\int',
-        0x222C: '\\iint',
-        0x222D: '\\iiint',
-        0x222E: '\\oint',
-        0x222F: '\\oiint',
-        0x2230: '\\oiiint',
-        0x2231: null,
-        0x2232: null,
-        0x2233: null,
-        0x2234: '\\therefore',
-        0x2235: '\\because',
-        0x2236: '\\colon',
-        0x2237: null,
-        0x2238: null,
-        0x2239: null,
-        0x223A: null,
-        0x223B: null,
-        0x223C: '\\sim',
-        0x223D: '\\backsim',
-        0x223E: null,
-        0x223F: null,
-        0x2240: '\\wr',
-        0x2241: '\\nsim',
-        0x2242: '\\eqsim',
-        0x2243: '\\simeq',
-        0x2244: null,
-        0x2245: '\\cong',
-        0x2246: null,
-        0x2247: '\\ncong',
-        0x2248: '\\approx',
-        0x2249: null,
-        0x224A: '\\approxeq',
-        0x224B: null,
-        0x224C: null,
-        0x224D: '\\asymp',
-        0x224E: '\\Bumpeq',
-        0x224F: '\\bumpeq',
-        0x2250: '\\doteq',
-        0x2251: '\\doteqdot',
-        0x2252: '\\fallingdotseq',
-        0x2253: '\\risingdotseq',
-        0x2254: null,
-        0x2255: null,
-        0x2256: '\\eqcirc',
-        0x2257: '\\circeq',
-        0x2258: null,
-        0x2259: null,
-        0x225A: null,
-        0x225B: null,
-        0x225C: '\\triangleq',
-        0x225D: null,
-        0x225E: null,
-        0x225F: null,
-        0x2260: '\\ne',
-        0x2261: '\\equiv',
-        0x2262: null,
-        0x2263: null,
-        0x2264: '\\le',
-        0x2265: '\\ge',
-        0x2266: '\\leqq',
-        0x2267: '\\geqq',
-        0x2268: '\\lneqq',
-        0x2269: '\\gneqq',
-        0x226A: '\\ll',
-        0x226B: '\\gg',
-        0x226C: '\\between',
-        0x226D: null,
-        0x226E: '\\nless',
-        0x226F: '\\ngtr',
-        0x2270: '\\nleq',
-        0x2271: '\\ngeq',
-        0x2272: '\\lessim',
-        0x2273: '\\gtrsim',
-        0x2274: null,
-        0x2275: null,
-        0x2276: '\\lessgtr',
-        0x2277: '\\gtrless',
-        0x2278: null,
-        0x2279: null,
-        0x227A: '\\prec',
-        0x227B: '\\succ',
-        0x227C: '\\preccurlyeq',
-        0x227D: '\\succcurlyeq',
-        0x227E: '\\precsim',
-        0x227F: '\\succsim',
-        0x2280: '\\nprec',
-        0x2281: '\\nsucc',
-        0x2282: '\\subset',
-        0x2283: '\\supset',
-        0x2284: null,
-        0x2285: null,
-        0x2286: '\\subseteq',
-        0x2287: '\\supseteq',
-        0x2288: '\\nsubseteq',
-        0x2289: '\\nsupseteq',
-        0x228A: '\\subsetneq',
-        0x228B: '\\supsetneq',
-        0x228C: null,
-        0x228D: null,
-        0x228E: null,
-        0x228F: '\\sqsubset',
-        0x2290: '\\sqsupset',
-        0x2291: null,
-        0x2292: null,
-        0x2293: '\\sqcap',
-        0x2294: '\\sqcup',
-        0x2295: '\\oplus',
-        0x2296: '\\ominus',
-        0x2297: '\\otimes',
-        0x2298: '\\oslash',
-        0x2299: '\\odot',
-        0x229A: '\\circledcirc',
-        0x229B: '\\circledast',
-        0x229C: null,
-        0x229D: '\\circleddash',
-        0x229E: '\\boxplus',
-        0x229F: '\\boxminus',
-        0x22A0: '\\boxtimes',
-        0x22A1: '\\boxdot',
-        0x22A2: '\\vdash',
-        0x22A3: '\\dashv',
-        0x22A4: '\\top',
-        0x22A5: '\\bot',
-        0x22A6: null,
-        0x22A7: '\\models',
-        0x22A8: '\\vDash',
-        0x22A9: '\\Vdash',
-        0x22AA: '\\Vvdash',
-        0x22AB: '\\VDash*',
-        0x22AC: '\\nvdash',
-        0x22AD: '\\nvDash',
-        0x22AE: '\\nVdash',
-        0x22AF: '\\nVDash',
-        0x22B0: null,
-        0x22B1: null,
-        0x22B2: '\\vartriangleleft',
-        0x22B3: '\\vartriangleright',
-        0x22B4: '\\trianglelefteq',
-        0x22B5: '\\trianglerighteq',
-        0x22B6: null,
-        0x22B7: null,
-        0x22B8: '\\multimap',
-        0x22B9: null,
-        0x22BA: '\\intercal',
-        0x22BB: '\\veebar',
-        0x22BC: '\\barwedge',
-        0x22BD: null,
-        0x22BE: null,
-        0x22BF: null,
-        0x22C0: '\\wedge',
-        0x22C1: '\\vee',
-        0x22C2: '\\cap',
-        0x22C3: '\\cup',
-        0x22C4: '\\diamond',
-        0x22C5: '\\cdot',
-        0x22C6: '\\star',
-        0x22C7: null,
-        0x22C8: '\\bowtie',
-        0x22C9: '\\ltimes',
-        0x22CA: '\\rtimes',
-        0x22CB: '\\leftthreetimes',
-        0x22CC: '\\rightthreetimes',
-        0x22CD: '\\backsimeq',
-        0x22CE: '\\curlyvee',
-        0x22CF: '\\curlywedge',
-        0x22D0: '\\Subset',
-        0x22D1: '\\Supset',
-        0x22D2: '\\Cap',
-        0x22D3: '\\Cup',
-        0x22D4: '\\pitchfork',
-        0x22D5: '\\lessdot',
-        0x22D6: '\\gtrdot',
-        0x22D7: null,
-        0x22D8: '\\lll',
-        0x22D9: '\\ggg',
-        0x22DA: '\\lesseqgtr',
-        0x22DB: '\\gtreqless',
-        0x22DC: null,
-        0x22DD: null,
-        0x22DE: '\\curlyeqprec',
-        0x22DF: '\\curlyeqsucc',
-        0x22E0: null,
-        0x22E1: null,
-        0x22E2: null,
-        0x22E3: null,
-        0x22E4: null,
-        0x22E5: null,
-        0x22E6: '\\lnsim',
-        0x22E7: '\\gnsim',
-        0x22E8: '\\precnsim',
-        0x22E9: '\\succnsim',
-        0x22EA: '\\ntriangleleft',
-        0x22EB: '\\ntriangleright',
-        0x22EC: '\\ntrianglelefteq',
-        0x22ED: '\\ntrianglerighteq',
-        0x22EE: '\\vdots',
-        0x22EF: '\\cdots',
-        0x22F0: null,
-        0x22F1: '\\ddots',
-        0x22F2: null,
-        0x22F3: null,
-        0x22F4: null,
-        0x22F5: null,
-        0x22F6: null,
-        0x22F7: null,
-        0x22F8: null,
-        0x22F9: null,
-        0x22FA: null,
-        0x22FB: null,
-        0x22FC: null,
-        0x22FD: null,
-        0x22FE: null,
-        0x22FF: null,
-        0x27F7: "\\longleftrightarrow",
-        0x03B1: '\\alpha',
-        0x03B2: '\\beta',
-        0x03B3: '\\gamma',
-        0x03B4: '\\delta',
-        0x03B5: '\\epsilon',
-        0x03B6: '\\zeta',
-        0x03B7: '\\eta',
-        0x03B8: '\\theta',
-        0x03B9: '\\iota',
-        0x03BA: '\\kappa',
-        0x03BB: '\\lambda',
-        0x03BC: '\\mu',
-        0x03BD: '\\nu',
-        0x03BE: '\\xi',
-        0x03BF: 'o',
-        0x03C0: '\\pi',
-        0x03C1: '\\rho',
-        0x03C2: '\\varsigma',
-        0x03C3: '\\sigma',
-        0x03C4: '\\tau',
-        0x03C5: '\\upsilon',
-        0x03C6: '\\varphi',
-        0x03C7: '\\chi',
-        0x03C8: '\\psi',
-        0x03C9: '\\omega',
-        0x03D1: '\\vartheta',
-        0x03D5: '\\phi',
-        0x03D6: '\\varpi',
-        0x03F1: '\\varrho',
-        0x03F5: '\\epsilon',
-        0x0391: 'A',
-        0x0392: 'B',
-        0x0393: '\\Gamma',
-        0x0394: '\\Delta',
-        0x0395: 'E',
-        0x0396: 'Z',
-        0x0397: 'H',
-        0x0398: '\\Theta',
-        0x0399: 'I',
-        0x039A: 'K',
-        0x039B: '\\Lambda',
-        0x039C: 'M',
-        0x039D: 'N',
-        0x039E: '\\Xi',
-        0x039F: 'O',
-        0x03A0: '\\Pi',
-        0x03A1: 'P',
-        0x03A2: null,
-        0x03A3: '\\Sigma',
-        0x03A4: 'T',
-        0x03A5: '\\Upsilon',
-        0x03A6: '\\Phi',
-        0x03A7: 'X',
-        0x03A8: '\\Psi',
-        0x03A9: '\\Omega',
-        0x03F5: "\\epsilon",
-      };
       function isAlphaCharCode(c) {
         return (
           c >= 65 && c <= 90 ||
@@ -3307,7 +10173,83 @@ argArgs;
         return c >= 48 && c <= 57;
       }
 
+      // In the AsciiMath dialect, parens around the args of scripts and
+      // commands only group, as in sqrt(x) and sum_(i=1)^n, so they are read
+      // as the delimiters in AsciiMathGroupArgs. groupArgs holds the
+      // delimiters of the args still to come, and each entry of groups the
+      // close delimiter of an open paren, or null for a paren or bracket that
+      // is kept. Intervals such as (a, b] close either with the other. Parens
+      // around the operands of a slash only group too, as in (a+1)/(b+1).
+      const groups = [];
+      let groupArgs = '';
+      let asciiMathName;
+      let lastTk;
       function start(options) {
+        asciiMathName = null;
+        const tk = token(options);
+        if (!isAsciiMath) {
+          return tk;
+        }
+        const isAfterSlash = lastTk === TK_SLASH;
+        lastTk = tk;
+        if (tk === TK_LEFTPAREN || tk === TK_LEFTBRACKET) {
+          const open = tk === TK_LEFTPAREN && (groupArgs[0] || (isAfterSlash || isBeforeSlash()) && '{');
+          if (!open) {
+            groups.push(null);
+            groupArgs = '';
+            return tk;
+          }
+          groups.push({ close: open === '[' ? ']' : '}', args: groupArgs.slice(1) });
+          groupArgs = '';
+          lexeme = open;
+          return open === '[' ? TK_LEFTBRACKET : TK_LEFTBRACE;
+        }
+        if ((tk === TK_RIGHTPAREN || tk === TK_RIGHTBRACKET) && groups.length > 0) {
+          const group = groups.pop();
+          if (group && tk === TK_RIGHTPAREN) {
+            groupArgs = group.args;
+            lexeme = group.close;
+            return group.close === ']' ? TK_RIGHTBRACKET : TK_RIGHTBRACE;
+          }
+        }
+        groupArgs = asciiMathName === 'root' && AsciiMathRootArgs || AsciiMathGroupArgs[tk] || '';
+        return tk;
+      }
+      // Whether the paren group that starts at the current char is followed
+      // by a slash.
+      function isBeforeSlash() {
+        let depth = 1;
+        let index = curIndex;
+        while (index < src.length && depth > 0) {
+          const ch = src.charAt(index++);
+          depth += ch === '(' && 1 || ch === ')' && -1 || 0;
+        }
+        return depth === 0 && /^\s*\//.test(src.slice(index));
+      }
+      // Recognize the longest AsciiMath lexeme at the current char, if any.
+      // Names match only as whole words, so that min(a, b) isn't m in (a, b).
+      function asciiMath() {
+        const isLetterAt = (index) => isAlphaCharCode(src.charCodeAt(index));
+        const name = asciiMathLexemes.find((l) => (
+          src.startsWith(l, curIndex - 1) &&
+          !(isAlphaCharCode(l.charCodeAt(0)) && isLetterAt(curIndex - 2)) &&
+          !(isAlphaCharCode(l.charCodeAt(l.length - 1)) && isLetterAt(curIndex - 1 + l.length))
+        ));
+        if (!name) {
+          return null;
+        }
+        // Leave the relation after a bang to be scanned next.
+        curIndex += name.indexOf('!') === 0 ? 0 : name.length - 1;
+        asciiMathName = name;
+        lexeme = asciiMathToLaTeX[name];
+        const tk = lexemeToToken[lexeme];
+        if (tk === undefined) {
+          return TK_VAR;   // e.g. \theta
+        }
+        // As in latex().
+        return tk === TK_INFTY ? TK_NUM : tk;
+      }
+      function token(options) {
         // Start scanning for one token.
         if (!options) {
           options = {};
@@ -3315,16 +10257,28 @@ argArgs;
         let c;
         lexeme = '';
         let t;
+        tokenIndex = curIndex;
         while (curIndex < src.length) {
           let tk;
+          tokenIndex = curIndex;
           c = src.charCodeAt(curIndex++);
           if (c === 0xD835) {
             // Normalize varepsilon surrogate pair.
             if (src.charCodeAt(curIndex++) === 0xDEC6) {
               c = 0x03B5;
             } else {
-              assert(false, message(1004, [String.fromCharCode(c), c]));
+              parseAssert(false, 1004, [String.fromCharCode(c), c], { span: [tokenIndex, curIndex] });
+            }
+          }
+          if (isAsciiMath && (tk = asciiMath()) !== null) {
+            return tk;
+          }
+          if (isAsciiMath && c === 34) {  // quote
+            text(options, 34);
+            if ((tk = textToken(options)) !== null) {
+              return tk;
             }
+            continue;  // whitespace
           }
           switch (c) {
           case 32:  // space
@@ -3381,6 +10335,10 @@ argArgs;
             return TK_SUB;
           case 47:  // slash
           case 0x2215:
+            if (isAsciiMath && src.charCodeAt(curIndex) === 47) {
+              // The AsciiMath // is a slash.
+              curIndex++;
+            }
             return TK_SLASH;
           case 33:  // bang, exclamation point
             if (src.charCodeAt(curIndex) === 61) { // equals
@@ -3439,14 +10397,16 @@ argArgs;
               return tk;
             } if (matchDecimalSeparator(String.fromCharCode(c)) ||
                        isNumberCharCode(c)) {
-              if (options.oneCharToken) {
+              // AsciiMath scripts take whole numbers, as in x^10.
+              if (options.oneCharToken && !isAsciiMath) {
                 lexeme += String.fromCharCode(c);
                 return TK_NUM;
               }
               return number(c);
             }
-            assert(false, message(1004, [String.fromCharCode(c), c]));
-            return 0;
+            // Skip the character if recovering.
+            recoverable(parseError(1004, [String.fromCharCode(c), c], { span: [tokenIndex, curIndex] }));
+            break;
           }
         }
         return 0;
@@ -3543,8 +10503,8 @@ argArgs;
       }
       function latex() {
         let c = src.charCodeAt(curIndex++);
-        if (c === CC_DOLLAR) {
-          // don't include \
+        if (c === CC_DOLLAR || c === CC_AMPERSAND) {
+          // don't include \, as in \$ and \&
           lexeme = String.fromCharCode(c);
         } else if (c === CC_PERCENT) {
           lexeme += String.fromCharCode(c);
@@ -3590,7 +10550,9 @@ argArgs;
             c = src.charCodeAt(curIndex++);
           }
           tk = lexemeToToken[`\\${lexeme}`];
-          if (tk === undefined) {
+          if (tk === undefined || ComplexTokens.indexOf(tk) >= 0 && !imaginaryUnit) {
+            // \operatorname{Re} is \Re only with the 'imaginaryUnit' option,
+            // as it was an operator name before \Re was.
             tk = TK_OPERATORNAME;
           }
         } else if (tk === TK_TEXT || tk === TK_TYPE) {
@@ -3599,33 +10561,40 @@ argArgs;
           while (c && c !== CC_LEFTBRACE) {
             c = src.charCodeAt(curIndex++);
           }
-          lexeme = '';
-          c = src.charCodeAt(curIndex++);
-          const keepTextWhitespace = Model.option(options, 'keepTextWhitespace');
-          while (c && c !== CC_RIGHTBRACE) {
-            const ch = String.fromCharCode(c);
-            if (!keepTextWhitespace && ch === '&' && src.substring(curIndex).indexOf('nbsp;') === 0) {
-              // Skip &nbsp;
-              curIndex += 5;
-            } else if (!keepTextWhitespace && (ch === ' ' || ch === '\t')) {
-              // Skip space and tab
-            } else {
-              lexeme += ch;
-            }
-            c = src.charCodeAt(curIndex++);
-          }
+          text(options, CC_RIGHTBRACE);
           if (tk !== TK_TYPE) {
-            if (!lexeme || Model.option(options, 'ignoreText')) {
-              tk = null;   // Treat as whitespace.
-            } else {
-              tk = TK_TEXT;
-            }
+            tk = textToken(options);
           }
         } else if (tk === TK_INFTY) {
           tk = TK_NUM;
         }
         return tk;
       }
+      // Scan the chars of a text up to its close char, as in \text{...} and the
+      // AsciiMath "...".
+      function text(options, close) {
+        lexeme = '';
+        let c = src.charCodeAt(curIndex++);
+        const keepTextWhitespace = Model.option(options, 'keepTextWhitespace');
+        while (c && c !== close) {
+          const ch = String.fromCharCode(c);
+          if (!keepTextWhitespace && ch === '&' && src.substring(curIndex).indexOf('nbsp;') === 0) {
+            // Skip &nbsp;
+            curIndex += 5;
+          } else if (!keepTextWhitespace && (ch === ' ' || ch === '\t')) {
+            // Skip space and tab
+          } else {
+            lexeme += ch;
+          }
+          c = src.charCodeAt(curIndex++);
+        }
+      }
+      function textToken(options) {
+        if (!lexeme || Model.option(options, 'ignoreText')) {
+          return null;   // Treat as whitespace.
+        }
+        return TK_TEXT;
+      }
       function prime(c) {
         assert(c === 39);
         lexeme = '\'';
@@ -3644,6 +10613,20 @@ argArgs;
         pos() {
           return curIndex;
         },
+        tokenPos() {
+          return tokenIndex;
+        },
+        // The text of a token, for messages.
+        tokenText(tk) {
+          if (tk === TK_NONE) {
+            return 'EOS';
+          }
+          if (tk < 0x100) {
+            return String.fromCharCode(tk);
+          }
+          return Object.keys(lexemeToToken).find((l) => lexemeToToken[l] === tk) ||
+            TokenText[tk] || `0x${tk.toString(16)}`;
+        },
       };
     }
   };
@@ -1,4 +1,6 @@
+import Decimal from 'decimal.js';
 import { Model } from './model.js';
+import { Assert } from './assert.js';
 
 function stripMetadata(node) {
   // Strip metadata such as nids.
@@ -33,3 +35,913 @@ test('1 + 2', () => {
   };
   expect(JSON.stringify(nodeRecieved)).toBe(JSON.stringify(nodeExpected));
 });
+
+test('toLaTeX intervals and sets', () => {
+  expect(Model.toLaTeX(Model.create({}, '(1,2]'))).toBe('(1, 2]');
+  expect(Model.toLaTeX(Model.create({}, '[1,2)'))).toBe('[1, 2)');
+  expect(Model.toLaTeX(Model.create({}, '\\{1,2\\}'))).toBe('\\{1, 2\\}');
+  expect(Model.toLaTeX(Model.create({}, '|x|'))).toBe('|x|');
+});
+
+test('toLaTeX relations and arrows', () => {
+  expect(Model.toLaTeX(Model.create({}, 'x\\le y'))).toBe('x \\le y');
+  expect(Model.toLaTeX(Model.create({}, 'x\\not\\in A'))).toBe('x \\not\\in A');
+  expect(Model.toLaTeX(Model.create({}, 'a\\rightarrow b'))).toBe('a \\rightarrow b');
+  expect(Model.toLaTeX(Model.create({}, '\\forall x'))).toBe('\\forall x');
+});
+
+test('toLaTeX big operators, limits and derivatives', () => {
+  expect(Model.toLaTeX(Model.create({}, '\\sum_{i=1}^{n} i'))).toBe('\\sum_{i = 1}^{n} i');
+  expect(Model.toLaTeX(Model.create({}, '\\lim_{x\\to 0} x'))).toBe('\\lim_{x \\to 0} x');
+  expect(Model.toLaTeX(Model.create({}, '\\frac{dy}{dx}'))).toBe('\\frac{dy}{dx}');
+  expect(Model.toLaTeX(Model.create({ parsingIntegralExpr: true }, '\\int_0^1 x dx'))).toBe('\\int_{0}^{1} x dx');
+  // The integrand keeps its number forms and nested nodes.
+  const integrand = (src) => Model.create({ parsingIntegralExpr: true }, src).args[0];
+  expect(integrand('\\int 0.\\overline{3}x dx').args[0].isRepeating).toBe(true);
+  expect(integrand('\\int a/b dx').isSlash).toBe(true);
+  expect(integrand('\\int \\frac{\\frac{a}{b}}{c} dx').args.length).toBe(2);
+  expect(Model.toLaTeX(Model.create({}, '{\\frac{dy}{dx}}\\%'), { roundTrip: true })).toBe('{\\frac{dy}{dx}}\\%');
+});
+
+test('toLaTeX logs, roots and postfix operators', () => {
+  expect(Model.toLaTeX(Model.create({}, '\\log_2 8'))).toBe('{\\log_{2}{8}}');
+  expect(Model.toLaTeX(Model.create({}, '\\ln x'))).toBe('{\\ln{x}}');
+  expect(Model.toLaTeX(Model.create({}, '\\sqrt[3]{x}'))).toBe('\\sqrt[3]{x}');
+  expect(Model.toLaTeX(Model.create({}, '\\sqrt{x}'))).toBe('\\sqrt{x}');
+  expect(Model.toLaTeX(Model.create({}, '10\\%'))).toBe('10\\%');
+  expect(Model.toLaTeX(Model.create({}, '4!'))).toBe('4!');
+  expect(Model.toLaTeX(Model.create({}, 'n!!'))).toBe('n!!');
+  expect(Model.toLaTeX(Model.create({}, 'n!!'), { roundTrip: true })).toBe('n!!');
+  expect(Model.toLaTeX(Model.create({}, '\\sqrt{}'))).toBe('\\sqrt{}');
+  expect(Model.toLaTeX(Model.create({}, '\\sqrt{}'), { roundTrip: true })).toBe('\\sqrt{}');
+  expect(Model.toLaTeX(Model.create({}, 'f()'))).toBe('f()');
+  expect(Model.toLaTeX(Model.create({}, '0.\\overline{3}'))).toBe('0.\\overline{3}');
+});
+
+test('toLaTeX writes units, grouped numbers and currency', () => {
+  expect(Model.toLaTeX(Model.create({}, '10\\degree C'))).toBe('10\\degree C');
+  expect(Model.toLaTeX(Model.create({}, '\\mathrm{m}'))).toBe('\\mathrm m');
+  expect(Model.toLaTeX(Model.create({}, '1{,}000'))).toBe('1{,}000');
+  expect(Model.toLaTeX(Model.create({}, '1{,}000'), { roundTrip: true })).toBe('1{,}000');
+  expect(Model.toLaTeX(Model.create({}, '\\$1{,}000.50'))).toBe('\\$1{,}000.50');
+  expect(Model.toLaTeX(Model.create({}, '\\$5'), { style: 'katex' })).toBe('\\$5');
+});
+
+test('toLaTeX writes every operator', () => {
+  const v = (name) => ({ op: Model.VAR, args: [name] });
+  const node = (op) => {
+    switch (op) {
+    case Model.NUM:
+      return { op, args: ['1'] };
+    case Model.VAR:
+      return v('x');
+    case Model.OVERSET:
+    case Model.UNDERSET:
+      // The parser attaches \overset{a}{b} as the last arg of b.
+      return { op: Model.VAR, args: ['b', { op, args: [v('a')] }] };
+    default:
+      return { op, args: [v('a'), v('b')] };
+    }
+  };
+  Object.keys(Model).filter((key) => /^[A-Z0-9]+$/.test(key)).forEach((key) => {
+    expect(() => Model.toLaTeX(node(Model[key]))).not.toThrow();
+  });
+  expect(Model.toLaTeX({ op: Model.ATAN2, args: [v('y'), v('x')] })).toBe('\\operatorname{atan2}(y, x)');
+});
+
+test('toLaTeX adds only the parentheses that precedence requires', () => {
+  const v = (name) => ({ op: Model.VAR, args: [name] });
+  const n = (value) => ({ op: Model.NUM, args: [value] });
+  const sum = { op: Model.ADD, args: [v('a'), v('b')] };
+  const diff = { op: Model.SUB, args: [v('a'), v('b')] };
+  expect(Model.toLaTeX({ op: Model.POW, args: [sum, n('2')] })).toBe('{(a+ b)^{2}}');
+  expect(Model.toLaTeX({ op: Model.POW, args: [{ op: Model.DIV, args: [v('a'), v('b')] }, n('2')] })).toBe('{(a \\div b)^{2}}');
+  expect(Model.toLaTeX({ op: Model.POW, args: [{ op: Model.SUB, args: [v('x')] }, n('2')] })).toBe('{(-x)^{2}}');
+  expect(Model.toLaTeX({ op: Model.SUB, args: [diff] })).toBe('-(a - b)');
+  expect(Model.toLaTeX({ op: Model.SUB, args: [v('c'), diff] })).toBe('c - (a - b)');
+  expect(Model.toLaTeX({ op: Model.SUB, args: [diff, v('c')] })).toBe('a - b - c');
+  expect(Model.toLaTeX({ op: Model.MUL, args: [v('c'), sum] })).toBe('c(a+ b)');
+  expect(Model.toLaTeX({ op: Model.ADD, args: [v('c'), { op: Model.MUL, args: [v('a'), v('b')] }] })).toBe('c+ ab');
+  expect(Model.toLaTeX({ op: Model.FACT, args: [sum] })).toBe('(a+ b)!');
+  expect(Model.toLaTeX({ op: Model.FACT, args: [{ op: Model.POW, args: [v('x'), n('2')] }] })).toBe('{x^{2}}!');
+  expect(Model.toLaTeX({ op: Model.EQL, args: [{ op: Model.EQL, args: [v('a'), v('b')] }, v('c')] })).toBe('(a = b) = c');
+  expect(Model.toLaTeX({ op: Model.LT, args: [sum, v('c')] })).toBe('a+ b < c');
+});
+
+test('toLaTeX style profiles', () => {
+  const latex = (src, options) => Model.toLaTeX(Model.create({}, src), options);
+  expect(latex('2(x+1)', { style: 'mathquill' })).toBe('2\\left(x+ 1\\right)');
+  expect(latex('2x', { style: 'katex' })).toBe('2 \\cdot x');
+  expect(latex('(a+b)c', { style: 'katex' })).toBe('(a+ b) \\cdot c');
+  expect(latex('\\frac{a}{b}', { style: 'textbook' })).toBe('\\dfrac{a}{b}');
+  expect(latex('x\\le 3', { style: 'textbook' })).toBe('x \\leqslant 3');
+  expect(latex('x\\not\\ge 2', { style: 'textbook' })).toBe('x \\not\\geqslant 2');
+  expect(latex('2\\cdot3x', { style: 'textbook' })).toBe('2\\cdot 3x');
+  expect(() => latex('x', { style: 'word' })).toThrow('Unknown LaTeX style');
+  expect(() => latex('2x', { mul: 'bogus' })).toThrow('1000: Unknown LaTeX mul style: bogus');
+  expect(() => latex('x', { style: 'katex', parens: 'round' })).toThrow('1000: Unknown LaTeX parens style');
+});
+
+test('toLaTeX style overrides', () => {
+  const latex = (src, options) => Model.toLaTeX(Model.create({}, src), options);
+  expect(latex('2xy', { mul: 'times' })).toBe('2 \\times x \\times y');
+  expect(latex('2xy', { style: 'katex', mul: 'juxtapose' })).toBe('2xy');
+  expect(latex('\\frac{a+1}{b}', { frac: 'slash' })).toBe('(a+ 1)/b');
+  expect(latex('\\frac{a}{b}', { style: 'textbook', frac: 'frac' })).toBe('\\frac{a}{b}');
+  expect(latex('[1,2)', { parens: 'leftRight' })).toBe('\\left[1, 2\\right)');
+  expect(latex('\\ln x', { naturalLog: 'log_e' })).toBe('{\\log_{e}{x}}');
+  expect(latex('x\\ge 0', { inequality: 'leqslant' })).toBe('x \\geqslant 0');
+  expect(Model.create({}, 'x\\leqslant 3').op).toBe(Model.LE);
+});
+
+test('toMathML layout elements', () => {
+  const mathml = (src) => Model.toMathML(Model.create({}, src)).replace(/^<math[^>]*>|<\/math>$/g, '');
+  expect(Model.toMathML(Model.create({}, 'x'), { display: 'block' }))
+    .toBe('<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mi>x</mi></math>');
+  expect(mathml('\\frac{1}{2}')).toBe('<mfrac><mn>1</mn><mn>2</mn></mfrac>');
+  expect(mathml('(a+b)^2')).toBe('<msup><mrow><mo fence="true">(</mo><mrow><mi>a</mi><mo>+</mo><mi>b</mi></mrow><mo fence="true">)</mo></mrow><mn>2</mn></msup>');
+  expect(mathml('\\sqrt{x}')).toBe('<msqrt><mi>x</mi></msqrt>');
+  expect(mathml('\\sqrt[3]{x}')).toBe('<mroot><mi>x</mi><mn>3</mn></mroot>');
+  expect(mathml('[1,2)')).toBe('<mrow><mo fence="true">[</mo><mrow><mn>1</mn><mo>,</mo><mn>2</mn></mrow><mo fence="true">)</mo></mrow>');
+  expect(mathml('2\\pi r')).toBe('<mrow><mn>2</mn><mo>\u2062</mo><mi>π</mi><mo>\u2062</mo><mi>r</mi></mrow>');
+  expect(mathml('\\sin x')).toBe('<mrow><mi>sin</mi><mo>\u2061</mo><mi>x</mi></mrow>');
+  expect(mathml('x\\not\\le 3')).toBe('<mrow><mi>x</mi><mo>≤\u0338</mo><mn>3</mn></mrow>');
+  expect(mathml('a<b')).toBe('<mrow><mi>a</mi><mo>&lt;</mo><mi>b</mi></mrow>');
+  expect(mathml('0.\\overline{3}')).toBe('<mrow><mn>0.</mn><mover><mn>3</mn><mo>¯</mo></mover></mrow>');
+});
+
+test('toMathML, toUnicode and toOMML write every relation', () => {
+  const relations = ['<', '\\le', '>', '\\ge', '\\in', '\\to', '\\ni', '\\subseteq', '\\supseteq', '\\subset',
+    '\\supset', '\\perp', '\\propto', '\\parallel', '\\sim', '\\cong'];
+  relations.forEach((rel) => {
+    [`a${rel} b`, `a\\not${rel} b`].forEach((src) => {
+      const node = Model.create({}, src);
+      expect(() => Model.toMathML(node)).not.toThrow();
+      expect(() => Model.toUnicode(node)).not.toThrow();
+      expect(() => Model.toOMML(node)).not.toThrow();
+    });
+  });
+  expect(Model.toMathML(Model.create({}, 'a\\perp b'))).toContain('<mo>⊥</mo>');
+  expect(Model.toUnicode(Model.create({}, 'a\\not\\perp b'))).toBe('a ⊥\u0338 b');
+});
+
+test('toMathML matrices', () => {
+  const n = (value) => ({ op: Model.NUM, args: [value] });
+  const row = (...cells) => ({ op: Model.COL, args: cells });
+  const matrix = { op: Model.MATRIX, args: [{ op: Model.ROW, args: [row(n('1'), n('2')), row(n('3'), n('4'))] }] };
+  expect(Model.toMathML(matrix)).toContain(
+    '<mtable><mtr><mtd><mn>1</mn></mtd><mtd><mn>2</mn></mtd></mtr><mtr><mtd><mn>3</mn></mtd><mtd><mn>4</mn></mtd></mtr></mtable>',
+  );
+});
+
+test('toContentMathML applies operators to their args', () => {
+  const cmathml = (src, options = {}) => (
+    Model.toContentMathML(Model.create(options, src)).replace(/^<math[^>]*>|<\/math>$/g, '')
+  );
+  expect(cmathml('(a+b)^2')).toBe('<apply><power/><apply><plus/><ci>a</ci><ci>b</ci></apply><cn>2</cn></apply>');
+  expect(cmathml('a-b-c')).toBe('<apply><minus/><apply><minus/><ci>a</ci><ci>b</ci></apply><ci>c</ci></apply>');
+  expect(cmathml('a\\div b\\div c')).toBe('<apply><divide/><apply><divide/><ci>a</ci><ci>b</ci></apply><ci>c</ci></apply>');
+  expect(cmathml('\\log_2 8')).toBe('<apply><log/><logbase><cn>2</cn></logbase><cn>8</cn></apply>');
+  expect(cmathml('\\sqrt[3]{x}')).toBe('<apply><root/><degree><cn>3</cn></degree><ci>x</ci></apply>');
+  expect(cmathml('(1,2]')).toBe('<interval closure="open-closed"><cn>1</cn><cn>2</cn></interval>');
+  expect(cmathml('x\\in\\{1,2\\}')).toBe('<apply><in/><ci>x</ci><set><cn>1</cn><cn>2</cn></set></apply>');
+  expect(cmathml('\\sum_{i=1}^n i')).toBe(
+    '<apply><sum/><bvar><ci>i</ci></bvar><lowlimit><cn>1</cn></lowlimit><uplimit><ci>n</ci></uplimit><ci>i</ci></apply>',
+  );
+  expect(cmathml('\\int_0^1 x dx', { parsingIntegralExpr: true })).toBe(
+    '<apply><int/><bvar><ci>x</ci></bvar><lowlimit><cn>0</cn></lowlimit><uplimit><cn>1</cn></uplimit><ci>x</ci></apply>',
+  );
+  expect(cmathml('\\frac{d^2}{dx^2}x^2')).toBe(
+    '<apply><diff/><bvar><ci>x</ci><degree><cn>2</cn></degree></bvar><apply><power/><ci>x</ci><cn>2</cn></apply></apply>',
+  );
+});
+
+test('toContentMathML falls back to ambiguous csymbols', () => {
+  const cmathml = (src) => Model.toContentMathML(Model.create({}, src)).replace(/^<math[^>]*>|<\/math>$/g, '');
+  expect(cmathml('\\pm x')).toBe('<apply><csymbol cd="ambiguous">pm</csymbol><ci>x</ci></apply>');
+  expect(cmathml('x_1')).toBe('<apply><csymbol cd="ambiguous">_</csymbol><ci>x</ci><cn>1</cn></apply>');
+});
+
+test('fromMathML builds the nodes parse builds', () => {
+  const same = (xml, src) => {
+    expect(stripMetadata(Model.fromMathML({}, xml))).toEqual(stripMetadata(Model.create({}, src)));
+  };
+  same('<math><mfrac><mn>1</mn><mn>2</mn></mfrac></math>', '\\frac{1}{2}');
+  same('<math><msup><mi>x</mi><mn>2</mn></msup><mo>&#x2264;</mo><mi>&pi;</mi></math>', 'x^2\\le\\pi');
+  same('<math><mi>a</mi><mo>&times;</mo><mi>b</mi><mo>&#x2212;</mo><mn>1</mn></math>', 'a\\times b-1');
+  same('<math><mi>sin</mi><mo>&ApplyFunction;</mo><mo>(</mo><mi>x</mi><mo>)</mo></math>', '\\sin(x)');
+  same('<math><mn>2</mn><mo>&#x2064;</mo><mfrac><mn>1</mn><mn>3</mn></mfrac></math>', '2\\frac{1}{3}');
+  same('<math><msqrt><mi>x</mi></msqrt><mo>+</mo><mroot><mi>y</mi><mn>3</mn></mroot></math>', '\\sqrt{x}+\\sqrt[3]{y}');
+  same('<math><mfenced open="[" close=")"><mn>1</mn><mn>2</mn></mfenced></math>', '[1,2)');
+  same('<math><mrow><mo>(</mo><mfrac linethickness="0"><mi>n</mi><mi>k</mi></mfrac><mo>)</mo></mrow></math>', '\\binom{n}{k}');
+  same('<math><munderover><mo>&sum;</mo><mrow><mi>i</mi><mo>=</mo><mn>1</mn></mrow><mi>n</mi></munderover><mi>i</mi></math>', '\\sum_{i=1}^n i');
+  expect(Model.fromMathML({}, '<math><mfrac><mn>1</mn><mn>2</mn></mfrac></math>').isFraction).toBe(true);
+  expect(Model.fromMathML({}, '<math><msup><mi>x</mi><mn>2</mn></msup></math>').op).toBe(Model.POW);
+});
+
+test('fromMathML reads what toMathML writes', () => {
+  ['(a+b)^2', '\\frac{x}{y}-1', '\\sin x+\\cos(2x)', 'x\\not\\in A', '0.\\overline{3}', '|x|\\ge 0'].forEach((src) => {
+    const node = Model.create({}, src);
+    expect(Model.toLaTeX(Model.fromMathML({}, Model.toMathML(node)))).toBe(Model.toLaTeX(node));
+  });
+});
+
+test('fromMathML reports malformed markup', () => {
+  expect(() => Model.fromMathML({}, '<math><mi>x</mi></mrow></math>')).toThrow('1001');
+  expect(() => Model.fromMathML({}, '<math><mi>x</mi>')).toThrow('1001');
+  expect(() => Model.fromMathML({}, '<math><mi>&bogus;</mi></math>')).toThrow('1007');
+  ['mfrac', 'mroot', 'msup', 'munderover'].forEach((tag) => {
+    const xml = `<math><${tag}><mi>a</mi></${tag}></math>`;
+    expect(() => Model.fromMathML({}, xml)).toThrow(expect.objectContaining({
+      code: 1009,
+      span: { start: 6, end: xml.length - 7 },
+    }));
+  });
+});
+
+test('fromMathML reads entities, spaces and ampersands', () => {
+  const latex = (xml) => Model.toLaTeX(Model.fromMathML({}, `<math>${xml}</math>`));
+  expect(latex('<mi>&alpha;</mi><mo>+</mo><mi>&Omega;</mi>')).toBe(Model.toLaTeX(Model.create({}, '\\alpha+\\Omega')));
+  expect(latex('<mi>a</mi><mo>&ThinSpace;</mo><mi>b</mi>')).toBe('ab');
+  expect(latex('<mtext>hello world</mtext>')).toBe('\\text{hello world}');
+  expect(latex('<mi>a</mi><mo>&amp;</mo><mi>b</mi>')).toBe('a\\&b');
+});
+
+test('fromMathML reads token text as itself', () => {
+  const error = (xml) => {
+    try {
+      Model.fromMathML({}, xml);
+    } catch (x) {
+      return { code: x.code, span: x.span, found: x.found };
+    }
+    return null;
+  };
+  expect(error('<math><mi>\\alpha</mi></math>')).toEqual({ code: 1007, span: { start: 10, end: 11 }, found: '\\' });
+  expect(error('<math><mn>1}{2</mn></math>')).toEqual({ code: 1007, span: { start: 11, end: 12 }, found: '}' });
+  expect(error('<math><mtext>a}b</mtext></math>')).toEqual({ code: 1007, span: { start: 14, end: 15 }, found: '}' });
+  expect(error('<math><mi>x</mi><mo>)</mo></math>')).toMatchObject({ code: 1003, span: { start: 20, end: 21 } });
+  const node = Model.fromMathML({}, '<math><mi>abc</mi><mo>+</mo><mi>x</mi><mi>y</mi></math>');
+  expect(stripMetadata(node)).toEqual({
+    op: Model.ADD,
+    args: [
+      { op: Model.VAR, args: ['abc'] },
+      { op: Model.MUL, args: [{ op: Model.VAR, args: ['x'] }, { op: Model.VAR, args: ['y'] }] },
+    ],
+  });
+});
+
+test('fromMathML spans are offsets into the markup', () => {
+  const xml = '<math><mi>x</mi><mo>&lt;</mo><mfrac><mn>1</mn><mn>2</mn></mfrac></math>';
+  const node = Model.fromMathML({}, xml);
+  const text = ({ span }) => xml.substring(span.start, span.end);
+  expect(node.span).toEqual({ start: 10, end: 64 });
+  expect(text(node.args[0])).toBe('x');
+  expect(text(node.args[1])).toBe('<mfrac><mn>1</mn><mn>2</mn></mfrac>');
+});
+
+test('fromOMML builds the nodes parse builds', () => {
+  const same = (xml, src, options = {}) => {
+    const math = `<m:oMath xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math">${xml}</m:oMath>`;
+    expect(stripMetadata(Model.fromOMML(options, math))).toEqual(stripMetadata(Model.create(options, src)));
+  };
+  const r = (text) => `<m:r><m:t>${text}</m:t></m:r>`;
+  same(`<m:f><m:num>${r('x+1')}</m:num><m:den>${r('2')}</m:den></m:f>`, '\\frac{x+1}{2}');
+  same(`<m:sSup><m:e>${r('x')}</m:e><m:sup>${r('2')}</m:sup></m:sSup>${r('≤π')}`, 'x^2\\le\\pi');
+  same(`<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/><m:e>${r('x')}</m:e></m:rad>${r('+')}` +
+    `<m:rad><m:deg>${r('3')}</m:deg><m:e>${r('y')}</m:e></m:rad>`, '\\sqrt{x}+\\sqrt[3]{y}');
+  same(`<m:d><m:dPr><m:begChr m:val="["/><m:sepChr m:val=","/></m:dPr><m:e>${r('1')}</m:e><m:e>${r('2')}</m:e></m:d>`, '[1,2)');
+  same(`<m:d><m:e>${r('a+b')}</m:e></m:d><m:d><m:dPr><m:begChr m:val="|"/><m:endChr m:val="|"/></m:dPr><m:e>${r('x')}</m:e></m:d>`, '(a+b)|x|');
+  same(`<m:nary><m:naryPr><m:chr m:val="∑"/><m:limLoc m:val="undOvr"/></m:naryPr><m:sub>${r('i=1')}</m:sub>` +
+    `<m:sup>${r('n')}</m:sup><m:e>${r('i')}</m:e></m:nary>`, '\\sum_{i=1}^n i');
+  same(`<m:nary><m:naryPr><m:limLoc m:val="subSup"/></m:naryPr><m:sub>${r('0')}</m:sub><m:sup>${r('1')}</m:sup>` +
+    `<m:e>${r('x')}${r('d')}${r('x')}</m:e></m:nary>`, '\\int_0^1 x dx', { parsingIntegralExpr: true });
+  same(`<m:func><m:fName><m:r><m:rPr><m:sty m:val="p"/></m:rPr><m:t>sin</m:t></m:r></m:fName><m:e>${r('x')}</m:e></m:func>`, '\\sin x');
+  expect(() => Model.fromOMML({}, '<m:oMath><m:eqArr/></m:oMath>')).toThrow('1007');
+});
+
+test('fromOMML reads run text as itself', () => {
+  const omml = (xml) => `<m:oMath xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math">${xml}</m:oMath>`;
+  const error = (xml) => {
+    try {
+      Model.fromOMML({}, omml(xml));
+    } catch (x) {
+      return { code: x.code, span: x.span, found: x.found };
+    }
+    return null;
+  };
+  expect(error('<m:r><m:rPr><m:nor/></m:rPr><m:t>a}b</m:t></m:r>')).toEqual({ code: 1007, span: { start: 112, end: 113 }, found: '}' });
+  expect(error('<m:r><m:t>x^2</m:t></m:r>')).toEqual({ code: 1007, span: { start: 89, end: 90 }, found: '^' });
+  expect(error('<m:r><m:t>x)</m:t></m:r>')).toMatchObject({ code: 1003, span: { start: 89, end: 90 } });
+  expect(Model.fromOMML({}, omml('<m:r><m:t>\\alpha</m:t></m:r>')).op).toBe(Model.BACKSLASH);
+  const node = Model.fromOMML({}, omml('<m:r><m:rPr><m:sty m:val="p"/></m:rPr><m:t>abc</m:t></m:r>'));
+  expect(stripMetadata(node)).toEqual({ op: Model.VAR, args: ['abc'] });
+});
+
+test('fromOMML spans are offsets into the markup', () => {
+  const xml = '<m:oMath xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math">' +
+    '<m:r><m:t>x+</m:t></m:r><m:f><m:num><m:r><m:t>1</m:t></m:r></m:num><m:den><m:r><m:t>2</m:t></m:r></m:den></m:f>' +
+    '</m:oMath>';
+  const node = Model.fromOMML({}, xml);
+  const text = ({ span }) => xml.substring(span.start, span.end);
+  expect(text(node.args[0])).toBe('x');
+  expect(text(node.args[1])).toBe('<m:f><m:num><m:r><m:t>1</m:t></m:r></m:num><m:den><m:r><m:t>2</m:t></m:r></m:den></m:f>');
+});
+
+test('fromOMML reads what toOMML writes', () => {
+  ['(a+b)^2', '\\frac{x}{y}-1', '\\sqrt[3]{x}', '[a,b)', '\\sum_{i=1}^n i^2', '\\binom{n}{k}', '\\log_2 x',
+    '\\overset{a}{b}', '\\underset{n}{x+1}', 'x\\overset{def}{=}y', '\\lim_{x\\to 0}x'].forEach((src) => {
+    const node = Model.create({}, src);
+    expect(Model.toLaTeX(Model.fromOMML({}, Model.toOMML(node)))).toBe(Model.toLaTeX(node));
+  });
+  expect(Model.toOMML(Model.create({}, '\\overset{a}{b}'))).toContain(
+    '<m:limUpp><m:e><m:r><m:t>b</m:t></m:r></m:e><m:lim><m:r><m:t>a</m:t></m:r></m:lim></m:limUpp>',
+  );
+  expect(Model.toOMML(Model.create({}, '\\frac{1}{2}'))).toBe(
+    '<m:oMath xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math">' +
+    '<m:f><m:num><m:r><m:t>1</m:t></m:r></m:num><m:den><m:r><m:t>2</m:t></m:r></m:den></m:f></m:oMath>',
+  );
+});
+
+test('asciimath dialect builds the nodes LaTeX builds', () => {
+  const same = (ascii, src, options = {}) => {
+    const node = Model.create({ ...options, dialect: 'asciimath' }, ascii);
+    expect(stripMetadata(node)).toEqual(stripMetadata(Model.create(options, src)));
+  };
+  same('sqrt(x)/2 + x^2 <= pi', '\\sqrt{x}/2+x^2\\le\\pi');
+  same('sum_(i=1)^n i', '\\sum_{i=1}^n i');
+  same('x != oo', 'x\\ne\\infty');
+  same('x -> 0', 'x\\rightarrow 0');
+  same('frac(a+1)(b)', '\\frac{a+1}{b}');
+  same('a xx b +- alpha', 'a\\times b\\pm\\alpha');
+  same('int_a^b x dx', '\\int_a^b x dx', { parsingIntegralExpr: true });
+  same('root(3)(x) + x^10', '\\sqrt[3]{x}+x^{10}');
+  same('x !in A', 'x\\not\\in A');
+  same('[a, b) uu (a, b]', '[a,b)\\cup(a,b]');
+  // Names are whole words, and parens around slash operands only group.
+  same('min(a, b) + gcd(a, b)', '\\min(a,b)+\\gcd(a,b)');
+  same('xin', 'xin');
+  same('(a)/(b) + (a+1)/b', '{a}/{b}+{a+1}/b');
+  // Args needn't be grouped, and then are the next operand.
+  same('sqrt x + sqrt 2x', '\\sqrt{x}+\\sqrt{2}x');
+  same('frac a b + abs x', '\\frac{a}{b}+|x|');
+  same('dot(x) + dot y', '\\dot{x}+\\dot{y}');
+  same('a // b', 'a/b');
+  same('not p and q or r', '\\neg p\\land q\\lor r');
+  same('x le y ge z', 'x\\le y\\ge z');
+  same('x in NN uu RR', 'x\\in\\N\\cup\\R');
+  same('a -= b', 'a\\equiv b');
+  same('1, 2, ...', '1,2,\\ldots');
+  expect(() => Model.create({ dialect: 'asciimath' }, 'x + sqrt')).toThrow('1001');
+  expect(Model.toLaTeX(Model.create({ dialect: 'asciimath' }, '(a)/(b)'))).toBe('\\frac{a}{b}');
+  // Plain parens that aren't arguments stay parens.
+  expect(Model.create({ dialect: 'asciimath' }, '(x+1)^2').args[0].op).toBe(Model.PAREN);
+});
+
+test('toAsciiMath and toUnicode render plain text', () => {
+  const text = (src, options = {}) => {
+    const node = Model.create(options, src);
+    return [Model.toAsciiMath(node), Model.toUnicode(node)];
+  };
+  expect(text('\\sqrt{x}/2+x^2\\le\\pi')).toEqual(['sqrt(x)/2 + x^2 <= pi', '√x/2 + x² ≤ π']);
+  expect(text('x^{10}-x^{n+1}')).toEqual(['x^10 - x^(n + 1)', 'x¹⁰ − x^(n + 1)']);
+  expect(text('\\frac{1}{2}+\\frac{a+1}{b}')).toEqual(['1/2 + (a + 1)/b', '1⁄2 + (a + 1)/b']);
+  expect(text('\\sum_{i=1}^n i')).toEqual(['sum_(i = 1)^n i', '∑_(i = 1)ⁿ i']);
+  expect(text('\\int_0^1 x dx', { parsingIntegralExpr: true })).toEqual(['int_0^1 x dx', '∫₀¹ x dx']);
+  expect(text('x\\ne\\infty')).toEqual(['x != oo', 'x ≠ ∞']);
+  expect(text('\\sqrt[3]{x+1}')).toEqual(['root(3)(x + 1)', '∛(x + 1)']);
+  expect(text('\\frac{\\sin x}{x}')).toEqual(['(sin x)/x', '(sin x)/x']);
+  expect(text('2\\pi r+0.\\overline{3}')).toEqual(['2pi r + 0.bar(3)', '2πr + 0.3̅']);
+  expect(text('x\\not\\in A')).toEqual(['x !in A', 'x ∈\u0338 A']);
+  expect(text('a\\ngtr b')).toEqual(['a !> b', 'a ≯ b']);
+  expect(text('x_{ab}+\\text{hi}')).toEqual(['x_(ab) + "hi"', 'x_(ab) + hi']);
+  expect(text('\\overset{a}{b}+\\underset{n}{x}')).toEqual(['overset(a)(b) + underset(n)(x)', 'overset(a)(b) + underset(n)(x)']);
+  expect(text('x\\overset{def}{=}y')[0]).toBe('x(overset(def)(=))y');
+});
+
+test('toAsciiMath output parses back in the asciimath dialect', () => {
+  ['\\sqrt{x}/2+x^2\\le\\pi', 'x^{10}-x_{12}', '\\sqrt[3]{x+1}', '1.2\\times10^3', '|x-1|\\ge 0', '\\log_2 x',
+    'x_{ab}', '\\text{hi}+x', '\\overset{a}{b}', 'x\\overset{def}{=}y', 'a\\sim b', 'a\\parallel b', 'a\\nparallel b', 'a\\ni b', 'a\\not\\subseteq b'].forEach((src) => {
+    const node = Model.create({}, src);
+    const ascii = Model.toAsciiMath(node);
+    expect(Model.toLaTeX(Model.create({ dialect: 'asciimath' }, ascii))).toBe(Model.toLaTeX(node));
+  });
+});
+
+test('toSpeech reads ClearSpeak phrases', () => {
+  const speak = (src, options) => Model.toSpeech(Model.create({}, src), options);
+  expect(speak('\\frac{x+1}{2}')).toBe('the fraction with numerator x plus 1 and denominator 2');
+  expect(speak('x^2')).toBe('x squared');
+  expect(speak('x^5+x^n')).toBe('x to the fifth power plus x to the n-th power');
+  expect(speak('\\frac{3}{4}+\\frac{x}{y}')).toBe('3 fourths plus x over y');
+  expect(speak('2\\frac{1}{3}')).toBe('2 and 1 third');
+  expect(speak('0.\\overline{3}')).toBe('0 point 3 repeating');
+  expect(speak('30\\degree+50\\%')).toBe('30 degrees plus 50 percent');
+  expect(speak('(1,2]')).toBe('the interval from 1 to 2, not including 1 but including 2');
+  expect(speak('(a,b)')).toBe('the open interval from a to b');
+  expect(speak('\\sqrt{x+1}\\ge 0')).toBe('the square root of x plus 1, end root, is greater than or equal to 0');
+  expect(speak('\\sum_{i=1}^n i')).toBe('the sum from i equals 1 to n of i');
+  expect(speak('x\\not\\in A')).toBe('x is not an element of A');
+  expect(speak('\\frac{x+1}{2}', { verbosity: 'brief' })).toBe('x plus 1 over 2, end fraction');
+  expect(speak('\\sqrt{x}', { verbosity: 'brief' })).toBe('square root of x');
+});
+
+test('toSpeech reads MathSpeak markers', () => {
+  const speak = (src, verbosity) => Model.toSpeech(Model.create({}, src), { style: 'mathspeak', verbosity });
+  expect(speak('\\frac{x+1}{2}')).toBe('StartFraction x plus 1 Over 2 EndFraction');
+  expect(speak('\\frac{x+1}{2}', 'brief')).toBe('StartFrac x plus 1 Over 2 EndFrac');
+  expect(speak('\\frac{x+1}{2}', 'superbrief')).toBe('Frac x plus 1 Over 2 EndFrac');
+  expect(speak('x^{n+1}')).toBe('x Superscript n plus 1 Baseline');
+  expect(speak('\\sqrt[3]{A}')).toBe('RootIndex 3 StartRoot upper A EndRoot');
+  expect(speak('|x|')).toBe('StartAbsoluteValue x EndAbsoluteValue');
+  expect(speak('0.\\overline{3}')).toBe('0 point ModifyingAbove 3 With bar');
+  const matrix = {
+    op: Model.MATRIX,
+    args: [{
+      op: Model.ROW,
+      args: [1, 2].map((row) => ({
+        op: Model.COL,
+        args: [1, 2].map((col) => ({ op: Model.NUM, args: [`${row}${col}`] })),
+      })),
+    }],
+  };
+  expect(Model.toSpeech(matrix)).toBe('the 2 by 2 matrix; row 1: 11 comma 12; row 2: 21 comma 22');
+  const rows = '1st Row 1st Column 11 2nd Column 12 2nd Row 1st Column 21 2nd Column 22';
+  expect(Model.toSpeech(matrix, { style: 'mathspeak' })).toBe(`Start 2 By 2 Matrix ${rows} EndMatrix`);
+  expect(() => Model.toSpeech(matrix, { style: 'nemeth' })).toThrow('1000');
+});
+
+test('toBraille writes Nemeth Code', () => {
+  const braille = (src) => Model.toBraille(Model.create({}, src));
+  expect(braille('x+1=2')).toBe('⠭⠬⠂⠀⠨⠅⠀⠼⠆');
+  expect(braille('\\frac{x+1}{y}')).toBe('⠹⠭⠬⠂⠌⠽⠼');
+  expect(braille('\\frac{\\frac{1}{2}}{3}')).toBe('⠠⠹⠹⠂⠌⠆⠼⠠⠌⠒⠠⠼');
+  expect(braille('2\\frac{1}{3}')).toBe('⠼⠆⠸⠹⠂⠌⠒⠸⠼');
+  expect(braille('x^{a_n}+1')).toBe('⠭⠘⠁⠘⠰⠝⠐⠬⠂');
+  expect(braille('x_1^2')).toBe('⠭⠂⠘⠆');
+  expect(braille('\\sqrt[3]{x+1}')).toBe('⠣⠒⠜⠭⠬⠂⠻');
+  expect(braille('\\sqrt{\\sqrt{x}}')).toBe('⠜⠨⠜⠭⠨⠻⠻');
+  expect(braille('[a,b)')).toBe('⠈⠷⠁⠠⠀⠃⠾');
+  expect(braille('\\{1,2\\}')).toBe('⠨⠷⠂⠠⠀⠆⠨⠾');
+  expect(braille('x')).toBe('⠰⠭');
+});
+
+test('toBraille writes UEB Technical', () => {
+  const braille = (src) => Model.toBraille(Model.create({}, src), { code: 'ueb' });
+  expect(braille('x+1=2')).toBe('⠭⠐⠖⠼⠁⠀⠐⠶⠀⠼⠃');
+  expect(braille('\\frac{x+1}{y}')).toBe('⠷⠭⠐⠖⠼⠁⠨⠌⠽⠾');
+  expect(braille('2\\frac{1}{3}')).toBe('⠼⠃⠼⠁⠌⠉');
+  expect(braille('x^{n+1}')).toBe('⠭⠔⠣⠝⠐⠖⠼⠁⠜');
+  expect(braille('\\sqrt[3]{x}')).toBe('⠩⠔⠼⠉⠭⠬');
+  expect(braille('(a+b)|x|')).toBe('⠐⠣⠁⠐⠖⠃⠐⠜⠸⠳⠭⠸⠳');
+  expect(braille('2a')).toBe('⠼⠃⠰⠁');
+  expect(() => Model.toBraille(Model.create({}, 'x'), { code: 'dots' })).toThrow('1000');
+});
+
+test('toBraille writes every operator', () => {
+  const v = (name) => ({ op: Model.VAR, args: [name] });
+  const node = (op) => {
+    switch (op) {
+    case Model.NUM:
+      return { op, args: ['1'] };
+    case Model.VAR:
+      return v('x');
+    case Model.OVERSET:
+    case Model.UNDERSET:
+      // The parser attaches \overset{a}{b} as the last arg of b.
+      return { op: Model.VAR, args: ['b', { op, args: [v('a')] }] };
+    default:
+      return { op, args: [v('a'), v('b')] };
+    }
+  };
+  const ops = Object.keys(Model).filter((key) => /^[A-Z0-9]+$/.test(key)).map((key) => Model[key]);
+  ['nemeth', 'ueb'].forEach((code) => {
+    ops.forEach((op) => {
+      expect(() => Model.toBraille(node(op), { code })).not.toThrow();
+    });
+  });
+  expect(Model.toBraille(Model.create({}, 'A\\subseteq B'))).toBe('⠠⠁⠀⠸⠐⠅⠱⠀⠠⠃');
+  expect(Model.toBraille(Model.create({}, '\\forall x'))).toBe('⠈⠯⠭');
+  expect(Model.toBraille(Model.create({}, 'a\\not\\sim b'), { code: 'ueb' })).toBe('⠁⠀⠈⠔⠈⠱⠀⠃');
+});
+
+test('toSymPy writes SymPy constructors', () => {
+  const sympy = (src) => Model.toSymPy(Model.create({ parsingIntegralExpr: true }, src));
+  expect(sympy('\\int_0^\\pi \\sin x dx')).toBe('Integral(sin(x), (x, 0, pi))');
+  expect(sympy('\\frac{d^2}{dx^2}f')).toBe('Derivative(f, (x, 2))');
+  expect(sympy('(a,b]')).toBe('Interval.Lopen(a, b)');
+  expect(sympy('\\frac{1}{2}+\\frac{x+1}{2}')).toBe('Rational(1, 2) + (x + 1)/2');
+  expect(sympy('a\\div b\\div c+8\\div 2\\div x')).toBe('a/b/c + Rational(8, 2)/x');
+  expect(sympy('2^{-1}-x^{a/b}')).toBe('S(2)**-1 - x**(a/b)');
+  expect(sympy('\\sum_{i=1}^{n} i^2=\\log_2 x')).toBe('Eq(Sum(i**2, (i, 1, n)), log(x, 2))');
+  expect(sympy('0.1\\overline{6}')).toBe('Rational(15, 90)');
+  expect(sympy('a<b<c')).toBe('And(Lt(a, b), Lt(b, c))');
+  const matrix = {
+    op: Model.MATRIX,
+    args: [{
+      op: Model.ROW,
+      args: [1, 2].map((row) => ({
+        op: Model.COL,
+        args: [1, 2].map((col) => ({ op: Model.NUM, args: [`${row}${col}`] })),
+      })),
+    }],
+  };
+  expect(Model.toSymPy(matrix)).toBe('Matrix([[11, 12], [21, 22]])');
+});
+
+test('toSymPy reports the path of unmapped nodes', () => {
+  expect(() => Model.toSymPy(Model.create({}, '\\text{cm}+1'))).toThrow('text at root.args[0]');
+  const format = { op: Model.FORMAT, args: [{ op: Model.VAR, args: ['x'] }] };
+  const node = { op: Model.ADD, args: [{ op: Model.NUM, args: ['1'] }, { op: Model.SIN, args: [format] }] };
+  expect(() => Model.toSymPy(node)).toThrow('1000: Unimplemented operator translating to SymPy: format at root.args[1].args[0]');
+});
+
+test('compile builds functions of the params', () => {
+  const compile = (src, params) => Model.compile(Model.create({}, src), { params });
+  expect(compile('\\sin^2 x+\\cos^2 x', ['x'])(0.7)).toBeCloseTo(1);
+  expect(compile('\\log_2 x+\\sqrt[3]{y}', ['x', 'y'])(8, -27)).toBeCloseTo(0);
+  expect(compile('\\sqrt{x}|y|', ['x', 'y'])(9, -2)).toBe(6);
+  expect(compile('5!+50\\%+\\arcsec 1', [])()).toBe(120.5);
+  expect(compile('2\\pi r', ['r'])(1)).toBeCloseTo(2 * Math.PI);
+  expect(compile('e^x+\\ln e', ['x'])(0)).toBe(2);
+  expect(compile('\\frac{-b\\pm\\sqrt{b^2-4ac}}{2a}', ['a', 'b', 'c'])(1, -3, 2)).toEqual([2, 1]);
+});
+
+test('compile rejects nodes it cannot evaluate', () => {
+  expect(() => Model.compile(Model.create({}, 'x=1'), { params: ['x'] })).toThrow('= at root');
+  expect(() => Model.compile(Model.create({}, '1+\\sin y'), { params: ['x'] }))
+    .toThrow('1000: Unbound variable compiling to JavaScript: y at root.args[1].args[0]');
+  expect(() => Model.compile(Model.create({}, '\\text{cm}'))).toThrow('1000: Unimplemented operator');
+});
+
+test('evaluate computes exact decimals', () => {
+  const evaluate = (src, bindings, options) => String(Model.evaluate(Model.create({}, src), bindings, options));
+  expect(evaluate('0.1+0.2')).toBe('0.3');
+  expect(evaluate('\\frac{1}{3}', {}, { precision: 5 })).toBe('0.33333');
+  expect(evaluate('\\sin 30\\degree+\\log_2 8+\\sqrt[3]{-8}')).toBe('1.5');
+  expect(evaluate('\\binom{5}{2}+3!+50\\%')).toBe('16.5');
+  expect(evaluate('2\\pi r', { r: '0.5' }, { precision: 10 })).toBe('3.141592654');
+  expect(evaluate('\\arctan 1+\\cos 90', {}, { angleUnit: 'deg' })).toBe('45');
+  expect(evaluate('1+0.\\overline{3}', {}, { precision: 3 })).toBe('1.33');
+  expect(evaluate('8\\div 2\\div 2')).toBe('2');
+  // Only rounding of the angle is zeroed.
+  expect(evaluate('\\sin 10^{-25}')).toBe('1e-25');
+  expect(Model.evaluate(Model.create({}, '\\infty'))).toBeInstanceOf(Decimal);
+});
+
+test('evaluate reports domain errors', () => {
+  const evaluate = (src) => () => Model.evaluate(Model.create({}, src));
+  expect(evaluate('1+\\frac{1}{x-x}')).toThrow('1017: Unbound variable "x" at root.args[1].args[1].args[0].');
+  expect(evaluate('1+\\frac{1}{2-2}')).toThrow('1015: Division by zero at root.args[1].');
+  expect(evaluate('\\sqrt{-4}')).toThrow('1016: Argument of "sqrt" outside its domain at root.');
+  expect(evaluate('\\ln 0')).toThrow('1016');
+  expect(evaluate('2.5!')).toThrow('1016');
+  expect(evaluate('\\arcsin 2')).toThrow('1016');
+  expect(evaluate('\\tan 90\\degree')).toThrow('1016: Argument of "tan" outside its domain at root.');
+  expect(evaluate('\\sec 90\\degree')).toThrow('1016');
+  expect(evaluate('\\cot(2\\pi)')).toThrow('1016');
+  const src = '1+\\frac{1}{2-2}';
+  expect(evaluate(src)).toThrow(Model.EvaluateError);
+  expect(evaluate(src)).toThrow(expect.objectContaining({
+    code: 1015,
+    args: ['root.args[1]'],
+    path: [1],
+    span: { start: 2, end: 15 },
+  }));
+});
+
+test('evaluateExact keeps rationals and surds', () => {
+  const exact = (src, bindings) => Model.toLaTeX(Model.evaluateExact(Model.create({}, src), bindings));
+  expect(exact('\\frac{1}{3}+\\frac{1}{6}')).toBe('\\frac{1}{2}');
+  expect(exact('\\sqrt{8}')).toBe('2\\sqrt{2}');
+  expect(exact('0.\\overline{3}')).toBe('\\frac{1}{3}');
+  expect(exact('8\\div 2\\div 2')).toBe('2');
+  expect(exact('1\\frac{1}{2}+0.25')).toBe('\\frac{7}{4}');
+  expect(exact('\\frac{1}{1+\\sqrt{2}}')).toBe('-1+ \\sqrt{2}');
+  expect(exact('8^{2/3}+\\sqrt[3]{-27}')).toBe('1');
+  expect(exact('x^2-\\sqrt{x}', { x: '\\frac{1}{4}' })).toBe('-\\frac{7}{16}');
+  expect(exact('x+1', { x: 1e-7 })).toBe('\\frac{10000001}{10000000}');
+  expect(exact('x^2', { x: new Decimal('1.5') })).toBe('\\frac{9}{4}');
+  expect(exact('|-\\sqrt{2}|+|1-\\sqrt{2}|')).toBe('-1+ 2\\sqrt{2}');
+  expect(exact('|\\sqrt{3}-\\sqrt{2}-1|')).toBe('1+ \\sqrt{2} - \\sqrt{3}');
+});
+
+test('evaluateExact rejects values it cannot keep exact', () => {
+  const exact = (src) => () => Model.evaluateExact(Model.create({}, src));
+  expect(exact('1+\\pi')).toThrow('1018: No exact value for "\\pi" at root.args[1].');
+  expect(exact('\\sqrt[3]{2}')).toThrow('1018');
+  expect(exact('\\sqrt{-4}')).toThrow('1016');
+  expect(exact('\\frac{1}{\\sqrt{2}-\\sqrt{2}}')).toThrow('1015');
+  expect(exact('1+\\pi')).toThrow(expect.objectContaining({ code: 1018, path: [1], span: { start: 2, end: 5 } }));
+});
+
+test('imaginaryUnit makes i a constant', () => {
+  const complex = { imaginaryUnit: 'i' };
+  expect(Model.create({}, 'i').op).toBe(Model.VAR);
+  expect(Model.create(complex, '3-2i').args[1].args[1].op).toBe(Model.IMAGINARY);
+  expect(Model.create({ imaginaryUnit: 'j' }, '1+j').args[1].op).toBe(Model.IMAGINARY);
+  expect(Model.create(complex, '\\Re z+\\Im(z)').args.map((n) => n.op)).toEqual([Model.RE, Model.IM]);
+  expect(Model.toLaTeX(Model.create(complex, '3-2i+\\arg z'))).toBe('3 - 2i+ {\\arg{z}}');
+  expect(Model.toSymPy(Model.create(complex, '\\overline{z}+re^{i\\theta}'))).toBe('conjugate(z) + r*E**(I*theta)');
+  // Bound indexes and subscripts stay variables.
+  const sum = Model.create(complex, '\\sum_{i=1}^n i');
+  expect([sum.args[0].args[0].op, sum.args[2].op]).toEqual([Model.VAR, Model.VAR]);
+  expect(Model.create(complex, 'x_i').args[1].op).toBe(Model.VAR);
+  expect(Model.create(complex, 'x_i i').args[1].op).toBe(Model.IMAGINARY);
+  expect(Model.create(complex, 'i2').args[0].op).toBe(Model.IMAGINARY);
+  expect(Model.create({}, '\\operatorname{Re}(z)').op).toBe(Model.OPERATORNAME);
+  expect(Model.create(complex, '\\operatorname{Re}(z)').op).toBe(Model.RE);
+  expect(() => Model.create({}, '\\arg')).toThrow('1009: Missing argument for "\\arg" command.');
+});
+
+test('evaluateComplex does complex arithmetic', () => {
+  const evaluate = (src, bindings, options) => {
+    const { re, im } = Model.evaluateComplex(Model.create({ imaginaryUnit: 'i' }, src), bindings, options);
+    return [String(re), String(im)];
+  };
+  expect(evaluate('(1+i)^2')).toEqual(['0', '2']);
+  expect(evaluate('\\frac{3-2i}{i}')).toEqual(['-2', '-3']);
+  expect(evaluate('8i\\div 2\\div i')).toEqual(['4', '0']);
+  expect(evaluate('\\sqrt{-4}+\\sqrt[3]{-8}')).toEqual(['-2', '2']);
+  expect(evaluate('e^{i\\pi}+1')).toEqual(['0', '0']);
+  expect(evaluate('re^{i\\pi/2}', { r: 2 })).toEqual(['0', '2']);
+  expect(evaluate('\\cos 60+i\\sin 60', {}, { angleUnit: 'deg', precision: 5 })).toEqual(['0.5', '0.86603']);
+  expect(evaluate('z\\overline{z}+\\Re z-|z|', { z: { re: 3, im: 4 } })).toEqual(['23', '0']);
+  expect(evaluate('\\arg(-1)', {}, { precision: 5 })).toEqual(['3.1416', '0']);
+  expect(() => evaluate('i!')).toThrow('1016: Argument of "fact" outside its domain at root.');
+  expect(() => evaluate('\\tan(\\pi/2)')).toThrow('1016: Argument of "tan" outside its domain at root.');
+  expect(() => evaluate('\\cot\\pi')).toThrow('1016');
+  expect(() => evaluate('\\sec(\\pi/2)')).toThrow('1016');
+  expect(evaluate('\\cot(\\pi/2)')).toEqual(['0', '0']);
+});
+
+test('isEquivalent samples expressions', () => {
+  const isEquivalent = (a, b, options) => Model.create({}, a).isEquivalent(Model.create({}, b), options);
+  expect(isEquivalent('(x+1)^2', 'x^2+2x+1')).toBe(true);
+  expect(isEquivalent('\\sin^2 x+\\cos^2 x', '1')).toBe(true);
+  expect(isEquivalent('\\sqrt{x^2}', '|x|')).toBe(true);
+  expect(isEquivalent('|x|', 'x')).toBe(false);
+  expect(isEquivalent('|x|', 'x', { domains: { x: [0, 10] } })).toBe(true);
+  expect(isEquivalent('\\ln(x^2)', '2\\ln x')).toBe(false);
+  expect(isEquivalent('\\ln(x^2)', '2\\ln x', { domains: { x: [1, 10] }, seed: 7 })).toBe(true);
+  const model = new Model();
+  const expected = model.create({}, 'xy');
+  expect(model.isEquivalent(expected, Model.create({}, 'x+y'))).toBe(false);
+  expect(model.isEquivalent(expected, Model.create({}, 'yx'))).toBe(true);
+});
+
+test('isEquivalent compares relations by solution sets', () => {
+  const isEquivalent = (a, b) => Model.create({}, a).isEquivalent(Model.create({}, b));
+  expect(isEquivalent('2x=4', 'x=2')).toBe(true);
+  expect(isEquivalent('x+y=1', '2y=2-2x')).toBe(true);
+  expect(isEquivalent('x^2=4', '|x|=2')).toBe(true);
+  expect(isEquivalent('\\sqrt{x}=2', 'x=4')).toBe(true);
+  expect(isEquivalent('x^2=4', 'x=2')).toBe(false);
+  expect(isEquivalent('-x>-2', 'x<2')).toBe(true);
+  expect(isEquivalent('x<2', 'x\\le 2')).toBe(false);
+  expect(isEquivalent('x=2', 'x-2')).toBe(false);
+  // Roots past the domain are found too.
+  expect(isEquivalent('x=20', 'x=30')).toBe(false);
+  expect(isEquivalent('x=11', 'x=-11')).toBe(false);
+  expect(isEquivalent('x=20', 'x^2=400')).toBe(false);
+  expect(isEquivalent('x^2=400', '|x|=20')).toBe(true);
+});
+
+test('isEquivalent compares chains, lists and sets', () => {
+  const isEquivalent = (a, b) => Model.create({}, a).isEquivalent(Model.create({}, b));
+  expect(isEquivalent('1<x<3', '1<x<3')).toBe(true);
+  expect(isEquivalent('1<x<3', '3>x>1')).toBe(true);
+  expect(isEquivalent('1<x<3', '1<x\\le 3')).toBe(false);
+  expect(isEquivalent('1<x<3', '1<x<4')).toBe(false);
+  expect(isEquivalent('x,y', 'x,y')).toBe(true);
+  expect(isEquivalent('x,y', 'y,x')).toBe(false);
+  expect(isEquivalent('(1,2)', '(\\frac{2}{2},2)')).toBe(true);
+  expect(isEquivalent('\\{1,2\\}', '\\{2,1\\}')).toBe(true);
+  expect(isEquivalent('\\{1,2\\}', '\\{1,3\\}')).toBe(false);
+  expect(isEquivalent('\\text{a}', '1')).toBe(false);
+});
+
+test('compareLiteral compares forms', () => {
+  const compare = (a, b, options) => Model.compareLiteral(Model.create({}, a), Model.create({}, b), options);
+  expect(compare('2x+3y', '2x+3y')).toBe(null);
+  expect(compare('x+1', '1+x')).toMatchObject({ expectedPath: 'root.args[0]', actualPath: 'root.args[0]' });
+  expect(compare('x+1', '1+x', { ignoreOrder: true })).toBe(null);
+  expect(compare('2\\cdot 3', '2\\times 3')).toMatchObject({ expectedPath: 'root', actualPath: 'root' });
+  expect(compare('2\\cdot x\\cdot y', 'y(2x)', { ignoreOrder: true, ignoreMulForm: true, ignoreParens: true })).toBe(null);
+  expect(compare('(x)+1', 'x+1', { ignoreParens: true })).toBe(null);
+  expect(compare('(1, 2)', '1, 2', { ignoreParens: true })).not.toBe(null);
+  const difference = compare('2x+3y', '4y+2x', { ignoreOrder: true });
+  expect([Model.toLaTeX(difference.expected), Model.toLaTeX(difference.actual), difference.expectedPath, difference.actualPath])
+    .toEqual(['3', '4', 'root.args[1].args[0]', 'root.args[0].args[0]']);
+});
+
+test('compareLiteral separators and grouping', () => {
+  const compare = (a, b, options) => (
+    Model.compareLiteral(Model.create(options, a), Model.create(options, b), options)
+  );
+  expect(compare('1,000', '1000', { allowThousandsSeparator: true })).not.toBe(null);
+  expect(compare('1,000.5', '1000.5', { allowThousandsSeparator: true, ignoreSeparators: true })).toBe(null);
+  expect(compare('(a+b)+c', 'a+(b+c)', { ignoreParens: true })).toBe(null);
+  expect(compare('(a+b)+c', 'a+(b+c)', { ignoreParens: true, compareGrouping: true }))
+    .toMatchObject({ expectedPath: 'root.args[0].args[0]', actualPath: 'root.args[0]' });
+  expect(compare('1\\frac{1}{2}', '1+\\frac{1}{2}', {})).toMatchObject({ expectedPath: 'root' });
+});
+
+test('diff matches sums and products in any order', () => {
+  const diff = (a, b, options = {}) => Model.diff(Model.create(options, a), Model.create(options, b), options)
+    .map((edit) => [
+      edit.type,
+      edit.expected && Model.toLaTeX(edit.expected),
+      edit.expectedPath,
+      edit.actual && Model.toLaTeX(edit.actual),
+      edit.actualPath,
+    ]);
+  expect(diff('2x+3', '3+2x')).toEqual([]);
+  expect(diff('2x+3', '3+2y')).toEqual([['replace', 'x', 'root.args[0].args[1]', 'y', 'root.args[1].args[1]']]);
+  expect(diff('2x+3', '5+2y')).toEqual([
+    ['replace', 'x', 'root.args[0].args[1]', 'y', 'root.args[1].args[1]'],
+    ['replace', '3', 'root.args[1]', '5', 'root.args[0]'],
+  ]);
+  expect(diff('2\\cdot x', 'x\\times 2', { ignoreMulForm: true })).toEqual([]);
+});
+
+test('diff inserts and deletes args', () => {
+  const diff = (a, b) => Model.diff(Model.create({}, a), Model.create({}, b))
+    .map(({ type, expectedPath, actualPath }) => [type, expectedPath, actualPath]);
+  expect(diff('a+b+c', 'c+a')).toEqual([['delete', 'root.args[1]', undefined]]);
+  expect(diff('a+b', 'a+b+c')).toEqual([['insert', undefined, 'root.args[2]']]);
+  expect(diff('1, 2, 3', '1, 3')).toEqual([['delete', 'root.args[1]', undefined]]);
+  expect(diff('\\frac{1}{x}', '\\frac{1}{y}')).toEqual([['replace', 'root.args[1]', 'root.args[1]']]);
+  expect(diff('\\sin x', '\\cos x')).toEqual([['replace', 'root', 'root']]);
+});
+
+test('nodes have the spans of their source', () => {
+  const src = '2x+\\frac{1}{x}-(a+b)';
+  const node = Model.create({}, src);
+  const text = (n) => src.slice(n.span.start, n.span.end);
+  expect(text(node)).toBe(src);
+  expect(node.args.map(text)).toEqual(['2x+\\frac{1}{x}', '(a+b)']);
+  expect(node.args[0].args.map(text)).toEqual(['2x', '\\frac{1}{x}']);
+  expect(text(node.args[0].args[1].args[1])).toBe('{x}');
+  expect(text(node.args[1].args[0])).toBe('a+b');
+  expect(Model.create({}, '  -x! ').span).toEqual({ start: 2, end: 5 });
+  expect(Model.create({ imaginaryUnit: 'i' }, '\\sin i').args[0].span).toEqual({ start: 5, end: 6 });
+});
+
+test('spans are offsets into the unstripped source', () => {
+  const src = 'a\u0001\u0002+|b|';
+  const node = Model.create({}, src);
+  expect(node.args.map((n) => n.span)).toEqual([{ start: 0, end: 1 }, { start: 4, end: 7 }]);
+  const edits = Model.diff(Model.create({}, 'x+\\sqrt{2}'), Model.create({}, '\\sqrt{3}+x'));
+  expect(edits.map(({ actual }) => actual.span)).toEqual([{ start: 5, end: 8 }]);
+});
+
+test('parse errors are ParseErrors', () => {
+  const error = (src, options = {}) => {
+    try {
+      Model.create(options, src);
+    } catch (x) {
+      return x;
+    }
+    return null;
+  };
+  const x = error('\\left( x+1');
+  expect(x).toBeInstanceOf(Model.ParseError);
+  expect(x.message).toBe('1001: Invalid syntax. "\\right" expected, "EOS" found.');
+  expect([x.code, x.args, x.span, x.found, x.expected])
+    .toEqual([1001, ['\\right', 'EOS'], { start: 10, end: 10 }, 'EOS', ['\\right']]);
+  expect(error('\\sqrt x')).toMatchObject({ code: 1001, found: 'x', expected: ['{', '['] });
+  expect(error('\\{x|x>0\\}')).toMatchObject({ code: 1001, args: ['|', '>'], found: '>' });
+  expect(error('2+1 3')).toMatchObject({ code: 1010, span: { start: 4, end: 5 }, found: '3' });
+  expect(error('a+#')).toMatchObject({ code: 1004, args: ['#', 35], span: { start: 2, end: 3 } });
+});
+
+test('parse errors go to the logger', () => {
+  const logged = [];
+  expect(() => Model.create({ logger: (x) => logged.push(x) }, 'x)')).toThrow('1003');
+  expect(logged.map(({ code, found }) => [code, found])).toEqual([[1003, ')']]);
+  expect(() => Model.create({}, 'x)')).toThrow(Model.ParseError);
+});
+
+test('recover reports every parse error', () => {
+  const { ast, diagnostics } = Model.create({ recover: true }, 'x^{2 + (3 ]');
+  expect(ast.op).toBe(Model.POW);
+  expect(diagnostics.map(({ code, span }) => [code, span]))
+    .toEqual([[1011, { start: 7, end: 11 }], [1001, { start: 11, end: 11 }]]);
+  const extra = Model.create({ recover: true }, 'x) + y)');
+  expect(extra.ast.op).toBe(Model.ERROR);
+  expect(extra.diagnostics.map(({ code, found }) => [code, found])).toEqual([[1003, ')'], [1003, ')']]);
+  expect(() => Model.create({}, 'x^{2 + (3 ]')).toThrow(Model.ParseError);
+});
+
+test('recover inserts error nodes and keeps going', () => {
+  const { ast, diagnostics } = Model.create({ recover: true }, '(1 2) + \\sqrt x = 3');
+  expect(ast.op).toBe(Model.EQL);
+  expect(ast.args[0].args.map(({ op }) => op)).toEqual([Model.PAREN, Model.ERROR]);
+  expect(diagnostics.map(({ code }) => code)).toEqual([1010, 1001]);
+  expect(Model.create({ recover: true }, '\\left( x').diagnostics.map(({ code }) => code)).toEqual([1001]);
+  expect(Model.create({ recover: true }, 'x+1').diagnostics).toEqual([]);
+});
+
+test('recover reports what is missing', () => {
+  const diagnostics = (src) => Model.create({ recover: true }, src).diagnostics
+    .map(({ code, args, span }) => [code, args[0], span.start]);
+  expect(diagnostics('(((')).toEqual([[1001, ')', 3], [1001, ')', 3], [1001, ')', 3]]);
+  expect(diagnostics('[1,2')).toEqual([[1001, ']', 4]]);
+  expect(diagnostics('(3]')).toEqual([[1011, '( ]', 0]]);
+  expect(diagnostics('1 2 3 4')).toEqual([[1010, undefined, 2], [1010, undefined, 4], [1010, undefined, 6]]);
+  expect(Model.create({ recover: true }, '((').ast.op).toBe(Model.PAREN);
+});
+
+test('error nodes render as the parts that parsed', () => {
+  const { ast } = Model.create({ recover: true }, 'x) y');
+  expect(ast.op).toBe(Model.ERROR);
+  expect(Model.toLaTeX(ast)).toBe('x y');
+  expect(Model.toMathML(ast)).toBe('<math xmlns="http://www.w3.org/1998/Math/MathML"><merror><mrow><mi>x</mi><mi>y</mi></mrow></merror></math>');
+  expect(Model.toUnicode(ast)).toBe('x y');
+  expect(Model.toSpeech(ast)).toBe('x y');
+  const partial = Model.create({ recover: true }, '1+\\sqrt').ast;
+  expect(Model.toMathML(partial)).toContain('<merror><mrow></mrow></merror>');
+  expect(() => Model.toOMML(partial)).not.toThrow();
+  expect(() => Model.toBraille(partial)).not.toThrow();
+});
+
+test('parse errors are in the locale of the parse', () => {
+  const error = (locale) => {
+    try {
+      Model.create({ locale }, '\\left( x+1');
+    } catch (x) {
+      return x.message;
+    }
+    return null;
+  };
+  expect(error('fr')).toBe('1001: Syntaxe invalide. "\\right" attendu, "EOS" trouvé.');
+  expect(error('es')).toBe('1001: Sintaxis no válida. Se esperaba "\\right" y se encontró "EOS".');
+  expect(error('pt-BR')).toBe('1001: Sintaxe inválida. Esperava-se "\\right", encontrou-se "EOS".');
+  expect(error('de')).toBe('1001: Invalid syntax. "\\right" expected, "EOS" found.');
+  expect(error(['pt-BR', 'es'])).toBe('1001: Sintaxe inválida. Esperava-se "\\right", encontrou-se "EOS".');
+  expect(error(['de', 'es'])).toBe('1001: Sintaxis no válida. Se esperaba "\\right" y se encontró "EOS".');
+  expect(error()).toBe('1001: Invalid syntax. "\\right" expected, "EOS" found.');
+});
+
+test('messages fall back along the locale chain', () => {
+  // A catalog in the chain is looked in first, without adding it to the
+  // global catalogs.
+  const frCA = { 1010: 'Opérateur manquant entre les nombres.' };
+  expect(Assert.message(1010, [], [frCA, 'fr-CA'])).toBe('1010: Opérateur manquant entre les nombres.');
+  expect(Assert.message(1005, [], [frCA, 'fr-CA'])).toBe('1005: Séparateur de milliers mal placé.');
+  expect(Assert.message(1010, [], 'fr-CA')).toBe(Assert.message(1010, [], 'fr'));
+  expect(Assert.catalogs['fr-CA']).toBeUndefined();
+  expect(Assert.message(1015, ['root'], ['de', 'es'])).toBe('1015: División por cero en root.');
+  expect(Assert.message(1005)).toBe('1005: Misplaced thousands separator.');
+  expect(Assert.messages[1005]).toBe('Misplaced thousands separator.');
+});
+
+test('parsers carry their own environment', () => {
+  const env = { Cu: { name: 'copper' } };
+  const chem = new Model.Parser({ env });
+  const node = (n) => JSON.stringify(stripMetadata(n));
+  Model.pushEnv(env);
+  const pushed = node(Model.create({}, 'Cu^{2+}'));
+  Model.popEnv();
+  expect(node(chem.create({}, 'Cu^{2+}'))).toBe(pushed);
+  expect(node(Model.create({}, 'Cu^{2+}'))).not.toBe(pushed);
+  expect(Model.env).toEqual({});
+  expect(Model.Parser.create({}, 'x+1').op).toBe(Model.ADD);
+});
+
+test('Parser is still compatible with Model', () => {
+  const { Parser } = Model;
+  expect(Parser.create({}, 'x+1')).toBeInstanceOf(Parser);
+  expect(new Parser()).toBeInstanceOf(Parser);
+  expect(Parser.env).toBe(Model.env);
+  const env = { Cu: { name: 'copper' } };
+  Parser.env = env;
+  try {
+    expect(Model.env).toBe(env);
+  } finally {
+    Parser.env = {};
+  }
+});
+
+test('parsers carry their own options, messages and limits', () => {
+  const parser = new Model.Parser({
+    options: { locale: 'es' },
+    messages: { 1010: 'Falta un operador.' },
+    location: 'item 7',
+  });
+  expect(() => parser.create({}, '1 2')).toThrow('1010: Falta un operador.');
+  expect(() => parser.create({}, 'x)')).toThrow('1003: Caracteres sobrantes');
+  expect(() => parser.create({ locale: 'en' }, 'x)')).toThrow('1003: Extra characters');
+  try {
+    parser.create({}, 'x)');
+  } catch (x) {
+    expect(x.location).toBe('item 7');
+  }
+  expect(() => new Model.Parser({ options: { count: 3 } }).create({}, '1+2+3+4')).toThrow('ERROR count exceeded');
+  expect(new Model.Parser({ options: { count: 10 } }).fromLaTeX({}, '1+2+3+4').op).toBe(Model.ADD);
+  // The limits and location are the parser's, not the Assert globals.
+  expect(parser.asserts.location).toBe('item 7');
+  expect(Assert.location).toBeFalsy();
+  expect(Assert.count).toBeUndefined();
+  expect(Assert.timeout).toBe(0);
+});
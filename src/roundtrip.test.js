@@ -0,0 +1,235 @@
+import { Model } from './model.js';
+
+// Attributes that are part of the meaning of a node. Everything else, such as
+// 'lbrk', 'rbrk' and 'isImplicit', only records how the source was written.
+const attributes = ['isMixedNumber', 'isScientific', 'isRepeating', 'isSlash'];
+
+function strip(node) {
+  if (typeof node !== 'object') {
+    return node;
+  }
+  const stripped = { op: node.op, args: node.args.map(strip) };
+  attributes.forEach((k) => {
+    if (node[k]) {
+      stripped[k] = node[k];
+    }
+  });
+  return stripped;
+}
+
+// Deterministic PRNG (Park-Miller) so that failures are reproducible.
+function random(seed) {
+  let state = seed % 2147483647 || 1;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+// Every op of the model is generated except these, for the reasons given.
+const excluded = {
+  VAR: 'a leaf',
+  NUM: 'a leaf',
+  NONE: 'the empty operand, which has no LaTeX of its own',
+  LN: 'parsed as a log with base e',
+  LG: 'parsed as a log with base 10',
+  ATAN2: 'rendered as \\operatorname{atan2}',
+  BRACE: 'parsed as a set',
+  LIST: 'rendered as a comma list',
+  DEGREE: 'parsed as a product with \\degree',
+  M: 'parsed as a product with \\M',
+  DELTA: 'parsed as the variable \\Delta_x',
+  QMARK: 'parsed as the variable ?',
+  HIGHLIGHT: 'rendered as its args only',
+  ERROR: 'rendered as its args only',
+  OVERSET: 'an annotation carried in the last arg of another node',
+  UNDERSET: 'an annotation carried in the last arg of another node',
+  EVALAT: '\\left.x\\right| doesn\'t parse',
+  MATRIX: '\\begin{matrix} doesn\'t parse',
+  ROW: 'a part of a matrix',
+  COL: 'a part of a matrix',
+  SET: 'generated as the operands of set operators, the only place the parser makes them',
+  MATHFIELD: '\\mathfield is parsed as a variable',
+  EXP: '\\exp takes the rest of the sum as its arg, so \\exp{a}+b is \\exp{a+b}',
+};
+
+const vocabulary = Object.keys(Model).filter((k) => /^[A-Z0-9]+$/.test(k));
+
+// The options that make the parser produce integrals and imaginary units.
+const options = { parsingIntegralExpr: true, imaginaryUnit: 'i' };
+
+function generator(seed) {
+  const rand = random(seed);
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  const num = (n) => ({ op: Model.NUM, args: [String(n)] });
+  const variable = (name) => ({ op: Model.VAR, args: [name] });
+  const leaf = () => pick([
+    () => num(Math.floor(rand() * 100)),
+    () => num((rand() * 10).toFixed(2)),
+    () => variable(pick(['a', 'b', 'x', 'y', 'z', 'n', '\\pi', '\\theta'])),
+    () => ({
+      op: Model.ADD,
+      args: [num(2), { op: Model.FRAC, args: [num(1), num(3)] }],
+      isMixedNumber: true,
+    }),
+    () => ({
+      op: Model.TIMES,
+      args: [num('1.5'), { op: Model.POW, args: [num(10), num(Math.floor(rand() * 9) + 1)] }],
+      isScientific: true,
+    }),
+    () => ({
+      op: Model.ADD,
+      args: [{ ...num('0.'), isRepeating: true }, { ...num(Math.floor(rand() * 9) + 1), isRepeating: true }],
+      isRepeating: true,
+    }),
+  ])();
+  // The parser only makes sets of braces that are operands of set operators
+  // (or the whole input).
+  const set = () => ({
+    op: Model.SET,
+    args: [rand() < 0.5 ? leaf() : { op: Model.COMMA, args: [leaf(), leaf()] }],
+  });
+  const dx = () => variable(pick(['x', 'y', 'z']));
+  // Ops that relate whole expressions, so are only generated at the top.
+  const relations = [
+    'EQL', 'NE', 'LT', 'LE', 'GT', 'GE', 'NGTR', 'NLESS', 'APPROX', 'IN', 'NI', 'NNI',
+    'SUBSETEQ', 'SUPSETEQ', 'SUBSET', 'SUPSET', 'NSUBSETEQ', 'NSUPSETEQ', 'NSUBSET', 'NSUPSET',
+    'IMPLIES', 'PERP', 'PROPTO', 'PARALLEL', 'NPARALLEL', 'SIM', 'CONG', 'TO', 'COLON', 'COMMA',
+    'CAPRIGHTARROW', 'RIGHTARROW', 'LEFTARROW', 'LONGRIGHTARROW', 'LONGLEFTARROW',
+    'OVERRIGHTARROW', 'OVERLEFTARROW', 'CAPLEFTRIGHTARROW', 'LEFTRIGHTARROW',
+    'LONGLEFTRIGHTARROW', 'OVERLEFTRIGHTARROW',
+  ];
+  // Functions, whose arg the parser looks in for the dx of an integral.
+  const functions = [
+    'SIN', 'COS', 'TAN', 'SEC', 'COT', 'CSC', 'ARCSIN', 'ARCCOS', 'ARCTAN', 'ARCSEC',
+    'ARCCOT', 'ARCCSC', 'SINH', 'COSH', 'TANH', 'SECH', 'COTH', 'CSCH', 'ARCSINH',
+    'ARCCOSH', 'ARCTANH', 'ARCSECH', 'ARCCSCH', 'ARCCOTH', 'RE', 'IM', 'ARG', 'LOG',
+  ];
+  const unary = [
+    'SUB', 'PM', 'NOT', 'ABS', 'PAREN', 'BRACKET', 'ANGLEBRACKET', 'FACT', 'PERCENT',
+    'VEC', 'OVERLINE', 'MATHBF', 'EXISTS', 'FORALL',
+  ].concat(functions.filter((k) => k !== 'LOG'));
+  const interval = (d) => [{ op: Model.COMMA, args: [expr(d), expr(d)] }];
+  const bigOp = (d) => [{ op: Model.EQL, args: [variable('k'), leaf()] }, leaf(), expr(d)];
+  const contains = (node, keys) => typeof node === 'object' && !node.isScientific &&
+    (keys.some((k) => Model[k] === node.op) || node.args.some((a) => contains(a, keys)));
+  // The parser reads the \times and \cdot of an integrand as implicit
+  // products, and looks for its dx in the arg of functions.
+  const integrand = (d) => {
+    const node = expr(d);
+    return contains(node, ['TIMES', 'CDOT', ...functions]) ? leaf() : node;
+  };
+  // The args of the ops that aren't unary or binary, or that only take some
+  // kinds of operand.
+  const shapes = {
+    // The args of these are read as text.
+    TEXT: () => [variable(pick(['ab', 'word']))],
+    TYPE: () => [variable(pick(['a', 'x']))],
+    FORMAT: () => [variable(pick(['a', 'x']))],
+    // \dot of a number is a repeating digit.
+    DOT: (d) => [expr(d)].map((a) => (a.op === Model.NUM ? variable('x') : a)),
+    OPERATORNAME: (d) => [variable(pick(['foo', 'bar'])), expr(d)],
+    IMAGINARY: () => [variable('i')],
+    // Every root has an index.
+    SQRT: (d) => [expr(d), num(pick([2, 3]))],
+    INTERVAL: interval,
+    INTERVALOPEN: interval,
+    INTERVALLEFTOPEN: interval,
+    INTERVALRIGHTOPEN: interval,
+    CUP: () => [set(), set()],
+    CAP: () => [set(), set()],
+    PIPE: (d) => [expr(d), { op: Model.SUBSCRIPT, args: [leaf()] }],
+    LIM: (d) => [{ op: Model.TO, args: [dx(), leaf()] }, expr(d)],
+    DERIV: (d) => [expr(d), dx(), num(1)],
+    INTEGRAL: (d) => (rand() < 0.5 ? [integrand(d), dx()] : [leaf(), leaf(), integrand(d), dx()]),
+    SUM: bigOp,
+    PROD: bigOp,
+    BIGCUP: bigOp,
+    BIGCAP: bigOp,
+  };
+  // An integral takes everything up to its dx, and everything after it
+  // belongs to the dx, so integrals are only generated as the operands of
+  // relations.
+  const ops = vocabulary.filter((k) => !excluded[k] && !relations.includes(k) && k !== 'INTEGRAL');
+  // Ops whose nested nodes the parser flattens: {a+b}+c is a+b+c.
+  const flattened = [Model.ADD, Model.MUL, Model.TIMES, Model.CDOT, Model.DIV, Model.SUBSCRIPT];
+  const args = (k, depth) => {
+    if (shapes[k]) {
+      return shapes[k](depth);
+    }
+    return unary.includes(k) ? [expr(depth)] : [expr(depth), expr(depth)];
+  };
+  const expr = (depth) => {
+    if (depth === 0 || rand() < 0.3) {
+      return leaf();
+    }
+    const k = pick(ops);
+    const op = Model[k];
+    const node = { op, args: args(k, depth - 1) };
+    switch (op) {
+    case Model.FRAC:
+      // a/b\% is parsed as (a/b)\%.
+      if (node.args[1].op === Model.PERCENT) {
+        node.args[1] = leaf();
+      }
+      node.isSlash = rand() < 0.5;
+      break;
+    case Model.SUBSCRIPT:
+      // x^a_b is parsed as (x_b)^a.
+      if (node.args[0].op === Model.POW) {
+        node.args[0] = leaf();
+      }
+      node.args[1] = leaf();
+      break;
+    case Model.TIMES:
+      // The \times of scientific notation would join the product.
+      node.args = node.args.map((a) => (a.isScientific ? num(2) : a));
+      break;
+    default:
+      break;
+    }
+    // A sum with a mixed number term isn't flattened. Repeating decimals
+    // are, into their parts.
+    if (flattened.includes(op) && !(op === Model.ADD && node.args.some((a) => a.isMixedNumber))) {
+      node.args = node.args.flatMap((a) => (a.op === op ? a.args : [a]));
+    }
+    return node;
+  };
+  return () => {
+    const node = rand() < 0.1 ? { op: Model.INTEGRAL, args: shapes.INTEGRAL(2) } : expr(3);
+    return rand() < 0.3 ? { op: Model[pick(relations)], args: [node, expr(2)] } : node;
+  };
+}
+
+const roundTrip = { roundTrip: true };
+
+test('toLaTeX roundTrip keeps number forms', () => {
+  ['1\\frac{1}{2}', '1 1/2', '1.2\\times10^3', '0.\\overline{3}', 'a/b', '1{,}000', '\\$5'].forEach((src) => {
+    const node = Model.create({}, src);
+    const text = Model.toLaTeX(node, roundTrip);
+    expect(JSON.stringify(strip(Model.create({}, text)))).toBe(JSON.stringify(strip(node)));
+  });
+  expect(Model.create({}, Model.toLaTeX(Model.create({}, '1 1/2'), roundTrip)).isMixedNumber).toBe(true);
+  expect(Model.create({}, Model.toLaTeX(Model.create({}, 'a/b'), roundTrip)).isSlash).toBe(true);
+});
+
+test('toLaTeX roundTrip keeps brace groups', () => {
+  expect(Model.toLaTeX(Model.create({}, '{a+b}^{2}'), roundTrip)).toBe('{a+ b}^{2}');
+  expect(Model.toLaTeX(Model.create({}, '2{3}'), roundTrip)).toBe('2{3}');
+  expect(Model.toLaTeX(Model.create({}, 'x^2'), roundTrip)).toBe('x^{2}');
+});
+
+test('the generator vocabulary is the ops of the model', () => {
+  Object.keys(excluded).forEach((k) => {
+    expect(vocabulary).toContain(k);
+  });
+});
+
+test('parse∘render is the identity on random expressions', () => {
+  const generate = generator(20211118);
+  for (let i = 0; i < 500; i++) {
+    const node = strip(generate());
+    const src = Model.toLaTeX(node, roundTrip);
+    expect({ src, node: strip(Model.create(options, src)) }).toEqual({ src, node });
+  }
+});